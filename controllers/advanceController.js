@@ -0,0 +1,170 @@
+const AdvanceModel = require("../models/advanceModel");
+const AdvanceService = require("../services/advanceService");
+const { sendServiceError } = require("../services/serviceHelpers");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class AdvanceController {
+  // Outstanding advances against unpaid supply for one supplier
+  static async getSupplierBalance(req, res) {
+    try {
+      const balance = await AdvanceModel.getSupplierBalance(req.params.id);
+      if (!balance) {
+        return res.status(404).json({
+          success: false,
+          message: "Supplier not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Supplier balance fetched successfully",
+        data: balance,
+      });
+    } catch (error) {
+      console.error("Get supplier balance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch supplier balance",
+      });
+    }
+  }
+
+  static async getSupplierAdvances(req, res) {
+    try {
+      const advances = await AdvanceModel.findBySupplier(req.params.id, {
+        status: req.query.status,
+      });
+
+      res.json({
+        success: true,
+        message: "Supplier advances fetched successfully",
+        data: advances,
+      });
+    } catch (error) {
+      console.error("Get supplier advances error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch supplier advances",
+      });
+    }
+  }
+
+  static async getAdvanceById(req, res) {
+    try {
+      const advance = await AdvanceModel.findById(req.params.id);
+      if (!advance) {
+        return res.status(404).json({
+          success: false,
+          message: "Advance not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Advance fetched successfully",
+        data: advance,
+      });
+    } catch (error) {
+      console.error("Get advance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch advance",
+      });
+    }
+  }
+
+  static async createAdvance(req, res) {
+    try {
+      const {
+        advance_type = "cash_advance",
+        issue_date,
+        repayment_rule,
+        notes,
+      } = req.body;
+      const principal = parseFloat(req.body.principal_amount);
+      const repaymentValue = parseFloat(req.body.repayment_value);
+
+      if (!AdvanceModel.ADVANCE_TYPES.includes(advance_type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Advance type must be one of: ${AdvanceModel.ADVANCE_TYPES.join(
+            ", "
+          )}`,
+        });
+      }
+      if (isNaN(principal) || principal <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Principal amount must be a positive number",
+        });
+      }
+      if (!DATE_PATTERN.test(issue_date || "")) {
+        return res.status(400).json({
+          success: false,
+          message: "Issue date is required (YYYY-MM-DD)",
+        });
+      }
+      if (!AdvanceModel.REPAYMENT_RULES.includes(repayment_rule)) {
+        return res.status(400).json({
+          success: false,
+          message: `Repayment rule must be one of: ${AdvanceModel.REPAYMENT_RULES.join(
+            ", "
+          )}`,
+        });
+      }
+      if (
+        isNaN(repaymentValue) ||
+        repaymentValue <= 0 ||
+        (repayment_rule === "percent_of_settlement" && repaymentValue > 100)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            repayment_rule === "percent_of_settlement"
+              ? "Repayment percentage must be between 0 and 100"
+              : "Installment amount must be a positive number",
+        });
+      }
+
+      const advanceId = await AdvanceService.issueAdvance({
+        supplier_id: req.params.id,
+        advance_type,
+        principal_amount: principal,
+        issue_date,
+        repayment_rule,
+        repayment_value: repaymentValue,
+        notes: notes || null,
+        created_by: req.user?.id || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Advance recorded successfully",
+        data: await AdvanceModel.findById(advanceId),
+      });
+    } catch (error) {
+      console.error("Create advance error:", error);
+      sendServiceError(res, error, "Failed to record advance");
+    }
+  }
+
+  static async cancelAdvance(req, res) {
+    try {
+      await AdvanceService.cancelAdvance(req.params.id, {
+        cancelled_by: req.user?.id || null,
+      });
+
+      res.json({
+        success: true,
+        message: "Advance cancelled successfully",
+        data: await AdvanceModel.findById(req.params.id),
+      });
+    } catch (error) {
+      console.error("Cancel advance error:", error);
+      sendServiceError(res, error, "Failed to cancel advance");
+    }
+  }
+}
+
+module.exports = AdvanceController;
@@ -0,0 +1,159 @@
+const CashBookModel = require("../models/cashBookModel");
+const CashBookService = require("../services/cashBookService");
+const { sendServiceError } = require("../services/serviceHelpers");
+
+class CashBookController {
+  // Open a drawer for the day with its opening float. Staff open their own
+  // drawer or a collection point's; managers and admins may open any staff
+  // member's.
+  static async openSession(req, res) {
+    try {
+      const { business_date, collection_point } = req.body;
+      const openingFloat = parseFloat(req.body.opening_float);
+      if (isNaN(openingFloat)) {
+        return res.status(400).json({
+          success: false,
+          message: "Opening float is required",
+        });
+      }
+
+      const staffId =
+        req.body.staff_id &&
+        (req.user.permissions || []).includes("cash.supervise")
+          ? req.body.staff_id
+          : req.user.id;
+
+      const sessionId = await CashBookService.openSession({
+        business_date: business_date || undefined,
+        opening_float: openingFloat,
+        staff_id: staffId,
+        collection_point: collection_point || null,
+        opened_by: req.user?.id || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Cash book opened successfully",
+        data: await CashBookModel.findSessionById(sessionId),
+      });
+    } catch (error) {
+      console.error("Open cash book error:", error);
+      sendServiceError(res, error, "Failed to open cash book");
+    }
+  }
+
+  static async getSessions(req, res) {
+    try {
+      const { business_date, status, staff_id, collection_point } = req.query;
+      const sessions = await CashBookModel.findSessions({
+        business_date,
+        status,
+        staff_id,
+        collection_point,
+      });
+
+      res.json({
+        success: true,
+        message: "Cash book sessions fetched successfully",
+        data: sessions,
+      });
+    } catch (error) {
+      console.error("Get cash book sessions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch cash book sessions",
+      });
+    }
+  }
+
+  static async getSessionById(req, res) {
+    try {
+      const session = await CashBookModel.findSessionById(req.params.id);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Cash book session not found",
+        });
+      }
+      CashBookService.checkDrawerAccess(session, req.user);
+
+      res.json({
+        success: true,
+        message: "Cash book session fetched successfully",
+        data: session,
+      });
+    } catch (error) {
+      console.error("Get cash book session error:", error);
+      sendServiceError(res, error, "Failed to fetch cash book session");
+    }
+  }
+
+  // Top up a drawer or take cash out of it during the day
+  static async addEntry(req, res) {
+    try {
+      const { entry_type, description } = req.body;
+      const amount = parseFloat(req.body.amount);
+      if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "A positive amount is required",
+        });
+      }
+
+      await CashBookService.addEntry(req.params.id, {
+        entry_type,
+        amount,
+        description: description || null,
+        created_by: req.user?.id || null,
+        user: req.user,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Cash book entry recorded successfully",
+        data: await CashBookModel.findSessionById(req.params.id),
+      });
+    } catch (error) {
+      console.error("Add cash book entry error:", error);
+      sendServiceError(res, error, "Failed to record cash book entry");
+    }
+  }
+
+  // End-of-day close with the cash counted in the drawer
+  static async closeSession(req, res) {
+    try {
+      const countedCash = parseFloat(req.body.counted_cash);
+      if (isNaN(countedCash) || countedCash < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Counted cash is required",
+        });
+      }
+
+      const result = await CashBookService.closeSession(req.params.id, {
+        counted_cash: countedCash,
+        notes: req.body.notes ? String(req.body.notes).trim() : null,
+        closed_by: req.user?.id || null,
+        ip_address: req.ip,
+        user_agent: req.get("user-agent") || null,
+        user: req.user,
+      });
+
+      res.json({
+        success: true,
+        message:
+          result.variance === 0
+            ? "Cash book closed; counted cash matches"
+            : `Cash book closed with a variance of ${result.variance.toFixed(
+                2
+              )}`,
+        data: await CashBookModel.findSessionById(req.params.id),
+      });
+    } catch (error) {
+      console.error("Close cash book error:", error);
+      sendServiceError(res, error, "Failed to close cash book");
+    }
+  }
+}
+
+module.exports = CashBookController;
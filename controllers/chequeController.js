@@ -0,0 +1,114 @@
+const ChequeModel = require("../models/chequeModel");
+const ChequeService = require("../services/chequeService");
+const { sendServiceError } = require("../services/serviceHelpers");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class ChequeController {
+  static async getCheques(req, res) {
+    try {
+      const { status, supplier_id, bank_name, cheque_no } = req.query;
+      const cheques = await ChequeModel.findAll({
+        status,
+        supplier_id,
+        bank_name,
+        cheque_no,
+      });
+
+      res.json({
+        success: true,
+        message: "Cheques fetched successfully",
+        data: cheques,
+      });
+    } catch (error) {
+      console.error("Get cheques error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch cheques",
+      });
+    }
+  }
+
+  // Issued and presented cheques, for bank reconciliation
+  static async getUnclearedCheques(req, res) {
+    try {
+      const { bank_name, as_of } = req.query;
+      if (as_of && !DATE_PATTERN.test(as_of)) {
+        return res.status(400).json({
+          success: false,
+          message: "As-of date must be YYYY-MM-DD",
+        });
+      }
+
+      const uncleared = await ChequeModel.findUncleared({ bank_name, as_of });
+
+      res.json({
+        success: true,
+        message: "Uncleared cheques fetched successfully",
+        data: uncleared,
+      });
+    } catch (error) {
+      console.error("Get uncleared cheques error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch uncleared cheques",
+      });
+    }
+  }
+
+  static async getChequeById(req, res) {
+    try {
+      const cheque = await ChequeModel.findById(req.params.id);
+      if (!cheque) {
+        return res.status(404).json({
+          success: false,
+          message: "Cheque not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Cheque fetched successfully",
+        data: cheque,
+      });
+    } catch (error) {
+      console.error("Get cheque error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch cheque",
+      });
+    }
+  }
+
+  // Record that a cheque was presented, cleared, bounced or cancelled
+  static async updateChequeStatus(req, res) {
+    try {
+      const { status } = req.body;
+      const reason = req.body.reason ? String(req.body.reason).trim() : null;
+
+      const result = await ChequeService.changeStatus(req.params.id, status, {
+        reason: reason || null,
+        user_id: req.user?.id || null,
+        ip_address: req.ip,
+        user_agent: req.get("user-agent") || null,
+      });
+
+      res.json({
+        success: true,
+        message:
+          result.reversed_payments.length > 0
+            ? `Cheque ${result.cheque_no} ${status}; ${result.reversed_payments.length} payment(s) reversed`
+            : `Cheque ${result.cheque_no} marked ${status}`,
+        data: {
+          ...result,
+          cheque: await ChequeModel.findById(req.params.id),
+        },
+      });
+    } catch (error) {
+      console.error("Update cheque status error:", error);
+      sendServiceError(res, error, "Failed to update cheque status");
+    }
+  }
+}
+
+module.exports = ChequeController;
@@ -2,7 +2,8 @@
 import { createRequire } from "module";
 const require = createRequire(import.meta.url);
 const InventoryModel = require("../models/inventoryModel.js");
-const SupplierModel = require("../models/supplierModel.js");
+const StockMovementService = require("../services/stockMovementService.js");
+const { InsufficientStockError } = StockMovementService;
 
 // Auto-Generated Inventory ID Function
 /**
@@ -41,35 +42,6 @@ export const createInventory = async (req, res) => {
 
   console.log("Creating inventory with data:", { quantity, body: req.body });
 
-  // Check total available supply records quantity before creating inventory
-  try {
-    const allSupplyRecords = await SupplierModel.findAllSupplyRecords();
-    const totalSupplyAvailable = allSupplyRecords.reduce(
-      (sum, record) => sum + (parseFloat(record.quantity_kg) || 0),
-      0
-    );
-
-    console.log("Supply records check:", {
-      totalSupplyAvailable,
-      requestedQuantity: quantity,
-      supplyRecordsCount: allSupplyRecords.length,
-    });
-
-    if (totalSupplyAvailable < quantity) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient supply records. Available: ${totalSupplyAvailable} kg, Required: ${quantity} kg`,
-      });
-    }
-  } catch (error) {
-    console.error("Error checking supply records:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Failed to check supply records availability",
-      error: error.message,
-    });
-  }
-
   while (retryCount < maxRetries) {
     try {
       // Auto-generate inventory ID
@@ -87,73 +59,55 @@ export const createInventory = async (req, res) => {
         }: Auto-generated inventory ID: ${uniqueInventoryId}`
       );
 
-      const newInventory = await InventoryModel.create({
-        inventoryid: uniqueInventoryId,
-        quantity,
-      });
+      // Availability check, inventory insert and FIFO supply record deduction
+      // run in a single transaction with the supply rows locked
+      const { inventory: newInventory, deductions } =
+        await StockMovementService.transferSupplyToInventory({
+          inventoryid: uniqueInventoryId,
+          quantity,
+        });
+
+      const supplyDeducted = deductions.reduce(
+        (sum, deduction) => sum + deduction.deductAmount,
+        0
+      );
 
       console.log("Inventory created successfully:", {
         inventoryid: uniqueInventoryId,
         quantity,
         attempt: retryCount + 1,
-      });
-
-      // Deduct quantity from supply records (FIFO - First In First Out)
-      let remainingToDeduct = parseFloat(quantity);
-      const allSupplyRecords = await SupplierModel.findAllSupplyRecords();
-      const sortedSupplyRecords = allSupplyRecords.sort(
-        (a, b) => new Date(a.created_at) - new Date(b.created_at)
-      );
-
-      console.log("Starting supply record deduction:", {
-        totalToDeduct: quantity,
-        supplyRecordsCount: sortedSupplyRecords.length,
-      });
-
-      for (const record of sortedSupplyRecords) {
-        if (remainingToDeduct <= 0) break;
-
-        const availableInRecord = parseFloat(record.quantity_kg) || 0;
-        if (availableInRecord > 0) {
-          const deductAmount = Math.min(availableInRecord, remainingToDeduct);
-          const newQuantity = availableInRecord - deductAmount;
-
-          console.log(`Deducting from supply record ${record.id}:`, {
-            supplyId: record.supply_id,
-            oldQuantity: availableInRecord,
-            deductAmount,
-            newQuantity,
-            remainingToDeduct: remainingToDeduct - deductAmount,
-          });
-
-          // Direct SQL update to bypass 15-minute edit window (this is for business logic, not user editing)
-          const { pool } = require("../database.js");
-          await pool.execute(
-            "UPDATE supply_records SET quantity_kg = ?, updated_at = NOW() WHERE id = ?",
-            [newQuantity, record.id]
-          );
-
-          remainingToDeduct -= deductAmount;
-        }
-      }
-
-      console.log("Supply record deduction completed:", {
-        deducted: parseFloat(quantity) - remainingToDeduct,
-        remaining: remainingToDeduct,
+        supplyRecordsDeducted: deductions.length,
+        supplyDeducted,
       });
 
       return res.status(201).json({
         success: true,
         data: newInventory,
-        message: `Inventory created with auto-generated inventory ID: ${uniqueInventoryId}. ${quantity} kg deducted from supply records.`,
+        message: `Inventory created with auto-generated inventory ID: ${uniqueInventoryId}. ${newInventory.quantity} kg deducted from supply records.`,
         inventoryIdGenerated: true,
-        supplyDeducted: parseFloat(quantity) - remainingToDeduct,
+        supplyDeducted,
       });
     } catch (error) {
+      if (error instanceof InsufficientStockError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          available: error.available,
+          required: error.required,
+        });
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       retryCount++;
 
       // Check if it's a UNIQUE constraint violation on inventoryid
       const isUniqueConstraintError =
+        error.code === "ER_DUP_ENTRY" ||
         error.name === "SequelizeUniqueConstraintError" ||
         (error.parent && error.parent.code === "ER_DUP_ENTRY") ||
         (error.message && error.message.includes("UNIQUE constraint failed"));
@@ -163,7 +117,7 @@ export const createInventory = async (req, res) => {
           `Inventory ID collision detected. Retry ${retryCount}/${maxRetries}`,
           {
             error: error.message,
-            errorCode: error.parent?.code,
+            errorCode: error.code || error.parent?.code,
           }
         );
 
@@ -178,7 +132,7 @@ export const createInventory = async (req, res) => {
       console.error("Error creating inventory:", {
         error: error.message,
         errorName: error.name,
-        errorCode: error.parent?.code,
+        errorCode: error.code || error.parent?.code,
         retryCount,
         body: req.body,
         stack: error.stack,
@@ -255,14 +209,15 @@ export const updateInventory = async (req, res) => {
       body: req.body,
     });
 
-    // Validate required fields - quantity is required, inventoryid is optional
-    if (!quantity) {
-      console.error("Inventory update failed: Missing quantity", {
+    // Only the inventory ID can be edited; a quantity sent along must be the
+    // lot's current one (changes go through stock adjustments)
+    if (!quantity && !inventoryid) {
+      console.error("Inventory update failed: Nothing to update", {
         body: req.body,
       });
       return res.status(400).json({
         success: false,
-        message: "Quantity is required",
+        message: "Inventory ID is required",
       });
     }
 
@@ -287,7 +242,10 @@ export const updateInventory = async (req, res) => {
       });
     }
 
-    const updateData = { quantity };
+    const updateData = {};
+    if (quantity) {
+      updateData.quantity = quantity;
+    }
     if (inventoryid) {
       updateData.inventoryid = inventoryid;
     }
@@ -306,6 +264,12 @@ export const updateInventory = async (req, res) => {
       message: "Inventory updated successfully",
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Error updating inventory:", {
       error: error.message,
       errorName: error.name,
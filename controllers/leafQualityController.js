@@ -0,0 +1,163 @@
+const LeafQualityModel = require("../models/leafQualityModel");
+
+// Validate a whole rule; updates pass the stored rule merged with the changes
+const validateRule = (data) => {
+  const { rule_type, min_value, max_value, adjustment } = data;
+
+  if (!LeafQualityModel.RULE_TYPES.includes(rule_type)) {
+    return (
+      "Invalid rule type. Must be one of: " +
+      LeafQualityModel.RULE_TYPES.join(", ")
+    );
+  }
+
+  const min = parseFloat(min_value);
+  if (isNaN(min) || min < 0 || min > 100) {
+    return "Minimum value must be a percentage between 0 and 100";
+  }
+
+  if (max_value !== undefined && max_value !== null && max_value !== "") {
+    const max = parseFloat(max_value);
+    if (isNaN(max) || max < 0 || max > 100) {
+      return "Maximum value must be a percentage between 0 and 100";
+    }
+    if (max <= min) {
+      return "Maximum value must be greater than the minimum value";
+    }
+  }
+
+  if (isNaN(parseFloat(adjustment))) {
+    return "Adjustment must be a number";
+  }
+
+  return null;
+};
+
+class LeafQualityController {
+  // List deduction rules, ?active=true for only the rules applied at intake
+  static async getRules(req, res) {
+    try {
+      const rules = await LeafQualityModel.findRules({
+        active: req.query.active === "true",
+        rule_type: req.query.rule_type,
+      });
+
+      res.json({
+        success: true,
+        message: "Leaf quality rules fetched successfully",
+        data: rules,
+      });
+    } catch (error) {
+      console.error("Get leaf quality rules error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch leaf quality rules",
+      });
+    }
+  }
+
+  static async createRule(req, res) {
+    try {
+      const error = validateRule(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const { rule_type, min_value, max_value, adjustment, description } =
+        req.body;
+
+      const rule = await LeafQualityModel.createRule({
+        rule_type,
+        min_value: parseFloat(min_value),
+        max_value:
+          max_value === undefined || max_value === null || max_value === ""
+            ? null
+            : parseFloat(max_value),
+        adjustment: parseFloat(adjustment),
+        description: description || null,
+        is_active: req.body.is_active !== false,
+        created_by: req.user?.id || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Leaf quality rule created successfully",
+        data: rule,
+      });
+    } catch (error) {
+      console.error("Create leaf quality rule error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create leaf quality rule",
+      });
+    }
+  }
+
+  static async updateRule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await LeafQualityModel.findRuleById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: "Leaf quality rule not found",
+        });
+      }
+
+      // Validate the rule as it will be stored, so a partial update cannot
+      // leave the band inverted against the fields it did not send
+      const changes = {
+        ...req.body,
+        max_value: req.body.max_value === "" ? null : req.body.max_value,
+      };
+      const merged = { ...existing };
+      for (const key of ["rule_type", "min_value", "max_value", "adjustment"]) {
+        if (changes[key] !== undefined) merged[key] = changes[key];
+      }
+      const error = validateRule(merged);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const rule = await LeafQualityModel.updateRule(id, changes);
+
+      res.json({
+        success: true,
+        message: "Leaf quality rule updated successfully",
+        data: rule,
+      });
+    } catch (error) {
+      console.error("Update leaf quality rule error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update leaf quality rule",
+      });
+    }
+  }
+
+  static async deleteRule(req, res) {
+    try {
+      const deleted = await LeafQualityModel.deleteRule(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: "Leaf quality rule not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Leaf quality rule deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete leaf quality rule error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete leaf quality rule",
+      });
+    }
+  }
+}
+
+module.exports = LeafQualityController;
@@ -0,0 +1,138 @@
+const PaymentModel = require("../models/paymentModel");
+const PaymentApprovalService = require("../services/paymentApprovalService");
+const { sendServiceError } = require("../services/serviceHelpers");
+
+class PaymentApprovalController {
+  static async getPendingPayments(req, res) {
+    try {
+      const { supplier_id, created_by } = req.query;
+      const payments = await PaymentModel.findPendingApprovals({
+        supplier_id,
+        created_by,
+      });
+
+      res.json({
+        success: true,
+        message: "Payments awaiting approval fetched successfully",
+        data: payments,
+      });
+    } catch (error) {
+      console.error("Get pending approvals error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payments awaiting approval",
+      });
+    }
+  }
+
+  static async getApprovals(req, res) {
+    try {
+      const payment = await PaymentModel.findPaymentByPaymentId(
+        req.params.payment_id
+      );
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Payment approvals fetched successfully",
+        data: {
+          payment,
+          approvals: await PaymentModel.findApprovals(payment.id),
+        },
+      });
+    } catch (error) {
+      console.error("Get payment approvals error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payment approvals",
+      });
+    }
+  }
+
+  // Approve a pending payment, which completes it
+  static async approvePayment(req, res) {
+    try {
+      const result = await PaymentApprovalService.approve(
+        req.params.payment_id,
+        {
+          user: req.user,
+          notes: req.body.notes ? String(req.body.notes).trim() : null,
+          ip_address: req.ip,
+          user_agent: req.get("user-agent") || null,
+        }
+      );
+
+      res.json({
+        success: true,
+        message: "Payment approved and completed",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Approve payment error:", error);
+      sendServiceError(res, error, "Failed to approve payment");
+    }
+  }
+
+  static async rejectPayment(req, res) {
+    try {
+      const reason = req.body.reason ? String(req.body.reason).trim() : "";
+      const payment = await PaymentApprovalService.reject(
+        req.params.payment_id,
+        {
+          user: req.user,
+          reason,
+          ip_address: req.ip,
+          user_agent: req.get("user-agent") || null,
+        }
+      );
+
+      res.json({
+        success: true,
+        message: "Payment rejected",
+        data: payment,
+      });
+    } catch (error) {
+      console.error("Reject payment error:", error);
+      sendServiceError(res, error, "Failed to reject payment");
+    }
+  }
+
+  // Approval limit per role
+  static async getLimits(req, res) {
+    try {
+      res.json({
+        success: true,
+        message: "Payment approval limits fetched successfully",
+        data: await PaymentApprovalService.getLimits(),
+      });
+    } catch (error) {
+      console.error("Get approval limits error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payment approval limits",
+      });
+    }
+  }
+
+  static async updateLimits(req, res) {
+    try {
+      const limits = await PaymentApprovalService.setLimits(req.body || {});
+
+      res.json({
+        success: true,
+        message: "Payment approval limits updated successfully",
+        data: limits,
+      });
+    } catch (error) {
+      console.error("Update approval limits error:", error);
+      sendServiceError(res, error, "Failed to update payment approval limits");
+    }
+  }
+}
+
+module.exports = PaymentApprovalController;
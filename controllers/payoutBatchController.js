@@ -0,0 +1,200 @@
+const PayoutBatchModel = require("../models/payoutBatchModel");
+const PayoutBatchService = require("../services/payoutBatchService");
+const { sendServiceError } = require("../services/serviceHelpers");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+class PayoutBatchController {
+  // Approved settlements ready for a batch, with bank detail problems flagged
+  static async getCandidates(req, res) {
+    try {
+      const { period_month } = req.query;
+      if (period_month && !MONTH_PATTERN.test(period_month)) {
+        return res.status(400).json({
+          success: false,
+          message: "Period month must be YYYY-MM",
+        });
+      }
+
+      const candidates = await PayoutBatchService.listCandidates({
+        period_month,
+      });
+
+      res.json({
+        success: true,
+        message: "Payout candidates fetched successfully",
+        data: candidates,
+      });
+    } catch (error) {
+      console.error("Get payout candidates error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payout candidates",
+      });
+    }
+  }
+
+  static async getBatches(req, res) {
+    try {
+      const batches = await PayoutBatchModel.findAll({
+        status: req.query.status,
+      });
+
+      res.json({
+        success: true,
+        message: "Payout batches fetched successfully",
+        data: batches,
+      });
+    } catch (error) {
+      console.error("Get payout batches error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payout batches",
+      });
+    }
+  }
+
+  static async getBatchById(req, res) {
+    try {
+      const batch = await PayoutBatchModel.findById(req.params.id);
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: "Payout batch not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Payout batch fetched successfully",
+        data: batch,
+      });
+    } catch (error) {
+      console.error("Get payout batch error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payout batch",
+      });
+    }
+  }
+
+  static async createBatch(req, res) {
+    try {
+      const { settlement_ids, period_month, value_date, file_format } =
+        req.body;
+      if (!DATE_PATTERN.test(value_date || "")) {
+        return res.status(400).json({
+          success: false,
+          message: "Value date is required (YYYY-MM-DD)",
+        });
+      }
+      if (period_month && !MONTH_PATTERN.test(period_month)) {
+        return res.status(400).json({
+          success: false,
+          message: "Period month must be YYYY-MM",
+        });
+      }
+      if (
+        settlement_ids !== undefined &&
+        (!Array.isArray(settlement_ids) ||
+          settlement_ids.some((id) => !Number.isInteger(Number(id))))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Settlement IDs must be a list of settlement IDs",
+        });
+      }
+
+      const result = await PayoutBatchService.createBatch({
+        settlement_ids: settlement_ids ? settlement_ids.map(Number) : null,
+        period_month: period_month || null,
+        value_date,
+        file_format,
+        created_by: req.user?.id || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message:
+          `Payout batch ${result.batchNo} created with ${result.itemCount} transfer(s)` +
+          (result.skipped.length > 0
+            ? `; ${result.skipped.length} settlement(s) left out for bank detail problems`
+            : ""),
+        data: {
+          ...(await PayoutBatchModel.findById(result.batchId)),
+          skipped: result.skipped,
+        },
+      });
+    } catch (error) {
+      console.error("Create payout batch error:", error);
+      sendServiceError(res, error, "Failed to create payout batch");
+    }
+  }
+
+  // Download the bank transfer file
+  static async exportFile(req, res) {
+    try {
+      const file = await PayoutBatchService.exportFile(req.params.id, {
+        exported_by: req.user?.id || null,
+      });
+
+      res.setHeader("Content-Type", `${file.contentType}; charset=utf-8`);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${file.filename}"`
+      );
+      res.send(file.content);
+    } catch (error) {
+      console.error("Export payout file error:", error);
+      sendServiceError(res, error, "Failed to export payout file");
+    }
+  }
+
+  // Import the bank's response file, sent as the raw request body or as
+  // `content` in JSON
+  static async importResponse(req, res) {
+    try {
+      const content =
+        typeof req.body === "string" ? req.body : req.body?.content;
+      if (!content || !String(content).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Response file content is required",
+        });
+      }
+
+      const result = await PayoutBatchService.importResponse(
+        req.params.id,
+        content,
+        { imported_by: req.user?.id || null }
+      );
+
+      res.json({
+        success: true,
+        message: `${result.completed.length} transfer(s) completed, ${result.failed.length} failed, ${result.pending} still pending`,
+        data: result,
+      });
+    } catch (error) {
+      console.error("Import payout response error:", error);
+      sendServiceError(res, error, "Failed to import bank response");
+    }
+  }
+
+  static async cancelBatch(req, res) {
+    try {
+      await PayoutBatchService.cancelBatch(req.params.id);
+
+      res.json({
+        success: true,
+        message: "Payout batch cancelled successfully",
+        data: await PayoutBatchModel.findById(req.params.id),
+      });
+    } catch (error) {
+      console.error("Cancel payout batch error:", error);
+      sendServiceError(res, error, "Failed to cancel payout batch");
+    }
+  }
+}
+
+module.exports = PayoutBatchController;
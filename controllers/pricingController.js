@@ -0,0 +1,339 @@
+const PricingModel = require("../models/pricingModel");
+const PricingService = require("../services/pricingService");
+const { sendServiceError } = require("../services/serviceHelpers");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isPositivePrice = (value) => {
+  const price = parseFloat(value);
+  return !isNaN(price) && price > 0;
+};
+
+// Validate price list fields; `partial` allows omitting fields on update
+const validatePriceList = (data, partial = false) => {
+  const {
+    name,
+    base_price_per_kg,
+    effective_from,
+    effective_to,
+    overrides,
+    quality_tiers,
+  } = data;
+
+  if (!partial || name !== undefined) {
+    if (!name || !String(name).trim()) return "Price list name is required";
+  }
+  if (!partial || base_price_per_kg !== undefined) {
+    if (!isPositivePrice(base_price_per_kg)) {
+      return "Base price per kg must be a positive number";
+    }
+  }
+  if (!partial || effective_from !== undefined) {
+    if (!DATE_PATTERN.test(effective_from || "")) {
+      return "Effective from must be a date (YYYY-MM-DD)";
+    }
+  }
+  if (effective_to) {
+    if (!DATE_PATTERN.test(effective_to)) {
+      return "Effective to must be a date (YYYY-MM-DD)";
+    }
+    if (effective_from && effective_to < effective_from) {
+      return "Effective to cannot be before effective from";
+    }
+  }
+
+  if (overrides !== undefined) {
+    if (!Array.isArray(overrides)) return "Overrides must be an array";
+    for (const override of overrides) {
+      if (!["supplier", "supplier_group"].includes(override.scope)) {
+        return 'Override scope must be "supplier" or "supplier_group"';
+      }
+      if (override.scope === "supplier" && !override.supplier_id) {
+        return "Supplier overrides need a supplier_id";
+      }
+      if (override.scope === "supplier_group" && !override.supplier_group_id) {
+        return "Supplier group overrides need a supplier_group_id";
+      }
+      if (!isPositivePrice(override.price_per_kg)) {
+        return "Override price per kg must be a positive number";
+      }
+    }
+  }
+
+  if (quality_tiers !== undefined) {
+    if (!Array.isArray(quality_tiers)) return "Quality tiers must be an array";
+    const codes = new Set();
+    for (const tier of quality_tiers) {
+      if (!tier.tier_code || !String(tier.tier_code).trim()) {
+        return "Each quality tier needs a tier_code";
+      }
+      if (codes.has(tier.tier_code)) {
+        return `Quality tier "${tier.tier_code}" is listed twice`;
+      }
+      codes.add(tier.tier_code);
+      if (isNaN(parseFloat(tier.price_adjustment_per_kg))) {
+        return "Quality tier price adjustment must be a number";
+      }
+    }
+  }
+
+  return null;
+};
+
+// The shared ServiceError answer, plus the constraint errors pricing writes
+// can hit
+const sendPricingError = (res, error, fallbackMessage) => {
+  if (!error.statusCode && error.code === "ER_DUP_ENTRY") {
+    return res.status(409).json({
+      success: false,
+      message: "A record with that name already exists",
+    });
+  }
+  if (!error.statusCode && error.code === "ER_NO_REFERENCED_ROW_2") {
+    return res.status(400).json({
+      success: false,
+      message: "Unknown supplier or supplier group",
+    });
+  }
+  sendServiceError(res, error, fallbackMessage);
+};
+
+class PricingController {
+  // List price lists; ?on_date=YYYY-MM-DD for those in force on a date
+  static async getPriceLists(req, res) {
+    try {
+      const priceLists = await PricingModel.findPriceLists({
+        active: req.query.active === "true",
+        on_date: req.query.on_date,
+      });
+
+      res.json({
+        success: true,
+        message: "Price lists fetched successfully",
+        data: priceLists,
+      });
+    } catch (error) {
+      console.error("Get price lists error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch price lists",
+      });
+    }
+  }
+
+  static async getPriceListById(req, res) {
+    try {
+      const priceList = await PricingModel.findPriceListById(req.params.id);
+      if (!priceList) {
+        return res.status(404).json({
+          success: false,
+          message: "Price list not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Price list fetched successfully",
+        data: priceList,
+      });
+    } catch (error) {
+      console.error("Get price list error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch price list",
+      });
+    }
+  }
+
+  static async createPriceList(req, res) {
+    try {
+      const error = validatePriceList(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const priceList = await PricingModel.createPriceList({
+        ...req.body,
+        base_price_per_kg: parseFloat(req.body.base_price_per_kg),
+        created_by: req.user?.id || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Price list created successfully",
+        data: priceList,
+      });
+    } catch (error) {
+      console.error("Create price list error:", error);
+      sendPricingError(res, error, "Failed to create price list");
+    }
+  }
+
+  static async updatePriceList(req, res) {
+    try {
+      const error = validatePriceList(req.body, true);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const priceList = await PricingModel.updatePriceList(
+        req.params.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: "Price list updated successfully",
+        data: priceList,
+      });
+    } catch (error) {
+      console.error("Update price list error:", error);
+      sendPricingError(res, error, "Failed to update price list");
+    }
+  }
+
+  static async deletePriceList(req, res) {
+    try {
+      await PricingModel.deletePriceList(req.params.id);
+
+      res.json({
+        success: true,
+        message: "Price list deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete price list error:", error);
+      sendPricingError(res, error, "Failed to delete price list");
+    }
+  }
+
+  // Preview the unit price a delivery would get
+  static async resolvePrice(req, res) {
+    try {
+      const { supplier_id, supply_date, quality_tier } = req.query;
+
+      if (!supplier_id || !DATE_PATTERN.test(supply_date || "")) {
+        return res.status(400).json({
+          success: false,
+          message: "Supplier ID and supply date (YYYY-MM-DD) are required",
+        });
+      }
+
+      const price = await PricingService.resolveUnitPrice({
+        supplier_id,
+        supply_date,
+        quality_tier: quality_tier || null,
+      });
+
+      res.json({
+        success: true,
+        message: "Unit price resolved successfully",
+        data: price,
+      });
+    } catch (error) {
+      console.error("Resolve price error:", error);
+      sendPricingError(res, error, "Failed to resolve unit price");
+    }
+  }
+
+  static async getSupplierGroups(req, res) {
+    try {
+      const groups = await PricingModel.findSupplierGroups();
+
+      res.json({
+        success: true,
+        message: "Supplier groups fetched successfully",
+        data: groups,
+      });
+    } catch (error) {
+      console.error("Get supplier groups error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch supplier groups",
+      });
+    }
+  }
+
+  static async createSupplierGroup(req, res) {
+    try {
+      const { name, description } = req.body;
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Supplier group name is required",
+        });
+      }
+
+      const group = await PricingModel.createSupplierGroup({
+        name: String(name).trim(),
+        description: description || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Supplier group created successfully",
+        data: group,
+      });
+    } catch (error) {
+      console.error("Create supplier group error:", error);
+      sendPricingError(res, error, "Failed to create supplier group");
+    }
+  }
+
+  static async updateSupplierGroup(req, res) {
+    try {
+      const group = await PricingModel.updateSupplierGroup(req.params.id, {
+        name: req.body.name ? String(req.body.name).trim() : undefined,
+        description: req.body.description,
+      });
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: "Supplier group not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Supplier group updated successfully",
+        data: group,
+      });
+    } catch (error) {
+      console.error("Update supplier group error:", error);
+      sendPricingError(res, error, "Failed to update supplier group");
+    }
+  }
+
+  // Assign a supplier to a group (supplier_group_id: null removes it)
+  static async setSupplierGroup(req, res) {
+    try {
+      const groupId = req.body.supplier_group_id || null;
+
+      const updated = await PricingModel.setSupplierGroup(
+        req.params.supplierId,
+        groupId
+      );
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: "Supplier not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: groupId
+          ? "Supplier assigned to group successfully"
+          : "Supplier removed from group successfully",
+        data: {
+          supplier_id: parseInt(req.params.supplierId),
+          supplier_group_id: groupId,
+        },
+      });
+    } catch (error) {
+      console.error("Set supplier group error:", error);
+      sendPricingError(res, error, "Failed to assign supplier group");
+    }
+  }
+}
+
+module.exports = PricingController;
@@ -2,7 +2,10 @@
 import { createRequire } from "module";
 const require = createRequire(import.meta.url);
 const ProductionModel = require("../models/productionModel.js");
-const InventoryModel = require("../models/inventoryModel.js");
+const TraceabilityModel = require("../models/traceabilityModel.js");
+const StockMovementService = require("../services/stockMovementService.js");
+const { InsufficientStockError } = StockMovementService;
+const { TEA_GRADES } = require("../utils/teaGrades.js");
 
 // Generate unique production ID
 const generateProductionId = () => {
@@ -11,21 +14,82 @@ const generateProductionId = () => {
   return `PROD-${timestamp}-${random}`.toUpperCase();
 };
 
+// Validate graded output lines; returns { lines } or { error }
+const parseOutputLines = (outputLines) => {
+  if (outputLines === undefined || outputLines === null) return { lines: [] };
+
+  if (!Array.isArray(outputLines)) {
+    return { error: "Output lines must be an array" };
+  }
+
+  const lines = [];
+  for (const [index, line] of outputLines.entries()) {
+    const grade = line && line.grade;
+    if (!TEA_GRADES.includes(grade)) {
+      return {
+        error:
+          `Output line ${index + 1}: invalid grade. Must be one of: ` +
+          TEA_GRADES.join(", "),
+      };
+    }
+
+    const quantityKg = Math.round(parseFloat(line.quantity_kg) * 100) / 100;
+    if (isNaN(quantityKg) || quantityKg <= 0) {
+      return {
+        error: `Output line ${index + 1}: quantity must be a positive number`,
+      };
+    }
+
+    lines.push({
+      grade,
+      quantity_kg: quantityKg,
+      batch_notes: line.batch_notes || null,
+    });
+  }
+
+  return { lines };
+};
+
+// Validate made tea kg (optional; falls back to the output lines total) against
+// the green leaf input; returns { madeTeaKg } or { error }
+const parseMadeTeaKg = (madeTeaKg, lines, greenLeafKg) => {
+  if (madeTeaKg === undefined || madeTeaKg === null || madeTeaKg === "") {
+    if (lines.length === 0) return { madeTeaKg: null };
+    madeTeaKg = lines.reduce((sum, line) => sum + line.quantity_kg, 0);
+  }
+
+  const value = Math.round(parseFloat(madeTeaKg) * 100) / 100;
+  if (isNaN(value) || value <= 0) {
+    return { error: "Made tea quantity must be a positive number" };
+  }
+  if (value > greenLeafKg) {
+    return { error: "Made tea output cannot exceed the green leaf input" };
+  }
+  return { madeTeaKg: value };
+};
+
+const yieldPercent = (madeTeaKg, greenLeafKg) =>
+  madeTeaKg === null || !greenLeafKg
+    ? null
+    : Math.round((madeTeaKg / greenLeafKg) * 10000) / 100;
+
 // Create new production record
 export const createProduction = async (req, res) => {
   try {
-    const { quantity, production_date } = req.body;
+    const { production_date, made_tea_kg, output_lines } = req.body;
+    // Green leaf taken from inventory; `quantity` is the original field name
+    const quantity = req.body.green_leaf_kg ?? req.body.quantity;
 
     // Validate required fields
     if (!quantity || !production_date) {
       return res.status(400).json({
         success: false,
-        message: "Quantity and production date are required",
+        message: "Green leaf quantity and production date are required",
       });
     }
 
     // Validate quantity is positive number
-    const quantityNum = parseInt(quantity);
+    const quantityNum = Math.round(parseFloat(quantity) * 100) / 100;
     if (isNaN(quantityNum) || quantityNum <= 0) {
       return res.status(400).json({
         success: false,
@@ -33,89 +97,81 @@ export const createProduction = async (req, res) => {
       });
     }
 
-    // Generate production ID
-    const production_id = generateProductionId();
-
-    // Create production time (current time if not provided)
-    const production_time = new Date().toTimeString().slice(0, 8);
+    const { lines, error: outputLinesError } = parseOutputLines(output_lines);
+    if (outputLinesError) {
+      return res.status(400).json({
+        success: false,
+        message: outputLinesError,
+      });
+    }
 
-    // Check if there's enough inventory available
-    const allInventory = await InventoryModel.findAll();
-    const totalAvailable = allInventory.reduce(
-      (sum, item) => sum + (item.quantity || 0),
-      0
+    // Made tea output defaults to the sum of the graded output lines
+    const { madeTeaKg, error: madeTeaError } = parseMadeTeaKg(
+      made_tea_kg,
+      lines,
+      quantityNum
     );
-
-    if (totalAvailable < quantityNum) {
+    if (madeTeaError) {
       return res.status(400).json({
         success: false,
-        message: `Insufficient inventory. Available: ${totalAvailable} kg, Required: ${quantityNum} kg`,
+        message: madeTeaError,
       });
     }
 
+    // Generate production ID
+    const production_id = generateProductionId();
+
+    // Create production time (current time if not provided)
+    const production_time = new Date().toTimeString().slice(0, 8);
+
     // Prepare production data
     const productionData = {
       production_id,
       quantity: quantityNum,
+      made_tea_kg: madeTeaKg,
       production_date,
       production_time,
+      output_lines: lines,
     };
 
-    // Create production record
-    const result = await ProductionModel.create(productionData);
-
-    // Deduct quantity from inventory (FIFO - First In First Out)
-    let remainingToDeduct = quantityNum;
-    const sortedInventory = allInventory.sort(
-      (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
-    );
-
-    console.log("Starting inventory deduction:", {
-      totalToDeduct: quantityNum,
-      inventoryItems: sortedInventory.length,
-      totalAvailable,
-    });
-
-    for (const item of sortedInventory) {
-      if (remainingToDeduct <= 0) break;
-
-      const availableInItem = item.quantity || 0;
-      if (availableInItem > 0) {
-        const deductAmount = Math.min(availableInItem, remainingToDeduct);
-        const newQuantity = availableInItem - deductAmount;
-
-        console.log(`Deducting from inventory ${item.id}:`, {
-          oldQuantity: availableInItem,
-          deductAmount,
-          newQuantity,
-          remainingToDeduct: remainingToDeduct - deductAmount,
-        });
-
-        // Update inventory item
-        await InventoryModel.updateById(item.id, { quantity: newQuantity });
-        remainingToDeduct -= deductAmount;
-      }
-    }
+    // Availability check, production insert and FIFO inventory deduction run
+    // in a single transaction with the inventory rows locked
+    const { production, deductions, available } =
+      await StockMovementService.consumeInventoryForProduction(productionData);
 
     console.log("Inventory deduction completed:", {
-      deducted: quantityNum - remainingToDeduct,
-      remaining: remainingToDeduct,
+      totalToDeduct: quantityNum,
+      inventoryItems: deductions.length,
+      totalAvailable: available,
     });
 
     res.status(201).json({
       success: true,
       message: "Production record created successfully and inventory updated",
       data: {
-        id: result.insertId,
+        id: production.id,
         production_id,
         quantity: quantityNum,
+        green_leaf_kg: quantityNum,
+        made_tea_kg: madeTeaKg,
+        yield_percent: yieldPercent(madeTeaKg, quantityNum),
         production_date,
         production_time,
+        output_lines: lines,
         inventoryDeducted: quantityNum,
-        remainingInventory: totalAvailable - quantityNum,
+        remainingInventory: available - quantityNum,
       },
     });
   } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        available: error.available,
+        required: error.required,
+      });
+    }
+
     console.error("Error creating production:", error);
     res.status(500).json({
       success: false,
@@ -128,12 +184,22 @@ export const createProduction = async (req, res) => {
 // Get all production records
 export const getProductions = async (req, res) => {
   try {
-    const productions = await ProductionModel.findAll();
+    const [productions, band] = await Promise.all([
+      ProductionModel.findAll(),
+      ProductionModel.getYieldBand(),
+    ]);
 
     res.status(200).json({
       success: true,
       message: "Production records retrieved successfully",
-      data: productions,
+      data: productions.map((production) => ({
+        ...production,
+        yield_flag:
+          production.status === "cancelled"
+            ? null
+            : ProductionModel.classifyYield(production.yield_percent, band),
+      })),
+      yield_band: band,
     });
   } catch (error) {
     console.error("Error fetching productions:", error);
@@ -180,3 +246,291 @@ export const getProductionById = async (req, res) => {
     });
   }
 };
+
+// Trace a production batch back to the inventory lots and supplier deliveries it consumed
+export const traceProduction = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const trace = await TraceabilityModel.traceProduction(id);
+
+    if (!trace) {
+      return res.status(404).json({
+        success: false,
+        message: "Production record not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Production trace retrieved successfully",
+      data: trace,
+    });
+  } catch (error) {
+    console.error("Error tracing production:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while tracing production record",
+      error: error.message,
+    });
+  }
+};
+
+// Cancel a production record and restore the inventory it consumed
+export const cancelProduction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A cancellation reason is required",
+      });
+    }
+
+    const production = await TraceabilityModel.findProduction(id);
+
+    if (!production) {
+      return res.status(404).json({
+        success: false,
+        message: "Production record not found",
+      });
+    }
+
+    const { restored } = await StockMovementService.cancelProduction(
+      production.id,
+      {
+        cancelled_by: req.user?.id || null,
+        reason: reason.trim(),
+      }
+    );
+
+    const cancelled = await TraceabilityModel.findProduction(production.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Production record cancelled and inventory restored",
+      data: {
+        ...cancelled,
+        inventoryRestored: restored,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error cancelling production:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while cancelling production record",
+      error: error.message,
+    });
+  }
+};
+
+// Replace the graded output lines of a production record
+export const updateOutputLines = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { lines, error: outputLinesError } = parseOutputLines(
+      req.body.output_lines
+    );
+    if (outputLinesError || lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: outputLinesError || "At least one output line is required",
+      });
+    }
+
+    const production = await TraceabilityModel.findProduction(id);
+
+    if (!production) {
+      return res.status(404).json({
+        success: false,
+        message: "Production record not found",
+      });
+    }
+
+    let madeTeaKg;
+    if (req.body.made_tea_kg !== undefined) {
+      const parsed = parseMadeTeaKg(
+        req.body.made_tea_kg,
+        lines,
+        parseFloat(production.quantity)
+      );
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      madeTeaKg = parsed.madeTeaKg;
+    }
+
+    const outputLines = await ProductionModel.replaceOutputLines(
+      production.id,
+      lines,
+      madeTeaKg
+    );
+
+    const updated = await TraceabilityModel.findProduction(production.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Production output lines updated successfully",
+      data: {
+        ...updated,
+        output_lines: outputLines,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error updating production output lines:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating production output lines",
+      error: error.message,
+    });
+  }
+};
+
+// Made-tea grade mix per day or month
+export const getGradeAnalytics = async (req, res) => {
+  try {
+    const { period = "day", date_from, date_to } = req.query;
+
+    if (!["day", "month"].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be either "day" or "month"',
+      });
+    }
+
+    const rows = await ProductionModel.getGradeMix({
+      period,
+      date_from,
+      date_to,
+    });
+
+    const totalKg = rows.reduce((sum, row) => sum + row.quantity_kg, 0);
+    const byGrade = {};
+    const byPeriod = {};
+
+    rows.forEach((row) => {
+      if (!byGrade[row.grade]) {
+        byGrade[row.grade] = { quantity_kg: 0, batches: 0 };
+      }
+      byGrade[row.grade].quantity_kg += row.quantity_kg;
+      byGrade[row.grade].batches += row.batches;
+
+      if (!byPeriod[row.period]) {
+        byPeriod[row.period] = { total_kg: 0, grades: [] };
+      }
+      byPeriod[row.period].total_kg += row.quantity_kg;
+      byPeriod[row.period].grades.push({
+        grade: row.grade,
+        quantity_kg: row.quantity_kg,
+        batches: row.batches,
+      });
+    });
+
+    const share = (quantity, total) =>
+      total > 0 ? Math.round((quantity / total) * 10000) / 100 : 0;
+
+    res.status(200).json({
+      success: true,
+      message: "Production grade analytics retrieved successfully",
+      data: {
+        period,
+        totalKg: Math.round(totalKg * 100) / 100,
+        byGrade: Object.entries(byGrade)
+          .map(([grade, data]) => ({
+            grade,
+            quantity_kg: Math.round(data.quantity_kg * 100) / 100,
+            batches: data.batches,
+            share_percent: share(data.quantity_kg, totalKg),
+          }))
+          .sort((a, b) => b.quantity_kg - a.quantity_kg),
+        byPeriod: Object.entries(byPeriod).map(([periodKey, data]) => ({
+          period: periodKey,
+          total_kg: Math.round(data.total_kg * 100) / 100,
+          grades: data.grades.map((grade) => ({
+            ...grade,
+            share_percent: share(grade.quantity_kg, data.total_kg),
+          })),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching production grade analytics:", error);
+    res.status(500).json({
+      success: false,
+      message:
+        "Internal server error while fetching production grade analytics",
+      error: error.message,
+    });
+  }
+};
+
+// Yield % (made tea / green leaf) per run, day or month, flagging values
+// outside the configured yield band
+export const getYieldTrend = async (req, res) => {
+  try {
+    const { period = "run", date_from, date_to } = req.query;
+
+    if (!["run", "day", "month"].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be one of "run", "day" or "month"',
+      });
+    }
+
+    const [rows, band] = await Promise.all([
+      ProductionModel.getYieldTrend({ period, date_from, date_to }),
+      ProductionModel.getYieldBand(),
+    ]);
+
+    const trend = rows.map((row) => ({
+      ...row,
+      yield_flag: ProductionModel.classifyYield(row.yield_percent, band),
+    }));
+
+    const greenLeafKg = rows.reduce((sum, row) => sum + row.green_leaf_kg, 0);
+    const madeTeaKg = rows.reduce((sum, row) => sum + row.made_tea_kg, 0);
+
+    res.status(200).json({
+      success: true,
+      message: "Production yield trend retrieved successfully",
+      data: {
+        period,
+        yield_band: band,
+        overall: {
+          green_leaf_kg: Math.round(greenLeafKg * 100) / 100,
+          made_tea_kg: Math.round(madeTeaKg * 100) / 100,
+          yield_percent: yieldPercent(madeTeaKg, greenLeafKg),
+        },
+        trend,
+        flagged: trend.filter((row) => row.yield_flag !== null),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching production yield trend:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching production yield trend",
+      error: error.message,
+    });
+  }
+};
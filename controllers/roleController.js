@@ -0,0 +1,186 @@
+const { db } = require("../database");
+const RoleModel = require("../models/roleModel");
+const PermissionService = require("../services/permissionService");
+const SessionService = require("../services/sessionService");
+const { sendServiceError } = require("../services/serviceHelpers");
+
+const logRoleAction = (req, action, description) =>
+  db.createSystemLog({
+    user_id: req.user.id,
+    action,
+    description,
+    ip_address: req.ip,
+    user_agent: req.get("user-agent") || null,
+  });
+
+class RoleController {
+  // The catalogue of permissions a role can hold
+  static async getPermissions(req, res) {
+    res.json({
+      success: true,
+      message: "Permissions fetched successfully",
+      data: Object.entries(PermissionService.PERMISSIONS).map(
+        ([name, description]) => ({ name, description })
+      ),
+    });
+  }
+
+  static async getRoles(req, res) {
+    try {
+      res.json({
+        success: true,
+        message: "Roles fetched successfully",
+        data: await RoleModel.findRoles(),
+      });
+    } catch (error) {
+      console.error("Get roles error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch roles",
+      });
+    }
+  }
+
+  static async getRoleById(req, res) {
+    try {
+      const role = await RoleModel.findRoleById(req.params.id);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Role fetched successfully",
+        data: role,
+      });
+    } catch (error) {
+      console.error("Get role error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch role",
+      });
+    }
+  }
+
+  static async createRole(req, res) {
+    try {
+      const { name, description, permissions, requires_two_factor } = req.body;
+      const roleId = await PermissionService.createRole({
+        name,
+        description: description ? String(description).trim() : null,
+        permissions: permissions || [],
+        requires_two_factor: Boolean(requires_two_factor),
+      });
+      const role = await RoleModel.findRoleById(roleId);
+      await logRoleAction(
+        req,
+        "ROLE_CREATED",
+        `Role "${role.name}" created with ${role.permissions.length} permission(s)`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Role created successfully",
+        data: role,
+      });
+    } catch (error) {
+      console.error("Create role error:", error);
+      sendServiceError(res, error, "Failed to create role");
+    }
+  }
+
+  // Change a role's description, its 2FA requirement and/or replace its
+  // permissions
+  static async updateRole(req, res) {
+    try {
+      const { description, permissions, requires_two_factor } = req.body;
+      await PermissionService.updateRole(req.params.id, {
+        description:
+          description === undefined ? undefined : String(description).trim(),
+        permissions,
+        requires_two_factor:
+          requires_two_factor === undefined
+            ? undefined
+            : Boolean(requires_two_factor),
+      });
+      const role = await RoleModel.findRoleById(req.params.id);
+      await logRoleAction(
+        req,
+        "ROLE_UPDATED",
+        `Role "${role.name}" updated: ${
+          role.permissions.join(", ") || "no permissions"
+        }${role.requires_two_factor ? " (2FA required)" : ""}`
+      );
+
+      res.json({
+        success: true,
+        message: "Role updated successfully",
+        data: role,
+      });
+    } catch (error) {
+      console.error("Update role error:", error);
+      sendServiceError(res, error, "Failed to update role");
+    }
+  }
+
+  static async deleteRole(req, res) {
+    try {
+      const role = await RoleModel.findRoleById(req.params.id);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        });
+      }
+      await PermissionService.deleteRole(req.params.id);
+      await logRoleAction(req, "ROLE_DELETED", `Role "${role.name}" deleted`);
+
+      res.json({
+        success: true,
+        message: "Role deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete role error:", error);
+      sendServiceError(res, error, "Failed to delete role");
+    }
+  }
+
+  // Assign a role to a user; a null role_id returns them to the built-in
+  // role of their account type
+  static async assignUserRole(req, res) {
+    try {
+      const { role_id } = req.body;
+      if (role_id === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "role_id is required (null for the account's built-in role)",
+        });
+      }
+
+      const access = await PermissionService.assignRole(
+        req.params.id,
+        role_id === null ? null : parseInt(role_id)
+      );
+      await SessionService.revokeUserSessions(req.params.id, "role_changed");
+      await logRoleAction(
+        req,
+        "USER_ROLE_ASSIGNED",
+        `User ${req.params.id} now acts as role "${access.role}"`
+      );
+
+      res.json({
+        success: true,
+        message: "User role updated successfully",
+        data: access,
+      });
+    } catch (error) {
+      console.error("Assign user role error:", error);
+      sendServiceError(res, error, "Failed to update user role");
+    }
+  }
+}
+
+module.exports = RoleController;
@@ -0,0 +1,208 @@
+const SettlementModel = require("../models/settlementModel");
+const SettlementService = require("../services/settlementService");
+const { sendServiceError } = require("../services/serviceHelpers");
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const SETTLEMENT_PAYMENT_METHODS = ["bank_transfer", "cash", "cheque"];
+
+class SettlementController {
+  // Generate draft settlements for a month from unpaid monthly supply records
+  static async generateSettlements(req, res) {
+    try {
+      const { period_month, supplier_id } = req.body;
+      if (!MONTH_PATTERN.test(period_month || "")) {
+        return res.status(400).json({
+          success: false,
+          message: "Period month is required (YYYY-MM)",
+        });
+      }
+
+      const result = await SettlementService.generate(period_month, {
+        created_by: req.user?.id || null,
+        supplier_id: supplier_id || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message:
+          result.settlementIds.length > 0
+            ? `Generated ${result.settlementIds.length} draft settlement(s) covering ${result.supplyRecordCount} supply record(s)`
+            : "No unsettled monthly supply records for that period",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Generate settlements error:", error);
+      sendServiceError(res, error, "Failed to generate settlements");
+    }
+  }
+
+  static async getSettlements(req, res) {
+    try {
+      const { period_month, status, supplier_id } = req.query;
+      const settlements = await SettlementModel.findAll({
+        period_month,
+        status,
+        supplier_id,
+      });
+
+      res.json({
+        success: true,
+        message: "Settlements fetched successfully",
+        data: settlements,
+      });
+    } catch (error) {
+      console.error("Get settlements error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch settlements",
+      });
+    }
+  }
+
+  static async getSettlementById(req, res) {
+    try {
+      const settlement = await SettlementModel.findById(req.params.id);
+      if (!settlement) {
+        return res.status(404).json({
+          success: false,
+          message: "Settlement not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Settlement fetched successfully",
+        data: settlement,
+      });
+    } catch (error) {
+      console.error("Get settlement error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch settlement",
+      });
+    }
+  }
+
+  static async addDeduction(req, res) {
+    try {
+      const { description } = req.body;
+      const amount = parseFloat(req.body.amount);
+      if (!description || !String(description).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Deduction description is required",
+        });
+      }
+      if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Deduction amount must be a positive number",
+        });
+      }
+
+      await SettlementService.addDeduction(req.params.id, {
+        description: String(description).trim(),
+        amount,
+        created_by: req.user?.id || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Deduction added successfully",
+        data: await SettlementModel.findById(req.params.id),
+      });
+    } catch (error) {
+      console.error("Add settlement deduction error:", error);
+      sendServiceError(res, error, "Failed to add deduction");
+    }
+  }
+
+  static async removeLine(req, res) {
+    try {
+      await SettlementService.removeLine(req.params.id, req.params.lineId);
+
+      res.json({
+        success: true,
+        message: "Settlement line removed successfully",
+        data: await SettlementModel.findById(req.params.id),
+      });
+    } catch (error) {
+      console.error("Remove settlement line error:", error);
+      sendServiceError(res, error, "Failed to remove settlement line");
+    }
+  }
+
+  static async deleteSettlement(req, res) {
+    try {
+      await SettlementService.deleteDraft(req.params.id);
+
+      res.json({
+        success: true,
+        message: "Draft settlement deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete settlement error:", error);
+      sendServiceError(res, error, "Failed to delete settlement");
+    }
+  }
+
+  static async approveSettlement(req, res) {
+    try {
+      await SettlementService.approve(req.params.id, {
+        approved_by: req.user?.id || null,
+      });
+
+      res.json({
+        success: true,
+        message: "Settlement approved successfully",
+        data: await SettlementModel.findById(req.params.id),
+      });
+    } catch (error) {
+      console.error("Approve settlement error:", error);
+      sendServiceError(res, error, "Failed to approve settlement");
+    }
+  }
+
+  // Pay an approved settlement; creates the payments and marks the covered
+  // supply records paid. Cash comes out of the payer's (or the collection
+  // point's) cash book for `payment_date`, today by default.
+  static async paySettlement(req, res) {
+    try {
+      const {
+        payment_method,
+        payment_reference,
+        cheque,
+        payment_date,
+        collection_point,
+      } = req.body;
+      if (!SETTLEMENT_PAYMENT_METHODS.includes(payment_method)) {
+        return res.status(400).json({
+          success: false,
+          message: `Payment method must be one of: ${SETTLEMENT_PAYMENT_METHODS.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const result = await SettlementService.pay(req.params.id, {
+        paid_by: req.user?.id || null,
+        payment_method,
+        payment_reference: payment_reference || null,
+        cheque: payment_method === "cheque" ? cheque : null,
+        payment_date,
+        collection_point: collection_point || null,
+      });
+
+      res.json({
+        success: true,
+        message: `Settlement paid with ${result.paymentCount} payment(s)`,
+        data: await SettlementModel.findById(req.params.id),
+      });
+    } catch (error) {
+      console.error("Pay settlement error:", error);
+      sendServiceError(res, error, "Failed to pay settlement");
+    }
+  }
+}
+
+module.exports = SettlementController;
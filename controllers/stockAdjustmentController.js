@@ -0,0 +1,182 @@
+const { pool } = require("../database");
+const StockAdjustmentModel = require("../models/stockAdjustmentModel");
+const StockMovementService = require("../services/stockMovementService");
+
+const ADJUSTABLE_LOT_TABLES = {
+  supply_record: "supply_records",
+  inventory: "inventory",
+};
+
+class StockAdjustmentController {
+  // Propose a signed kg change on a supply record or inventory lot
+  static async createAdjustment(req, res) {
+    try {
+      const { lot_type, lot_id, quantity_kg, reason_code, notes } = req.body;
+
+      if (!ADJUSTABLE_LOT_TABLES[lot_type]) {
+        return res.status(400).json({
+          success: false,
+          message: 'Lot type must be "supply_record" or "inventory"',
+        });
+      }
+
+      const lotId = parseInt(lot_id);
+      if (isNaN(lotId) || lotId <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Lot ID must be a positive integer",
+        });
+      }
+
+      const quantity = Math.round(parseFloat(quantity_kg) * 100) / 100;
+      if (isNaN(quantity) || quantity === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Quantity must be a non-zero number of kg",
+        });
+      }
+
+      if (!StockAdjustmentModel.REASON_CODES.includes(reason_code)) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Invalid reason code. Must be one of: " +
+            StockAdjustmentModel.REASON_CODES.join(", "),
+        });
+      }
+
+      if (
+        StockAdjustmentModel.WRITE_OFF_REASONS.includes(reason_code) &&
+        quantity > 0
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${reason_code} adjustment must reduce stock (negative quantity)`,
+        });
+      }
+
+      const [lots] = await pool.execute(
+        `SELECT id FROM ${ADJUSTABLE_LOT_TABLES[lot_type]} WHERE id = ?`,
+        [lotId]
+      );
+      if (lots.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Lot not found",
+        });
+      }
+
+      const adjustment = await StockAdjustmentModel.create({
+        lot_type,
+        lot_id: lotId,
+        quantity_kg: quantity,
+        reason_code,
+        notes: notes || null,
+        requested_by: req.user?.id || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Stock adjustment submitted for approval",
+        data: adjustment,
+      });
+    } catch (error) {
+      console.error("Create stock adjustment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create stock adjustment",
+      });
+    }
+  }
+
+  // List adjustments, optionally filtered by status, lot and reason
+  static async getAdjustments(req, res) {
+    try {
+      const { status, lot_type, lot_id, reason_code } = req.query;
+
+      const adjustments = await StockAdjustmentModel.findAll({
+        status,
+        lot_type,
+        lot_id,
+        reason_code,
+      });
+
+      res.json({
+        success: true,
+        message: "Stock adjustments fetched successfully",
+        data: adjustments,
+        count: adjustments.length,
+      });
+    } catch (error) {
+      console.error("Get stock adjustments error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch stock adjustments",
+      });
+    }
+  }
+
+  // Approve a pending adjustment and apply it to the lot
+  static async approveAdjustment(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await StockMovementService.approveAdjustment(id, {
+        reviewed_by: req.user?.id || null,
+        review_notes: req.body.review_notes || null,
+      });
+
+      const adjustment = await StockAdjustmentModel.findById(id);
+
+      res.json({
+        success: true,
+        message: `Stock adjustment approved. Lot balance is now ${result.balance_after} kg`,
+        data: adjustment,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res
+          .status(error.statusCode)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Approve stock adjustment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to approve stock adjustment",
+      });
+    }
+  }
+
+  // Reject a pending adjustment
+  static async rejectAdjustment(req, res) {
+    try {
+      const { id } = req.params;
+
+      await StockMovementService.rejectAdjustment(id, {
+        reviewed_by: req.user?.id || null,
+        review_notes: req.body.review_notes || null,
+      });
+
+      const adjustment = await StockAdjustmentModel.findById(id);
+
+      res.json({
+        success: true,
+        message: "Stock adjustment rejected",
+        data: adjustment,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res
+          .status(error.statusCode)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Reject stock adjustment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reject stock adjustment",
+      });
+    }
+  }
+}
+
+module.exports = StockAdjustmentController;
@@ -1,4 +1,7 @@
 const SupplierModel = require("../models/supplierModel");
+const TraceabilityModel = require("../models/traceabilityModel");
+const LeafQualityService = require("../services/leafQualityService");
+const PricingService = require("../services/pricingService");
 
 class SupplierController {
   // Get all suppliers
@@ -80,23 +83,21 @@ class SupplierController {
         payment_status = "unpaid",
         supply_date,
         notes,
+        quality,
+        quality_tier,
       } = req.body;
 
       // Handle both quantity and quantity_kg field names for compatibility
       const finalQuantity = quantity_kg || quantity;
 
       // Validation
-      if (!supplier_id || !finalQuantity || !unit_price || !supply_date) {
+      if (!supplier_id || !finalQuantity || !supply_date) {
         return res.status(400).json({
           success: false,
-          message:
-            "Supplier ID, quantity, unit price, and supply date are required",
+          message: "Supplier ID, quantity, and supply date are required",
         });
       }
 
-      // Calculate total payment
-      const total_payment = parseFloat(finalQuantity) * parseFloat(unit_price);
-
       // Verify supplier exists
       const supplier = await SupplierModel.findById(supplier_id);
       if (!supplier) {
@@ -106,15 +107,32 @@ class SupplierController {
         });
       }
 
+      // Unit price comes from the price list in force on the supply date
+      const price = await PricingService.resolveUnitPrice({
+        supplier_id,
+        supply_date,
+        quality_tier: quality_tier || null,
+        fallback_unit_price: unit_price,
+      });
+
+      // Calculate total payment
+      const total_payment =
+        Math.round(parseFloat(finalQuantity) * price.unit_price * 100) / 100;
+
       const supplyRecord = await SupplierModel.createSupplyRecord({
         supplier_id,
         quantity: parseFloat(finalQuantity),
-        unit_price: parseFloat(unit_price),
+        unit_price: price.unit_price,
+        quality_tier: price.quality_tier,
+        price_list_id: price.price_list_id,
+        price_source: price.price_source,
         total_payment,
         payment_method,
         payment_status,
         supply_date,
         notes,
+        quality: quality || null,
+        created_by: req.user?.id || null,
       });
 
       res.status(201).json({
@@ -123,6 +141,11 @@ class SupplierController {
         data: supplyRecord,
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res
+          .status(error.statusCode)
+          .json({ success: false, message: error.message });
+      }
       console.error("Create supply record error:", error);
       res.status(500).json({
         success: false,
@@ -183,6 +206,64 @@ class SupplierController {
     }
   }
 
+  // Trace a supply record forward to the inventory lots and production batches that used it
+  static async getSupplyRecordWhereUsed(req, res) {
+    try {
+      const { id } = req.params;
+
+      const trace = await TraceabilityModel.whereUsed(id);
+
+      if (!trace) {
+        return res.status(404).json({
+          success: false,
+          message: "Supply record not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Supply record usage fetched successfully",
+        data: trace,
+      });
+    } catch (error) {
+      console.error("Get supply record where-used error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to trace supply record usage",
+      });
+    }
+  }
+
+  // Record or replace the leaf quality assessment of a supply record
+  static async assessSupplyQuality(req, res) {
+    try {
+      const { id } = req.params;
+
+      const assessment = await LeafQualityService.assessSupplyRecord(
+        id,
+        req.body,
+        req.user?.id || null
+      );
+
+      res.json({
+        success: true,
+        message: `Quality assessed. Net payable ${assessment.net_payable_kg} kg, total ${assessment.adjusted_total_payment}`,
+        data: assessment,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res
+          .status(error.statusCode)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Assess supply quality error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to assess supply quality",
+      });
+    }
+  }
+
   // Update supply record
   static async updateSupplyRecord(req, res) {
     try {
@@ -195,8 +276,19 @@ class SupplierController {
         delete updateData.quantity_kg;
       }
 
-      // If quantity or unit_price is updated, recalculate total_payment
-      if (updateData.quantity || updateData.unit_price) {
+      const priceFields = [
+        "unit_price",
+        "supply_date",
+        "quality_tier",
+        "supplier_id",
+      ];
+
+      // If quantity or a price input is updated, re-resolve the unit price
+      // and recalculate total_payment
+      if (
+        updateData.quantity ||
+        priceFields.some((field) => updateData[field] !== undefined)
+      ) {
         const currentRecord = await SupplierModel.findSupplyRecordById(id);
         if (!currentRecord) {
           return res.status(404).json({
@@ -204,14 +296,25 @@ class SupplierController {
             message: "Supply record not found",
           });
         }
+        const current = currentRecord.supply_record;
+
+        const quantity = parseFloat(updateData.quantity || current.quantity_kg);
+        const price = await PricingService.resolveUnitPrice({
+          supplier_id: updateData.supplier_id || current.supplier_id,
+          supply_date: updateData.supply_date || current.supply_date,
+          quality_tier:
+            updateData.quality_tier !== undefined
+              ? updateData.quality_tier || null
+              : current.quality_tier,
+          fallback_unit_price: updateData.unit_price || current.unit_price,
+        });
 
-        const quantity = parseFloat(
-          updateData.quantity || currentRecord.quantity_kg
-        );
-        const unit_price = parseFloat(
-          updateData.unit_price || currentRecord.unit_price
-        );
-        updateData.total_payment = quantity * unit_price;
+        updateData.unit_price = price.unit_price;
+        updateData.quality_tier = price.quality_tier;
+        updateData.price_list_id = price.price_list_id;
+        updateData.price_source = price.price_source;
+        updateData.total_payment =
+          Math.round(quantity * price.unit_price * 100) / 100;
       }
 
       const updatedRecord = await SupplierModel.updateSupplyRecord(
@@ -225,6 +328,11 @@ class SupplierController {
         data: updatedRecord,
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res
+          .status(error.statusCode)
+          .json({ success: false, message: error.message });
+      }
       console.error("Update supply record error:", error);
       res.status(500).json({
         success: false,
@@ -255,7 +363,7 @@ class SupplierController {
       });
     } catch (error) {
       console.error("Delete supply record error:", error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || "Failed to delete supply record",
       });
@@ -0,0 +1,79 @@
+const SupplierStatementService = require("../services/supplierStatementService");
+const { toCsv, toPdf } = require("../services/supplierStatementRenderer");
+const { sendServiceError } = require("../services/serviceHelpers");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const STATEMENT_FORMATS = ["json", "pdf", "csv"];
+
+// Build the statement asked for in the query string (from, to, format) and
+// send it as JSON or as a PDF/CSV download. The period defaults to the
+// current month so far.
+const sendStatement = async (req, res, supplierId) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const {
+    from = `${today.slice(0, 7)}-01`,
+    to = today,
+    format = "json",
+  } = req.query;
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    return res.status(400).json({
+      success: false,
+      message: "From and to dates must be YYYY-MM-DD",
+    });
+  }
+  if (!STATEMENT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${STATEMENT_FORMATS.join(", ")}`,
+    });
+  }
+
+  const statement = await SupplierStatementService.buildStatement(supplierId, {
+    from,
+    to,
+  });
+
+  if (format === "json") {
+    return res.json({
+      success: true,
+      message: "Statement generated successfully",
+      data: statement,
+    });
+  }
+
+  const filename = `statement-${
+    statement.supplier.supplier_code || statement.supplier.id
+  }-${from}-to-${to}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    return res.send(toCsv(statement));
+  }
+  res.setHeader("Content-Type", "application/pdf");
+  res.send(await toPdf(statement));
+};
+
+class SupplierStatementController {
+  // A supplier's own statement
+  static async getOwnStatement(req, res) {
+    try {
+      await sendStatement(req, res, req.user.id);
+    } catch (error) {
+      console.error("Get own statement error:", error);
+      sendServiceError(res, error, "Failed to generate statement");
+    }
+  }
+
+  // Any supplier's statement, for staff answering a supplier's request
+  static async getSupplierStatement(req, res) {
+    try {
+      await sendStatement(req, res, req.params.supplier_id);
+    } catch (error) {
+      console.error("Get supplier statement error:", error);
+      sendServiceError(res, error, "Failed to generate statement");
+    }
+  }
+}
+
+module.exports = SupplierStatementController;
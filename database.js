@@ -195,10 +195,16 @@ async function createTables() {
         id INT AUTO_INCREMENT PRIMARY KEY,
         production_id VARCHAR(50) UNIQUE NOT NULL,
         quantity DECIMAL(10, 2) NOT NULL,
+        made_tea_kg DECIMAL(10, 2) NULL,
         production_date DATE NOT NULL,
         production_time TIME DEFAULT (CURRENT_TIME),
+        status ENUM('active', 'cancelled') DEFAULT 'active',
+        cancelled_by INT NULL,
+        cancelled_at TIMESTAMP NULL,
+        cancellation_reason TEXT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
         INDEX idx_production_date (production_date),
         INDEX idx_production_id (production_id)
       )
@@ -223,7 +229,7 @@ async function createTables() {
       CREATE TABLE IF NOT EXISTS inventory (
         id INT AUTO_INCREMENT PRIMARY KEY,
         inventoryid VARCHAR(100) NOT NULL UNIQUE,
-        quantity INT NOT NULL,
+        quantity DECIMAL(10, 2) NOT NULL,
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -276,8 +282,9 @@ async function createTables() {
         remaining_quantity_kg DECIMAL(10, 2) NOT NULL DEFAULT 0,
         unit_price DECIMAL(10, 2) NOT NULL,
         total_payment DECIMAL(10, 2) NOT NULL,
+        outstanding_amount DECIMAL(10, 2) NULL,
         payment_method ENUM('spot', 'monthly') DEFAULT 'spot',
-        payment_status ENUM('paid', 'unpaid') DEFAULT 'unpaid',
+        payment_status ENUM('paid', 'partially_paid', 'unpaid') DEFAULT 'unpaid',
         supply_date DATE NOT NULL,
         supply_time TIME NOT NULL,
         notes TEXT,
@@ -312,7 +319,7 @@ async function createTables() {
       CREATE TABLE IF NOT EXISTS payments (
         id INT AUTO_INCREMENT PRIMARY KEY,
         payment_id VARCHAR(100) UNIQUE NOT NULL,
-        supply_record_id INT NOT NULL,
+        supply_record_id INT NULL,
         supplier_id INT NOT NULL,
         amount DECIMAL(10, 2) NOT NULL,
         currency VARCHAR(10) DEFAULT 'LKR',
@@ -386,18 +393,6 @@ async function createTables() {
       }
     }
 
-    // Update existing supply records to set remaining_quantity_kg = quantity_kg where remaining_quantity_kg = 0
-    try {
-      await pool.execute(`
-        UPDATE supply_records 
-        SET remaining_quantity_kg = quantity_kg 
-        WHERE remaining_quantity_kg = 0
-      `);
-      console.log("Updated existing supply records with remaining quantities");
-    } catch (error) {
-      console.log("Error updating existing supply records:", error.message);
-    }
-
     // Add address and bank information columns to users table for suppliers
     try {
       await pool.execute(`
@@ -463,12 +458,58 @@ async function createTables() {
       }
     }
 
+    // Add cancellation columns to production_data (migration safe)
+    try {
+      await pool.execute(`
+        ALTER TABLE production_data
+        ADD COLUMN status ENUM('active', 'cancelled') DEFAULT 'active',
+        ADD COLUMN cancelled_by INT NULL,
+        ADD COLUMN cancelled_at TIMESTAMP NULL,
+        ADD COLUMN cancellation_reason TEXT NULL,
+        ADD FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL
+      `);
+      console.log("Added cancellation columns to production_data table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "production_data cancellation columns might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    // production_data.quantity is the green leaf taken from inventory;
+    // made_tea_kg is the output, so yield = made_tea_kg / quantity
+    try {
+      await pool.execute(`
+        ALTER TABLE production_data
+        ADD COLUMN made_tea_kg DECIMAL(10, 2) NULL AFTER quantity
+      `);
+      console.log("Added made_tea_kg column to production_data table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "made_tea_kg column might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
     await pool.execute(createSystemLogsTable);
     console.log("System logs table created or already exists");
 
     await pool.execute(createInventoryTable);
     console.log("Inventory table created or already exists");
 
+    // Migration: inventory quantities hold fractional kg (adjustments, FIFO splits)
+    try {
+      await pool.execute(
+        `ALTER TABLE inventory MODIFY COLUMN quantity DECIMAL(10, 2) NOT NULL`
+      );
+    } catch (error) {
+      console.log("Could not widen inventory.quantity:", error.message);
+    }
+
     await pool.execute(createMessagesTable);
     console.log("Messages table created or already exists");
 
@@ -494,6 +535,919 @@ async function createTables() {
     await pool.execute(createPasswordResetsTable);
     console.log("Password resets table created or already exists");
 
+    // Lot genealogy: every FIFO deduction is recorded as a (source lot, target lot, kg) link.
+    // A lot cannot be deleted while its links exist, so the trace is never lost.
+    const createSupplyInventoryAllocationsTable = `
+      CREATE TABLE IF NOT EXISTS supply_inventory_allocations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        supply_record_id INT NOT NULL,
+        inventory_id INT NOT NULL,
+        quantity_kg DECIMAL(10, 2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (supply_record_id) REFERENCES supply_records(id) ON DELETE RESTRICT,
+        FOREIGN KEY (inventory_id) REFERENCES inventory(id) ON DELETE RESTRICT,
+        INDEX idx_sia_supply_record (supply_record_id),
+        INDEX idx_sia_inventory (inventory_id)
+      )
+    `;
+    await pool.execute(createSupplyInventoryAllocationsTable);
+    console.log("Supply inventory allocations table created or already exists");
+
+    const createInventoryProductionAllocationsTable = `
+      CREATE TABLE IF NOT EXISTS inventory_production_allocations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        inventory_id INT NOT NULL,
+        production_id INT NOT NULL,
+        quantity_kg DECIMAL(10, 2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (inventory_id) REFERENCES inventory(id) ON DELETE RESTRICT,
+        FOREIGN KEY (production_id) REFERENCES production_data(id) ON DELETE RESTRICT,
+        INDEX idx_ipa_inventory (inventory_id),
+        INDEX idx_ipa_production (production_id)
+      )
+    `;
+    await pool.execute(createInventoryProductionAllocationsTable);
+    console.log(
+      "Inventory production allocations table created or already exists"
+    );
+
+    // Made-tea output of a production run, one line per grade
+    const createProductionOutputLinesTable = `
+      CREATE TABLE IF NOT EXISTS production_output_lines (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        production_id INT NOT NULL,
+        grade VARCHAR(100) NOT NULL,
+        quantity_kg DECIMAL(10, 2) NOT NULL,
+        batch_notes TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (production_id) REFERENCES production_data(id) ON DELETE CASCADE,
+        INDEX idx_pol_production (production_id),
+        INDEX idx_pol_grade (grade)
+      )
+    `;
+    await pool.execute(createProductionOutputLinesTable);
+    console.log("Production output lines table created or already exists");
+
+    // Stock movements journal (append-only): every change to a lot balance is
+    // written here; supply_records.remaining_quantity_kg, inventory.quantity and
+    // production_data.quantity are reconciled against the sum of a lot's movements
+    const createStockMovementsTable = `
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        lot_type ENUM('supply_record', 'inventory', 'production') NOT NULL,
+        lot_id INT NOT NULL,
+        movement_type ENUM('receipt', 'transfer_to_inventory', 'consumption_by_production', 'adjustment', 'write_off', 'reversal') NOT NULL,
+        quantity_kg DECIMAL(10, 2) NOT NULL,
+        balance_after DECIMAL(10, 2) NOT NULL,
+        reference_type VARCHAR(50) NULL,
+        reference_id INT NULL,
+        notes TEXT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_sm_lot (lot_type, lot_id),
+        INDEX idx_sm_movement_type (movement_type),
+        INDEX idx_sm_created_at (created_at)
+      )
+    `;
+    await pool.execute(createStockMovementsTable);
+    console.log("Stock movements table created or already exists");
+
+    // Stock adjustments: staff propose a signed kg change on a lot with a
+    // reason code; a manager approves (applied via the journal) or rejects it
+    const createStockAdjustmentsTable = `
+      CREATE TABLE IF NOT EXISTS stock_adjustments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        lot_type ENUM('supply_record', 'inventory') NOT NULL,
+        lot_id INT NOT NULL,
+        quantity_kg DECIMAL(10, 2) NOT NULL,
+        reason_code ENUM('moisture_loss', 'spoilage', 'weighing_correction', 'damage', 'other') NOT NULL,
+        notes TEXT NULL,
+        status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+        requested_by INT NULL,
+        reviewed_by INT NULL,
+        reviewed_at TIMESTAMP NULL,
+        review_notes TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_sa_lot (lot_type, lot_id),
+        INDEX idx_sa_status (status)
+      )
+    `;
+    await pool.execute(createStockAdjustmentsTable);
+    console.log("Stock adjustments table created or already exists");
+
+    // Leaf quality deduction rules. A rule applies when the assessed value is
+    // in [min_value, max_value); moisture and coarse leaf rules deduct
+    // `adjustment` % of the accepted weight, fine leaf rules add `adjustment`
+    // (negative for a penalty) to the unit price per kg
+    const createLeafQualityRulesTable = `
+      CREATE TABLE IF NOT EXISTS leaf_quality_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        rule_type ENUM('moisture_deduction', 'coarse_leaf_deduction', 'fine_leaf_bonus') NOT NULL,
+        min_value DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        max_value DECIMAL(5, 2) NULL,
+        adjustment DECIMAL(10, 2) NOT NULL,
+        description VARCHAR(255) NULL,
+        is_active TINYINT(1) DEFAULT 1,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_lqr_type (rule_type, is_active)
+      )
+    `;
+    await pool.execute(createLeafQualityRulesTable);
+    console.log("Leaf quality rules table created or already exists");
+
+    // Quality assessment of a supply record at intake, with the payable
+    // weight and price it produced and a snapshot of the rules applied
+    const createLeafQualityAssessmentsTable = `
+      CREATE TABLE IF NOT EXISTS leaf_quality_assessments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        supply_record_id INT NOT NULL UNIQUE,
+        fine_leaf_percent DECIMAL(5, 2) NULL,
+        moisture_percent DECIMAL(5, 2) NULL,
+        coarse_leaf_percent DECIMAL(5, 2) NULL,
+        rejected_kg DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        water_deduction_kg DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        coarse_leaf_deduction_kg DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        net_payable_kg DECIMAL(10, 2) NOT NULL,
+        base_unit_price DECIMAL(10, 2) NOT NULL,
+        price_adjustment_per_kg DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        adjusted_unit_price DECIMAL(10, 2) NOT NULL,
+        base_total_payment DECIMAL(10, 2) NOT NULL,
+        adjusted_total_payment DECIMAL(10, 2) NOT NULL,
+        breakdown JSON NULL,
+        assessed_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (supply_record_id) REFERENCES supply_records(id) ON DELETE CASCADE,
+        FOREIGN KEY (assessed_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `;
+    await pool.execute(createLeafQualityAssessmentsTable);
+    console.log("Leaf quality assessments table created or already exists");
+
+    // Pricing engine: suppliers can belong to a group; price lists carry a
+    // base price for a date range plus supplier / group overrides and
+    // quality tier adjustments
+    const createSupplierGroupsTable = `
+      CREATE TABLE IF NOT EXISTS supplier_groups (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `;
+    await pool.execute(createSupplierGroupsTable);
+    console.log("Supplier groups table created or already exists");
+
+    try {
+      await pool.execute(`
+        ALTER TABLE users
+        ADD COLUMN supplier_group_id INT NULL,
+        ADD FOREIGN KEY (supplier_group_id) REFERENCES supplier_groups(id) ON DELETE SET NULL
+      `);
+      console.log("Added supplier_group_id column to users table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "supplier_group_id column might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    const createPriceListsTable = `
+      CREATE TABLE IF NOT EXISTS price_lists (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        base_price_per_kg DECIMAL(10, 2) NOT NULL,
+        effective_from DATE NOT NULL,
+        effective_to DATE NULL,
+        is_active TINYINT(1) DEFAULT 1,
+        notes TEXT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_pl_effective (effective_from, effective_to)
+      )
+    `;
+    await pool.execute(createPriceListsTable);
+    console.log("Price lists table created or already exists");
+
+    const createPriceListOverridesTable = `
+      CREATE TABLE IF NOT EXISTS price_list_overrides (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        price_list_id INT NOT NULL,
+        scope ENUM('supplier', 'supplier_group') NOT NULL,
+        supplier_id INT NULL,
+        supplier_group_id INT NULL,
+        price_per_kg DECIMAL(10, 2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (price_list_id) REFERENCES price_lists(id) ON DELETE CASCADE,
+        FOREIGN KEY (supplier_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (supplier_group_id) REFERENCES supplier_groups(id) ON DELETE CASCADE,
+        INDEX idx_plo_list (price_list_id)
+      )
+    `;
+    await pool.execute(createPriceListOverridesTable);
+    console.log("Price list overrides table created or already exists");
+
+    const createPriceListTiersTable = `
+      CREATE TABLE IF NOT EXISTS price_list_quality_tiers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        price_list_id INT NOT NULL,
+        tier_code VARCHAR(50) NOT NULL,
+        description VARCHAR(255) NULL,
+        price_adjustment_per_kg DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        FOREIGN KEY (price_list_id) REFERENCES price_lists(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_plqt_tier (price_list_id, tier_code)
+      )
+    `;
+    await pool.execute(createPriceListTiersTable);
+    console.log("Price list quality tiers table created or already exists");
+
+    // Record which tier and price list a supply record's unit price came from
+    try {
+      await pool.execute(`
+        ALTER TABLE supply_records
+        ADD COLUMN quality_tier VARCHAR(50) NULL,
+        ADD COLUMN price_list_id INT NULL,
+        ADD COLUMN price_source VARCHAR(30) NULL,
+        ADD FOREIGN KEY (price_list_id) REFERENCES price_lists(id) ON DELETE SET NULL
+      `);
+      console.log("Added pricing columns to supply_records table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "supply_records pricing columns might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    // Monthly settlements: one per supplier and month, covering that month's
+    // unpaid monthly supply records less deductions (draft -> approved -> paid)
+    const createSettlementsTable = `
+      CREATE TABLE IF NOT EXISTS settlements (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        settlement_no VARCHAR(50) UNIQUE NOT NULL,
+        supplier_id INT NOT NULL,
+        period_month CHAR(7) NOT NULL,
+        gross_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        deductions_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        net_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        status ENUM('draft', 'approved', 'paid') DEFAULT 'draft',
+        payment_method ENUM('bank_transfer', 'cash', 'cheque') NULL,
+        payment_reference VARCHAR(100) NULL,
+        notes TEXT NULL,
+        created_by INT NULL,
+        approved_by INT NULL,
+        approved_at TIMESTAMP NULL,
+        paid_by INT NULL,
+        paid_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (supplier_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (paid_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_settlement_period (period_month),
+        INDEX idx_settlement_status (status)
+      )
+    `;
+    await pool.execute(createSettlementsTable);
+    console.log("Settlements table created or already exists");
+
+    // Settlement line items: supply lines credit the supplier, deduction
+    // lines (negative amounts) reduce the net. A supply record can only be
+    // covered by one settlement, and cannot be deleted while it is.
+    const createSettlementLinesTable = `
+      CREATE TABLE IF NOT EXISTS settlement_lines (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        settlement_id INT NOT NULL,
+        line_type ENUM('supply', 'deduction') NOT NULL,
+        supply_record_id INT NULL UNIQUE,
+        description VARCHAR(255) NULL,
+        quantity_kg DECIMAL(10, 2) NULL,
+        unit_price DECIMAL(10, 2) NULL,
+        amount DECIMAL(12, 2) NOT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (settlement_id) REFERENCES settlements(id) ON DELETE CASCADE,
+        FOREIGN KEY (supply_record_id) REFERENCES supply_records(id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_sl_settlement (settlement_id)
+      )
+    `;
+    await pool.execute(createSettlementLinesTable);
+    console.log("Settlement lines table created or already exists");
+
+    // Payments made by a settlement point back to it
+    try {
+      await pool.execute(`
+        ALTER TABLE payments
+        ADD COLUMN settlement_id INT NULL,
+        ADD FOREIGN KEY (settlement_id) REFERENCES settlements(id) ON DELETE SET NULL
+      `);
+      console.log("Added settlement_id column to payments table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "payments settlement_id column might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    // Supplier advances and loans (cash advances, fertilizer on credit),
+    // recovered from later settlements and spot payments
+    const createSupplierAdvancesTable = `
+      CREATE TABLE IF NOT EXISTS supplier_advances (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        advance_no VARCHAR(50) UNIQUE NOT NULL,
+        supplier_id INT NOT NULL,
+        advance_type ENUM('cash_advance', 'fertilizer_credit', 'loan') NOT NULL DEFAULT 'cash_advance',
+        principal_amount DECIMAL(12, 2) NOT NULL,
+        outstanding_amount DECIMAL(12, 2) NOT NULL,
+        issue_date DATE NOT NULL,
+        repayment_rule ENUM('fixed_installment', 'percent_of_settlement') NOT NULL,
+        repayment_value DECIMAL(12, 2) NOT NULL,
+        status ENUM('active', 'settled', 'cancelled') DEFAULT 'active',
+        notes TEXT NULL,
+        created_by INT NULL,
+        cancelled_by INT NULL,
+        cancelled_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (supplier_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_advance_supplier_status (supplier_id, status)
+      )
+    `;
+    await pool.execute(createSupplierAdvancesTable);
+    console.log("Supplier advances table created or already exists");
+
+    // One row per amount recovered from an advance, pointing at the
+    // settlement or direct payment it was withheld from
+    const createAdvanceRecoveriesTable = `
+      CREATE TABLE IF NOT EXISTS advance_recoveries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        advance_id INT NOT NULL,
+        amount DECIMAL(12, 2) NOT NULL,
+        settlement_id INT NULL,
+        payment_id INT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (advance_id) REFERENCES supplier_advances(id) ON DELETE CASCADE,
+        FOREIGN KEY (settlement_id) REFERENCES settlements(id) ON DELETE SET NULL,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_recovery_advance (advance_id)
+      )
+    `;
+    await pool.execute(createAdvanceRecoveriesTable);
+    console.log("Advance recoveries table created or already exists");
+
+    // Migration: settlements carry advance recovery lines
+    try {
+      await pool.execute(
+        `ALTER TABLE settlement_lines MODIFY COLUMN line_type ENUM('supply', 'deduction', 'advance_recovery') NOT NULL`
+      );
+    } catch (error) {
+      console.log(
+        "Could not extend settlement_lines.line_type:",
+        error.message
+      );
+    }
+    try {
+      await pool.execute(`
+        ALTER TABLE settlement_lines
+        ADD COLUMN advance_id INT NULL,
+        ADD FOREIGN KEY (advance_id) REFERENCES supplier_advances(id) ON DELETE SET NULL
+      `);
+      console.log("Added advance_id column to settlement_lines table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "settlement_lines advance_id column might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    // Partial payments: a payment can be allocated across several supply
+    // records, so payments.supply_record_id is only set for single-record
+    // payments and each record carries its outstanding balance
+    try {
+      await pool.execute(
+        `ALTER TABLE payments MODIFY COLUMN supply_record_id INT NULL`
+      );
+    } catch (error) {
+      console.log("Could not relax payments.supply_record_id:", error.message);
+    }
+    try {
+      await pool.execute(
+        `ALTER TABLE supply_records MODIFY COLUMN payment_status ENUM('paid', 'partially_paid', 'unpaid') DEFAULT 'unpaid'`
+      );
+    } catch (error) {
+      console.log(
+        "Could not extend supply_records.payment_status:",
+        error.message
+      );
+    }
+    try {
+      await pool.execute(`
+        ALTER TABLE supply_records
+        ADD COLUMN outstanding_amount DECIMAL(10, 2) NULL AFTER total_payment
+      `);
+      console.log("Added outstanding_amount column to supply_records table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "supply_records outstanding_amount column might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+    await pool.execute(`
+      UPDATE supply_records
+      SET outstanding_amount = CASE WHEN payment_status = 'paid' THEN 0 ELSE total_payment END
+      WHERE outstanding_amount IS NULL
+    `);
+
+    const createPaymentAllocationsTable = `
+      CREATE TABLE IF NOT EXISTS payment_allocations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        payment_id INT NOT NULL,
+        supply_record_id INT NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+        FOREIGN KEY (supply_record_id) REFERENCES supply_records(id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY uniq_allocation (payment_id, supply_record_id),
+        INDEX idx_allocation_supply_record (supply_record_id)
+      )
+    `;
+    await pool.execute(createPaymentAllocationsTable);
+    console.log("Payment allocations table created or already exists");
+
+    // Refunds and reversals leave the original payment in place (status
+    // refunded/cancelled) and add a compensating negative entry linked to it
+    try {
+      await pool.execute(`
+        ALTER TABLE payments
+        ADD COLUMN entry_type ENUM('payment', 'reversal', 'refund') NOT NULL DEFAULT 'payment',
+        ADD COLUMN reverses_payment_id INT NULL,
+        ADD COLUMN reversal_reason TEXT NULL,
+        ADD FOREIGN KEY (reverses_payment_id) REFERENCES payments(id) ON DELETE SET NULL
+      `);
+      console.log("Added reversal columns to payments table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "payments reversal columns might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    // Gateway failures keep the error the gateway reported
+    try {
+      await pool.execute(`
+        ALTER TABLE payments
+        ADD COLUMN failure_code VARCHAR(100) NULL,
+        ADD COLUMN failure_message TEXT NULL
+      `);
+      console.log("Added failure columns to payments table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "payments failure columns might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    // Nonces of accepted gateway callbacks; a repeated nonce is a replay
+    const createPaymentCallbackNoncesTable = `
+      CREATE TABLE IF NOT EXISTS payment_callback_nonces (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        nonce VARCHAR(100) UNIQUE NOT NULL,
+        payment_id VARCHAR(100) NULL,
+        callback_type VARCHAR(20) NOT NULL,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_callback_nonce_received (received_at)
+      )
+    `;
+    await pool.execute(createPaymentCallbackNoncesTable);
+    console.log("Payment callback nonces table created or already exists");
+
+    // Bank payout batches: approved settlements sent to the bank in one
+    // transfer file. Each item snapshots the account it was sent to.
+    const createPayoutBatchesTable = `
+      CREATE TABLE IF NOT EXISTS payout_batches (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        batch_no VARCHAR(50) UNIQUE NOT NULL,
+        file_format VARCHAR(20) NOT NULL,
+        value_date DATE NOT NULL,
+        status ENUM('open', 'exported', 'completed', 'cancelled') DEFAULT 'open',
+        item_count INT NOT NULL DEFAULT 0,
+        total_amount DECIMAL(14, 2) NOT NULL DEFAULT 0,
+        created_by INT NULL,
+        exported_by INT NULL,
+        exported_at TIMESTAMP NULL,
+        response_imported_by INT NULL,
+        response_imported_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (exported_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (response_imported_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_payout_batch_status (status)
+      )
+    `;
+    await pool.execute(createPayoutBatchesTable);
+    console.log("Payout batches table created or already exists");
+
+    // Batch items are payment history: the settlements and suppliers they
+    // pay cannot be deleted while they exist
+    const createPayoutBatchItemsTable = `
+      CREATE TABLE IF NOT EXISTS payout_batch_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        batch_id INT NOT NULL,
+        settlement_id INT NOT NULL,
+        supplier_id INT NOT NULL,
+        amount DECIMAL(12, 2) NOT NULL,
+        reference VARCHAR(30) UNIQUE NOT NULL,
+        bank_code VARCHAR(10) NOT NULL,
+        branch_code VARCHAR(10) NOT NULL,
+        account_number VARCHAR(50) NOT NULL,
+        account_holder_name VARCHAR(255) NOT NULL,
+        status ENUM('pending', 'completed', 'failed', 'cancelled') DEFAULT 'pending',
+        failure_code VARCHAR(20) NULL,
+        failure_reason VARCHAR(255) NULL,
+        processed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (batch_id) REFERENCES payout_batches(id) ON DELETE CASCADE,
+        FOREIGN KEY (settlement_id) REFERENCES settlements(id) ON DELETE RESTRICT,
+        FOREIGN KEY (supplier_id) REFERENCES users(id) ON DELETE RESTRICT,
+        INDEX idx_payout_item_settlement (settlement_id, status)
+      )
+    `;
+    await pool.execute(createPayoutBatchItemsTable);
+    console.log("Payout batch items table created or already exists");
+
+    // Cheque register. A cheque number is unique per drawing bank; one
+    // cheque can pay several payment rows (a settlement pays per supply line).
+    // A cheque cannot be deleted while payments point at it, nor its
+    // supplier while the cheque exists.
+    const createChequesTable = `
+      CREATE TABLE IF NOT EXISTS cheques (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        cheque_no VARCHAR(30) NOT NULL,
+        bank_name VARCHAR(100) NOT NULL,
+        bank_branch VARCHAR(100) NULL,
+        cheque_date DATE NOT NULL,
+        amount DECIMAL(12, 2) NOT NULL,
+        supplier_id INT NOT NULL,
+        status ENUM('issued', 'presented', 'cleared', 'bounced', 'cancelled') DEFAULT 'issued',
+        status_reason VARCHAR(255) NULL,
+        presented_at TIMESTAMP NULL,
+        cleared_at TIMESTAMP NULL,
+        bounced_at TIMESTAMP NULL,
+        cancelled_at TIMESTAMP NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_cheque_bank_no (bank_name, cheque_no),
+        FOREIGN KEY (supplier_id) REFERENCES users(id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_cheque_status (status, cheque_date)
+      )
+    `;
+    await pool.execute(createChequesTable);
+    console.log("Cheques table created or already exists");
+
+    const createChequeEventsTable = `
+      CREATE TABLE IF NOT EXISTS cheque_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        cheque_id INT NOT NULL,
+        from_status VARCHAR(20) NULL,
+        to_status VARCHAR(20) NOT NULL,
+        notes VARCHAR(255) NULL,
+        changed_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (cheque_id) REFERENCES cheques(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `;
+    await pool.execute(createChequeEventsTable);
+    console.log("Cheque events table created or already exists");
+
+    try {
+      await pool.execute(`
+        ALTER TABLE payments
+        ADD COLUMN cheque_id INT NULL,
+        ADD FOREIGN KEY (cheque_id) REFERENCES cheques(id) ON DELETE RESTRICT
+      `);
+      console.log("Added cheque_id column to payments table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "payments.cheque_id might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    // Cash book: one session per drawer (a staff member or a collection
+    // point) per business day, opened with a float and closed with a count.
+    // Entries are signed: money into the drawer is positive.
+    const createCashSessionsTable = `
+      CREATE TABLE IF NOT EXISTS cash_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        business_date DATE NOT NULL,
+        drawer_key VARCHAR(120) NOT NULL,
+        staff_id INT NULL,
+        collection_point VARCHAR(100) NULL,
+        opening_float DECIMAL(12, 2) NOT NULL,
+        status ENUM('open', 'closed') DEFAULT 'open',
+        expected_cash DECIMAL(12, 2) NULL,
+        counted_cash DECIMAL(12, 2) NULL,
+        variance DECIMAL(12, 2) NULL,
+        close_notes TEXT NULL,
+        opened_by INT NULL,
+        closed_by INT NULL,
+        closed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_cash_session_drawer_day (business_date, drawer_key),
+        FOREIGN KEY (staff_id) REFERENCES users(id),
+        FOREIGN KEY (opened_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_cash_session_status (status, business_date)
+      )
+    `;
+    await pool.execute(createCashSessionsTable);
+    console.log("Cash sessions table created or already exists");
+
+    const createCashBookEntriesTable = `
+      CREATE TABLE IF NOT EXISTS cash_book_entries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        entry_type ENUM('opening_float', 'payment', 'reversal', 'top_up', 'withdrawal') NOT NULL,
+        amount DECIMAL(12, 2) NOT NULL,
+        payment_id INT NULL,
+        description VARCHAR(255) NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES cash_sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (payment_id) REFERENCES payments(id),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_cash_entry_payment (payment_id)
+      )
+    `;
+    await pool.execute(createCashBookEntriesTable);
+    console.log("Cash book entries table created or already exists");
+
+    // Maker-checker: a payment above its creator's approval limit is held as
+    // pending_approval, with what is needed to complete it, until a second
+    // user approves or rejects it. A gateway refund holds the payment as
+    // reversal_pending while the gateway is called.
+    try {
+      await pool.execute(
+        `ALTER TABLE payments MODIFY COLUMN payment_status ENUM('pending', 'pending_approval', 'completed', 'reversal_pending', 'failed', 'cancelled', 'refunded', 'rejected') DEFAULT 'pending'`
+      );
+    } catch (error) {
+      console.log("Could not extend payments.payment_status:", error.message);
+    }
+    try {
+      await pool.execute(`
+        ALTER TABLE payments
+        ADD COLUMN payment_request JSON NULL AFTER cheque_id
+      `);
+      console.log("Added payment_request column to payments table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "payments payment_request column might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    const createPaymentApprovalsTable = `
+      CREATE TABLE IF NOT EXISTS payment_approvals (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        payment_id INT NOT NULL,
+        decision ENUM('approved', 'rejected') NOT NULL,
+        decided_by INT NOT NULL,
+        decided_by_role VARCHAR(50) NOT NULL,
+        approval_limit DECIMAL(12, 2) NULL,
+        notes TEXT NULL,
+        decided_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+        FOREIGN KEY (decided_by) REFERENCES users(id),
+        INDEX idx_payment_approval_payment (payment_id)
+      )
+    `;
+    await pool.execute(createPaymentApprovalsTable);
+    console.log("Payment approvals table created or already exists");
+
+    // Roles bundle named permissions. Built-in roles mirror users.role and
+    // are seeded at startup; admins can define more and assign one to a user
+    // through users.access_role_id.
+    const createRolesTable = `
+      CREATE TABLE IF NOT EXISTS roles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) NOT NULL UNIQUE,
+        description VARCHAR(255) NULL,
+        is_system TINYINT(1) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `;
+    await pool.execute(createRolesTable);
+    console.log("Roles table created or already exists");
+
+    const createRolePermissionsTable = `
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INT NOT NULL,
+        permission VARCHAR(100) NOT NULL,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `;
+    await pool.execute(createRolePermissionsTable);
+    console.log("Role permissions table created or already exists");
+
+    try {
+      await pool.execute(`
+        ALTER TABLE users
+        ADD COLUMN access_role_id INT NULL AFTER role,
+        ADD FOREIGN KEY (access_role_id) REFERENCES roles(id)
+      `);
+      console.log("Added access_role_id column to users table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "users.access_role_id might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    // Refresh-token sessions; see services/sessionService.js
+    const createUserSessionsTable = `
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        family_id CHAR(32) NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        revoked_reason VARCHAR(30) NULL,
+        replaced_by INT NULL,
+        ip_address VARCHAR(45) NULL,
+        user_agent TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_session_user (user_id, revoked_at),
+        INDEX idx_user_session_family (family_id)
+      )
+    `;
+    await pool.execute(createUserSessionsTable);
+    console.log("User sessions table created or already exists");
+
+    // Failed sign-in, password reset and OTP send counters per account and
+    // IP; see services/loginProtectionService.js
+    const createAuthThrottlesTable = `
+      CREATE TABLE IF NOT EXISTS auth_throttles (
+        scope VARCHAR(20) NOT NULL,
+        subject VARCHAR(300) NOT NULL,
+        failures INT NOT NULL DEFAULT 0,
+        last_failure_at DATETIME NOT NULL,
+        locked_until DATETIME NULL,
+        PRIMARY KEY (scope, subject),
+        INDEX idx_auth_throttle_locked (locked_until)
+      )
+    `;
+    await pool.execute(createAuthThrottlesTable);
+    console.log("Auth throttles table created or already exists");
+
+    try {
+      await pool.execute(`
+        ALTER TABLE password_resets
+        ADD COLUMN failed_attempts INT NOT NULL DEFAULT 0 AFTER used
+      `);
+      console.log("Added failed_attempts column to password_resets table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "password_resets.failed_attempts might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    // Optional TOTP two-factor authentication; see services/twoFactorService.js
+    try {
+      await pool.execute(`
+        ALTER TABLE users
+        ADD COLUMN totp_secret VARCHAR(64) NULL,
+        ADD COLUMN totp_enabled TINYINT(1) NOT NULL DEFAULT 0,
+        ADD COLUMN totp_enabled_at DATETIME NULL,
+        ADD COLUMN totp_last_step BIGINT NULL
+      `);
+      console.log("Added two-factor columns to users table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "users two-factor columns might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    try {
+      await pool.execute(`
+        ALTER TABLE roles
+        ADD COLUMN requires_two_factor TINYINT(1) NOT NULL DEFAULT 0 AFTER is_system
+      `);
+      console.log("Added requires_two_factor column to roles table");
+    } catch (error) {
+      if (!error.message.includes("Duplicate column name")) {
+        console.log(
+          "roles.requires_two_factor might already exist or other issue:",
+          error.message
+        );
+      }
+    }
+
+    const createUserRecoveryCodesTable = `
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_recovery_code_user (user_id, code_hash)
+      )
+    `;
+    await pool.execute(createUserRecoveryCodesTable);
+    console.log("User recovery codes table created or already exists");
+
+    // Approvals record the configurable role the decision was made under
+    await pool.execute(
+      "ALTER TABLE payment_approvals MODIFY COLUMN decided_by_role VARCHAR(50) NOT NULL"
+    );
+
+    // Backfill an opening-balance receipt for lots that predate the journal.
+    // Before the journal, supply_records.quantity_kg was decremented in place
+    // and held the current balance, so it seeds remaining_quantity_kg.
+    try {
+      await pool.execute(`
+        UPDATE supply_records sr
+        SET sr.remaining_quantity_kg = sr.quantity_kg
+        WHERE NOT EXISTS (
+          SELECT 1 FROM stock_movements sm
+          WHERE sm.lot_type = 'supply_record' AND sm.lot_id = sr.id
+        )
+      `);
+      const openingBalanceBackfills = [
+        `INSERT INTO stock_movements (lot_type, lot_id, movement_type, quantity_kg, balance_after, notes, created_at)
+         SELECT 'supply_record', sr.id, 'receipt', sr.remaining_quantity_kg, sr.remaining_quantity_kg, 'Opening balance', sr.created_at
+         FROM supply_records sr
+         WHERE NOT EXISTS (SELECT 1 FROM stock_movements sm WHERE sm.lot_type = 'supply_record' AND sm.lot_id = sr.id)`,
+        `INSERT INTO stock_movements (lot_type, lot_id, movement_type, quantity_kg, balance_after, notes, created_at)
+         SELECT 'inventory', i.id, 'receipt', i.quantity, i.quantity, 'Opening balance', i.createdAt
+         FROM inventory i
+         WHERE NOT EXISTS (SELECT 1 FROM stock_movements sm WHERE sm.lot_type = 'inventory' AND sm.lot_id = i.id)`,
+        `INSERT INTO stock_movements (lot_type, lot_id, movement_type, quantity_kg, balance_after, notes, created_at)
+         SELECT 'production', pd.id, 'receipt', pd.quantity, pd.quantity, 'Opening balance', pd.created_at
+         FROM production_data pd
+         WHERE NOT EXISTS (SELECT 1 FROM stock_movements sm WHERE sm.lot_type = 'production' AND sm.lot_id = pd.id)`,
+      ];
+      for (const sql of openingBalanceBackfills) {
+        await pool.execute(sql);
+      }
+      console.log("Stock movements opening balances backfilled");
+    } catch (error) {
+      console.log("Error backfilling stock movements:", error.message);
+    }
+
     // Seed a few employees (for testing) if not present
     try {
       await pool.execute(
@@ -548,6 +1502,27 @@ async function insertDefaultAdmin() {
   }
 }
 
+// Run `work(connection)` inside a single transaction on a dedicated pooled
+// connection. Commits when `work` resolves, rolls back and rethrows otherwise.
+async function withTransaction(work) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    try {
+      await connection.rollback();
+    } catch (rollbackError) {
+      console.error("Transaction rollback failed:", rollbackError.message);
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 // Database query helper functions
 const db = {
   // Generic query function
@@ -794,16 +1769,25 @@ const db = {
   async getProductionData() {
     const sql = `
       SELECT 
-        id, 
-        production_id, 
-        quantity, 
-        production_date, 
-        production_time,
-        created_at,
-        updated_at,
-        DATE_FORMAT(created_at, '%H:%i') as time_created
-      FROM production_data 
-      ORDER BY production_date DESC, created_at DESC
+        pd.id, 
+        pd.production_id, 
+        pd.quantity, 
+        pd.quantity as green_leaf_kg,
+        pd.made_tea_kg,
+        ROUND(pd.made_tea_kg / NULLIF(pd.quantity, 0) * 100, 2) as yield_percent,
+        pd.production_date, 
+        pd.production_time,
+        pd.status,
+        pd.cancelled_by,
+        u.name as cancelled_by_name,
+        pd.cancelled_at,
+        pd.cancellation_reason,
+        pd.created_at,
+        pd.updated_at,
+        DATE_FORMAT(pd.created_at, '%H:%i') as time_created
+      FROM production_data pd
+      LEFT JOIN users u ON pd.cancelled_by = u.id
+      ORDER BY pd.production_date DESC, pd.created_at DESC
     `;
     return await this.query(sql);
   },
@@ -815,8 +1799,15 @@ const db = {
         id, 
         production_id, 
         quantity, 
+        quantity as green_leaf_kg,
+        made_tea_kg,
+        ROUND(made_tea_kg / NULLIF(quantity, 0) * 100, 2) as yield_percent,
         production_date, 
         production_time,
+        status,
+        cancelled_by,
+        cancelled_at,
+        cancellation_reason,
         created_at,
         updated_at
       FROM production_data 
@@ -920,4 +1911,5 @@ module.exports = {
   pool,
   db,
   initializeDatabase,
+  withTransaction,
 };
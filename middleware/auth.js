@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
+const SessionService = require('../services/sessionService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 
-// Authentication middleware
+// Authentication middleware. The token's session must still be live, so
+// logging out or revoking a user's sessions takes effect immediately.
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -11,10 +13,23 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Access token expired' });
+      }
       return res.status(403).json({ message: 'Invalid or expired token' });
     }
+
+    try {
+      if (!user.sid || !(await SessionService.isActive(user.sid, user.id))) {
+        return res.status(401).json({ message: 'Session has ended. Please log in again.' });
+      }
+    } catch (error) {
+      console.error('Session check error:', error);
+      return res.status(500).json({ message: 'Internal server error' });
+    }
+
     req.user = user;
     next();
   });
@@ -0,0 +1,343 @@
+const { authenticateToken } = require("./auth");
+const PermissionService = require("../services/permissionService");
+
+// What each route requires, by mount path and then "METHOD /path" exactly as
+// the route is declared in its router: a permission from
+// services/permissionService.js, PUBLIC or AUTHENTICATED. A route missing
+// from this map is refused (fail closed) and reported at startup.
+const PUBLIC = "public"; // no token needed
+const AUTHENTICATED = "authenticated"; // any signed-in user
+
+const ROUTE_PERMISSIONS = {
+  "/api/auth": {
+    "GET /verify-employee": PUBLIC,
+    "POST /register": PUBLIC,
+    "POST /login": PUBLIC,
+    "POST /login/2fa": PUBLIC,
+    "POST /refresh": PUBLIC,
+    "GET /2fa": AUTHENTICATED,
+    "POST /2fa/setup": AUTHENTICATED,
+    "POST /2fa/enable": AUTHENTICATED,
+    "POST /2fa/disable": AUTHENTICATED,
+    "POST /2fa/recovery-codes": AUTHENTICATED,
+    "POST /logout": AUTHENTICATED,
+    "POST /logout-all": AUTHENTICATED,
+    "GET /profile": AUTHENTICATED,
+    "PUT /profile": AUTHENTICATED,
+  },
+  "/api/users": {
+    "POST /send-otp": PUBLIC,
+    "POST /reset-password": PUBLIC,
+    "GET /profile": AUTHENTICATED,
+    "GET /:id/custom-price": "price.view",
+    "PUT /:id/custom-price": "price.set",
+  },
+  "/api/admin": {
+    "GET /users": "user.manage",
+    "POST /users": "user.manage",
+    "PUT /users/:id": "user.manage",
+    "DELETE /users/:id": "user.manage",
+    "PUT /users/:id/status": "user.manage",
+    "POST /users/:id/unlock": "user.manage",
+    "POST /users/:id/2fa/reset": "user.manage",
+    "GET /lockouts": "user.manage",
+    "PUT /users/:id/role": "role.manage",
+    "GET /logs": "log.view",
+    "GET /permissions": "role.manage",
+    "GET /roles": "role.manage",
+    "GET /roles/:id": "role.manage",
+    "POST /roles": "role.manage",
+    "PUT /roles/:id": "role.manage",
+    "DELETE /roles/:id": "role.manage",
+  },
+  "/api/supplier": {
+    "GET /orders": "own_orders.manage",
+    "GET /orders/:id": "own_orders.manage",
+    "POST /orders": "own_orders.manage",
+    "PUT /orders/:id": "own_orders.manage",
+    "DELETE /orders/:id": "own_orders.manage",
+    "GET /statement": "own_statement.view",
+  },
+  "/api/staff": {
+    "GET /dashboard-analytics": "dashboard.view",
+    "GET /dashboard-stats": "dashboard.view",
+    "GET /orders": "order.view",
+    "PUT /orders/:id/status": "order.manage",
+    "GET /orders/:id": "order.view",
+    "PUT /orders/:id/payment": "order.manage",
+    "GET /suppliers": "supplier.view",
+    "GET /suppliers/:id": "supplier.view",
+    "GET /suppliers/:id/balance": "supplier.view",
+    "GET /suppliers/:id/advances": "advance.view",
+    "POST /suppliers/:id/advances": "advance.issue",
+    "GET /advances/:id": "advance.view",
+    "GET /suppliers/debug/stats": "system.debug",
+    "POST /suppliers/debug/reset-ids": "system.debug",
+    "POST /suppliers": "supplier.manage",
+    "PUT /suppliers/:id": "supplier.manage",
+    "GET /supply-records": "supply.view",
+    "POST /supply-records": "supply.create",
+    "GET /supply-records/:id": "supply.view",
+    "GET /supply-records/:id/where-used": "supply.view",
+    "PUT /supply-records/:id": "supply.edit",
+    "PUT /supply-records/:id/payment": "supply.edit",
+    "PUT /supply-records/:id/mark-paid": "supply.edit",
+    "GET /pricing/resolve": "price.view",
+    "PUT /supply-records/:id/quality": "supply.quality",
+    "GET /stock-adjustments": "stock.view",
+    "POST /stock-adjustments": "stock.adjust",
+  },
+  "/api/manager": {
+    "GET /inventory": "inventory.view",
+    "GET /inventory/stats": "inventory.view",
+    "GET /inventory/analytics": "inventory.view",
+    "GET /inventory/report": "inventory.view",
+    "GET /inventory/:id": "inventory.view",
+    "POST /inventory": "inventory.manage",
+    "PUT /inventory/:id": "inventory.manage",
+    "GET /suppliers": "supplier.view",
+    "GET /users": "user.view",
+    "GET /inventory/test-update-price": "system.debug",
+    "GET /production": "production.view",
+    "POST /production": "production.manage",
+    "GET /production/analytics/grades": "production.view",
+    "GET /production/yield-trend": "production.view",
+    "PUT /production/:id/output-lines": "production.manage",
+    "GET /production/:id/trace": "production.view",
+    "POST /production/:id/cancel": "production.manage",
+    "GET /production-test": "system.debug",
+    "GET /stock/ledger": "stock.view",
+    "GET /stock/reconciliation": "stock.view",
+    "POST /stock/reconciliation": "stock.reconcile",
+    "GET /stock-adjustments": "stock.view",
+    "PUT /stock-adjustments/:id/approve": "stock.approve",
+    "PUT /stock-adjustments/:id/reject": "stock.approve",
+    "GET /leaf-quality-rules": "quality_rule.view",
+    "POST /leaf-quality-rules": "quality_rule.manage",
+    "PUT /leaf-quality-rules/:id": "quality_rule.manage",
+    "DELETE /leaf-quality-rules/:id": "quality_rule.manage",
+    "GET /pricing/price-lists": "price.view",
+    "GET /pricing/price-lists/:id": "price.view",
+    "POST /pricing/price-lists": "price.set",
+    "PUT /pricing/price-lists/:id": "price.set",
+    "DELETE /pricing/price-lists/:id": "price.set",
+    "GET /pricing/resolve": "price.view",
+    "GET /pricing/supplier-groups": "price.view",
+    "POST /pricing/supplier-groups": "price.set",
+    "PUT /pricing/supplier-groups/:id": "price.set",
+    "PUT /pricing/suppliers/:supplierId/group": "price.set",
+    "GET /settlements": "settlement.view",
+    "GET /settlements/:id": "settlement.view",
+    "POST /settlements/generate": "settlement.manage",
+    "POST /settlements/:id/deductions": "settlement.manage",
+    "DELETE /settlements/:id/lines/:lineId": "settlement.manage",
+    "DELETE /settlements/:id": "settlement.manage",
+    "PUT /settlements/:id/approve": "settlement.approve",
+    "POST /settlements/:id/pay": "settlement.pay",
+    "GET /payout-batches/candidates": "payout.manage",
+    "GET /payout-batches": "payout.manage",
+    "GET /payout-batches/:id": "payout.manage",
+    "POST /payout-batches": "payout.manage",
+    "GET /payout-batches/:id/file": "payout.manage",
+    "POST /payout-batches/:id/response": "payout.manage",
+    "PUT /payout-batches/:id/cancel": "payout.manage",
+    "PUT /advances/:id/cancel": "advance.cancel",
+  },
+  "/api": {
+    "GET /messages/:userId": AUTHENTICATED,
+    "GET /messages/received/:userId": AUTHENTICATED,
+    "POST /messages": AUTHENTICATED,
+    "PUT /messages/:messageId/read": AUTHENTICATED,
+    "GET /suppliers": AUTHENTICATED,
+    "GET /managers": AUTHENTICATED,
+    "POST /messages/broadcast": "message.broadcast",
+  },
+  "/api/payment": {
+    // The mock gateway's checkout pages stand in for the provider's site
+    "GET /mock-gateway/checkout/:session_id": PUBLIC,
+    "POST /mock-gateway/checkout/:session_id": PUBLIC,
+    "POST /gateway": "payment.create",
+    // Gateway callbacks are checked by their signature instead
+    "POST /callback/success": PUBLIC,
+    "POST /callback/failure": PUBLIC,
+    "GET /status/:session_id": "payment.view",
+    "GET /cheques": "cheque.view",
+    "GET /cheques/uncleared": "cheque.view",
+    "GET /cheques/:id": "cheque.view",
+    "PUT /cheques/:id/status": "cheque.manage",
+    "POST /cash-book/sessions": "cash.manage",
+    "GET /cash-book/sessions": "cash.manage",
+    "GET /cash-book/sessions/:id": "cash.manage",
+    "POST /cash-book/sessions/:id/entries": "cash.manage",
+    "POST /cash-book/sessions/:id/close": "cash.manage",
+    "GET /statements/:supplier_id": "statement.view",
+    "GET /history": "payment.view",
+    "GET /statistics": "payment.view",
+    "GET /supply-record/:id": "payment.view",
+    "POST /allocate": "payment.create",
+    "GET /allocations/:payment_id": "payment.view",
+    "POST /direct": "payment.create",
+    "GET /approvals/pending": "payment.view",
+    "GET /:payment_id/approvals": "payment.view",
+    "POST /:payment_id/approve": "payment.approve",
+    "POST /:payment_id/reject": "payment.approve",
+    "POST /:payment_id/reverse": "payment.reverse",
+    "POST /:payment_id/refund": "payment.reverse",
+  },
+  "/api/settings": {
+    "GET /unit-price": AUTHENTICATED,
+    "PUT /unit-price": "price.set",
+    "GET /unit-price/history": "price.view",
+    "GET /yield-band": "settings.view",
+    "PUT /yield-band": "settings.manage",
+    "GET /payment-approval-limits": "settings.view",
+    "PUT /payment-approval-limits": "settings.manage",
+  },
+};
+
+// Load the signed-in user's role and permissions onto req.user (once per
+// request). Expects authenticateToken to have run.
+const loadAccess = async (req) => {
+  if (!req.user.permissions) {
+    const access = await PermissionService.getUserAccess(req.user.id);
+    req.user.access_role = access ? access.role : null;
+    req.user.permissions = access ? access.permissions : [];
+    req.user.two_factor_setup_required = Boolean(
+      access && access.requires_two_factor && !access.two_factor_enabled
+    );
+  }
+  return req.user.permissions;
+};
+
+// Middleware that lets the request through only if the signed-in user's role
+// grants `permission`; use after authenticateToken. A role that requires 2FA
+// grants nothing until the user has set it up.
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const permissions = await loadAccess(req);
+    if (req.user.two_factor_setup_required) {
+      return res.status(403).json({
+        message:
+          "Your role requires two-factor authentication. Set it up to continue.",
+        two_factor_setup_required: true,
+      });
+    }
+    if (!permissions.includes(permission)) {
+      return res
+        .status(403)
+        .json({ message: `Permission "${permission}" required` });
+    }
+    next();
+  } catch (error) {
+    console.error("Permission check error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// The static path a sub-router is mounted on, recovered from the pattern
+// Express compiles for `router.use("/path", subRouter)`
+const mountPathOf = (layer) =>
+  layer.regexp.source
+    .replace(/^\^/, "")
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, "")
+    .replace(/\\\//g, "/");
+
+// Every route a router declares, with sub-routers flattened, as
+// { method, path } using the paths the routes were declared with
+const listRoutes = (router, prefix = "") => {
+  const routes = [];
+  for (const layer of router.stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          method: method.toUpperCase(),
+          path: prefix + layer.route.path,
+        });
+      }
+    } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+      routes.push(...listRoutes(layer.handle, prefix + mountPathOf(layer)));
+    }
+  }
+  return routes;
+};
+
+// The declared path of the router's route that will handle a request, or
+// null when the request is for none of this router's routes
+const matchRoute = (router, method, path, prefix = "") => {
+  const verb = (method === "HEAD" ? "GET" : method).toLowerCase();
+  for (const layer of router.stack) {
+    if (layer.route) {
+      const { methods } = layer.route;
+      if ((methods[verb] || methods._all) && layer.regexp.test(path)) {
+        return prefix + layer.route.path;
+      }
+    } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+      const matched = layer.regexp.exec(path);
+      if (matched) {
+        const route = matchRoute(
+          layer.handle,
+          method,
+          path.slice(matched[0].length) || "/",
+          prefix + mountPathOf(layer)
+        );
+        if (route) return route;
+      }
+    }
+  }
+  return null;
+};
+
+// Guard a router at the path it is mounted on: requests for its routes are
+// checked against ROUTE_PERMISSIONS before the router sees them. Use as
+// app.use(path, ...protectRouter(path, router)).
+const protectRouter = (mountPath, router) => {
+  const rules = ROUTE_PERMISSIONS[mountPath] || {};
+
+  const guard = (req, res, next) => {
+    const route = matchRoute(router, req.method, req.path);
+    if (!route) return next();
+
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    const rule = rules[`${method} ${route}`];
+    if (rule === undefined) {
+      return res
+        .status(403)
+        .json({ message: "No access has been granted to this route" });
+    }
+    if (rule === PUBLIC) return next();
+
+    authenticateToken(req, res, () => {
+      if (rule === AUTHENTICATED) return next();
+      requirePermission(rule)(req, res, next);
+    });
+  };
+
+  return [guard, router];
+};
+
+// Startup check over the mounted routers: routes open to anyone and routes
+// with no declared permission (which are refused until one is added)
+const checkRoutePermissions = (mounts) => {
+  const publicRoutes = [];
+  const undeclaredRoutes = [];
+  for (const [mountPath, router] of mounts) {
+    const rules = ROUTE_PERMISSIONS[mountPath] || {};
+    for (const { method, path } of listRoutes(router)) {
+      const rule = rules[`${method} ${path}`];
+      const route = `${method} ${mountPath}${path}`;
+      if (rule === undefined) undeclaredRoutes.push(route);
+      else if (rule === PUBLIC) publicRoutes.push(route);
+    }
+  }
+  return { publicRoutes, undeclaredRoutes };
+};
+
+module.exports = {
+  ROUTE_PERMISSIONS,
+  PUBLIC,
+  AUTHENTICATED,
+  requirePermission,
+  protectRouter,
+  checkRoutePermissions,
+  listRoutes,
+};
@@ -0,0 +1,138 @@
+const { pool } = require("../database");
+
+const ADVANCE_TYPES = ["cash_advance", "fertilizer_credit", "loan"];
+const REPAYMENT_RULES = ["fixed_installment", "percent_of_settlement"];
+
+class AdvanceModel {
+  // Find a supplier's advances, newest first; ?status narrows the list
+  static async findBySupplier(supplierId, filters = {}) {
+    try {
+      let query = `
+        SELECT sa.*, creator.name as created_by_name
+        FROM supplier_advances sa
+        LEFT JOIN users creator ON sa.created_by = creator.id
+        WHERE sa.supplier_id = ?
+      `;
+      const values = [supplierId];
+
+      if (filters.status) {
+        query += " AND sa.status = ?";
+        values.push(filters.status);
+      }
+
+      query += " ORDER BY sa.issue_date DESC, sa.id DESC";
+
+      const [rows] = await pool.execute(query, values);
+      return rows;
+    } catch (error) {
+      console.error("Error finding supplier advances:", error);
+      throw error;
+    }
+  }
+
+  // Find an advance with its recovery history
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        `
+        SELECT sa.*, u.name as supplier_name, creator.name as created_by_name
+        FROM supplier_advances sa
+        LEFT JOIN users u ON sa.supplier_id = u.id
+        LEFT JOIN users creator ON sa.created_by = creator.id
+        WHERE sa.id = ?
+      `,
+        [id]
+      );
+      if (rows.length === 0) return null;
+
+      const [recoveries] = await pool.execute(
+        `
+        SELECT ar.*, s.settlement_no, p.payment_id as payment_ref
+        FROM advance_recoveries ar
+        LEFT JOIN settlements s ON ar.settlement_id = s.id
+        LEFT JOIN payments p ON ar.payment_id = p.id
+        WHERE ar.advance_id = ?
+        ORDER BY ar.created_at ASC, ar.id ASC
+      `,
+        [id]
+      );
+
+      return { ...rows[0], recoveries };
+    } catch (error) {
+      console.error("Error finding advance by ID:", error);
+      throw error;
+    }
+  }
+
+  // What the factory owes the supplier (unpaid supply) against what the
+  // supplier owes the factory (outstanding advances)
+  static async getSupplierBalance(supplierId) {
+    try {
+      const [suppliers] = await pool.execute(
+        "SELECT id, supplier_id, name FROM users WHERE id = ? AND role = 'supplier'",
+        [supplierId]
+      );
+      if (suppliers.length === 0) return null;
+
+      const [advanceTotals] = await pool.execute(
+        `
+        SELECT
+          COUNT(*) as active_count,
+          COALESCE(SUM(principal_amount), 0) as principal,
+          COALESCE(SUM(outstanding_amount), 0) as outstanding
+        FROM supplier_advances
+        WHERE supplier_id = ? AND status = 'active'
+      `,
+        [supplierId]
+      );
+
+      const [recovered] = await pool.execute(
+        `
+        SELECT COALESCE(SUM(ar.amount), 0) as total
+        FROM advance_recoveries ar
+        JOIN supplier_advances sa ON ar.advance_id = sa.id
+        WHERE sa.supplier_id = ?
+      `,
+        [supplierId]
+      );
+
+      const [unpaid] = await pool.execute(
+        `
+        SELECT COUNT(*) as record_count, COALESCE(SUM(outstanding_amount), 0) as amount
+        FROM supply_records
+        WHERE supplier_id = ? AND payment_status <> 'paid'
+      `,
+        [supplierId]
+      );
+
+      const outstanding = parseFloat(advanceTotals[0].outstanding);
+      const unpaidAmount = parseFloat(unpaid[0].amount);
+
+      return {
+        supplier: suppliers[0],
+        advances: {
+          active_count: advanceTotals[0].active_count,
+          principal: parseFloat(advanceTotals[0].principal),
+          outstanding,
+          recovered_to_date: parseFloat(recovered[0].total),
+        },
+        unpaid_supply: {
+          record_count: unpaid[0].record_count,
+          amount: unpaidAmount,
+        },
+        net_balance: Math.round((unpaidAmount - outstanding) * 100) / 100,
+        active_advances: await this.findBySupplier(supplierId, {
+          status: "active",
+        }),
+      };
+    } catch (error) {
+      console.error("Error computing supplier balance:", error);
+      throw error;
+    }
+  }
+}
+
+AdvanceModel.ADVANCE_TYPES = ADVANCE_TYPES;
+AdvanceModel.REPAYMENT_RULES = REPAYMENT_RULES;
+
+module.exports = AdvanceModel;
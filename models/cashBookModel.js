@@ -0,0 +1,81 @@
+const { pool } = require("../database");
+
+const SESSION_SELECT = `
+  SELECT
+    cs.*,
+    staff.name as staff_name,
+    opener.name as opened_by_name,
+    closer.name as closed_by_name,
+    COALESCE((
+      SELECT SUM(cbe.amount) FROM cash_book_entries cbe WHERE cbe.session_id = cs.id
+    ), 0) as cash_balance
+  FROM cash_sessions cs
+  LEFT JOIN users staff ON cs.staff_id = staff.id
+  LEFT JOIN users opener ON cs.opened_by = opener.id
+  LEFT JOIN users closer ON cs.closed_by = closer.id
+`;
+
+class CashBookModel {
+  // Find cash book sessions, newest day first, filtered by day, status,
+  // staff member and collection point
+  static async findSessions(filters = {}) {
+    try {
+      let query = `${SESSION_SELECT} WHERE 1=1`;
+      const values = [];
+
+      if (filters.business_date) {
+        query += " AND cs.business_date = ?";
+        values.push(filters.business_date);
+      }
+      if (filters.status) {
+        query += " AND cs.status = ?";
+        values.push(filters.status);
+      }
+      if (filters.staff_id) {
+        query += " AND cs.staff_id = ?";
+        values.push(filters.staff_id);
+      }
+      if (filters.collection_point) {
+        query += " AND cs.collection_point = ?";
+        values.push(filters.collection_point);
+      }
+
+      query += " ORDER BY cs.business_date DESC, cs.id DESC";
+
+      const [rows] = await pool.execute(query, values);
+      return rows;
+    } catch (error) {
+      console.error("Error finding cash book sessions:", error);
+      throw error;
+    }
+  }
+
+  // Find a session with its entries in the order they were made
+  static async findSessionById(id) {
+    try {
+      const [rows] = await pool.execute(`${SESSION_SELECT} WHERE cs.id = ?`, [
+        id,
+      ]);
+      if (rows.length === 0) return null;
+
+      const [entries] = await pool.execute(
+        `
+        SELECT cbe.*, p.payment_id as payment_reference, u.name as created_by_name
+        FROM cash_book_entries cbe
+        LEFT JOIN payments p ON cbe.payment_id = p.id
+        LEFT JOIN users u ON cbe.created_by = u.id
+        WHERE cbe.session_id = ?
+        ORDER BY cbe.created_at ASC, cbe.id ASC
+      `,
+        [id]
+      );
+
+      return { ...rows[0], entries };
+    } catch (error) {
+      console.error("Error finding cash book session by ID:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CashBookModel;
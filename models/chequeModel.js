@@ -0,0 +1,190 @@
+const { pool } = require("../database");
+const ServiceError = require("../services/serviceError");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CHEQUE_NO_PATTERN = /^[0-9A-Za-z-]{1,30}$/;
+
+const CHEQUE_SELECT = `
+  SELECT
+    c.*,
+    u.name as supplier_name,
+    u.supplier_id as supplier_code,
+    creator.name as created_by_name
+  FROM cheques c
+  LEFT JOIN users u ON c.supplier_id = u.id
+  LEFT JOIN users creator ON c.created_by = creator.id
+`;
+
+class ChequeModel {
+  // Enter a cheque written to a supplier in the register, inside the caller's
+  // transaction; `details` comes from the request (cheque_no, bank_name,
+  // bank_branch, cheque_date). Returns the cheque's id.
+  static async issueCheque(
+    details,
+    { amount, supplier_id, created_by = null },
+    connection = pool
+  ) {
+    const chequeNo = String(details?.cheque_no || "").trim();
+    const bankName = String(details?.bank_name || "").trim();
+    const chequeDate = details?.cheque_date;
+
+    if (!CHEQUE_NO_PATTERN.test(chequeNo)) {
+      throw new ServiceError(
+        "A cheque number (letters, digits and dashes) is required for cheque payments",
+        400
+      );
+    }
+    if (!bankName) {
+      throw new ServiceError(
+        "The bank the cheque is drawn on is required",
+        400
+      );
+    }
+    if (!DATE_PATTERN.test(chequeDate || "")) {
+      throw new ServiceError("Cheque date is required (YYYY-MM-DD)", 400);
+    }
+    if (!(amount > 0)) {
+      throw new ServiceError("A cheque must be for a positive amount", 400);
+    }
+
+    try {
+      const [result] = await connection.execute(
+        `
+        INSERT INTO cheques (
+          cheque_no, bank_name, bank_branch, cheque_date, amount, supplier_id, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          chequeNo,
+          bankName,
+          details.bank_branch || null,
+          chequeDate,
+          amount,
+          supplier_id,
+          created_by,
+        ]
+      );
+      await connection.execute(
+        "INSERT INTO cheque_events (cheque_id, to_status, changed_by) VALUES (?, 'issued', ?)",
+        [result.insertId, created_by]
+      );
+      return result.insertId;
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") {
+        throw new ServiceError(
+          `Cheque ${chequeNo} on ${bankName} is already in the register`,
+          409
+        );
+      }
+      throw error;
+    }
+  }
+
+  // Find cheques, newest first, filtered by status, supplier and bank
+  static async findAll(filters = {}) {
+    try {
+      let query = `${CHEQUE_SELECT} WHERE 1=1`;
+      const values = [];
+
+      if (filters.status) {
+        query += " AND c.status = ?";
+        values.push(filters.status);
+      }
+      if (filters.supplier_id) {
+        query += " AND c.supplier_id = ?";
+        values.push(filters.supplier_id);
+      }
+      if (filters.bank_name) {
+        query += " AND c.bank_name = ?";
+        values.push(filters.bank_name);
+      }
+      if (filters.cheque_no) {
+        query += " AND c.cheque_no = ?";
+        values.push(filters.cheque_no);
+      }
+
+      query += " ORDER BY c.cheque_date DESC, c.id DESC";
+
+      const [rows] = await pool.execute(query, values);
+      return rows;
+    } catch (error) {
+      console.error("Error finding cheques:", error);
+      throw error;
+    }
+  }
+
+  // Cheques written but not yet cleared, oldest first, for reconciling
+  // against the bank statement
+  static async findUncleared(filters = {}) {
+    try {
+      let query = `
+        SELECT c.*, u.name as supplier_name, u.supplier_id as supplier_code,
+               DATEDIFF(CURDATE(), c.cheque_date) as days_outstanding
+        FROM cheques c
+        LEFT JOIN users u ON c.supplier_id = u.id
+        WHERE c.status IN ('issued', 'presented')
+      `;
+      const values = [];
+
+      if (filters.bank_name) {
+        query += " AND c.bank_name = ?";
+        values.push(filters.bank_name);
+      }
+      if (filters.as_of) {
+        query += " AND c.cheque_date <= ?";
+        values.push(filters.as_of);
+      }
+
+      query += " ORDER BY c.cheque_date ASC, c.id ASC";
+
+      const [rows] = await pool.execute(query, values);
+      const total = rows.reduce((sum, row) => sum + parseFloat(row.amount), 0);
+      return {
+        cheques: rows,
+        count: rows.length,
+        total_amount: Math.round(total * 100) / 100,
+      };
+    } catch (error) {
+      console.error("Error finding uncleared cheques:", error);
+      throw error;
+    }
+  }
+
+  // Find a cheque with the payments it made and its status history
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(`${CHEQUE_SELECT} WHERE c.id = ?`, [
+        id,
+      ]);
+      if (rows.length === 0) return null;
+
+      const [payments] = await pool.execute(
+        `
+        SELECT p.id, p.payment_id, p.supply_record_id, p.amount, p.payment_status,
+               p.entry_type, p.settlement_id, p.payment_date
+        FROM payments p
+        WHERE p.cheque_id = ?
+        ORDER BY p.id ASC
+      `,
+        [id]
+      );
+      const [events] = await pool.execute(
+        `
+        SELECT ce.*, u.name as changed_by_name
+        FROM cheque_events ce
+        LEFT JOIN users u ON ce.changed_by = u.id
+        WHERE ce.cheque_id = ?
+        ORDER BY ce.created_at ASC, ce.id ASC
+      `,
+        [id]
+      );
+
+      return { ...rows[0], payments, events };
+    } catch (error) {
+      console.error("Error finding cheque by ID:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ChequeModel;
@@ -1,4 +1,6 @@
-const { db } = require("../database");
+const { db, withTransaction } = require("../database");
+const ServiceError = require("../services/serviceError");
+const { roundKg } = require("../services/serviceHelpers");
 
 class InventoryModel {
   static async create({ inventoryid, quantity }) {
@@ -22,42 +24,58 @@ class InventoryModel {
     return rows[0] || null;
   }
 
+  // Rename an inventory lot. Its quantity only changes through a stock
+  // adjustment request and its approval, which keep the journal and lot
+  // genealogy in step; a quantity given here must match the lot's.
   static async updateById(id, { inventoryid, quantity }) {
-    const fields = [];
-    const values = [];
+    await withTransaction(async (connection) => {
+      const [existing] = await connection.execute(
+        "SELECT id, quantity FROM inventory WHERE id = ? FOR UPDATE",
+        [id]
+      );
 
-    if (quantity !== undefined) {
-      fields.push("quantity = ?");
-      values.push(quantity);
-    }
-
-    if (inventoryid !== undefined) {
-      fields.push("inventoryid = ?");
-      values.push(inventoryid);
-    }
-
-    if (fields.length === 0) {
-      throw new Error("No fields to update");
-    }
+      if (existing.length === 0) {
+        throw new ServiceError("Inventory not found", 404);
+      }
 
-    values.push(id); // Add id for WHERE clause
+      if (
+        quantity !== undefined &&
+        roundKg(parseFloat(quantity)) !==
+          roundKg(parseFloat(existing[0].quantity))
+      ) {
+        throw new ServiceError(
+          "Inventory quantities can only be changed through a stock adjustment request",
+          409
+        );
+      }
 
-    const result = await db.query(
-      `UPDATE inventory SET ${fields.join(", ")} WHERE id = ?`,
-      values
-    );
-
-    if (result.affectedRows === 0) {
-      throw new Error("Inventory not found");
-    }
+      if (inventoryid !== undefined) {
+        await connection.execute(
+          "UPDATE inventory SET inventoryid = ? WHERE id = ?",
+          [inventoryid, id]
+        );
+      }
+    });
 
     // Return the updated record
     return await this.findById(id);
   }
 
+  // A lot that supply was allocated to or production consumed is kept for
+  // its genealogy
   static async deleteById(id) {
-    const result = await db.query("DELETE FROM inventory WHERE id = ?", [id]);
-    return result.affectedRows > 0;
+    try {
+      const result = await db.query("DELETE FROM inventory WHERE id = ?", [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      if (error.code === "ER_ROW_IS_REFERENCED_2") {
+        throw new ServiceError(
+          "Inventory lot is part of the lot genealogy and cannot be deleted",
+          409
+        );
+      }
+      throw error;
+    }
   }
 }
 
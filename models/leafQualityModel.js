@@ -0,0 +1,158 @@
+const { pool } = require("../database");
+
+const RULE_TYPES = [
+  "moisture_deduction",
+  "coarse_leaf_deduction",
+  "fine_leaf_bonus",
+];
+
+class LeafQualityModel {
+  // Find deduction rules, optionally only the active ones or one rule type
+  static async findRules(filters = {}) {
+    try {
+      let query = `
+        SELECT r.*, u.name as created_by_name
+        FROM leaf_quality_rules r
+        LEFT JOIN users u ON r.created_by = u.id
+        WHERE 1=1
+      `;
+
+      const values = [];
+      if (filters.active) {
+        query += " AND r.is_active = 1";
+      }
+      if (filters.rule_type) {
+        query += " AND r.rule_type = ?";
+        values.push(filters.rule_type);
+      }
+
+      query += " ORDER BY r.rule_type ASC, r.min_value ASC, r.id ASC";
+
+      const [rows] = await pool.execute(query, values);
+      return rows;
+    } catch (error) {
+      console.error("Error finding leaf quality rules:", error);
+      throw error;
+    }
+  }
+
+  static async findRuleById(id) {
+    try {
+      const [rows] = await pool.execute(
+        "SELECT * FROM leaf_quality_rules WHERE id = ?",
+        [id]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error("Error finding leaf quality rule by ID:", error);
+      throw error;
+    }
+  }
+
+  static async createRule(data) {
+    try {
+      const {
+        rule_type,
+        min_value,
+        max_value = null,
+        adjustment,
+        description = null,
+        is_active = true,
+        created_by = null,
+      } = data;
+
+      const [result] = await pool.execute(
+        `
+        INSERT INTO leaf_quality_rules (
+          rule_type, min_value, max_value, adjustment, description, is_active, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          rule_type,
+          min_value,
+          max_value,
+          adjustment,
+          description,
+          is_active ? 1 : 0,
+          created_by,
+        ]
+      );
+
+      return await this.findRuleById(result.insertId);
+    } catch (error) {
+      console.error("Error creating leaf quality rule:", error);
+      throw error;
+    }
+  }
+
+  static async updateRule(id, data) {
+    try {
+      const fields = [];
+      const values = [];
+
+      [
+        "rule_type",
+        "min_value",
+        "max_value",
+        "adjustment",
+        "description",
+        "is_active",
+      ].forEach((key) => {
+        if (data[key] !== undefined) {
+          fields.push(`${key} = ?`);
+          values.push(key === "is_active" ? (data[key] ? 1 : 0) : data[key]);
+        }
+      });
+
+      if (fields.length > 0) {
+        values.push(id);
+        await pool.execute(
+          `UPDATE leaf_quality_rules SET ${fields.join(", ")} WHERE id = ?`,
+          values
+        );
+      }
+
+      return await this.findRuleById(id);
+    } catch (error) {
+      console.error("Error updating leaf quality rule:", error);
+      throw error;
+    }
+  }
+
+  // Assessments keep a snapshot of the rules they applied, so a rule can be
+  // deleted without changing past payables
+  static async deleteRule(id) {
+    try {
+      const [result] = await pool.execute(
+        "DELETE FROM leaf_quality_rules WHERE id = ?",
+        [id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error("Error deleting leaf quality rule:", error);
+      throw error;
+    }
+  }
+
+  static async findAssessmentBySupplyRecord(supplyRecordId) {
+    try {
+      const [rows] = await pool.execute(
+        `
+        SELECT lqa.*, u.name as assessed_by_name
+        FROM leaf_quality_assessments lqa
+        LEFT JOIN users u ON lqa.assessed_by = u.id
+        WHERE lqa.supply_record_id = ?
+      `,
+        [supplyRecordId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error("Error finding leaf quality assessment:", error);
+      throw error;
+    }
+  }
+}
+
+LeafQualityModel.RULE_TYPES = RULE_TYPES;
+
+module.exports = LeafQualityModel;
@@ -1,8 +1,9 @@
 const { pool } = require("../database");
 
 class PaymentModel {
-  // Create a new payment record
-  static async createPayment(paymentData) {
+  // Create a new payment record; pass a transaction connection to create it
+  // as part of a larger unit of work
+  static async createPayment(paymentData, connection = pool) {
     try {
       const {
         payment_id,
@@ -15,17 +16,21 @@ class PaymentModel {
         gateway_session_id = null,
         gateway_payment_id = null,
         payment_status = "pending",
+        payment_date = null,
         payment_notes = null,
         gateway_response = null,
         created_by = null,
+        cheque_id = null,
+        payment_request = null,
       } = paymentData;
 
       const query = `
         INSERT INTO payments (
           payment_id, supply_record_id, supplier_id, amount, currency,
           payment_method, payment_gateway, gateway_session_id, gateway_payment_id,
-          payment_status, payment_notes, gateway_response, created_by
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          payment_status, payment_date, payment_notes, gateway_response, created_by,
+          cheque_id, payment_request
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       const values = [
@@ -39,15 +44,18 @@ class PaymentModel {
         gateway_session_id,
         gateway_payment_id,
         payment_status,
+        payment_date,
         payment_notes,
         gateway_response ? JSON.stringify(gateway_response) : null,
         created_by,
+        cheque_id,
+        payment_request ? JSON.stringify(payment_request) : null,
       ];
 
-      const [result] = await pool.execute(query, values);
+      const [result] = await connection.execute(query, values);
 
       // Return the created payment
-      return await this.findPaymentById(result.insertId);
+      return await this.findPaymentById(result.insertId, connection);
     } catch (error) {
       console.error("Error creating payment:", error);
       throw error;
@@ -55,7 +63,7 @@ class PaymentModel {
   }
 
   // Find payment by ID
-  static async findPaymentById(paymentId) {
+  static async findPaymentById(paymentId, connection = pool) {
     try {
       const query = `
         SELECT 
@@ -74,7 +82,7 @@ class PaymentModel {
         WHERE p.id = ?
       `;
 
-      const [rows] = await pool.execute(query, [paymentId]);
+      const [rows] = await connection.execute(query, [paymentId]);
       return rows[0] || null;
     } catch (error) {
       console.error("Error finding payment by ID:", error);
@@ -110,12 +118,28 @@ class PaymentModel {
     }
   }
 
-  // Find payments by supply record ID
+  // Find the payment opened for a gateway checkout session
+  static async findPaymentBySessionId(sessionId) {
+    try {
+      const [rows] = await pool.execute(
+        "SELECT * FROM payments WHERE gateway_session_id = ? ORDER BY id DESC LIMIT 1",
+        [sessionId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error("Error finding payment by session ID:", error);
+      throw error;
+    }
+  }
+
+  // Find payments by supply record ID, including lump-sum payments with an
+  // allocation to the record (allocated_amount is the part applied to it)
   static async findPaymentsBySupplyRecord(supplyRecordId) {
     try {
       const query = `
         SELECT 
           p.*,
+          COALESCE(pa.amount, p.amount) as allocated_amount,
           sr.supply_id,
           sr.quantity_kg,
           sr.unit_price,
@@ -124,14 +148,20 @@ class PaymentModel {
           u.email as supplier_email,
           creator.name as created_by_name
         FROM payments p
-        LEFT JOIN supply_records sr ON p.supply_record_id = sr.id
+        LEFT JOIN payment_allocations pa
+          ON pa.payment_id = p.id AND pa.supply_record_id = ?
+        LEFT JOIN supply_records sr
+          ON COALESCE(p.supply_record_id, pa.supply_record_id) = sr.id
         LEFT JOIN users u ON p.supplier_id = u.id
         LEFT JOIN users creator ON p.created_by = creator.id
-        WHERE p.supply_record_id = ?
+        WHERE p.supply_record_id = ? OR pa.id IS NOT NULL
         ORDER BY p.created_at DESC
       `;
 
-      const [rows] = await pool.execute(query, [supplyRecordId]);
+      const [rows] = await pool.execute(query, [
+        supplyRecordId,
+        supplyRecordId,
+      ]);
 
       // mark payment rows' source
       rows.forEach((r) => {
@@ -204,7 +234,7 @@ class PaymentModel {
           NULL as payment_id,
           sr.id as supply_record_id,
           sr.supplier_id,
-          sr.total_payment as amount,
+          COALESCE(sr.outstanding_amount, sr.total_payment) as amount,
           'LKR' as currency,
           sr.payment_method,
           NULL as payment_gateway,
@@ -406,7 +436,7 @@ class PaymentModel {
         SELECT
           COUNT(*) as sr_total,
           SUM(CASE WHEN sr.payment_status = 'paid' THEN sr.total_payment ELSE 0 END) as sr_completed_amount,
-          SUM(CASE WHEN sr.payment_status != 'paid' THEN sr.total_payment ELSE 0 END) as sr_pending_amount,
+          SUM(CASE WHEN sr.payment_status != 'paid' THEN COALESCE(sr.outstanding_amount, sr.total_payment) ELSE 0 END) as sr_pending_amount,
           COUNT(CASE WHEN sr.payment_status = 'paid' THEN 1 END) as sr_completed_count,
           COUNT(CASE WHEN sr.payment_status != 'paid' THEN 1 END) as sr_pending_count
         FROM supply_records sr
@@ -490,6 +520,90 @@ class PaymentModel {
     }
   }
 
+  // Allocations of a payment across supply records
+  static async findAllocations(paymentId) {
+    try {
+      const [rows] = await pool.execute(
+        `
+        SELECT
+          pa.*,
+          sr.supply_id,
+          sr.supply_date,
+          sr.total_payment,
+          sr.outstanding_amount,
+          sr.payment_status as supply_payment_status
+        FROM payment_allocations pa
+        JOIN supply_records sr ON pa.supply_record_id = sr.id
+        WHERE pa.payment_id = ?
+        ORDER BY sr.supply_date ASC, pa.id ASC
+      `,
+        [paymentId]
+      );
+      return rows;
+    } catch (error) {
+      console.error("Error finding payment allocations:", error);
+      throw error;
+    }
+  }
+
+  // Payments held for a second user's approval, oldest first
+  static async findPendingApprovals(filters = {}) {
+    try {
+      let query = `
+        SELECT
+          p.*,
+          sr.supply_id,
+          u.name as supplier_name,
+          u.supplier_id as supplier_code,
+          creator.name as created_by_name,
+          creator.role as created_by_role
+        FROM payments p
+        LEFT JOIN supply_records sr ON p.supply_record_id = sr.id
+        LEFT JOIN users u ON p.supplier_id = u.id
+        LEFT JOIN users creator ON p.created_by = creator.id
+        WHERE p.payment_status = 'pending_approval'
+      `;
+      const values = [];
+
+      if (filters.supplier_id) {
+        query += " AND p.supplier_id = ?";
+        values.push(filters.supplier_id);
+      }
+      if (filters.created_by) {
+        query += " AND p.created_by = ?";
+        values.push(filters.created_by);
+      }
+
+      query += " ORDER BY p.created_at ASC, p.id ASC";
+
+      const [rows] = await pool.execute(query, values);
+      return rows;
+    } catch (error) {
+      console.error("Error finding payments pending approval:", error);
+      throw error;
+    }
+  }
+
+  // Approvals and rejections recorded against a payment
+  static async findApprovals(paymentId) {
+    try {
+      const [rows] = await pool.execute(
+        `
+        SELECT pa.*, u.name as decided_by_name
+        FROM payment_approvals pa
+        JOIN users u ON pa.decided_by = u.id
+        WHERE pa.payment_id = ?
+        ORDER BY pa.decided_at ASC, pa.id ASC
+      `,
+        [paymentId]
+      );
+      return rows;
+    } catch (error) {
+      console.error("Error finding payment approvals:", error);
+      throw error;
+    }
+  }
+
   // Generate unique payment ID
   static generatePaymentId() {
     const timestamp = Date.now();
@@ -0,0 +1,75 @@
+const { pool } = require("../database");
+
+const BATCH_SELECT = `
+  SELECT
+    pb.*,
+    creator.name as created_by_name,
+    exporter.name as exported_by_name,
+    importer.name as response_imported_by_name
+  FROM payout_batches pb
+  LEFT JOIN users creator ON pb.created_by = creator.id
+  LEFT JOIN users exporter ON pb.exported_by = exporter.id
+  LEFT JOIN users importer ON pb.response_imported_by = importer.id
+`;
+
+class PayoutBatchModel {
+  // Find payout batches, newest first, optionally by status
+  static async findAll(filters = {}) {
+    try {
+      let query = `${BATCH_SELECT} WHERE 1=1`;
+      const values = [];
+
+      if (filters.status) {
+        query += " AND pb.status = ?";
+        values.push(filters.status);
+      }
+
+      query += " ORDER BY pb.created_at DESC";
+
+      const [rows] = await pool.execute(query, values);
+      return rows;
+    } catch (error) {
+      console.error("Error finding payout batches:", error);
+      throw error;
+    }
+  }
+
+  // Find a batch with its items; account numbers are masked
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(`${BATCH_SELECT} WHERE pb.id = ?`, [
+        id,
+      ]);
+      if (rows.length === 0) return null;
+
+      const [items] = await pool.execute(
+        `
+        SELECT
+          pbi.*,
+          s.settlement_no,
+          s.period_month,
+          s.status as settlement_status,
+          u.name as supplier_name,
+          u.supplier_id as supplier_code
+        FROM payout_batch_items pbi
+        JOIN settlements s ON pbi.settlement_id = s.id
+        LEFT JOIN users u ON pbi.supplier_id = u.id
+        WHERE pbi.batch_id = ?
+        ORDER BY pbi.id ASC
+      `,
+        [id]
+      );
+
+      for (const item of items) {
+        item.account_number = "***" + item.account_number.slice(-4);
+      }
+
+      return { ...rows[0], items };
+    } catch (error) {
+      console.error("Error finding payout batch by ID:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PayoutBatchModel;
@@ -0,0 +1,331 @@
+const { pool, withTransaction } = require("../database");
+const ServiceError = require("../services/serviceError");
+
+class PricingModel {
+  // Find price lists, newest effective date first
+  static async findPriceLists(filters = {}) {
+    try {
+      let query = `
+        SELECT pl.*, u.name as created_by_name
+        FROM price_lists pl
+        LEFT JOIN users u ON pl.created_by = u.id
+        WHERE 1=1
+      `;
+
+      const values = [];
+      if (filters.active) {
+        query += " AND pl.is_active = 1";
+      }
+      if (filters.on_date) {
+        query +=
+          " AND pl.effective_from <= ? AND (pl.effective_to IS NULL OR pl.effective_to >= ?)";
+        values.push(filters.on_date, filters.on_date);
+      }
+
+      query += " ORDER BY pl.effective_from DESC, pl.id DESC";
+
+      const [rows] = await pool.execute(query, values);
+      return rows;
+    } catch (error) {
+      console.error("Error finding price lists:", error);
+      throw error;
+    }
+  }
+
+  // Find a price list with its overrides and quality tiers
+  static async findPriceListById(id, connection = pool) {
+    try {
+      const [lists] = await connection.execute(
+        "SELECT * FROM price_lists WHERE id = ?",
+        [id]
+      );
+      if (lists.length === 0) return null;
+
+      const [overrides] = await connection.execute(
+        `
+        SELECT
+          plo.*,
+          u.name as supplier_name,
+          u.supplier_id as supplier_code,
+          sg.name as supplier_group_name
+        FROM price_list_overrides plo
+        LEFT JOIN users u ON plo.supplier_id = u.id
+        LEFT JOIN supplier_groups sg ON plo.supplier_group_id = sg.id
+        WHERE plo.price_list_id = ?
+        ORDER BY plo.scope ASC, plo.id ASC
+      `,
+        [id]
+      );
+
+      const [tiers] = await connection.execute(
+        "SELECT * FROM price_list_quality_tiers WHERE price_list_id = ? ORDER BY tier_code ASC",
+        [id]
+      );
+
+      return { ...lists[0], overrides, quality_tiers: tiers };
+    } catch (error) {
+      console.error("Error finding price list by ID:", error);
+      throw error;
+    }
+  }
+
+  // The active price list in force on `date`; the latest effective_from wins
+  // when ranges overlap
+  static async findPriceListInForce(date, connection = pool) {
+    const [rows] = await connection.execute(
+      `
+      SELECT * FROM price_lists
+      WHERE is_active = 1
+        AND effective_from <= ?
+        AND (effective_to IS NULL OR effective_to >= ?)
+      ORDER BY effective_from DESC, id DESC
+      LIMIT 1
+    `,
+      [date, date]
+    );
+    return rows[0] || null;
+  }
+
+  static async createPriceList(data) {
+    return withTransaction(async (connection) => {
+      const [result] = await connection.execute(
+        `
+        INSERT INTO price_lists (
+          name, base_price_per_kg, effective_from, effective_to, is_active, notes, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          data.name,
+          data.base_price_per_kg,
+          data.effective_from,
+          data.effective_to || null,
+          data.is_active === false ? 0 : 1,
+          data.notes || null,
+          data.created_by || null,
+        ]
+      );
+
+      await this.replaceEntries(
+        connection,
+        result.insertId,
+        data.overrides || [],
+        data.quality_tiers || []
+      );
+
+      return this.findPriceListById(result.insertId, connection);
+    });
+  }
+
+  // Update list fields; overrides and quality tiers are replaced when given
+  static async updatePriceList(id, data) {
+    return withTransaction(async (connection) => {
+      const [existing] = await connection.execute(
+        `
+        SELECT id,
+               DATE_FORMAT(effective_from, '%Y-%m-%d') as effective_from,
+               DATE_FORMAT(effective_to, '%Y-%m-%d') as effective_to
+        FROM price_lists WHERE id = ? FOR UPDATE
+      `,
+        [id]
+      );
+      if (existing.length === 0) {
+        throw new ServiceError("Price list not found", 404);
+      }
+
+      // Check the date range as it will be stored, not just the fields sent
+      const effectiveFrom =
+        data.effective_from !== undefined
+          ? data.effective_from
+          : existing[0].effective_from;
+      const effectiveTo =
+        data.effective_to !== undefined
+          ? data.effective_to || null
+          : existing[0].effective_to;
+      if (effectiveTo && effectiveTo < effectiveFrom) {
+        throw new ServiceError(
+          "Effective to cannot be before effective from",
+          400
+        );
+      }
+
+      const fields = [];
+      const values = [];
+      [
+        "name",
+        "base_price_per_kg",
+        "effective_from",
+        "effective_to",
+        "is_active",
+        "notes",
+      ].forEach((key) => {
+        if (data[key] !== undefined) {
+          fields.push(`${key} = ?`);
+          if (key === "is_active") values.push(data[key] ? 1 : 0);
+          else if (key === "effective_to") values.push(data[key] || null);
+          else values.push(data[key]);
+        }
+      });
+
+      if (fields.length > 0) {
+        values.push(id);
+        await connection.execute(
+          `UPDATE price_lists SET ${fields.join(", ")} WHERE id = ?`,
+          values
+        );
+      }
+
+      if (data.overrides !== undefined || data.quality_tiers !== undefined) {
+        await this.replaceEntries(
+          connection,
+          id,
+          data.overrides,
+          data.quality_tiers
+        );
+      }
+
+      return this.findPriceListById(id, connection);
+    });
+  }
+
+  // Replace the overrides and/or tiers of a price list (undefined = keep)
+  static async replaceEntries(connection, priceListId, overrides, tiers) {
+    if (overrides !== undefined) {
+      await connection.execute(
+        "DELETE FROM price_list_overrides WHERE price_list_id = ?",
+        [priceListId]
+      );
+      for (const override of overrides) {
+        await connection.execute(
+          `
+          INSERT INTO price_list_overrides (
+            price_list_id, scope, supplier_id, supplier_group_id, price_per_kg
+          ) VALUES (?, ?, ?, ?, ?)
+        `,
+          [
+            priceListId,
+            override.scope,
+            override.scope === "supplier" ? override.supplier_id : null,
+            override.scope === "supplier_group"
+              ? override.supplier_group_id
+              : null,
+            override.price_per_kg,
+          ]
+        );
+      }
+    }
+
+    if (tiers !== undefined) {
+      await connection.execute(
+        "DELETE FROM price_list_quality_tiers WHERE price_list_id = ?",
+        [priceListId]
+      );
+      for (const tier of tiers) {
+        await connection.execute(
+          `
+          INSERT INTO price_list_quality_tiers (
+            price_list_id, tier_code, description, price_adjustment_per_kg
+          ) VALUES (?, ?, ?, ?)
+        `,
+          [
+            priceListId,
+            tier.tier_code,
+            tier.description || null,
+            tier.price_adjustment_per_kg,
+          ]
+        );
+      }
+    }
+  }
+
+  // A price list that priced supply records is kept for audit; end it with
+  // effective_to or deactivate it instead
+  static async deletePriceList(id) {
+    return withTransaction(async (connection) => {
+      const [used] = await connection.execute(
+        "SELECT COUNT(*) as count FROM supply_records WHERE price_list_id = ?",
+        [id]
+      );
+      if (used[0].count > 0) {
+        throw new ServiceError(
+          `Price list has priced ${used[0].count} supply record(s). Set an effective-to date or deactivate it instead`,
+          409
+        );
+      }
+
+      const [result] = await connection.execute(
+        "DELETE FROM price_lists WHERE id = ?",
+        [id]
+      );
+      if (result.affectedRows === 0) {
+        throw new ServiceError("Price list not found", 404);
+      }
+    });
+  }
+
+  // Supplier groups with their member count
+  static async findSupplierGroups() {
+    try {
+      const [rows] = await pool.execute(`
+        SELECT sg.*, COUNT(u.id) as supplier_count
+        FROM supplier_groups sg
+        LEFT JOIN users u ON u.supplier_group_id = sg.id AND u.role = 'supplier'
+        GROUP BY sg.id
+        ORDER BY sg.name ASC
+      `);
+      return rows;
+    } catch (error) {
+      console.error("Error finding supplier groups:", error);
+      throw error;
+    }
+  }
+
+  static async createSupplierGroup({ name, description = null }) {
+    try {
+      const [result] = await pool.execute(
+        "INSERT INTO supplier_groups (name, description) VALUES (?, ?)",
+        [name, description]
+      );
+      const [rows] = await pool.execute(
+        "SELECT * FROM supplier_groups WHERE id = ?",
+        [result.insertId]
+      );
+      return rows[0];
+    } catch (error) {
+      console.error("Error creating supplier group:", error);
+      throw error;
+    }
+  }
+
+  static async updateSupplierGroup(id, { name, description }) {
+    try {
+      await pool.execute(
+        "UPDATE supplier_groups SET name = COALESCE(?, name), description = COALESCE(?, description) WHERE id = ?",
+        [name ?? null, description ?? null, id]
+      );
+      const [rows] = await pool.execute(
+        "SELECT * FROM supplier_groups WHERE id = ?",
+        [id]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error("Error updating supplier group:", error);
+      throw error;
+    }
+  }
+
+  // Assign a supplier to a group, or remove it with a null group id
+  static async setSupplierGroup(supplierId, groupId) {
+    try {
+      const [result] = await pool.execute(
+        "UPDATE users SET supplier_group_id = ? WHERE id = ? AND role = 'supplier'",
+        [groupId, supplierId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error("Error assigning supplier group:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PricingModel;
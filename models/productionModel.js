@@ -1,4 +1,8 @@
-const { db } = require("../database");
+const { db, pool, withTransaction } = require("../database");
+const ServiceError = require("../services/serviceError");
+
+// Typical green leaf to made tea outturn; overridable through the settings table
+const DEFAULT_YIELD_BAND = { min: 18, max: 26 };
 
 class ProductionModel {
   // Create production record
@@ -12,11 +16,30 @@ class ProductionModel {
     }
   }
 
-  // Get all production records
+  // Get all production records with their graded output lines
   static async findAll() {
     try {
       const productions = await db.getProductionData();
-      return productions || [];
+      if (!productions || productions.length === 0) return [];
+
+      const linesByProduction = await this.findOutputLines(
+        productions.map((production) => production.id)
+      );
+
+      return productions.map((production) => {
+        const outputLines = linesByProduction[production.id] || [];
+        return {
+          ...production,
+          output_lines: outputLines,
+          output_kg:
+            Math.round(
+              outputLines.reduce(
+                (sum, line) => sum + parseFloat(line.quantity_kg),
+                0
+              ) * 100
+            ) / 100,
+        };
+      });
     } catch (error) {
       console.error("ProductionModel.findAll error:", error);
       throw error;
@@ -38,6 +61,226 @@ class ProductionModel {
       }
     }
   }
+
+  // Insert output lines for a production inside the caller's transaction
+  static async insertOutputLines(connection, productionId, lines) {
+    for (const line of lines) {
+      await connection.execute(
+        "INSERT INTO production_output_lines (production_id, grade, quantity_kg, batch_notes) VALUES (?, ?, ?, ?)",
+        [productionId, line.grade, line.quantity_kg, line.batch_notes || null]
+      );
+    }
+  }
+
+  // Output lines for the given production ids, keyed by production id
+  static async findOutputLines(productionIds) {
+    try {
+      if (productionIds.length === 0) return {};
+
+      const placeholders = productionIds.map(() => "?").join(", ");
+      const [rows] = await pool.execute(
+        `
+        SELECT id, production_id, grade, quantity_kg, batch_notes, created_at
+        FROM production_output_lines
+        WHERE production_id IN (${placeholders})
+        ORDER BY production_id ASC, id ASC
+      `,
+        productionIds
+      );
+
+      const linesByProduction = {};
+      rows.forEach((row) => {
+        if (!linesByProduction[row.production_id]) {
+          linesByProduction[row.production_id] = [];
+        }
+        linesByProduction[row.production_id].push(row);
+      });
+      return linesByProduction;
+    } catch (error) {
+      console.error("ProductionModel.findOutputLines error:", error);
+      throw error;
+    }
+  }
+
+  // Replace the output lines of an active production record. Its made-tea
+  // kg is recomputed from the new lines unless a corrected figure is given.
+  static async replaceOutputLines(productionId, lines, madeTeaKg) {
+    return withTransaction(async (connection) => {
+      const [rows] = await connection.execute(
+        "SELECT id, quantity, status FROM production_data WHERE id = ? FOR UPDATE",
+        [productionId]
+      );
+
+      if (rows.length === 0) {
+        throw new ServiceError("Production record not found", 404);
+      }
+      if (rows[0].status === "cancelled") {
+        throw new ServiceError(
+          "Output lines of a cancelled production record cannot be changed",
+          409
+        );
+      }
+
+      const madeTea =
+        madeTeaKg !== undefined
+          ? madeTeaKg
+          : Math.round(
+              lines.reduce((sum, line) => sum + line.quantity_kg, 0) * 100
+            ) / 100;
+      if (madeTea > parseFloat(rows[0].quantity)) {
+        throw new ServiceError(
+          "Made tea output cannot exceed the green leaf input",
+          400
+        );
+      }
+      await connection.execute(
+        "UPDATE production_data SET made_tea_kg = ? WHERE id = ?",
+        [madeTea, productionId]
+      );
+
+      await connection.execute(
+        "DELETE FROM production_output_lines WHERE production_id = ?",
+        [productionId]
+      );
+      await this.insertOutputLines(connection, productionId, lines);
+
+      const [saved] = await connection.execute(
+        "SELECT * FROM production_output_lines WHERE production_id = ? ORDER BY id ASC",
+        [productionId]
+      );
+      return saved;
+    });
+  }
+
+  // Made-tea kg per grade per day or month, excluding cancelled productions
+  static async getGradeMix({ period = "day", date_from, date_to } = {}) {
+    try {
+      const periodFormat = period === "month" ? "%Y-%m" : "%Y-%m-%d";
+
+      let query = `
+        SELECT
+          DATE_FORMAT(pd.production_date, '${periodFormat}') as period,
+          pol.grade,
+          SUM(pol.quantity_kg) as quantity_kg,
+          COUNT(DISTINCT pd.id) as batches
+        FROM production_output_lines pol
+        JOIN production_data pd ON pol.production_id = pd.id
+        WHERE pd.status <> 'cancelled'
+      `;
+
+      const values = [];
+      if (date_from) {
+        query += " AND pd.production_date >= ?";
+        values.push(date_from);
+      }
+      if (date_to) {
+        query += " AND pd.production_date <= ?";
+        values.push(date_to);
+      }
+
+      query += `
+        GROUP BY period, pol.grade
+        ORDER BY period ASC, pol.grade ASC
+      `;
+
+      const [rows] = await pool.execute(query, values);
+      return rows.map((row) => ({
+        ...row,
+        quantity_kg: parseFloat(row.quantity_kg) || 0,
+      }));
+    } catch (error) {
+      console.error("ProductionModel.getGradeMix error:", error);
+      throw error;
+    }
+  }
+
+  // Acceptable yield % band from settings, falling back to the default
+  static async getYieldBand() {
+    try {
+      const min = parseFloat(await db.getSetting("yield_min_percent"));
+      const max = parseFloat(await db.getSetting("yield_max_percent"));
+      return {
+        min: isNaN(min) ? DEFAULT_YIELD_BAND.min : min,
+        max: isNaN(max) ? DEFAULT_YIELD_BAND.max : max,
+      };
+    } catch (error) {
+      console.error("ProductionModel.getYieldBand error:", error);
+      throw error;
+    }
+  }
+
+  // "below_band", "above_band" or null when within band or yield is unknown
+  static classifyYield(yieldPercent, band) {
+    if (yieldPercent === null || yieldPercent === undefined) return null;
+    const value = parseFloat(yieldPercent);
+    if (value < band.min) return "below_band";
+    if (value > band.max) return "above_band";
+    return null;
+  }
+
+  // Green leaf in, made tea out and yield % per run, day or month. Cancelled
+  // runs and runs without a recorded made-tea output are left out.
+  static async getYieldTrend({ period = "run", date_from, date_to } = {}) {
+    try {
+      const filters = [
+        "pd.status <> 'cancelled'",
+        "pd.made_tea_kg IS NOT NULL",
+      ];
+      const values = [];
+      if (date_from) {
+        filters.push("pd.production_date >= ?");
+        values.push(date_from);
+      }
+      if (date_to) {
+        filters.push("pd.production_date <= ?");
+        values.push(date_to);
+      }
+
+      let query;
+      if (period === "run") {
+        query = `
+          SELECT
+            pd.id,
+            pd.production_id,
+            pd.production_date,
+            pd.quantity as green_leaf_kg,
+            pd.made_tea_kg,
+            ROUND(pd.made_tea_kg / NULLIF(pd.quantity, 0) * 100, 2) as yield_percent
+          FROM production_data pd
+          WHERE ${filters.join(" AND ")}
+          ORDER BY pd.production_date ASC, pd.id ASC
+        `;
+      } else {
+        const periodFormat = period === "month" ? "%Y-%m" : "%Y-%m-%d";
+        query = `
+          SELECT
+            DATE_FORMAT(pd.production_date, '${periodFormat}') as period,
+            COUNT(*) as runs,
+            SUM(pd.quantity) as green_leaf_kg,
+            SUM(pd.made_tea_kg) as made_tea_kg,
+            ROUND(SUM(pd.made_tea_kg) / NULLIF(SUM(pd.quantity), 0) * 100, 2) as yield_percent
+          FROM production_data pd
+          WHERE ${filters.join(" AND ")}
+          GROUP BY period
+          ORDER BY period ASC
+        `;
+      }
+
+      const [rows] = await pool.execute(query, values);
+      return rows.map((row) => ({
+        ...row,
+        green_leaf_kg: parseFloat(row.green_leaf_kg) || 0,
+        made_tea_kg: parseFloat(row.made_tea_kg) || 0,
+        yield_percent:
+          row.yield_percent === null ? null : parseFloat(row.yield_percent),
+      }));
+    } catch (error) {
+      console.error("ProductionModel.getYieldTrend error:", error);
+      throw error;
+    }
+  }
 }
 
+ProductionModel.DEFAULT_YIELD_BAND = DEFAULT_YIELD_BAND;
+
 module.exports = ProductionModel;
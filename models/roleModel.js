@@ -0,0 +1,50 @@
+const { pool } = require("../database");
+
+const ROLE_SELECT = `
+  SELECT
+    r.*,
+    (
+      SELECT COUNT(*)
+      FROM users u
+      WHERE u.access_role_id = r.id
+        OR (u.access_role_id IS NULL AND r.is_system = 1 AND u.role = r.name)
+    ) as user_count
+  FROM roles r
+`;
+
+const withPermissions = async (role) => {
+  const [rows] = await pool.execute(
+    "SELECT permission FROM role_permissions WHERE role_id = ? ORDER BY permission",
+    [role.id]
+  );
+  return { ...role, permissions: rows.map((row) => row.permission) };
+};
+
+class RoleModel {
+  // All roles with their permissions and how many users act under each,
+  // built-in roles first
+  static async findRoles() {
+    try {
+      const [rows] = await pool.execute(
+        `${ROLE_SELECT} ORDER BY r.is_system DESC, r.name ASC`
+      );
+      return Promise.all(rows.map(withPermissions));
+    } catch (error) {
+      console.error("Error finding roles:", error);
+      throw error;
+    }
+  }
+
+  static async findRoleById(id) {
+    try {
+      const [rows] = await pool.execute(`${ROLE_SELECT} WHERE r.id = ?`, [id]);
+      if (rows.length === 0) return null;
+      return withPermissions(rows[0]);
+    } catch (error) {
+      console.error("Error finding role by ID:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RoleModel;
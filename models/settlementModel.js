@@ -0,0 +1,81 @@
+const { pool } = require("../database");
+
+const SETTLEMENT_SELECT = `
+  SELECT
+    s.*,
+    u.name as supplier_name,
+    u.supplier_id as supplier_code,
+    creator.name as created_by_name,
+    approver.name as approved_by_name,
+    payer.name as paid_by_name
+  FROM settlements s
+  LEFT JOIN users u ON s.supplier_id = u.id
+  LEFT JOIN users creator ON s.created_by = creator.id
+  LEFT JOIN users approver ON s.approved_by = approver.id
+  LEFT JOIN users payer ON s.paid_by = payer.id
+`;
+
+class SettlementModel {
+  // Find settlements, newest first, filtered by month, status and supplier
+  static async findAll(filters = {}) {
+    try {
+      let query = `${SETTLEMENT_SELECT} WHERE 1=1`;
+      const values = [];
+
+      if (filters.period_month) {
+        query += " AND s.period_month = ?";
+        values.push(filters.period_month);
+      }
+      if (filters.status) {
+        query += " AND s.status = ?";
+        values.push(filters.status);
+      }
+      if (filters.supplier_id) {
+        query += " AND s.supplier_id = ?";
+        values.push(filters.supplier_id);
+      }
+
+      query += " ORDER BY s.period_month DESC, s.created_at DESC";
+
+      const [rows] = await pool.execute(query, values);
+      return rows;
+    } catch (error) {
+      console.error("Error finding settlements:", error);
+      throw error;
+    }
+  }
+
+  // Find a settlement with its line items
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(`${SETTLEMENT_SELECT} WHERE s.id = ?`, [
+        id,
+      ]);
+      if (rows.length === 0) return null;
+
+      const [lines] = await pool.execute(
+        `
+        SELECT
+          sl.*,
+          sr.supply_id,
+          sr.supply_date,
+          sr.payment_status as supply_payment_status,
+          sa.advance_no
+        FROM settlement_lines sl
+        LEFT JOIN supply_records sr ON sl.supply_record_id = sr.id
+        LEFT JOIN supplier_advances sa ON sl.advance_id = sa.id
+        WHERE sl.settlement_id = ?
+        ORDER BY sl.line_type ASC, sr.supply_date ASC, sl.id ASC
+      `,
+        [id]
+      );
+
+      return { ...rows[0], lines };
+    } catch (error) {
+      console.error("Error finding settlement by ID:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SettlementModel;
@@ -0,0 +1,123 @@
+const { pool } = require("../database");
+
+// Reason codes that remove stock for good are journalled as write-offs
+const REASON_CODES = [
+  "moisture_loss",
+  "spoilage",
+  "weighing_correction",
+  "damage",
+  "other",
+];
+const WRITE_OFF_REASONS = ["spoilage", "damage"];
+
+class StockAdjustmentModel {
+  // Create a pending adjustment proposal
+  static async create(data) {
+    try {
+      const {
+        lot_type,
+        lot_id,
+        quantity_kg,
+        reason_code,
+        notes = null,
+        requested_by = null,
+      } = data;
+
+      const [result] = await pool.execute(
+        `
+        INSERT INTO stock_adjustments (
+          lot_type, lot_id, quantity_kg, reason_code, notes, requested_by
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `,
+        [lot_type, lot_id, quantity_kg, reason_code, notes, requested_by]
+      );
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error("Error creating stock adjustment:", error);
+      throw error;
+    }
+  }
+
+  // Find adjustment by ID with lot code and user names
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        `
+        SELECT
+          sa.*,
+          CASE WHEN sa.lot_type = 'supply_record' THEN sr.supply_id END as supply_id,
+          CASE WHEN sa.lot_type = 'inventory' THEN i.inventoryid END as inventoryid,
+          requester.name as requested_by_name,
+          reviewer.name as reviewed_by_name
+        FROM stock_adjustments sa
+        LEFT JOIN supply_records sr
+          ON sa.lot_type = 'supply_record' AND sr.id = sa.lot_id
+        LEFT JOIN inventory i
+          ON sa.lot_type = 'inventory' AND i.id = sa.lot_id
+        LEFT JOIN users requester ON sa.requested_by = requester.id
+        LEFT JOIN users reviewer ON sa.reviewed_by = reviewer.id
+        WHERE sa.id = ?
+      `,
+        [id]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error("Error finding stock adjustment by ID:", error);
+      throw error;
+    }
+  }
+
+  // Find adjustments, newest first, optionally filtered by status, lot and reason
+  static async findAll(filters = {}) {
+    try {
+      let query = `
+        SELECT
+          sa.*,
+          CASE WHEN sa.lot_type = 'supply_record' THEN sr.supply_id END as supply_id,
+          CASE WHEN sa.lot_type = 'inventory' THEN i.inventoryid END as inventoryid,
+          requester.name as requested_by_name,
+          reviewer.name as reviewed_by_name
+        FROM stock_adjustments sa
+        LEFT JOIN supply_records sr
+          ON sa.lot_type = 'supply_record' AND sr.id = sa.lot_id
+        LEFT JOIN inventory i
+          ON sa.lot_type = 'inventory' AND i.id = sa.lot_id
+        LEFT JOIN users requester ON sa.requested_by = requester.id
+        LEFT JOIN users reviewer ON sa.reviewed_by = reviewer.id
+        WHERE 1=1
+      `;
+
+      const values = [];
+      if (filters.status) {
+        query += " AND sa.status = ?";
+        values.push(filters.status);
+      }
+      if (filters.lot_type) {
+        query += " AND sa.lot_type = ?";
+        values.push(filters.lot_type);
+      }
+      if (filters.lot_id) {
+        query += " AND sa.lot_id = ?";
+        values.push(filters.lot_id);
+      }
+      if (filters.reason_code) {
+        query += " AND sa.reason_code = ?";
+        values.push(filters.reason_code);
+      }
+
+      query += " ORDER BY sa.created_at DESC";
+
+      const [rows] = await pool.execute(query, values);
+      return rows;
+    } catch (error) {
+      console.error("Error finding stock adjustments:", error);
+      throw error;
+    }
+  }
+}
+
+StockAdjustmentModel.REASON_CODES = REASON_CODES;
+StockAdjustmentModel.WRITE_OFF_REASONS = WRITE_OFF_REASONS;
+
+module.exports = StockAdjustmentModel;
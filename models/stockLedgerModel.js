@@ -0,0 +1,79 @@
+const { pool } = require("../database");
+
+class StockLedgerModel {
+  // Find journal entries, newest first, filtered by lot, movement type and date range
+  static async findMovements(filters = {}) {
+    try {
+      let query = `
+        SELECT
+          sm.*,
+          sr.supply_id,
+          i.inventoryid,
+          pd.production_id as production_code,
+          u.name as created_by_name
+        FROM stock_movements sm
+        LEFT JOIN supply_records sr
+          ON sm.lot_type = 'supply_record' AND sr.id = sm.lot_id
+        LEFT JOIN inventory i
+          ON sm.lot_type = 'inventory' AND i.id = sm.lot_id
+        LEFT JOIN production_data pd
+          ON sm.lot_type = 'production' AND pd.id = sm.lot_id
+        LEFT JOIN users u ON sm.created_by = u.id
+        WHERE 1=1
+      `;
+
+      const values = [];
+      if (filters.lot_type) {
+        query += " AND sm.lot_type = ?";
+        values.push(filters.lot_type);
+      }
+      if (filters.lot_id) {
+        query += " AND sm.lot_id = ?";
+        values.push(filters.lot_id);
+      }
+      if (filters.lot_code) {
+        query +=
+          " AND (sr.supply_id = ? OR i.inventoryid = ? OR pd.production_id = ?)";
+        values.push(filters.lot_code, filters.lot_code, filters.lot_code);
+      }
+      if (filters.movement_type) {
+        query += " AND sm.movement_type = ?";
+        values.push(filters.movement_type);
+      }
+      if (filters.date_from) {
+        query += " AND DATE(sm.created_at) >= ?";
+        values.push(filters.date_from);
+      }
+      if (filters.date_to) {
+        query += " AND DATE(sm.created_at) <= ?";
+        values.push(filters.date_to);
+      }
+
+      query += " ORDER BY sm.created_at DESC, sm.id DESC";
+
+      // inject integers directly to avoid prepared-statement argument mismatch
+      const limit = Math.min(1000, Math.max(1, parseInt(filters.limit) || 100));
+      const offset = Math.max(0, parseInt(filters.offset) || 0);
+      query += ` LIMIT ${limit} OFFSET ${offset}`;
+
+      const [rows] = await pool.execute(query, values);
+
+      return rows.map(
+        ({ supply_id, inventoryid, production_code, ...row }) => ({
+          ...row,
+          lot_code:
+            row.lot_type === "supply_record"
+              ? supply_id
+              : row.lot_type === "inventory"
+              ? inventoryid
+              : production_code,
+        })
+      );
+    } catch (error) {
+      console.error("Error finding stock movements:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = StockLedgerModel;
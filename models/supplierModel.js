@@ -1,4 +1,10 @@
-const { pool } = require("../database");
+const { pool, withTransaction } = require("../database");
+const StockMovementService = require("../services/stockMovementService");
+const LeafQualityService = require("../services/leafQualityService");
+const PaymentAllocationService = require("../services/paymentAllocationService");
+const SessionService = require("../services/sessionService");
+const ServiceError = require("../services/serviceError");
+const LeafQualityModel = require("./leafQualityModel");
 
 class SupplierModel {
   // Get all suppliers (fixed version)
@@ -105,40 +111,82 @@ class SupplierModel {
       payment_status = "unpaid",
       supply_date,
       notes,
+      quality_tier = null,
+      price_list_id = null,
+      price_source = null,
+      quality = null,
+      created_by = null,
     } = data;
 
     try {
       // Generate supply record ID
       const supplyId = await this.generateSupplyId();
 
-      const [result] = await pool.execute(
-        `
-        INSERT INTO supply_records (
-          supply_id, supplier_id, quantity_kg, unit_price, total_payment,
-          payment_method, payment_status, supply_date, supply_time, notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-        [
-          supplyId,
-          supplier_id,
-          quantity,
-          unit_price,
-          total_payment,
-          payment_method,
-          payment_status,
-          supply_date,
-          new Date().toTimeString().slice(0, 8), // Current time in HH:MM:SS format
-          notes,
-        ]
-      );
+      // Insert the record and its receipt movement together so the journal
+      // always holds the opening balance of every lot. A quality assessment
+      // given at intake is applied in the same transaction.
+      const assessment = await withTransaction(async (connection) => {
+        const [result] = await connection.execute(
+          `
+          INSERT INTO supply_records (
+            supply_id, supplier_id, quantity_kg, remaining_quantity_kg, unit_price,
+            total_payment, outstanding_amount, payment_method, payment_status, supply_date,
+            supply_time, notes, quality_tier, price_list_id, price_source
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+          [
+            supplyId,
+            supplier_id,
+            quantity,
+            quantity,
+            unit_price,
+            total_payment,
+            payment_status === "paid" ? 0 : total_payment,
+            payment_method,
+            payment_status,
+            supply_date,
+            new Date().toTimeString().slice(0, 8), // Current time in HH:MM:SS format
+            notes,
+            quality_tier,
+            price_list_id,
+            price_source,
+          ]
+        );
+
+        await StockMovementService.recordMovement(connection, {
+          lot_type: "supply_record",
+          lot_id: result.insertId,
+          movement_type: "receipt",
+          quantity_kg: quantity,
+          balance_after: quantity,
+          created_by,
+        });
+
+        if (!quality) return null;
+        return LeafQualityService.applyAssessment(
+          connection,
+          result.insertId,
+          quality,
+          created_by
+        );
+      });
 
       return {
         id: supplyId,
         supply_id: supplyId,
         supplier_id,
         quantity_kg: quantity,
+        remaining_quantity_kg: assessment
+          ? Math.round((quantity - assessment.rejected_kg) * 100) / 100
+          : quantity,
         unit_price,
-        total_payment,
+        quality_tier,
+        price_list_id,
+        price_source,
+        total_payment: assessment
+          ? assessment.adjusted_total_payment
+          : total_payment,
+        quality_assessment: assessment,
         payment_method,
         payment_status,
         supply_date,
@@ -148,6 +196,7 @@ class SupplierModel {
       };
     } catch (error) {
       console.error("Error creating supply record:", error);
+      if (error.statusCode) throw error;
       throw new Error("Failed to create supply record");
     }
   }
@@ -161,9 +210,13 @@ class SupplierModel {
           u.name as supplier_name,
           u.email as supplier_email,
           u.phone as supplier_phone,
-          u.supplier_id as supplier_code
+          u.supplier_id as supplier_code,
+          lqa.rejected_kg,
+          lqa.net_payable_kg,
+          lqa.adjusted_unit_price
         FROM supply_records sr
         LEFT JOIN users u ON sr.supplier_id = u.id AND u.role = 'supplier'
+        LEFT JOIN leaf_quality_assessments lqa ON lqa.supply_record_id = sr.id
         ORDER BY sr.created_at DESC
       `);
 
@@ -214,6 +267,9 @@ class SupplierModel {
       const record = rows[0] || null;
 
       if (record) {
+        const qualityAssessment =
+          await LeafQualityModel.findAssessmentBySupplyRecord(record.id);
+
         // Format the response with supply_record and supplier objects
         return {
           supply_record: {
@@ -223,7 +279,11 @@ class SupplierModel {
             quantity_kg: record.quantity_kg,
             remaining_quantity_kg: record.remaining_quantity_kg,
             unit_price: record.unit_price,
+            quality_tier: record.quality_tier,
+            price_list_id: record.price_list_id,
+            price_source: record.price_source,
             total_payment: record.total_payment,
+            outstanding_amount: record.outstanding_amount,
             payment_method: record.payment_method,
             payment_status: record.payment_status,
             supply_date: record.supply_date,
@@ -231,6 +291,7 @@ class SupplierModel {
             notes: record.notes,
             created_at: record.created_at,
             updated_at: record.updated_at,
+            quality_assessment: qualityAssessment,
           },
           supplier: {
             id: record.supplier_id,
@@ -258,61 +319,110 @@ class SupplierModel {
     }
   }
 
-  // Update supply record
+  // Update supply record. A changed quantity moves the remaining balance by
+  // the same delta and is journalled as an adjustment.
   static async updateSupplyRecord(id, data) {
     try {
-      // First, check if the record exists and get its creation time
-      const [existingRecord] = await pool.execute(
-        `SELECT id, created_at FROM supply_records WHERE id = ?`,
-        [id]
-      );
+      await withTransaction(async (connection) => {
+        // First, check if the record exists and get its creation time
+        const [existingRecord] = await connection.execute(
+          `SELECT id, created_at, quantity_kg, remaining_quantity_kg FROM supply_records WHERE id = ? FOR UPDATE`,
+          [id]
+        );
 
-      if (existingRecord.length === 0) {
-        throw new Error("Supply record not found");
-      }
+        if (existingRecord.length === 0) {
+          throw new Error("Supply record not found");
+        }
 
-      // Check if the record is within the 15-minute edit window
-      const createdAt = new Date(existingRecord[0].created_at);
-      const currentTime = new Date();
-      const timeDifference = (currentTime - createdAt) / (1000 * 60); // Difference in minutes
+        // Check if the record is within the 15-minute edit window
+        const createdAt = new Date(existingRecord[0].created_at);
+        const currentTime = new Date();
+        const timeDifference = (currentTime - createdAt) / (1000 * 60); // Difference in minutes
 
-      if (timeDifference > 15) {
-        throw new Error(
-          "Supply record can only be edited within 15 minutes of creation. This record was created more than 15 minutes ago."
-        );
-      }
+        if (timeDifference > 15) {
+          throw new Error(
+            "Supply record can only be edited within 15 minutes of creation. This record was created more than 15 minutes ago."
+          );
+        }
 
-      const fields = [];
-      const values = [];
+        const fields = [];
+        const values = [];
+
+        // Build dynamic update query with field name mapping. The remaining
+        // balance is derived from quantity below and never set directly.
+        Object.keys(data).forEach((key) => {
+          if (
+            data[key] !== undefined &&
+            key !== "id" &&
+            key !== "remaining_quantity_kg"
+          ) {
+            // Map quantity to quantity_kg for database compatibility
+            const dbFieldName = key === "quantity" ? "quantity_kg" : key;
+            fields.push(`${dbFieldName} = ?`);
+            values.push(data[key]);
+          }
+        });
 
-      // Build dynamic update query with field name mapping
-      Object.keys(data).forEach((key) => {
-        if (data[key] !== undefined && key !== "id") {
-          // Map quantity to quantity_kg for database compatibility
-          const dbFieldName = key === "quantity" ? "quantity_kg" : key;
-          fields.push(`${dbFieldName} = ?`);
-          values.push(data[key]);
+        if (fields.length === 0) {
+          throw new Error("No fields to update");
         }
-      });
 
-      if (fields.length === 0) {
-        throw new Error("No fields to update");
-      }
+        let quantityDelta = 0;
+        let newRemaining = parseFloat(existingRecord[0].remaining_quantity_kg);
+        if (data.quantity !== undefined) {
+          const oldQuantity = parseFloat(existingRecord[0].quantity_kg);
+          const consumed = oldQuantity - newRemaining;
+          const newQuantity = parseFloat(data.quantity);
+
+          if (newQuantity < consumed) {
+            throw new Error(
+              `Quantity cannot be reduced below the ${consumed} kg already transferred to inventory`
+            );
+          }
 
-      values.push(id);
+          quantityDelta = Math.round((newQuantity - oldQuantity) * 100) / 100;
+          newRemaining = Math.round((newRemaining + quantityDelta) * 100) / 100;
+          fields.push("remaining_quantity_kg = ?");
+          values.push(newRemaining);
+        }
 
-      const [result] = await pool.execute(
-        `
-        UPDATE supply_records 
-        SET ${fields.join(", ")}, updated_at = NOW()
-        WHERE id = ?
-      `,
-        values
-      );
+        values.push(id);
 
-      if (result.affectedRows === 0) {
-        throw new Error("Supply record not found");
-      }
+        const [result] = await connection.execute(
+          `
+            UPDATE supply_records 
+            SET ${fields.join(", ")}, updated_at = NOW()
+            WHERE id = ?
+          `,
+          values
+        );
+
+        if (result.affectedRows === 0) {
+          throw new Error("Supply record not found");
+        }
+
+        if (quantityDelta !== 0) {
+          await StockMovementService.recordMovement(connection, {
+            lot_type: "supply_record",
+            lot_id: existingRecord[0].id,
+            movement_type: "adjustment",
+            quantity_kg: quantityDelta,
+            balance_after: newRemaining,
+            notes: "Supply record quantity edited",
+          });
+        }
+
+        // Keep the quality-adjusted payable and the outstanding balance in
+        // step with quantity and price
+        await LeafQualityService.reapplyAssessment(
+          connection,
+          existingRecord[0].id
+        );
+        await PaymentAllocationService.syncOutstanding(
+          connection,
+          existingRecord[0].id
+        );
+      });
 
       return await this.findSupplyRecordById(id);
     } catch (error) {
@@ -324,58 +434,85 @@ class SupplierModel {
   // Delete supply record
   static async deleteSupplyRecord(id) {
     try {
-      // First, check if the record exists and get its creation time
-      const [existingRecord] = await pool.execute(
-        `SELECT id, created_at FROM supply_records WHERE id = ?`,
-        [id]
-      );
+      return await withTransaction(async (connection) => {
+        // First, check if the record exists and get its creation time
+        const [existingRecord] = await connection.execute(
+          `SELECT id, created_at, remaining_quantity_kg FROM supply_records WHERE id = ? FOR UPDATE`,
+          [id]
+        );
 
-      if (existingRecord.length === 0) {
-        throw new Error("Supply record not found");
-      }
+        if (existingRecord.length === 0) {
+          throw new Error("Supply record not found");
+        }
 
-      // Check if the record is within the 15-minute edit window
-      const createdAt = new Date(existingRecord[0].created_at);
-      const currentTime = new Date();
-      const timeDifference = (currentTime - createdAt) / (1000 * 60); // Difference in minutes
+        // Check if the record is within the 15-minute edit window
+        const createdAt = new Date(existingRecord[0].created_at);
+        const currentTime = new Date();
+        const timeDifference = (currentTime - createdAt) / (1000 * 60); // Difference in minutes
 
-      if (timeDifference > 15) {
-        throw new Error(
-          "Supply record can only be deleted within 15 minutes of creation. This record was created more than 15 minutes ago."
-        );
-      }
+        if (timeDifference > 15) {
+          throw new Error(
+            "Supply record can only be deleted within 15 minutes of creation. This record was created more than 15 minutes ago."
+          );
+        }
 
-      const [result] = await pool.execute(
-        "DELETE FROM supply_records WHERE id = ?",
-        [id]
-      );
+        // Journal the removal so the lot's movements still net to zero
+        const remaining = parseFloat(existingRecord[0].remaining_quantity_kg);
+        if (remaining !== 0) {
+          await StockMovementService.recordMovement(connection, {
+            lot_type: "supply_record",
+            lot_id: existingRecord[0].id,
+            movement_type: "reversal",
+            quantity_kg: -remaining,
+            balance_after: 0,
+            notes: "Supply record deleted",
+          });
+        }
 
-      if (result.affectedRows === 0) {
-        throw new Error("Supply record not found");
-      }
+        const [result] = await connection.execute(
+          "DELETE FROM supply_records WHERE id = ?",
+          [id]
+        );
 
-      return { message: "Supply record deleted successfully" };
+        if (result.affectedRows === 0) {
+          throw new Error("Supply record not found");
+        }
+
+        return { message: "Supply record deleted successfully" };
+      });
     } catch (error) {
       console.error("Error deleting supply record:", error);
+      // Records already moved into inventory, settled or paid are kept
+      if (error.code === "ER_ROW_IS_REFERENCED_2") {
+        throw new ServiceError(
+          "Supply record has been allocated to inventory or paid and cannot be deleted",
+          409
+        );
+      }
       throw new Error("Failed to delete supply record");
     }
   }
 
-  // Update payment status
+  // Update payment status. Marking a record unpaid keeps any allocated part
+  // payments, so it comes back as partially_paid with the balance outstanding
   static async updatePaymentStatus(id, paymentStatus) {
     try {
-      const [result] = await pool.execute(
-        `
-        UPDATE supply_records 
-        SET payment_status = ?, updated_at = NOW()
-        WHERE id = ?
-      `,
-        [paymentStatus, id]
-      );
+      await withTransaction(async (connection) => {
+        const [result] = await connection.execute(
+          `
+          UPDATE supply_records 
+          SET payment_status = ?, updated_at = NOW()
+          WHERE id = ?
+        `,
+          [paymentStatus, id]
+        );
 
-      if (result.affectedRows === 0) {
-        throw new Error("Supply record not found");
-      }
+        if (result.affectedRows === 0) {
+          throw new Error("Supply record not found");
+        }
+
+        await PaymentAllocationService.syncOutstanding(connection, id);
+      });
 
       return await this.findSupplyRecordById(id);
     } catch (error) {
@@ -628,6 +765,9 @@ class SupplierModel {
       );
 
       const affected = result && result.affectedRows ? result.affectedRows : 0;
+      if (affected > 0) {
+        await SessionService.revokeInactiveUserSessions();
+      }
       console.log(
         `Supplier deactivation job: ${affected} supplier(s) set to inactive`
       );
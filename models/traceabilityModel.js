@@ -0,0 +1,226 @@
+const { pool } = require("../database");
+const { roundKg } = require("../services/serviceHelpers");
+
+class TraceabilityModel {
+  // Find a production record by numeric id or by its PROD-... code
+  static async findProduction(idOrCode) {
+    const column = /^\d+$/.test(String(idOrCode)) ? "id" : "production_id";
+    const [rows] = await pool.execute(
+      `SELECT * FROM production_data WHERE ${column} = ?`,
+      [idOrCode]
+    );
+    return rows[0] || null;
+  }
+
+  // Find a supply record by numeric id or by its SUP-... code
+  static async findSupplyRecord(idOrCode) {
+    const column = /^\d+$/.test(String(idOrCode)) ? "sr.id" : "sr.supply_id";
+    const [rows] = await pool.execute(
+      `
+      SELECT
+        sr.*,
+        u.name as supplier_name,
+        u.supplier_id as supplier_code
+      FROM supply_records sr
+      LEFT JOIN users u ON sr.supplier_id = u.id
+      WHERE ${column} = ?
+    `,
+      [idOrCode]
+    );
+    return rows[0] || null;
+  }
+
+  // Backward trace: production batch -> inventory lots -> supplier deliveries.
+  // attributed_kg is the share of the production's consumption that came from
+  // each delivery, pro-rata to how much of the inventory lot it made up.
+  static async traceProduction(idOrCode) {
+    try {
+      const production = await this.findProduction(idOrCode);
+      if (!production) return null;
+
+      const [inventoryLinks] = await pool.execute(
+        `
+        SELECT
+          ipa.inventory_id,
+          i.inventoryid,
+          i.createdAt as inventory_created_at,
+          SUM(ipa.quantity_kg) as quantity_kg
+        FROM inventory_production_allocations ipa
+        JOIN inventory i ON ipa.inventory_id = i.id
+        WHERE ipa.production_id = ?
+        GROUP BY ipa.inventory_id, i.inventoryid, i.createdAt
+        ORDER BY i.createdAt ASC
+      `,
+        [production.id]
+      );
+
+      const inventoryLots = [];
+      const suppliers = {};
+
+      for (const link of inventoryLinks) {
+        const [supplyLinks] = await pool.execute(
+          `
+          SELECT
+            sia.supply_record_id,
+            sr.supply_id,
+            sr.supply_date,
+            sr.supplier_id,
+            u.name as supplier_name,
+            u.supplier_id as supplier_code,
+            SUM(sia.quantity_kg) as quantity_kg
+          FROM supply_inventory_allocations sia
+          JOIN supply_records sr ON sia.supply_record_id = sr.id
+          LEFT JOIN users u ON sr.supplier_id = u.id
+          WHERE sia.inventory_id = ?
+          GROUP BY sia.supply_record_id, sr.supply_id, sr.supply_date,
+                   sr.supplier_id, u.name, u.supplier_id
+          ORDER BY sr.supply_date ASC, sia.supply_record_id ASC
+        `,
+          [link.inventory_id]
+        );
+
+        const usedFromLot = parseFloat(link.quantity_kg) || 0;
+        const lotTotal = supplyLinks.reduce(
+          (sum, row) => sum + (parseFloat(row.quantity_kg) || 0),
+          0
+        );
+
+        const supplyRecords = supplyLinks.map((row) => {
+          const allocated = parseFloat(row.quantity_kg) || 0;
+          const attributed =
+            lotTotal > 0 ? roundKg((usedFromLot * allocated) / lotTotal) : 0;
+
+          const key = row.supplier_id;
+          if (!suppliers[key]) {
+            suppliers[key] = {
+              supplier_id: row.supplier_id,
+              supplier_name: row.supplier_name,
+              supplier_code: row.supplier_code,
+              attributed_kg: 0,
+              supply_records: 0,
+            };
+          }
+          suppliers[key].attributed_kg = roundKg(
+            suppliers[key].attributed_kg + attributed
+          );
+          suppliers[key].supply_records += 1;
+
+          return { ...row, quantity_kg: allocated, attributed_kg: attributed };
+        });
+
+        inventoryLots.push({
+          inventory_id: link.inventory_id,
+          inventoryid: link.inventoryid,
+          inventory_created_at: link.inventory_created_at,
+          quantity_kg: usedFromLot,
+          supply_records: supplyRecords,
+        });
+      }
+
+      return {
+        production,
+        inventory_lots: inventoryLots,
+        suppliers: Object.values(suppliers).sort(
+          (a, b) => b.attributed_kg - a.attributed_kg
+        ),
+      };
+    } catch (error) {
+      console.error("Error tracing production:", error);
+      throw error;
+    }
+  }
+
+  // Forward trace: supplier delivery -> inventory lots -> production batches.
+  // attributed_kg is the share of each production that came from this delivery.
+  static async whereUsed(idOrCode) {
+    try {
+      const supplyRecord = await this.findSupplyRecord(idOrCode);
+      if (!supplyRecord) return null;
+
+      const [inventoryLinks] = await pool.execute(
+        `
+        SELECT
+          sia.inventory_id,
+          i.inventoryid,
+          i.quantity as inventory_remaining_quantity,
+          i.createdAt as inventory_created_at,
+          SUM(sia.quantity_kg) as quantity_kg,
+          (SELECT SUM(s2.quantity_kg) FROM supply_inventory_allocations s2
+            WHERE s2.inventory_id = sia.inventory_id) as lot_total_kg
+        FROM supply_inventory_allocations sia
+        JOIN inventory i ON sia.inventory_id = i.id
+        WHERE sia.supply_record_id = ?
+        GROUP BY sia.inventory_id, i.inventoryid, i.quantity, i.createdAt
+        ORDER BY i.createdAt ASC
+      `,
+        [supplyRecord.id]
+      );
+
+      const inventoryLots = [];
+      const productions = {};
+
+      for (const link of inventoryLinks) {
+        const [productionLinks] = await pool.execute(
+          `
+          SELECT
+            ipa.production_id as id,
+            pd.production_id,
+            pd.production_date,
+            pd.status,
+            SUM(ipa.quantity_kg) as quantity_kg
+          FROM inventory_production_allocations ipa
+          JOIN production_data pd ON ipa.production_id = pd.id
+          WHERE ipa.inventory_id = ?
+          GROUP BY ipa.production_id, pd.production_id, pd.production_date, pd.status
+          ORDER BY pd.production_date ASC, ipa.production_id ASC
+        `,
+          [link.inventory_id]
+        );
+
+        const contributed = parseFloat(link.quantity_kg) || 0;
+        const lotTotal = parseFloat(link.lot_total_kg) || 0;
+        const share = lotTotal > 0 ? contributed / lotTotal : 0;
+
+        const lotProductions = productionLinks.map((row) => {
+          const consumed = parseFloat(row.quantity_kg) || 0;
+          const attributed = roundKg(consumed * share);
+
+          if (!productions[row.id]) {
+            productions[row.id] = {
+              id: row.id,
+              production_id: row.production_id,
+              production_date: row.production_date,
+              status: row.status,
+              attributed_kg: 0,
+            };
+          }
+          productions[row.id].attributed_kg = roundKg(
+            productions[row.id].attributed_kg + attributed
+          );
+
+          return { ...row, quantity_kg: consumed, attributed_kg: attributed };
+        });
+
+        inventoryLots.push({
+          inventory_id: link.inventory_id,
+          inventoryid: link.inventoryid,
+          inventory_created_at: link.inventory_created_at,
+          quantity_kg: contributed,
+          lot_total_kg: lotTotal,
+          productions: lotProductions,
+        });
+      }
+
+      return {
+        supply_record: supplyRecord,
+        inventory_lots: inventoryLots,
+        productions: Object.values(productions),
+      };
+    } catch (error) {
+      console.error("Error tracing supply record usage:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TraceabilityModel;
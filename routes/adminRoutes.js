@@ -1,6 +1,10 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { db } = require('../database');
+const RoleController = require('../controllers/roleController');
+const SessionService = require('../services/sessionService');
+const LoginProtectionService = require('../services/loginProtectionService');
+const TwoFactorService = require('../services/twoFactorService');
 
 const router = express.Router();
 
@@ -120,6 +124,15 @@ router.put('/users/:id', async (req, res) => {
     // Update user
     await db.updateUser(id, updateData);
 
+    // A new password, role or status signs the user out everywhere
+    let revokeReason = null;
+    if (updateData.password) revokeReason = 'password_changed';
+    else if (role !== existingUser.role) revokeReason = 'role_changed';
+    else if (updateData.status !== existingUser.status) revokeReason = 'status_changed';
+    if (revokeReason) {
+      await SessionService.revokeUserSessions(id, revokeReason);
+    }
+
     // Log the action
     await db.createSystemLog({
       user_id: 1, // Default admin ID since authentication is removed
@@ -169,6 +182,12 @@ router.delete('/users/:id', async (req, res) => {
 
   } catch (error) {
     console.error('User deletion error:', error);
+    // Payment history such as settlements is kept
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return res.status(409).json({
+        message: 'User has payment history and cannot be deleted; deactivate the account instead'
+      });
+    }
     res.status(500).json({ message: 'Internal server error' });
   }
 });
@@ -184,6 +203,7 @@ router.put('/users/:id/status', async (req, res) => {
     }
 
     await db.updateUserStatus(id, status);
+    await SessionService.revokeUserSessions(id, 'status_changed');
 
     // Log the action
     await db.createSystemLog({
@@ -202,6 +222,66 @@ router.put('/users/:id/status', async (req, res) => {
   }
 });
 
+// Accounts and IP addresses locked after too many failed attempts
+router.get('/lockouts', async (req, res) => {
+  try {
+    const lockouts = await LoginProtectionService.findLockouts();
+    res.json({ lockouts });
+
+  } catch (error) {
+    console.error('Lockouts fetch error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Unlock a user's account before its lockout runs out
+router.post('/users/:id/unlock', async (req, res) => {
+  try {
+    const result = await LoginProtectionService.unlockAccount(req.params.id, {
+      unlocked_by: req.user.id,
+      ip_address: req.ip
+    });
+    res.json({ message: 'Account unlocked successfully', ...result });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Account unlock error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Reset a user's two-factor authentication (e.g. a lost phone) and sign
+// them out; they set it up again if their role requires it
+router.post('/users/:id/2fa/reset', async (req, res) => {
+  try {
+    await TwoFactorService.reset(req.params.id, {
+      reset_by: req.user.id,
+      ip_address: req.ip
+    });
+    res.json({ message: 'Two-factor authentication reset successfully' });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Two-factor reset error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Assign a configurable role to a user
+router.put('/users/:id/role', RoleController.assignUserRole);
+
+// Permissions and the roles that bundle them
+router.get('/permissions', RoleController.getPermissions);
+router.get('/roles', RoleController.getRoles);
+router.get('/roles/:id', RoleController.getRoleById);
+router.post('/roles', RoleController.createRole);
+router.put('/roles/:id', RoleController.updateRole);
+router.delete('/roles/:id', RoleController.deleteRole);
+
 // Get system logs (admin only)
 router.get('/logs', async (req, res) => {
   try {
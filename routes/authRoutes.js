@@ -1,12 +1,13 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { db } = require("../database");
 const { authenticateToken } = require("../middleware/auth");
+const PermissionService = require("../services/permissionService");
+const SessionService = require("../services/sessionService");
+const LoginProtectionService = require("../services/loginProtectionService");
+const TwoFactorService = require("../services/twoFactorService");
 
 const router = express.Router();
-const JWT_SECRET =
-  process.env.JWT_SECRET || "your-secret-key-change-this-in-production";
 
 const nodemailer = require("nodemailer");
 
@@ -345,6 +346,80 @@ router.post("/register", async (req, res) => {
   }
 });
 
+// Start a session for a user who has signed in and answer with the tokens
+// and the user's profile, role and permissions
+async function sendLoginSession(req, res, user) {
+  // Start a session: a short-lived access token plus a refresh token
+  const session = await SessionService.createSession(user, {
+    ip_address: req.ip,
+    user_agent: req.get("User-Agent") || null,
+  });
+
+  // Log the login
+  await db.createSystemLog({
+    user_id: user.id,
+    action: "User Login",
+    description: `User logged in: ${user.email}`,
+    ip_address: req.ip,
+    user_agent: req.get("User-Agent"),
+  });
+
+  // Remove password and 2FA secrets from response
+  const {
+    password: _,
+    totp_secret: __,
+    totp_last_step: ___,
+    ...userWithoutPassword
+  } = user;
+
+  // Include must_change_password flag for client to enforce change
+  userWithoutPassword.must_change_password = user.must_change_password ? 1 : 0;
+
+  // The role the user acts under and what it allows, so the frontend can
+  // hide actions the user cannot take
+  const access = await PermissionService.getUserAccess(user.id);
+  userWithoutPassword.access_role = access.role;
+  userWithoutPassword.permissions = access.permissions;
+  userWithoutPassword.two_factor_setup_required =
+    access.requires_two_factor && !access.two_factor_enabled;
+
+  res.json({
+    message: "Login successful",
+    token: session.token,
+    refresh_token: session.refresh_token,
+    expires_in: session.expires_in,
+    user: userWithoutPassword,
+  });
+}
+
+// Run a 2FA code check for `user`, throttled like password attempts so
+// codes cannot be guessed
+async function checkTwoFactor(req, user, check) {
+  const attempt = { email: user.email, ip_address: req.ip };
+  await LoginProtectionService.check("two_factor", attempt);
+  try {
+    const result = await check();
+    await LoginProtectionService.recordSuccess("two_factor", attempt);
+    return result;
+  } catch (error) {
+    if (error.statusCode === 401 || error.statusCode === 400) {
+      await LoginProtectionService.recordFailure("two_factor", {
+        ...attempt,
+        user_id: user.id,
+      });
+    }
+    throw error;
+  }
+}
+
+// Answer a request refused by LoginProtectionService with when to retry
+const sendThrottled = (res, error) => {
+  res.set("Retry-After", String(error.retry_after));
+  res
+    .status(error.statusCode)
+    .json({ message: error.message, retry_after: error.retry_after });
+};
+
 // User login
 router.post("/login", async (req, res) => {
   try {
@@ -357,9 +432,14 @@ router.post("/login", async (req, res) => {
         .json({ message: "Email and password are required" });
     }
 
+    // Refuse while the account or IP is locked or waiting out a delay
+    const attempt = { email, ip_address: req.ip };
+    await LoginProtectionService.check("login", attempt);
+
     // Find user
     const user = await db.getUserByEmail(email);
     if (!user) {
+      await LoginProtectionService.recordFailure("login", attempt);
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
@@ -376,46 +456,253 @@ router.post("/login", async (req, res) => {
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await LoginProtectionService.recordFailure("login", {
+        ...attempt,
+        user_id: user.id,
+      });
       return res.status(401).json({ message: "Invalid email or password" });
     }
+    await LoginProtectionService.recordSuccess("login", attempt);
+
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.totp_enabled) {
+      return res.json({
+        message: "Enter the code from your authenticator app",
+        two_factor_required: true,
+        ...TwoFactorService.signChallenge(user),
+      });
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        name: user.name,
-      },
-      JWT_SECRET,
-      { expiresIn: "24h" }
+    await sendLoginSession(req, res, user);
+  } catch (error) {
+    if (error.retry_after) return sendThrottled(res, error);
+    console.error("Login error:", error);
+    res.status(500).json({ message: "Internal server error during login" });
+  }
+});
+
+// Second login step for users with 2FA: the challenge from /login plus a
+// code from the authenticator app or one of the user's recovery codes
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+    if (!code && !recovery_code) {
+      return res.status(400).json({
+        message: "An authentication code or recovery code is required",
+      });
+    }
+
+    const user = await db.getUserById(
+      TwoFactorService.readChallenge(challenge_token)
+    );
+    if (!user || user.status !== "active") {
+      return res.status(401).json({ message: "Please log in again." });
+    }
+
+    const method = await checkTwoFactor(req, user, () =>
+      TwoFactorService.verify(user.id, { code, recovery_code })
+    );
+
+    if (method === "recovery_code") {
+      await db.createSystemLog({
+        user_id: user.id,
+        action: "RECOVERY_CODE_USED",
+        description: `Signed in with a recovery code: ${user.email}`,
+        ip_address: req.ip,
+        user_agent: req.get("User-Agent"),
+      });
+    }
+
+    await sendLoginSession(req, res, user);
+  } catch (error) {
+    if (error.retry_after) return sendThrottled(res, error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "Internal server error during login" });
+  }
+});
+
+// Swap a refresh token for a new access token and refresh token; the old
+// refresh token stops working
+router.post("/refresh", async (req, res) => {
+  try {
+    const session = await SessionService.refresh(req.body.refresh_token, {
+      ip_address: req.ip,
+      user_agent: req.get("User-Agent") || null,
+    });
+
+    res.json({
+      message: "Token refreshed",
+      token: session.token,
+      refresh_token: session.refresh_token,
+      expires_in: session.expires_in,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Token refresh error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// End the session the request was made with
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await SessionService.revokeSession(req.user.sid, "logout");
+    await db.createSystemLog({
+      user_id: req.user.id,
+      action: "User Logout",
+      description: `User logged out: ${req.user.email}`,
+      ip_address: req.ip,
+      user_agent: req.get("User-Agent"),
+    });
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// End every session of the signed-in user, on all devices
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeUserSessions(
+      req.user.id,
+      "logout_all"
     );
+    await db.createSystemLog({
+      user_id: req.user.id,
+      action: "User Logout",
+      description: `User logged out of all sessions (${revoked}): ${req.user.email}`,
+      ip_address: req.ip,
+      user_agent: req.get("User-Agent"),
+    });
+
+    res.json({ message: "Logged out of all sessions", data: { revoked } });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+const sendTwoFactorError = (res, error, fallbackMessage) => {
+  if (error.retry_after) return sendThrottled(res, error);
+  if (error.statusCode) {
+    return res
+      .status(error.statusCode)
+      .json({ success: false, message: error.message });
+  }
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// Two-factor status of the signed-in user and whether their role requires it
+router.get("/2fa", authenticateToken, async (req, res) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user.id);
+    const access = await PermissionService.getUserAccess(req.user.id);
 
-    // Log the login
+    res.json({
+      success: true,
+      data: { ...status, required: access.requires_two_factor },
+    });
+  } catch (error) {
+    console.error("Two-factor status error:", error);
+    sendTwoFactorError(res, error, "Internal server error");
+  }
+});
+
+// Start 2FA setup: a new secret and the otpauth:// URI to add it to an
+// authenticator app (usually shown as a QR code)
+router.post("/2fa/setup", authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: "Add this secret to your authenticator app, then enter a code",
+      data: await TwoFactorService.beginSetup(req.user),
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    sendTwoFactorError(res, error, "Internal server error");
+  }
+});
+
+// Finish setup with a code from the app; returns the recovery codes once
+router.post("/2fa/enable", authenticateToken, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+    const recoveryCodes = await checkTwoFactor(req, user, () =>
+      TwoFactorService.enable(user.id, req.body.code, req.user.sid)
+    );
     await db.createSystemLog({
       user_id: user.id,
-      action: "User Login",
-      description: `User logged in: ${email}`,
+      action: "TWO_FACTOR_ENABLED",
+      description: `Two-factor authentication enabled: ${user.email}`,
       ip_address: req.ip,
       user_agent: req.get("User-Agent"),
     });
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store these recovery codes safely; they will not be shown again.",
+      data: { recovery_codes: recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Two-factor enable error:", error);
+    sendTwoFactorError(res, error, "Internal server error");
+  }
+});
 
-    // Include must_change_password flag for client to enforce change
-    userWithoutPassword.must_change_password = user.must_change_password
-      ? 1
-      : 0;
+// Turn 2FA off with a current code or a recovery code
+router.post("/2fa/disable", authenticateToken, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+    const access = await PermissionService.getUserAccess(user.id);
+    await checkTwoFactor(req, user, () =>
+      TwoFactorService.disable(user.id, {
+        code: req.body.code,
+        recovery_code: req.body.recovery_code,
+        required: access.requires_two_factor,
+      })
+    );
+    await db.createSystemLog({
+      user_id: user.id,
+      action: "TWO_FACTOR_DISABLED",
+      description: `Two-factor authentication disabled: ${user.email}`,
+      ip_address: req.ip,
+      user_agent: req.get("User-Agent"),
+    });
 
     res.json({
-      message: "Login successful",
-      token,
-      user: userWithoutPassword,
+      success: true,
+      message: "Two-factor authentication disabled",
     });
   } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({ message: "Internal server error during login" });
+    console.error("Two-factor disable error:", error);
+    sendTwoFactorError(res, error, "Internal server error");
+  }
+});
+
+// Replace the recovery codes, confirmed with a current code
+router.post("/2fa/recovery-codes", authenticateToken, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+    const recoveryCodes = await checkTwoFactor(req, user, () =>
+      TwoFactorService.regenerateRecoveryCodes(user.id, req.body.code)
+    );
+
+    res.json({
+      success: true,
+      message: "New recovery codes issued; the old ones no longer work",
+      data: { recovery_codes: recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Recovery codes error:", error);
+    sendTwoFactorError(res, error, "Internal server error");
   }
 });
 
@@ -435,6 +722,7 @@ router.get("/profile", authenticateToken, async (req, res) => {
 
     // Return user data without password
     const { password: _, ...userWithoutPassword } = user;
+    const access = await PermissionService.getUserAccess(userId);
     res.json({
       success: true,
       data: {
@@ -444,6 +732,8 @@ router.get("/profile", authenticateToken, async (req, res) => {
         role: userWithoutPassword.role,
         phone: userWithoutPassword.phone,
         status: userWithoutPassword.status,
+        access_role: access.role,
+        permissions: access.permissions,
       },
     });
   } catch (error) {
@@ -545,6 +835,15 @@ router.put("/profile", authenticateToken, async (req, res) => {
     // Update user in database
     await db.updateUser(userId, updateData);
 
+    // A new password signs out every other device
+    if (hashedNewPassword) {
+      await SessionService.revokeUserSessions(
+        userId,
+        "password_changed",
+        req.user.sid
+      );
+    }
+
     // Get updated user data
     const updatedUser = await db.getUserById(userId);
     const { password: _, ...userWithoutPassword } = updatedUser;
@@ -1,6 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const { db } = require("../database");
+const StockLedgerModel = require("../models/stockLedgerModel");
+const StockMovementService = require("../services/stockMovementService");
+const StockAdjustmentController = require("../controllers/stockAdjustmentController");
+const LeafQualityController = require("../controllers/leafQualityController");
+const PricingController = require("../controllers/pricingController");
+const SettlementController = require("../controllers/settlementController");
+const AdvanceController = require("../controllers/advanceController");
+const PayoutBatchController = require("../controllers/payoutBatchController");
+const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
 
 // Validation middleware for manager inventory payloads
 
@@ -258,6 +268,39 @@ router.get("/inventory/analytics", async (req, res) => {
         parseFloat(item.quantity_kg) * parseFloat(item.price_per_kg);
     });
 
+    // Shrinkage: approved stock adjustments that reduced a lot
+    const shrinkageRows = await db.query(`
+      SELECT
+        reason_code,
+        DATE_FORMAT(reviewed_at, '%Y-%m') as month,
+        COUNT(*) as count,
+        SUM(-quantity_kg) as quantity
+      FROM stock_adjustments
+      WHERE status = 'approved' AND quantity_kg < 0
+      GROUP BY reason_code, DATE_FORMAT(reviewed_at, '%Y-%m')
+    `);
+
+    const shrinkageByReason = {};
+    const shrinkageByMonth = {};
+    shrinkageRows.forEach((row) => {
+      const quantity = parseFloat(row.quantity) || 0;
+      if (!shrinkageByReason[row.reason_code]) {
+        shrinkageByReason[row.reason_code] = { count: 0, quantity: 0 };
+      }
+      shrinkageByReason[row.reason_code].count += row.count;
+      shrinkageByReason[row.reason_code].quantity += quantity;
+
+      if (!shrinkageByMonth[row.month]) {
+        shrinkageByMonth[row.month] = { count: 0, quantity: 0 };
+      }
+      shrinkageByMonth[row.month].count += row.count;
+      shrinkageByMonth[row.month].quantity += quantity;
+    });
+    const shrinkageKg = Object.values(shrinkageByReason).reduce(
+      (sum, item) => sum + item.quantity,
+      0
+    );
+
     // Summary statistics
     const totalItems = allData.length;
     const totalQuantity = allData.reduce(
@@ -284,6 +327,7 @@ router.get("/inventory/analytics", async (req, res) => {
           deliveredOrders: allData.filter(
             (item) => item.source === "delivered_order"
           ).length,
+          shrinkageKg,
         },
         gradeDistribution: Object.entries(gradeDistribution).map(
           ([grade, data]) => ({
@@ -314,6 +358,20 @@ router.get("/inventory/analytics", async (req, res) => {
             ...data,
           }))
           .sort((a, b) => b.value - a.value),
+        shrinkage: {
+          byReason: Object.entries(shrinkageByReason)
+            .map(([reason, data]) => ({
+              reason,
+              ...data,
+            }))
+            .sort((a, b) => b.quantity - a.quantity),
+          byMonth: Object.entries(shrinkageByMonth)
+            .map(([month, data]) => ({
+              month,
+              ...data,
+            }))
+            .sort((a, b) => a.month.localeCompare(b.month)),
+        },
       },
     });
   } catch (error) {
@@ -615,6 +673,68 @@ router.post("/production", async (req, res) => {
   }
 });
 
+// GET /api/manager/production/analytics/grades - Made-tea grade mix per day or month
+router.get("/production/analytics/grades", async (req, res) => {
+  try {
+    const mod = await import("../controllers/productionController.js");
+    return mod.getGradeAnalytics(req, res);
+  } catch (err) {
+    console.error("Failed to delegate getGradeAnalytics:", err);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+// GET /api/manager/production/yield-trend - Yield % per run, day or month with out-of-band flags
+router.get("/production/yield-trend", async (req, res) => {
+  try {
+    const mod = await import("../controllers/productionController.js");
+    return mod.getYieldTrend(req, res);
+  } catch (err) {
+    console.error("Failed to delegate getYieldTrend:", err);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+// PUT /api/manager/production/:id/output-lines - Replace the graded output lines
+router.put("/production/:id/output-lines", async (req, res) => {
+  try {
+    const mod = await import("../controllers/productionController.js");
+    return mod.updateOutputLines(req, res);
+  } catch (err) {
+    console.error("Failed to delegate updateOutputLines:", err);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+// GET /api/manager/production/:id/trace - Delegate to productionController.traceProduction
+router.get("/production/:id/trace", async (req, res) => {
+  try {
+    const mod = await import("../controllers/productionController.js");
+    return mod.traceProduction(req, res);
+  } catch (err) {
+    console.error("Failed to delegate traceProduction:", err);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+// POST /api/manager/production/:id/cancel - Cancel a production record and restore its inventory
+router.post(
+  "/production/:id/cancel",
+  authenticateToken,
+  requirePermission("production.manage"),
+  async (req, res) => {
+    try {
+      const mod = await import("../controllers/productionController.js");
+      return mod.cancelProduction(req, res);
+    } catch (err) {
+      console.error("Failed to delegate cancelProduction:", err);
+      res
+        .status(500)
+        .json({ success: false, message: "Internal server error" });
+    }
+  }
+);
+
 // Test route to check production table
 router.get("/production-test", async (req, res) => {
   try {
@@ -642,4 +762,277 @@ router.get("/production-test", async (req, res) => {
   }
 });
 
+// GET /api/manager/stock/ledger - Stock movement journal filtered by lot, type and date range
+router.get("/stock/ledger", async (req, res) => {
+  try {
+    const {
+      lot_type,
+      lot_id,
+      lot_code,
+      movement_type,
+      date_from,
+      date_to,
+      limit,
+      offset,
+    } = req.query;
+
+    if (lot_type && !StockMovementService.LOT_TYPES.includes(lot_type)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Invalid lot type. Must be one of: " +
+          StockMovementService.LOT_TYPES.join(", "),
+      });
+    }
+
+    if (
+      movement_type &&
+      !StockMovementService.MOVEMENT_TYPES.includes(movement_type)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Invalid movement type. Must be one of: " +
+          StockMovementService.MOVEMENT_TYPES.join(", "),
+      });
+    }
+
+    const movements = await StockLedgerModel.findMovements({
+      lot_type,
+      lot_id,
+      lot_code,
+      movement_type,
+      date_from,
+      date_to,
+      limit,
+      offset,
+    });
+
+    const totalQuantity = movements.reduce(
+      (sum, movement) => sum + parseFloat(movement.quantity_kg),
+      0
+    );
+
+    res.json({
+      success: true,
+      data: movements,
+      count: movements.length,
+      net_quantity_kg: Math.round(totalQuantity * 100) / 100,
+    });
+  } catch (error) {
+    console.error("Error fetching stock ledger:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching stock ledger",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// GET /api/manager/stock/reconciliation - Lots whose stored balance differs from the journal
+router.get("/stock/reconciliation", async (req, res) => {
+  try {
+    const result = await StockMovementService.reconcile();
+    res.json({
+      success: true,
+      data: result,
+      message:
+        result.discrepancies.length === 0
+          ? "All lot balances match the stock ledger"
+          : `${result.discrepancies.length} lot balance(s) differ from the stock ledger`,
+    });
+  } catch (error) {
+    console.error("Error reconciling stock ledger:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while reconciling stock ledger",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// POST /api/manager/stock/reconciliation - Reset stored lot balances to the journal balance
+router.post("/stock/reconciliation", async (req, res) => {
+  try {
+    const result = await StockMovementService.reconcile({ apply: true });
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.discrepancies.length} lot balance(s) reset from the stock ledger`,
+    });
+  } catch (error) {
+    console.error("Error applying stock reconciliation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while applying stock reconciliation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// GET /api/manager/stock-adjustments - Adjustment proposals, filter with ?status=pending
+router.get("/stock-adjustments", StockAdjustmentController.getAdjustments);
+
+// PUT /api/manager/stock-adjustments/:id/approve - Apply a pending adjustment to its lot
+router.put(
+  "/stock-adjustments/:id/approve",
+  authenticateToken,
+  requirePermission("stock.approve"),
+  StockAdjustmentController.approveAdjustment
+);
+
+// PUT /api/manager/stock-adjustments/:id/reject - Reject a pending adjustment
+router.put(
+  "/stock-adjustments/:id/reject",
+  authenticateToken,
+  requirePermission("stock.approve"),
+  StockAdjustmentController.rejectAdjustment
+);
+
+// Leaf quality deduction rules applied when supply records are assessed at intake
+router.get("/leaf-quality-rules", LeafQualityController.getRules);
+router.post(
+  "/leaf-quality-rules",
+  authenticateToken,
+  requirePermission("quality_rule.manage"),
+  LeafQualityController.createRule
+);
+router.put(
+  "/leaf-quality-rules/:id",
+  authenticateToken,
+  requirePermission("quality_rule.manage"),
+  LeafQualityController.updateRule
+);
+router.delete(
+  "/leaf-quality-rules/:id",
+  authenticateToken,
+  requirePermission("quality_rule.manage"),
+  LeafQualityController.deleteRule
+);
+
+// Pricing engine - price lists with effective dates, overrides and quality tiers
+const requirePricingManager = [
+  authenticateToken,
+  requirePermission("price.set"),
+];
+router.get("/pricing/price-lists", PricingController.getPriceLists);
+router.get("/pricing/price-lists/:id", PricingController.getPriceListById);
+router.post(
+  "/pricing/price-lists",
+  requirePricingManager,
+  PricingController.createPriceList
+);
+router.put(
+  "/pricing/price-lists/:id",
+  requirePricingManager,
+  PricingController.updatePriceList
+);
+router.delete(
+  "/pricing/price-lists/:id",
+  requirePricingManager,
+  PricingController.deletePriceList
+);
+router.get("/pricing/resolve", PricingController.resolvePrice);
+router.get("/pricing/supplier-groups", PricingController.getSupplierGroups);
+router.post(
+  "/pricing/supplier-groups",
+  requirePricingManager,
+  PricingController.createSupplierGroup
+);
+router.put(
+  "/pricing/supplier-groups/:id",
+  requirePricingManager,
+  PricingController.updateSupplierGroup
+);
+router.put(
+  "/pricing/suppliers/:supplierId/group",
+  requirePricingManager,
+  PricingController.setSupplierGroup
+);
+
+// Monthly settlements - draft -> approved -> paid
+const requireSettlementPermission = (permission) => [
+  authenticateToken,
+  requirePermission(permission),
+];
+router.get("/settlements", SettlementController.getSettlements);
+router.get("/settlements/:id", SettlementController.getSettlementById);
+router.post(
+  "/settlements/generate",
+  requireSettlementPermission("settlement.manage"),
+  SettlementController.generateSettlements
+);
+router.post(
+  "/settlements/:id/deductions",
+  requireSettlementPermission("settlement.manage"),
+  SettlementController.addDeduction
+);
+router.delete(
+  "/settlements/:id/lines/:lineId",
+  requireSettlementPermission("settlement.manage"),
+  SettlementController.removeLine
+);
+router.delete(
+  "/settlements/:id",
+  requireSettlementPermission("settlement.manage"),
+  SettlementController.deleteSettlement
+);
+router.put(
+  "/settlements/:id/approve",
+  requireSettlementPermission("settlement.approve"),
+  SettlementController.approveSettlement
+);
+router.post(
+  "/settlements/:id/pay",
+  requireSettlementPermission("settlement.pay"),
+  SettlementController.paySettlement
+);
+
+// Bank payout batches - approved settlements -> transfer file -> bank response
+const requirePayoutManager = requireSettlementPermission("payout.manage");
+router.get(
+  "/payout-batches/candidates",
+  requirePayoutManager,
+  PayoutBatchController.getCandidates
+);
+router.get(
+  "/payout-batches",
+  requirePayoutManager,
+  PayoutBatchController.getBatches
+);
+router.get(
+  "/payout-batches/:id",
+  requirePayoutManager,
+  PayoutBatchController.getBatchById
+);
+router.post(
+  "/payout-batches",
+  requirePayoutManager,
+  PayoutBatchController.createBatch
+);
+router.get(
+  "/payout-batches/:id/file",
+  requirePayoutManager,
+  PayoutBatchController.exportFile
+);
+router.post(
+  "/payout-batches/:id/response",
+  requirePayoutManager,
+  express.text({ type: ["text/*", "application/octet-stream"], limit: "10mb" }),
+  PayoutBatchController.importResponse
+);
+router.put(
+  "/payout-batches/:id/cancel",
+  requirePayoutManager,
+  PayoutBatchController.cancelBatch
+);
+
+// Cancel a supplier advance entered in error (nothing recovered yet)
+router.put(
+  "/advances/:id/cancel",
+  authenticateToken,
+  requirePermission("advance.cancel"),
+  AdvanceController.cancelAdvance
+);
+
 module.exports = router;
@@ -1,184 +1,214 @@
 const express = require("express");
 const router = express.Router();
 const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
 const PaymentModel = require("../models/paymentModel");
 const SupplierModel = require("../models/supplierModel");
+const PaymentApprovalService = require("../services/paymentApprovalService");
+const PaymentReversalService = require("../services/paymentReversalService");
+const GatewayCallbackService = require("../services/gatewayCallbackService");
+const SupplierStatementController = require("../controllers/supplierStatementController");
+const ChequeController = require("../controllers/chequeController");
+const CashBookController = require("../controllers/cashBookController");
+const PaymentApprovalController = require("../controllers/paymentApprovalController");
+const ServiceError = require("../services/serviceError");
+const { getPaymentGateway } = require("../services/paymentGateways");
 
 // Payment Gateway Integration Routes
 
-// Create payment session for monthly payments
-router.post("/gateway", authenticateToken, async (req, res) => {
+// Provider pages (the mock gateway's checkout) live under /mock-gateway. The
+// mock checkout approves whatever it is asked to, so production only serves
+// it when MOCK_GATEWAY_ENABLED=true.
+const configuredGateway = getPaymentGateway();
+const mockGatewayAllowed =
+  process.env.NODE_ENV !== "production" ||
+  process.env.MOCK_GATEWAY_ENABLED === "true";
+if (
+  configuredGateway.router &&
+  (configuredGateway.name !== "mock" || mockGatewayAllowed)
+) {
+  router.use(`/${configuredGateway.name}-gateway`, configuredGateway.router);
+}
+
+// Users who can pay suppliers do so up to their role's approval limit
+const requirePaymentMaker = [
+  authenticateToken,
+  requirePermission("payment.create"),
+];
+
+// Pay a supply record by card. The payment is made like any other (held for
+// approval above the maker's limit) and then waits as pending on a gateway
+// checkout session until the gateway's callback settles it.
+router.post("/gateway", requirePaymentMaker, async (req, res) => {
   try {
     const {
       amount,
       currency = "LKR",
       description,
-      supplier_name,
-      supplier_email,
       supply_record_id,
     } = req.body;
+    const paymentAmount = parseFloat(amount);
 
     // Validate required fields
-    if (!amount || !description || !supply_record_id) {
+    if (!(paymentAmount > 0) || !description || !supply_record_id) {
       return res.status(400).json({
         success: false,
-        message: "Amount, description, and supply_record_id are required",
+        message:
+          "A positive amount, description, and supply_record_id are required",
       });
     }
 
-    // Generate unique payment ID
-    const payment_id = PaymentModel.generatePaymentId();
-    const session_id = `session_${Date.now()}_${supply_record_id}`;
-
-    // Create payment record in database
-    const paymentData = {
-      payment_id: payment_id,
-      supply_record_id: supply_record_id,
-      supplier_id: req.user?.id || null,
-      amount: parseFloat(amount),
-      currency: currency,
+    // The supplier paid is the one who made the supply
+    const found = await SupplierModel.findSupplyRecordById(supply_record_id);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: "Supply record not found",
+      });
+    }
+    const record = found.supply_record;
+    if (!(parseFloat(record.outstanding_amount) > 0)) {
+      return res.status(409).json({
+        success: false,
+        message: `Supply record ${record.supply_id} has no outstanding balance`,
+      });
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+    const submitted = await PaymentApprovalService.submit("gateway", {
+      supplier_id: record.supplier_id,
+      supply_record_id: record.id,
+      amount: paymentAmount,
+      currency,
       payment_method: "gateway",
-      payment_gateway: process.env.PAYMENT_GATEWAY_PROVIDER || "demo",
-      gateway_session_id: session_id,
-      payment_status: "pending",
       payment_notes: description,
-      created_by: req.user?.id || null,
-    };
-
-    // Save payment to database
-    const payment = await PaymentModel.createPayment(paymentData);
-
-    // Demo payment gateway URL
-    const returnUrl = `${
-      process.env.FRONTEND_URL || "http://localhost:3000"
-    }/payment-result/success`;
-    const cancelUrl = `${
-      process.env.FRONTEND_URL || "http://localhost:3000"
-    }/payment-result/cancel`;
+      request: {
+        description,
+        return_url: `${frontendUrl}/payment-result/success`,
+        cancel_url: `${frontendUrl}/payment-result/cancel`,
+      },
+      user: req.user,
+    });
 
-    const paymentUrl = `${
-      process.env.PAYMENT_GATEWAY_URL || "https://demo-payment-gateway.com"
-    }/checkout?session_id=${session_id}&payment_id=${payment_id}&amount=${amount}&currency=${currency}&return_url=${encodeURIComponent(
-      returnUrl
-    )}&cancel_url=${encodeURIComponent(cancelUrl)}`;
+    if (submitted.pending_approval) {
+      return res.status(202).json({
+        success: true,
+        message: `Payment exceeds your approval limit of ${submitted.approval_limit.toFixed(
+          2
+        )} and is awaiting approval`,
+        data: submitted.payment,
+      });
+    }
 
+    const payment = submitted.result;
     console.log("Payment session created:", {
       payment_id: payment.payment_id,
-      session_id: session_id,
+      session_id: payment.gateway_session_id,
       amount: payment.amount,
-      supplier: supplier_name,
+      supplier: found.supplier.name,
     });
 
     res.json({
       success: true,
       message: "Payment session created successfully",
       payment_id: payment.payment_id,
-      session_id: session_id,
-      payment_url: paymentUrl,
+      session_id: payment.gateway_session_id,
+      payment_url: payment.payment_url,
       amount: payment.amount,
       currency: payment.currency,
     });
   } catch (error) {
     console.error("Payment gateway error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to create payment session",
+      message: error.statusCode
+        ? error.message
+        : "Failed to create payment session",
     });
   }
 });
 
-// Payment success callback (webhook)
-router.post("/callback/success", async (req, res) => {
+// Callback bodies arrive raw (see server.js)
+const readCallbackBody = (req) => {
+  const rawBody =
+    Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : null;
   try {
-    const {
-      session_id,
-      payment_id,
-      status,
-      supply_record_id,
-      gateway_payment_id,
-    } = req.body;
-
-    console.log("Payment success callback:", {
-      session_id,
-      payment_id,
-      status,
-      supply_record_id,
-      gateway_payment_id,
-    });
-
-    if (status === "completed" && payment_id) {
-      const payment = await PaymentModel.findPaymentByPaymentId(payment_id);
-
-      if (payment) {
-        await PaymentModel.updatePaymentByPaymentId(payment_id, {
-          payment_status: "completed",
-          gateway_payment_id: gateway_payment_id,
-          payment_date: new Date(),
-          gateway_response: req.body,
-        });
-
-        const { pool } = require("../database");
-        await pool.execute(
-          "UPDATE supply_records SET payment_status = ? WHERE id = ?",
-          ["paid", payment.supply_record_id]
-        );
-
-        console.log(
-          `Payment ${payment_id} completed and supply record ${payment.supply_record_id} marked as paid`
-        );
-      } else {
-        console.error(`Payment not found: ${payment_id}`);
-      }
-    }
-
-    res.json({
-      success: true,
-      message: "Payment processed successfully",
-    });
+    return { rawBody, body: rawBody ? JSON.parse(rawBody.toString()) : {} };
   } catch (error) {
-    console.error("Payment callback error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Payment callback processing failed",
-    });
+    throw new ServiceError("Callback body is not valid JSON", 400);
   }
-});
+};
 
-// Payment failure callback
-router.post("/callback/failure", async (req, res) => {
+// Gateway callbacks (webhooks). These are unauthenticated; the gateway
+// adapter checks the signature, timestamp and nonce before anything is applied.
+const callbackHandler = (kind) => async (req, res) => {
   try {
-    const { session_id, error_code, error_message, supply_record_id } =
-      req.body;
+    const { body, rawBody } = readCallbackBody(req);
+    const result = await getPaymentGateway().verifyCallback({
+      kind,
+      body,
+      headers: req.headers,
+      rawBody,
+    });
 
-    console.log("Payment failure callback:", {
-      session_id,
-      error_code,
-      error_message,
-      supply_record_id,
+    console.log(`Payment ${kind} callback:`, {
+      session_id: result.session_id,
+      payment_id: result.payment_id,
+      status: result.status,
+      gateway_payment_id: result.gateway_payment_id,
+      error_code: result.error_code,
     });
 
+    const outcome = await GatewayCallbackService.applyCallback(kind, result);
+
     res.json({
       success: true,
-      message: "Payment failure processed",
+      message: outcome.duplicate
+        ? "Callback already processed"
+        : kind === "success"
+        ? "Payment processed successfully"
+        : "Payment failure processed",
+      ...outcome,
     });
   } catch (error) {
-    console.error("Payment failure callback error:", error);
-    res.status(500).json({
+    console.error(`Payment ${kind} callback error:`, error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Payment failure callback processing failed",
+      message: error.statusCode
+        ? error.message
+        : "Payment callback processing failed",
     });
   }
-});
+};
 
-// Get payment status
+router.post("/callback/success", callbackHandler("success"));
+router.post("/callback/failure", callbackHandler("failure"));
+
+// Get payment status, as recorded from the gateway's callbacks
 router.get("/status/:session_id", authenticateToken, async (req, res) => {
   try {
     const { session_id } = req.params;
 
+    const payment = await PaymentModel.findPaymentBySessionId(session_id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "No payment found for that session",
+      });
+    }
+
     res.json({
       success: true,
       session_id,
-      status: "pending",
+      status: payment.payment_status,
+      payment_id: payment.payment_id,
+      amount: payment.amount,
+      currency: payment.currency,
+      gateway: payment.payment_gateway,
+      gateway_payment_id: payment.gateway_payment_id,
+      payment_date: payment.payment_date,
+      failure_code: payment.failure_code,
+      failure_message: payment.failure_message,
       message: "Payment status retrieved successfully",
     });
   } catch (error) {
@@ -190,6 +220,76 @@ router.get("/status/:session_id", authenticateToken, async (req, res) => {
   }
 });
 
+// Cheque register: issued -> presented -> cleared / bounced / cancelled.
+// Bouncing or cancelling a cheque reverses the payments it made.
+const requireChequeManager = [
+  authenticateToken,
+  requirePermission("cheque.manage"),
+];
+router.get(
+  "/cheques",
+  authenticateToken,
+  requirePermission("cheque.view"),
+  ChequeController.getCheques
+);
+router.get(
+  "/cheques/uncleared",
+  authenticateToken,
+  requirePermission("cheque.view"),
+  ChequeController.getUnclearedCheques
+);
+router.get(
+  "/cheques/:id",
+  authenticateToken,
+  requirePermission("cheque.view"),
+  ChequeController.getChequeById
+);
+router.put(
+  "/cheques/:id/status",
+  requireChequeManager,
+  ChequeController.updateChequeStatus
+);
+
+// Cash book: a daily float per staff member or collection point that cash
+// payments draw on, closed at the end of the day against the counted cash
+const requireCashHandler = [
+  authenticateToken,
+  requirePermission("cash.manage"),
+];
+router.post(
+  "/cash-book/sessions",
+  requireCashHandler,
+  CashBookController.openSession
+);
+router.get(
+  "/cash-book/sessions",
+  requireCashHandler,
+  CashBookController.getSessions
+);
+router.get(
+  "/cash-book/sessions/:id",
+  requireCashHandler,
+  CashBookController.getSessionById
+);
+router.post(
+  "/cash-book/sessions/:id/entries",
+  requireCashHandler,
+  CashBookController.addEntry
+);
+router.post(
+  "/cash-book/sessions/:id/close",
+  requireCashHandler,
+  CashBookController.closeSession
+);
+
+// A supplier's statement for a period as JSON, PDF or CSV
+router.get(
+  "/statements/:supplier_id",
+  authenticateToken,
+  requirePermission("statement.view"),
+  SupplierStatementController.getSupplierStatement
+);
+
 // Get all payments with filtering
 router.get("/history", authenticateToken, async (req, res) => {
   try {
@@ -272,8 +372,130 @@ router.get("/supply-record/:id", authenticateToken, async (req, res) => {
   }
 });
 
-// Create direct payment (for spot payments)
-router.post("/direct", authenticateToken, async (req, res) => {
+// Create a lump-sum payment allocated across several supply records. Without
+// `allocations` the amount is applied to the oldest outstanding records first.
+// Above the creator's approval limit it waits for a second user's approval.
+router.post("/allocate", requirePaymentMaker, async (req, res) => {
+  try {
+    const {
+      supplier_id,
+      amount,
+      payment_method = "bank_transfer",
+      payment_notes,
+      allocations,
+      cheque,
+      payment_date,
+      collection_point,
+    } = req.body;
+    const paymentAmount = parseFloat(amount);
+
+    if (!supplier_id || isNaN(paymentAmount) || paymentAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Supplier ID and a positive amount are required",
+      });
+    }
+    if (!["bank_transfer", "cash", "cheque", "spot"].includes(payment_method)) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment method must be bank_transfer, cash, cheque or spot",
+      });
+    }
+    if (allocations !== undefined) {
+      if (!Array.isArray(allocations) || allocations.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Allocations must be a non-empty array",
+        });
+      }
+      const invalid = allocations.find(
+        (a) => !a.supply_record_id || !(parseFloat(a.amount) > 0)
+      );
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Each allocation needs a supply_record_id and a positive amount",
+        });
+      }
+    }
+
+    const submitted = await PaymentApprovalService.submit("allocate", {
+      supplier_id,
+      amount: paymentAmount,
+      payment_method,
+      payment_notes: payment_notes || null,
+      request: {
+        allocations: allocations
+          ? allocations.map((a) => ({
+              supply_record_id: a.supply_record_id,
+              amount: parseFloat(a.amount),
+            }))
+          : null,
+        cheque: payment_method === "cheque" ? cheque : null,
+        payment_date,
+        collection_point,
+      },
+      user: req.user,
+    });
+
+    if (submitted.pending_approval) {
+      return res.status(202).json({
+        success: true,
+        message: `Payment exceeds your approval limit of ${submitted.approval_limit.toFixed(
+          2
+        )} and is awaiting approval`,
+        data: { payment: submitted.payment, allocations: [] },
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Payment allocated across ${submitted.result.allocations.length} supply record(s)`,
+      data: submitted.result,
+    });
+  } catch (error) {
+    console.error("Allocate payment error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to allocate payment",
+    });
+  }
+});
+
+// Get how a payment was allocated across supply records
+router.get("/allocations/:payment_id", authenticateToken, async (req, res) => {
+  try {
+    const payment = await PaymentModel.findPaymentByPaymentId(
+      req.params.payment_id
+    );
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Payment allocations retrieved successfully",
+      data: {
+        payment,
+        allocations: await PaymentModel.findAllocations(payment.id),
+      },
+    });
+  } catch (error) {
+    console.error("Payment allocations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve payment allocations",
+    });
+  }
+});
+
+// Create direct payment (for spot payments). Above the creator's approval
+// limit it waits for a second user's approval.
+router.post("/direct", requirePaymentMaker, async (req, res) => {
   try {
     console.log("=== DIRECT PAYMENT REQUEST ===");
     console.log("Request body:", req.body);
@@ -285,9 +507,13 @@ router.post("/direct", authenticateToken, async (req, res) => {
       amount,
       payment_method = "spot",
       payment_notes,
+      cheque,
+      payment_date,
+      collection_point,
     } = req.body;
 
-    if (!supply_record_id || !supplier_id || !amount) {
+    const grossAmount = parseFloat(amount);
+    if (!supply_record_id || !supplier_id || !(grossAmount > 0)) {
       console.error("Missing required fields:", {
         supply_record_id,
         supplier_id,
@@ -298,38 +524,39 @@ router.post("/direct", authenticateToken, async (req, res) => {
         message: "Supply record ID, supplier ID, and amount are required",
       });
     }
+    if (!["bank_transfer", "cash", "cheque", "spot"].includes(payment_method)) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment method must be bank_transfer, cash, cheque or spot",
+      });
+    }
 
-    const payment_id = PaymentModel.generatePaymentId();
-    console.log("Generated payment ID:", payment_id);
-
-    const paymentData = {
-      payment_id,
+    const submitted = await PaymentApprovalService.submit("direct", {
       supply_record_id,
       supplier_id,
-      amount: parseFloat(amount),
+      amount: grossAmount,
       payment_method,
-      payment_status: "completed",
-      payment_notes,
-      created_by: req.user?.id,
-    };
-
-    console.log("Creating payment with data:", paymentData);
-    const payment = await PaymentModel.createPayment(paymentData);
-    console.log("Payment created successfully:", payment);
+      payment_notes: payment_notes || null,
+      request: { cheque, payment_date, collection_point },
+      user: req.user,
+    });
 
-    // Update supply record payment status
-    console.log("Updating supply record status to paid...");
-    const { pool } = require("../database");
-    await pool.execute(
-      "UPDATE supply_records SET payment_status = ? WHERE id = ?",
-      ["paid", supply_record_id]
-    );
-    console.log("Supply record updated successfully");
+    if (submitted.pending_approval) {
+      console.log("Payment awaiting approval:", submitted.payment.payment_id);
+      return res.status(202).json({
+        success: true,
+        message: `Payment exceeds your approval limit of ${submitted.approval_limit.toFixed(
+          2
+        )} and is awaiting approval`,
+        data: submitted.payment,
+      });
+    }
 
+    console.log("Payment processed successfully:", submitted.result);
     res.json({
       success: true,
       message: "Payment processed successfully",
-      data: payment,
+      data: submitted.result,
     });
   } catch (error) {
     console.error("=== DIRECT PAYMENT ERROR ===");
@@ -338,7 +565,7 @@ router.post("/direct", authenticateToken, async (req, res) => {
     console.error("Error code:", error.code);
     console.error("Error stack:", error.stack);
     console.error("Full error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Failed to process payment",
       error: error.code || "UNKNOWN_ERROR",
@@ -346,4 +573,81 @@ router.post("/direct", authenticateToken, async (req, res) => {
   }
 });
 
+// Maker-checker: payments above their creator's approval limit, and the
+// approvals and rejections recorded against them
+router.get(
+  "/approvals/pending",
+  authenticateToken,
+  requirePermission("payment.view"),
+  PaymentApprovalController.getPendingPayments
+);
+router.get(
+  "/:payment_id/approvals",
+  authenticateToken,
+  requirePermission("payment.view"),
+  PaymentApprovalController.getApprovals
+);
+router.post(
+  "/:payment_id/approve",
+  authenticateToken,
+  requirePermission("payment.approve"),
+  PaymentApprovalController.approvePayment
+);
+router.post(
+  "/:payment_id/reject",
+  authenticateToken,
+  requirePermission("payment.approve"),
+  PaymentApprovalController.rejectPayment
+);
+
+// Reverse (void) or refund a completed payment. Both need a reason, write a
+// compensating entry and reopen the supply records the payment covered.
+const reversalHandler = (kind) => async (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).trim() : "";
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required",
+      });
+    }
+
+    const result = await PaymentReversalService.reverse(req.params.payment_id, {
+      kind,
+      reason,
+      user_id: req.user?.id || null,
+      ip_address: req.ip,
+      user_agent: req.get("user-agent") || null,
+    });
+
+    res.json({
+      success: true,
+      message:
+        kind === "refund"
+          ? "Payment refunded successfully"
+          : "Payment reversed successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error(`Payment ${kind} error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : `Failed to process ${kind}`,
+    });
+  }
+};
+
+router.post(
+  "/:payment_id/reverse",
+  authenticateToken,
+  requirePermission("payment.reverse"),
+  reversalHandler("reversal")
+);
+router.post(
+  "/:payment_id/refund",
+  authenticateToken,
+  requirePermission("payment.reverse"),
+  reversalHandler("refund")
+);
+
 module.exports = router;
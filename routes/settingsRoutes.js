@@ -1,5 +1,9 @@
 const express = require("express");
 const { db } = require("../database");
+const ProductionModel = require("../models/productionModel");
+const PaymentApprovalController = require("../controllers/paymentApprovalController");
+const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
 const router = express.Router();
 
 // GET /api/settings/unit-price - returns the global unit price per kg (string or null)
@@ -59,4 +63,57 @@ router.get("/unit-price/history", async (req, res) => {
   }
 });
 
+// GET /api/settings/yield-band - acceptable production yield % band
+router.get("/yield-band", async (req, res) => {
+  try {
+    const band = await ProductionModel.getYieldBand();
+    res.json({
+      success: true,
+      data: { yield_min_percent: band.min, yield_max_percent: band.max },
+    });
+  } catch (err) {
+    console.error("Error fetching yield band setting", err);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+// PUT /api/settings/yield-band - set the band outside which production runs are flagged
+router.put("/yield-band", async (req, res) => {
+  try {
+    const min = parseFloat(req.body.yield_min_percent);
+    const max = parseFloat(req.body.yield_max_percent);
+    if (isNaN(min) || isNaN(max) || min < 0 || max > 100 || min >= max) {
+      return res.status(400).json({
+        success: false,
+        message: "Yield band must satisfy 0 <= min < max <= 100",
+      });
+    }
+    await db.setSetting("yield_min_percent", String(min));
+    await db.setSetting("yield_max_percent", String(max));
+
+    res.json({
+      success: true,
+      data: { yield_min_percent: min, yield_max_percent: max },
+    });
+  } catch (err) {
+    console.error("Error saving yield band setting", err);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+// GET /api/settings/payment-approval-limits - largest payment each role may make without a second approval (null is unlimited)
+router.get(
+  "/payment-approval-limits",
+  authenticateToken,
+  PaymentApprovalController.getLimits
+);
+
+// PUT /api/settings/payment-approval-limits - set limits per role, e.g. { "staff": 25000, "admin": "unlimited" }
+router.put(
+  "/payment-approval-limits",
+  authenticateToken,
+  requirePermission("settings.manage"),
+  PaymentApprovalController.updateLimits
+);
+
 module.exports = router;
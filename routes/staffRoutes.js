@@ -3,6 +3,11 @@ const bcrypt = require("bcryptjs");
 const { pool } = require("../database");
 const SupplierController = require("../controllers/supplierController");
 const SupplierModel = require("../models/supplierModel");
+const StockAdjustmentController = require("../controllers/stockAdjustmentController");
+const PricingController = require("../controllers/pricingController");
+const AdvanceController = require("../controllers/advanceController");
+const { authenticateToken } = require("../middleware/auth");
+const SessionService = require("../services/sessionService");
 
 const router = express.Router();
 
@@ -413,6 +418,18 @@ router.get("/suppliers", SupplierController.getAllSuppliers);
 // Get supplier by ID (Controller-based route)
 router.get("/suppliers/:id", SupplierController.getSupplierById);
 
+// Supplier balance: outstanding advances against unpaid supply
+router.get("/suppliers/:id/balance", AdvanceController.getSupplierBalance);
+
+// Supplier advances and loans, recovered from settlements and spot payments
+router.get("/suppliers/:id/advances", AdvanceController.getSupplierAdvances);
+router.post(
+  "/suppliers/:id/advances",
+  authenticateToken,
+  AdvanceController.createAdvance
+);
+router.get("/advances/:id", AdvanceController.getAdvanceById);
+
 // Debug route: Get supplier ID statistics
 router.get("/suppliers/debug/stats", async (req, res) => {
   try {
@@ -1059,7 +1076,12 @@ router.put("/suppliers/:id", async (req, res) => {
     updateParams.push(id);
 
     // Update supplier
-    await pool.execute(updateQuery, updateParams);
+    const [updateResult] = await pool.execute(updateQuery, updateParams);
+
+    // A new password signs the supplier out everywhere
+    if (password && password.trim() !== "" && updateResult.affectedRows > 0) {
+      await SessionService.revokeUserSessions(id, "password_changed");
+    }
 
     // Get updated supplier data
     const [updatedSupplier] = await pool.execute(
@@ -1094,6 +1116,10 @@ router.put("/suppliers/:id", async (req, res) => {
 router.get("/supply-records", SupplierController.getAllSupplyRecords);
 router.post("/supply-records", SupplierController.createSupplyRecord);
 router.get("/supply-records/:id", SupplierController.getSupplyRecordById);
+router.get(
+  "/supply-records/:id/where-used",
+  SupplierController.getSupplyRecordWhereUsed
+);
 router.put("/supply-records/:id", SupplierController.updateSupplyRecord);
 
 router.put(
@@ -1105,4 +1131,21 @@ router.put(
   SupplierController.markPaymentAsPaid
 );
 
+// Preview the unit price a delivery would get on a supply date
+router.get("/pricing/resolve", PricingController.resolvePrice);
+
+router.put(
+  "/supply-records/:id/quality",
+  authenticateToken,
+  SupplierController.assessSupplyQuality
+);
+
+// Stock adjustments - proposals wait for manager approval
+router.get("/stock-adjustments", StockAdjustmentController.getAdjustments);
+router.post(
+  "/stock-adjustments",
+  authenticateToken,
+  StockAdjustmentController.createAdjustment
+);
+
 module.exports = router;
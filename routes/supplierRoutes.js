@@ -1,5 +1,9 @@
 const express = require('express');
 const { db } = require('../database');
+const { TEA_GRADES } = require('../utils/teaGrades');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const SupplierStatementController = require('../controllers/supplierStatementController');
 
 const router = express.Router();
 
@@ -34,11 +38,10 @@ const validateOrderData = (req, res, next) => {
   }
 
   // Validate grade
-  const validGrades = ['PEKOE', 'OP', 'OPA', 'FLOWERY_PEKOE', 'FBOP', 'GBOP', 'TGFOP', 'FTGFOP', 'SFTGFOP'];
-  if (!validGrades.includes(grade)) {
+  if (!TEA_GRADES.includes(grade)) {
     return res.status(400).json({
       success: false,
-      message: 'Invalid grade. Must be one of: ' + validGrades.join(', ')
+      message: 'Invalid grade. Must be one of: ' + TEA_GRADES.join(', ')
     });
   }
 
@@ -424,4 +427,8 @@ router.delete('/orders/:id', async (req, res) => {
   }
 });
 
+// GET /api/supplier/statement - The signed-in supplier's statement of deliveries,
+// deductions and payments (?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|pdf|csv)
+router.get('/statement', authenticateToken, requirePermission('own_statement.view'), SupplierStatementController.getOwnStatement);
+
 module.exports = router;
\ No newline at end of file
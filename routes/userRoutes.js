@@ -2,6 +2,8 @@ const express = require("express");
 const bcrypt = require("bcryptjs");
 const nodemailer = require("nodemailer");
 const { db } = require("../database");
+const SessionService = require("../services/sessionService");
+const LoginProtectionService = require("../services/loginProtectionService");
 
 const router = express.Router();
 
@@ -44,6 +46,14 @@ function buildTransporter() {
 
 const mailTransporter = buildTransporter();
 
+// Answer a request refused by LoginProtectionService with when to retry
+const sendThrottled = (res, error) => {
+  res.set("Retry-After", String(error.retry_after));
+  res
+    .status(error.statusCode)
+    .json({ message: error.message, retry_after: error.retry_after });
+};
+
 // POST /api/users/send-otp - send a one-time code to user's email
 router.post("/send-otp", async (req, res) => {
   try {
@@ -52,6 +62,12 @@ router.post("/send-otp", async (req, res) => {
       return res.status(400).json({ message: "Email is required" });
     }
 
+    // Limit how many codes an address or IP can ask for; unknown addresses
+    // count too, so the limit does not reveal which accounts exist
+    const attempt = { email, ip_address: req.ip };
+    await LoginProtectionService.check("send_otp", attempt);
+    await LoginProtectionService.recordFailure("send_otp", attempt);
+
     const user = await db.getUserByEmail(email);
     if (!user) {
       // To prevent user enumeration, return 200 with generic message
@@ -86,6 +102,7 @@ router.post("/send-otp", async (req, res) => {
 
     res.json({ message: "If the email exists, an OTP has been sent" });
   } catch (error) {
+    if (error.retry_after) return sendThrottled(res, error);
     console.error("Send OTP error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
@@ -106,37 +123,62 @@ router.post("/reset-password", async (req, res) => {
         .json({ message: "Password must be at least 6 characters long" });
     }
 
+    const attempt = { email, ip_address: req.ip };
+    await LoginProtectionService.check("reset_password", attempt);
+
     const user = await db.getUserByEmail(email);
     if (!user) {
+      await LoginProtectionService.recordFailure("reset_password", attempt);
       return res.status(400).json({ message: "Invalid email or OTP" });
     }
 
     const record = await db.getValidPasswordReset(user.id, otp);
     if (!record) {
+      // Wrong guesses also use up the user's outstanding codes
+      await LoginProtectionService.recordFailure("reset_password", {
+        ...attempt,
+        user_id: user.id,
+      });
+      await LoginProtectionService.recordOtpGuessFailure(user.id, {
+        ip_address: req.ip,
+      });
       return res.status(400).json({ message: "Invalid or expired OTP" });
     }
 
     const hashed = await bcrypt.hash(newPassword, 10);
     await db.updateUser(user.id, { ...user, password: hashed });
     await db.markPasswordResetUsed(record.id);
+    await SessionService.revokeUserSessions(user.id, "password_changed");
+    await LoginProtectionService.recordSuccess("reset_password", attempt);
 
     res.json({ message: "Password has been reset successfully" });
   } catch (error) {
+    if (error.retry_after) return sendThrottled(res, error);
     console.error("Reset password error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
-// Get current user profile
+// Get current user profile. Only listed fields are returned so password
+// hashes and 2FA secrets never leave the server.
 router.get("/profile", async (req, res) => {
   try {
-    const user = await db.getUserById(1); // Default user ID since authentication is removed
+    const user = await db.getUserById(req.user.id);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const { password: _, ...userWithoutPassword } = user;
-    res.json({ user: userWithoutPassword });
+    res.json({
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        status: user.status,
+        created_at: user.created_at,
+      },
+    });
   } catch (error) {
     console.error("Profile fetch error:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -3,6 +3,10 @@ const cors = require("cors");
 require("dotenv").config();
 
 const { initializeDatabase } = require("./database");
+const {
+  protectRouter,
+  checkRoutePermissions,
+} = require("./middleware/permissions");
 
 // Import routes
 const authRoutes = require("./routes/authRoutes");
@@ -14,6 +18,8 @@ const managerRoutes = require("./routes/managerRoutes");
 const messageRoutes = require("./routes/messageRoutes");
 const paymentRoutes = require("./routes/paymentRoutes");
 const SupplierModel = require("./models/supplierModel");
+const StockMovementService = require("./services/stockMovementService");
+const PermissionService = require("./services/permissionService");
 const profileRoutes = require("./routes/profileRoutes");
 const settingsRoutes = require("./routes/settingsRoutes");
 
@@ -26,8 +32,26 @@ server.maxHeadersCount = 0; // Remove header count limit
 server.headersTimeout = 60000; // 60 seconds
 server.requestTimeout = 60000; // 60 seconds
 
+// Behind a reverse proxy req.ip is the proxy's address unless it is trusted
+// to report the client's; TRUST_PROXY takes Express's "trust proxy" value (a
+// hop count, "true", or addresses/subnets). Unset, X-Forwarded-For is ignored.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy === "true"
+      ? true
+      : trustProxy
+  );
+}
+
 // Middleware
 app.use(cors());
+// Payment gateway callbacks are signature-checked over their exact bytes, so
+// only they are read raw; the JSON parser leaves an already-read body alone
+app.use("/api/payment/callback", express.raw({ type: "*/*", limit: "1mb" }));
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
 
@@ -42,17 +66,23 @@ app.get("/api/health", (req, res) => {
   res.json({ status: "OK", message: "Server is running" });
 });
 
-// Routes
-app.use("/api/auth", authRoutes);
-app.use("/api/users", userRoutes);
-app.use("/api/admin", adminRoutes);
-app.use("/api/supplier", supplierRoutes);
-app.use("/api/staff", staffRoutes);
-app.use("/api/manager", managerRoutes);
-app.use("/api", messageRoutes);
-app.use("/api/payment", paymentRoutes);
-app.use("/api/users", profileRoutes);
-app.use("/api/settings", settingsRoutes);
+// Routes. Each router is guarded by the permission map in
+// middleware/permissions.js; routes it does not declare are refused.
+const ROUTERS = [
+  ["/api/auth", authRoutes],
+  ["/api/users", userRoutes],
+  ["/api/admin", adminRoutes],
+  ["/api/supplier", supplierRoutes],
+  ["/api/staff", staffRoutes],
+  ["/api/manager", managerRoutes],
+  ["/api", messageRoutes],
+  ["/api/payment", paymentRoutes],
+  ["/api/users", profileRoutes],
+  ["/api/settings", settingsRoutes],
+];
+for (const [mountPath, router] of ROUTERS) {
+  app.use(mountPath, protectRouter(mountPath, router));
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -68,10 +98,32 @@ app.use("*", (req, res) => {
 // Start server
 async function startServer() {
   try {
+    // List routes anyone can call and routes missing from the permission map
+    const { publicRoutes, undeclaredRoutes } = checkRoutePermissions(ROUTERS);
+    console.log(
+      `Route permissions: ${
+        publicRoutes.length
+      } public route(s): ${publicRoutes.join(", ")}`
+    );
+    if (undeclaredRoutes.length > 0) {
+      console.warn(
+        `Route permissions: ${undeclaredRoutes.length} route(s) have no declared permission and will refuse every request:`
+      );
+      for (const route of undeclaredRoutes) console.warn(`  ${route}`);
+    }
+
     console.log("Initializing database...");
     await initializeDatabase();
     console.log("Database initialized successfully");
 
+    // Make sure the built-in roles exist before any request is checked
+    try {
+      await PermissionService.seedSystemRoles();
+      console.log("Built-in roles seeded");
+    } catch (err) {
+      console.error("Seeding built-in roles failed:", err);
+    }
+
     // Run supplier deactivation job once at startup and then daily
     try {
       const deactivated = await SupplierModel.deactivateOldSuppliers();
@@ -82,6 +134,20 @@ async function startServer() {
       console.error("Initial supplier deactivation job failed:", err);
     }
 
+    // Report lots whose stored balance has drifted from the stock ledger
+    try {
+      const { discrepancies } = await StockMovementService.reconcile();
+      if (discrepancies.length > 0) {
+        console.warn(
+          `Stock ledger check: ${discrepancies.length} lot balance(s) differ from the journal. See GET /api/manager/stock/reconciliation`
+        );
+      } else {
+        console.log("Stock ledger check: all lot balances match the journal");
+      }
+    } catch (err) {
+      console.error("Stock ledger check failed:", err);
+    }
+
     // Schedule a daily job (24 hours) to deactivate old suppliers
     const ONE_DAY_MS = 24 * 60 * 60 * 1000;
     setInterval(async () => {
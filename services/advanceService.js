@@ -0,0 +1,160 @@
+const { withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+const { roundMoney } = require("./serviceHelpers");
+
+class AdvanceService {
+  static async issueAdvance({
+    supplier_id,
+    advance_type = "cash_advance",
+    principal_amount,
+    issue_date,
+    repayment_rule,
+    repayment_value,
+    notes = null,
+    created_by = null,
+  }) {
+    return withTransaction(async (connection) => {
+      const [suppliers] = await connection.execute(
+        "SELECT id FROM users WHERE id = ? AND role = 'supplier'",
+        [supplier_id]
+      );
+      if (suppliers.length === 0) {
+        throw new ServiceError("Supplier not found", 404);
+      }
+
+      const advanceNo = `ADV-${supplier_id}-${Date.now()
+        .toString(36)
+        .toUpperCase()}`;
+      const [result] = await connection.execute(
+        `
+        INSERT INTO supplier_advances (
+          advance_no, supplier_id, advance_type, principal_amount, outstanding_amount,
+          issue_date, repayment_rule, repayment_value, notes, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          advanceNo,
+          supplier_id,
+          advance_type,
+          roundMoney(principal_amount),
+          roundMoney(principal_amount),
+          issue_date,
+          repayment_rule,
+          roundMoney(repayment_value),
+          notes,
+          created_by,
+        ]
+      );
+
+      return result.insertId;
+    });
+  }
+
+  // Cancel an advance entered in error. Once anything has been recovered the
+  // advance is part of the supplier's payment history and stays.
+  static async cancelAdvance(advanceId, { cancelled_by = null }) {
+    return withTransaction(async (connection) => {
+      const [advances] = await connection.execute(
+        "SELECT * FROM supplier_advances WHERE id = ? FOR UPDATE",
+        [advanceId]
+      );
+      if (advances.length === 0) {
+        throw new ServiceError("Advance not found", 404);
+      }
+      if (advances[0].status !== "active") {
+        throw new ServiceError(`Advance is already ${advances[0].status}`, 409);
+      }
+
+      const [recovered] = await connection.execute(
+        "SELECT COUNT(*) as count FROM advance_recoveries WHERE advance_id = ?",
+        [advanceId]
+      );
+      if (recovered[0].count > 0) {
+        throw new ServiceError(
+          "Advance has recoveries recorded against it and cannot be cancelled",
+          409
+        );
+      }
+
+      await connection.execute(
+        `
+        UPDATE supplier_advances
+        SET status = 'cancelled', outstanding_amount = 0, cancelled_by = ?, cancelled_at = NOW()
+        WHERE id = ?
+      `,
+        [cancelled_by, advanceId]
+      );
+    });
+  }
+
+  // Lock the supplier's active advances, oldest first, and work out what each
+  // recovers from a payout of `grossAmount`: the fixed installment or the
+  // percentage of the payout, capped by the outstanding balance and by what
+  // is left of the payout. A spot payment counts as a settlement here.
+  static async planRecoveries(connection, supplierId, grossAmount) {
+    const [advances] = await connection.execute(
+      `
+      SELECT * FROM supplier_advances
+      WHERE supplier_id = ? AND status = 'active' AND outstanding_amount > 0
+      ORDER BY issue_date ASC, id ASC
+      FOR UPDATE
+    `,
+      [supplierId]
+    );
+
+    let available = roundMoney(grossAmount);
+    const plan = [];
+    for (const advance of advances) {
+      if (available <= 0) break;
+
+      const installment =
+        advance.repayment_rule === "percent_of_settlement"
+          ? (grossAmount * parseFloat(advance.repayment_value)) / 100
+          : parseFloat(advance.repayment_value);
+      const amount = roundMoney(
+        Math.min(installment, parseFloat(advance.outstanding_amount), available)
+      );
+      if (amount <= 0) continue;
+
+      plan.push({ advance, amount });
+      available = roundMoney(available - amount);
+    }
+    return plan;
+  }
+
+  // Reduce a locked advance's outstanding balance and journal the recovery;
+  // the advance is settled when nothing is left. A negative amount puts a
+  // recovery back when the payment it came from is reversed.
+  static async applyRecovery(
+    connection,
+    advance,
+    amount,
+    { settlement_id = null, payment_id = null, created_by = null }
+  ) {
+    const outstanding = roundMoney(
+      parseFloat(advance.outstanding_amount) - amount
+    );
+    if (outstanding < 0) {
+      throw new ServiceError(
+        `Recovery of ${amount} exceeds the outstanding balance of advance ${advance.advance_no}`,
+        409
+      );
+    }
+
+    await connection.execute(
+      "UPDATE supplier_advances SET outstanding_amount = ?, status = ? WHERE id = ?",
+      [outstanding, outstanding === 0 ? "settled" : "active", advance.id]
+    );
+    await connection.execute(
+      `
+      INSERT INTO advance_recoveries (advance_id, amount, settlement_id, payment_id, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `,
+      [advance.id, amount, settlement_id, payment_id, created_by]
+    );
+
+    advance.outstanding_amount = outstanding;
+  }
+}
+
+module.exports = AdvanceService;
@@ -0,0 +1,372 @@
+const { withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+const { roundMoney } = require("./serviceHelpers");
+
+// Payment methods paid out of a cash drawer
+const CASH_PAYMENT_METHODS = ["spot", "cash"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Business days are local calendar dates (DATE columns come back as local
+// midnight)
+const dateString = (value) => {
+  if (!(value instanceof Date)) return String(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+    value.getDate()
+  )}`;
+};
+
+const todayString = () => dateString(new Date());
+
+const checkBusinessDate = (businessDate) => {
+  if (!DATE_PATTERN.test(businessDate || "")) {
+    throw new ServiceError("Business date must be YYYY-MM-DD", 400);
+  }
+};
+
+// A drawer belongs to a collection point when one is named, otherwise to the
+// staff member handling the cash
+const drawerFor = ({ staff_id, collection_point }) => {
+  const point = collection_point ? String(collection_point).trim() : "";
+  if (point) {
+    return {
+      drawer_key: `point:${point.toLowerCase()}`,
+      staff_id: null,
+      collection_point: point,
+      label: `collection point ${point}`,
+    };
+  }
+  if (!staff_id) {
+    throw new ServiceError(
+      "A staff member or collection point is required",
+      400
+    );
+  }
+  return {
+    drawer_key: `staff:${staff_id}`,
+    staff_id,
+    collection_point: null,
+    label: `staff member #${staff_id}`,
+  };
+};
+
+class CashBookService {
+  static isCashPayment(paymentMethod) {
+    return CASH_PAYMENT_METHODS.includes(paymentMethod);
+  }
+
+  // Anyone handling cash may work a collection point's drawer; a staff
+  // member's drawer is theirs alone unless the user supervises cash
+  static checkDrawerAccess(session, user) {
+    if (session.collection_point) return;
+    if (
+      user &&
+      (Number(session.staff_id) === Number(user.id) ||
+        (user.permissions || []).includes("cash.supervise"))
+    ) {
+      return;
+    }
+    throw new ServiceError(
+      "This cash book belongs to another staff member",
+      403
+    );
+  }
+
+  // Open a drawer for a business day with its opening float
+  static async openSession({
+    business_date = todayString(),
+    opening_float,
+    staff_id = null,
+    collection_point = null,
+    opened_by = null,
+  }) {
+    checkBusinessDate(business_date);
+    if (!(opening_float >= 0)) {
+      throw new ServiceError("Opening float cannot be negative", 400);
+    }
+    const drawer = drawerFor({ staff_id, collection_point });
+
+    return withTransaction(async (connection) => {
+      let sessionId;
+      try {
+        const [result] = await connection.execute(
+          `
+          INSERT INTO cash_sessions (
+            business_date, drawer_key, staff_id, collection_point, opening_float, opened_by
+          ) VALUES (?, ?, ?, ?, ?, ?)
+        `,
+          [
+            business_date,
+            drawer.drawer_key,
+            drawer.staff_id,
+            drawer.collection_point,
+            roundMoney(opening_float),
+            opened_by,
+          ]
+        );
+        sessionId = result.insertId;
+      } catch (error) {
+        if (error.code === "ER_DUP_ENTRY") {
+          throw new ServiceError(
+            `The cash book for ${drawer.label} on ${business_date} is already open`,
+            409
+          );
+        }
+        throw error;
+      }
+
+      await connection.execute(
+        `
+        INSERT INTO cash_book_entries (session_id, entry_type, amount, description, created_by)
+        VALUES (?, 'opening_float', ?, 'Opening float', ?)
+      `,
+        [sessionId, roundMoney(opening_float), opened_by]
+      );
+      return sessionId;
+    });
+  }
+
+  // Cash the drawer should hold: the float plus every entry since
+  static async sessionBalance(connection, sessionId) {
+    const [rows] = await connection.execute(
+      "SELECT COALESCE(SUM(amount), 0) as balance FROM cash_book_entries WHERE session_id = ?",
+      [sessionId]
+    );
+    return roundMoney(parseFloat(rows[0].balance));
+  }
+
+  // Draw a cash payment from the payer's drawer for the payment's business
+  // day, inside the caller's transaction. The drawer must be open for that
+  // day (a closed day takes no more payments) and hold enough cash.
+  static async drawCash(
+    connection,
+    payment,
+    {
+      business_date = todayString(),
+      staff_id = null,
+      collection_point = null,
+      created_by = null,
+    }
+  ) {
+    checkBusinessDate(business_date);
+    const drawer = drawerFor({ staff_id, collection_point });
+    const [sessions] = await connection.execute(
+      "SELECT * FROM cash_sessions WHERE business_date = ? AND drawer_key = ? FOR UPDATE",
+      [business_date, drawer.drawer_key]
+    );
+    if (sessions.length === 0) {
+      throw new ServiceError(
+        `No cash float is open for ${drawer.label} on ${business_date}`,
+        409
+      );
+    }
+    if (sessions[0].status === "closed") {
+      throw new ServiceError(
+        `The cash book for ${drawer.label} on ${business_date} is closed`,
+        409
+      );
+    }
+
+    const amount = roundMoney(parseFloat(payment.amount));
+    const balance = await this.sessionBalance(connection, sessions[0].id);
+    if (amount > balance) {
+      throw new ServiceError(
+        `The cash drawer holds ${balance.toFixed(
+          2
+        )}, not enough to pay ${amount.toFixed(2)}`,
+        409
+      );
+    }
+
+    await connection.execute(
+      `
+      INSERT INTO cash_book_entries (session_id, entry_type, amount, payment_id, description, created_by)
+      VALUES (?, 'payment', ?, ?, ?, ?)
+    `,
+      [
+        sessions[0].id,
+        -amount,
+        payment.id,
+        `Payment ${payment.payment_id}`,
+        created_by,
+      ]
+    );
+    return sessions[0].id;
+  }
+
+  // The payment_date for a cash payment on a business day: now for today,
+  // the day itself for a payment entered after the fact
+  static paymentDateFor(businessDate) {
+    return !businessDate || businessDate === todayString()
+      ? new Date()
+      : businessDate;
+  }
+
+  // Put a reversed cash payment back in its drawer, inside the caller's
+  // transaction. While the payment's day is open it is reversed there; once
+  // that day is closed its count stands, so the cash goes back as a top-up in
+  // the same drawer's session for today, which must be open. Payments made
+  // before the cash book existed were never drawn and return nothing.
+  static async returnCash(connection, payment, { created_by = null }) {
+    const [entries] = await connection.execute(
+      `
+      SELECT cbe.session_id, cs.status, cs.drawer_key, cs.staff_id,
+             cs.collection_point
+      FROM cash_book_entries cbe
+      JOIN cash_sessions cs ON cbe.session_id = cs.id
+      WHERE cbe.payment_id = ? AND cbe.entry_type = 'payment'
+      FOR UPDATE
+    `,
+      [payment.id]
+    );
+    if (entries.length === 0) {
+      return null;
+    }
+
+    let sessionId = entries[0].session_id;
+    let entryType = "reversal";
+    let description = `Reversal of ${payment.payment_id}`;
+    if (entries[0].status !== "open") {
+      const today = todayString();
+      const [current] = await connection.execute(
+        "SELECT id FROM cash_sessions WHERE business_date = ? AND drawer_key = ? AND status = 'open' FOR UPDATE",
+        [today, entries[0].drawer_key]
+      );
+      if (current.length === 0) {
+        const { label } = drawerFor(entries[0]);
+        throw new ServiceError(
+          `${payment.payment_id} was paid on a day that is closed; open the cash book for ${label} on ${today} to take the cash back`,
+          409
+        );
+      }
+      sessionId = current[0].id;
+      entryType = "top_up";
+      description = `Cash returned for reversed ${payment.payment_id}`;
+    }
+
+    await connection.execute(
+      `
+      INSERT INTO cash_book_entries (session_id, entry_type, amount, payment_id, description, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `,
+      [
+        sessionId,
+        entryType,
+        roundMoney(parseFloat(payment.amount)),
+        payment.id,
+        description,
+        created_by,
+      ]
+    );
+    return sessionId;
+  }
+
+  // Add cash to an open drawer or take it out (banking, change)
+  static async addEntry(
+    sessionId,
+    { entry_type, amount, description = null, created_by = null, user = null }
+  ) {
+    if (!["top_up", "withdrawal"].includes(entry_type)) {
+      throw new ServiceError("Entry type must be top_up or withdrawal", 400);
+    }
+
+    return withTransaction(async (connection) => {
+      const session = await this.lockOpenSession(connection, sessionId, user);
+      const signed = entry_type === "top_up" ? amount : -amount;
+      if (
+        entry_type === "withdrawal" &&
+        amount > (await this.sessionBalance(connection, session.id))
+      ) {
+        throw new ServiceError(
+          "Cannot withdraw more than the drawer holds",
+          409
+        );
+      }
+
+      await connection.execute(
+        `
+        INSERT INTO cash_book_entries (session_id, entry_type, amount, description, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `,
+        [session.id, entry_type, roundMoney(signed), description, created_by]
+      );
+    });
+  }
+
+  // End-of-day close: record the counted cash against what the drawer should
+  // hold and log the variance. The day takes no more cash payments.
+  static async closeSession(
+    sessionId,
+    {
+      counted_cash,
+      notes = null,
+      closed_by = null,
+      ip_address = null,
+      user_agent = null,
+      user = null,
+    }
+  ) {
+    return withTransaction(async (connection) => {
+      const session = await this.lockOpenSession(connection, sessionId, user);
+      const expected = await this.sessionBalance(connection, session.id);
+      const counted = roundMoney(counted_cash);
+      const variance = roundMoney(counted - expected);
+
+      await connection.execute(
+        `
+        UPDATE cash_sessions
+        SET status = 'closed', expected_cash = ?, counted_cash = ?, variance = ?,
+            close_notes = ?, closed_by = ?, closed_at = NOW()
+        WHERE id = ?
+      `,
+        [expected, counted, variance, notes, closed_by, session.id]
+      );
+
+      const drawer = session.collection_point
+        ? `collection point ${session.collection_point}`
+        : `staff member #${session.staff_id}`;
+      await connection.execute(
+        `
+        INSERT INTO system_logs (user_id, action, description, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?)
+      `,
+        [
+          closed_by,
+          variance === 0 ? "CASH_DAY_CLOSED" : "CASH_VARIANCE",
+          `Cash book for ${drawer} on ${dateString(
+            session.business_date
+          )} closed: expected ${expected.toFixed(2)}, counted ${counted.toFixed(
+            2
+          )}, variance ${variance.toFixed(2)}` + (notes ? ` (${notes})` : ""),
+          ip_address,
+          user_agent,
+        ]
+      );
+
+      return { expected_cash: expected, counted_cash: counted, variance };
+    });
+  }
+
+  // Lock an open session `user` may work
+  static async lockOpenSession(connection, sessionId, user) {
+    const [sessions] = await connection.execute(
+      "SELECT * FROM cash_sessions WHERE id = ? FOR UPDATE",
+      [sessionId]
+    );
+    if (sessions.length === 0) {
+      throw new ServiceError("Cash book session not found", 404);
+    }
+    this.checkDrawerAccess(sessions[0], user);
+    if (sessions[0].status !== "open") {
+      throw new ServiceError("The cash book for that day is closed", 409);
+    }
+    return sessions[0];
+  }
+}
+
+CashBookService.CASH_PAYMENT_METHODS = CASH_PAYMENT_METHODS;
+CashBookService.todayString = todayString;
+CashBookService.dateString = dateString;
+
+module.exports = CashBookService;
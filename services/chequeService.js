@@ -0,0 +1,137 @@
+const { withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+const PaymentReversalService = require("./paymentReversalService");
+const SettlementService = require("./settlementService");
+
+// Where a cheque can go from each state. Cleared, bounced and cancelled are
+// final; a cheque already presented to the bank can no longer be cancelled.
+const CHEQUE_TRANSITIONS = {
+  issued: ["presented", "cleared", "bounced", "cancelled"],
+  presented: ["cleared", "bounced"],
+  cleared: [],
+  bounced: [],
+  cancelled: [],
+};
+
+const STATUS_TIMESTAMPS = {
+  presented: "presented_at",
+  cleared: "cleared_at",
+  bounced: "bounced_at",
+  cancelled: "cancelled_at",
+};
+
+// A bounced or cancelled cheque never paid anyone
+const REVERSING_STATUSES = ["bounced", "cancelled"];
+
+class ChequeService {
+  // Move a cheque along its lifecycle. Bouncing or cancelling it reverses
+  // every payment it made (reopening the supply records, and the settlement
+  // when it paid one) and writes to the system log, in one transaction.
+  static async changeStatus(
+    chequeId,
+    status,
+    { reason = null, user_id = null, ip_address = null, user_agent = null }
+  ) {
+    if (!STATUS_TIMESTAMPS[status]) {
+      throw new ServiceError(
+        `Status must be one of: ${Object.keys(STATUS_TIMESTAMPS).join(", ")}`,
+        400
+      );
+    }
+    if (REVERSING_STATUSES.includes(status) && !reason) {
+      throw new ServiceError(
+        `A reason is required to mark a cheque ${status}`,
+        400
+      );
+    }
+
+    return withTransaction(async (connection) => {
+      const [cheques] = await connection.execute(
+        "SELECT * FROM cheques WHERE id = ? FOR UPDATE",
+        [chequeId]
+      );
+      if (cheques.length === 0) {
+        throw new ServiceError("Cheque not found", 404);
+      }
+
+      const cheque = cheques[0];
+      if (!CHEQUE_TRANSITIONS[cheque.status].includes(status)) {
+        throw new ServiceError(
+          `Cheque ${cheque.cheque_no} is ${cheque.status} and cannot become ${status}`,
+          409
+        );
+      }
+
+      await connection.execute(
+        `UPDATE cheques SET status = ?, status_reason = ?, ${STATUS_TIMESTAMPS[status]} = NOW() WHERE id = ?`,
+        [status, reason, cheque.id]
+      );
+      await connection.execute(
+        `
+        INSERT INTO cheque_events (cheque_id, from_status, to_status, notes, changed_by)
+        VALUES (?, ?, ?, ?, ?)
+      `,
+        [cheque.id, cheque.status, status, reason, user_id]
+      );
+
+      const result = {
+        cheque_id: cheque.id,
+        cheque_no: cheque.cheque_no,
+        status,
+        reversed_payments: [],
+        reopened_settlements: [],
+      };
+      if (!REVERSING_STATUSES.includes(status)) {
+        return result;
+      }
+
+      const [payments] = await connection.execute(
+        `
+        SELECT * FROM payments
+        WHERE cheque_id = ? AND entry_type = 'payment' AND payment_status = 'completed'
+        ORDER BY id ASC
+        FOR UPDATE
+      `,
+        [cheque.id]
+      );
+      const settlementIds = new Set();
+      for (const payment of payments) {
+        await PaymentReversalService.reversePayment(connection, payment, {
+          kind: "reversal",
+          reason: `Cheque ${cheque.cheque_no} ${status}: ${reason}`,
+          user_id,
+          ip_address,
+          user_agent,
+        });
+        result.reversed_payments.push(payment.payment_id);
+        if (payment.settlement_id) settlementIds.add(payment.settlement_id);
+      }
+      for (const settlementId of settlementIds) {
+        await SettlementService.reopenPaid(connection, settlementId, {
+          user_id,
+        });
+        result.reopened_settlements.push(settlementId);
+      }
+
+      await connection.execute(
+        `
+        INSERT INTO system_logs (user_id, action, description, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?)
+      `,
+        [
+          user_id,
+          status === "bounced" ? "CHEQUE_BOUNCED" : "CHEQUE_CANCELLED",
+          `Cheque ${cheque.cheque_no} (${cheque.bank_name}, ${cheque.amount}) ${status}: ${reason}. Reversed ${payments.length} payment(s)`,
+          ip_address,
+          user_agent,
+        ]
+      );
+
+      return result;
+    });
+  }
+}
+
+ChequeService.CHEQUE_TRANSITIONS = CHEQUE_TRANSITIONS;
+
+module.exports = ChequeService;
@@ -0,0 +1,197 @@
+const ServiceError = require("./serviceError");
+const PaymentModel = require("../models/paymentModel");
+const ChequeModel = require("../models/chequeModel");
+const AdvanceService = require("./advanceService");
+const CashBookService = require("./cashBookService");
+const { getPaymentGateway } = require("./paymentGateways");
+const { roundMoney } = require("./serviceHelpers");
+
+class DirectPaymentService {
+  // Lock the payment's supply record and make sure it is still an unpaid
+  // record of the payment's supplier (it may have been paid since the
+  // payment was requested) with at least the payment outstanding
+  static async lockSupplyRecord(connection, payment) {
+    const [records] = await connection.execute(
+      `
+      SELECT id, supply_id, supplier_id, payment_status, outstanding_amount
+      FROM supply_records
+      WHERE id = ?
+      FOR UPDATE
+    `,
+      [payment.supply_record_id]
+    );
+    if (
+      records.length === 0 ||
+      String(records[0].supplier_id) !== String(payment.supplier_id)
+    ) {
+      throw new ServiceError(
+        `Supply record ${payment.supply_record_id} is not a record of this supplier`,
+        409
+      );
+    }
+
+    const record = records[0];
+    if (
+      record.payment_status === "paid" ||
+      !(parseFloat(record.outstanding_amount) > 0)
+    ) {
+      throw new ServiceError(
+        `Supply record ${record.supply_id} has already been paid`,
+        409
+      );
+    }
+    const amount = roundMoney(parseFloat(payment.amount));
+    if (amount > parseFloat(record.outstanding_amount)) {
+      throw new ServiceError(
+        `Payment of ${amount} exceeds the outstanding balance of ${record.outstanding_amount} on supply record ${record.supply_id}`,
+        409
+      );
+    }
+    return record;
+  }
+
+  // Complete a recorded single-record payment inside the caller's
+  // transaction. Its gross amount comes off the record's outstanding
+  // balance, leaving it partially_paid until nothing is left; outstanding
+  // advances are withheld from the payout, so the row ends up holding what
+  // the supplier actually receives. A cheque payout goes into the cheque
+  // register and a cash payout is drawn from the creator's (or
+  // `collection_point`'s) float for `payment_date`; other payouts are dated
+  // now. A supply record paid in the meantime is refused (409).
+  static async completeDirect(
+    connection,
+    payment,
+    { cheque = null, payment_date, collection_point }
+  ) {
+    const record = await this.lockSupplyRecord(connection, payment);
+
+    const grossAmount = roundMoney(parseFloat(payment.amount));
+    const createdBy = payment.created_by || null;
+
+    const recoveries = await AdvanceService.planRecoveries(
+      connection,
+      payment.supplier_id,
+      grossAmount
+    );
+    const recovered = roundMoney(
+      recoveries.reduce((sum, r) => sum + r.amount, 0)
+    );
+    const netAmount = roundMoney(grossAmount - recovered);
+
+    const chequeId =
+      payment.payment_method === "cheque"
+        ? await ChequeModel.issueCheque(
+            cheque,
+            {
+              amount: netAmount,
+              supplier_id: payment.supplier_id,
+              created_by: createdBy,
+            },
+            connection
+          )
+        : null;
+    const isCash = CashBookService.isCashPayment(payment.payment_method);
+
+    const notes =
+      recoveries.length > 0
+        ? [
+            payment.payment_notes,
+            `Advance recovery withheld: ${recoveries
+              .map((r) => `${r.advance.advance_no} ${r.amount.toFixed(2)}`)
+              .join(", ")}`,
+          ]
+            .filter(Boolean)
+            .join(". ")
+        : payment.payment_notes;
+
+    await connection.execute(
+      `
+      UPDATE payments
+      SET amount = ?, payment_status = 'completed', payment_date = ?,
+          payment_notes = ?, cheque_id = ?, updated_at = NOW()
+      WHERE id = ?
+    `,
+      [
+        netAmount,
+        isCash ? CashBookService.paymentDateFor(payment_date) : new Date(),
+        notes,
+        chequeId,
+        payment.id,
+      ]
+    );
+
+    for (const { advance, amount: recoveryAmount } of recoveries) {
+      await AdvanceService.applyRecovery(connection, advance, recoveryAmount, {
+        payment_id: payment.id,
+        created_by: createdBy,
+      });
+    }
+
+    // Cash is paid out of the staff member's (or collection point's) float
+    // for the payment's business day
+    if (isCash) {
+      await CashBookService.drawCash(
+        connection,
+        { ...payment, amount: netAmount },
+        {
+          business_date: payment_date,
+          staff_id: createdBy,
+          collection_point,
+          created_by: createdBy,
+        }
+      );
+    }
+
+    const outstanding = roundMoney(
+      parseFloat(record.outstanding_amount) - grossAmount
+    );
+    await connection.execute(
+      "UPDATE supply_records SET payment_status = ?, outstanding_amount = ? WHERE id = ?",
+      [outstanding === 0 ? "paid" : "partially_paid", outstanding, record.id]
+    );
+
+    return {
+      ...(await PaymentModel.findPaymentById(payment.id, connection)),
+      gross_amount: grossAmount,
+      advance_recovered: recovered,
+    };
+  }
+
+  // Start a recorded single-record card payment inside the caller's
+  // transaction: it waits as 'pending' on a gateway checkout session until
+  // the gateway's callback settles it (see GatewayCallbackService). Opening
+  // a session moves no money, so a rollback only leaves it unused.
+  static async openGatewayCheckout(
+    connection,
+    payment,
+    { description, return_url, cancel_url }
+  ) {
+    await this.lockSupplyRecord(connection, payment);
+
+    const gateway = getPaymentGateway();
+    const { session_id, payment_url } = await gateway.createSession({
+      payment_id: payment.payment_id,
+      amount: roundMoney(parseFloat(payment.amount)),
+      currency: payment.currency,
+      description,
+      return_url,
+      cancel_url,
+    });
+    await connection.execute(
+      `
+      UPDATE payments
+      SET payment_status = 'pending', payment_gateway = ?, gateway_session_id = ?,
+          updated_at = NOW()
+      WHERE id = ?
+    `,
+      [gateway.name, session_id, payment.id]
+    );
+
+    return {
+      ...(await PaymentModel.findPaymentById(payment.id, connection)),
+      payment_url,
+    };
+  }
+}
+
+module.exports = DirectPaymentService;
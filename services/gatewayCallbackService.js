@@ -0,0 +1,141 @@
+const { withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+const PaymentAllocationService = require("./paymentAllocationService");
+const { roundMoney } = require("./serviceHelpers");
+const { getToleranceSeconds } = require("./paymentGateways/callbackSignature");
+
+class GatewayCallbackService {
+  // Apply a verified gateway callback in one transaction. The nonce is
+  // recorded with it, so a replayed delivery (already processed) and a fresh
+  // delivery of an outcome that is already recorded (gateways retry) are both
+  // acknowledged without touching anything; an outcome that contradicts the
+  // recorded one is refused. A completed payment comes off its supply
+  // record's outstanding balance, which must still cover it.
+  static async applyCallback(kind, result) {
+    const {
+      nonce,
+      payment_id,
+      session_id,
+      status,
+      gateway_payment_id,
+      error_code,
+      error_message,
+    } = result;
+
+    return withTransaction(async (connection) => {
+      try {
+        await connection.execute(
+          "INSERT INTO payment_callback_nonces (nonce, payment_id, callback_type) VALUES (?, ?, ?)",
+          [nonce, payment_id, kind]
+        );
+      } catch (error) {
+        if (error.code !== "ER_DUP_ENTRY") {
+          throw error;
+        }
+        const [seen] = await connection.execute(
+          `
+          SELECT p.payment_status
+          FROM payment_callback_nonces n
+          JOIN payments p ON p.payment_id = n.payment_id
+          WHERE n.nonce = ? AND n.payment_id = ?
+        `,
+          [nonce, payment_id]
+        );
+        if (seen.length === 0) {
+          throw new ServiceError(
+            "Callback nonce was already used for another payment",
+            409
+          );
+        }
+        return {
+          payment_id,
+          payment_status: seen[0].payment_status,
+          duplicate: true,
+        };
+      }
+      // Older nonces can no longer pass the timestamp check
+      await connection.execute(
+        "DELETE FROM payment_callback_nonces WHERE received_at < DATE_SUB(NOW(), INTERVAL ? SECOND)",
+        [getToleranceSeconds() * 2]
+      );
+
+      const [payments] = await connection.execute(
+        "SELECT * FROM payments WHERE payment_id = ? FOR UPDATE",
+        [payment_id]
+      );
+      if (payments.length === 0) {
+        throw new ServiceError("Payment not found", 404);
+      }
+
+      const payment = payments[0];
+      if (payment.gateway_session_id !== session_id) {
+        throw new ServiceError(
+          "Callback session does not match the payment",
+          400
+        );
+      }
+
+      if (payment.payment_status === status) {
+        return { payment_id, payment_status: status, duplicate: true };
+      }
+      if (payment.payment_status !== "pending") {
+        throw new ServiceError(
+          `Payment is already ${payment.payment_status} and cannot become ${status}`,
+          409
+        );
+      }
+
+      if (status === "completed") {
+        // The record may have been paid down since the checkout was opened
+        const [records] = await connection.execute(
+          "SELECT id, supply_id, outstanding_amount FROM supply_records WHERE id = ? FOR UPDATE",
+          [payment.supply_record_id]
+        );
+        if (records.length === 0) {
+          throw new ServiceError("Supply record not found", 404);
+        }
+        const amount = roundMoney(parseFloat(payment.amount));
+        if (amount > parseFloat(records[0].outstanding_amount)) {
+          throw new ServiceError(
+            `Payment of ${amount} exceeds the outstanding balance of ${records[0].outstanding_amount} on supply record ${records[0].supply_id}`,
+            409
+          );
+        }
+
+        await connection.execute(
+          `
+          UPDATE payments
+          SET payment_status = 'completed', gateway_payment_id = ?, payment_date = NOW(),
+              gateway_response = ?, updated_at = NOW()
+          WHERE id = ?
+        `,
+          [gateway_payment_id, JSON.stringify(result), payment.id]
+        );
+        await PaymentAllocationService.syncOutstanding(
+          connection,
+          payment.supply_record_id
+        );
+      } else {
+        await connection.execute(
+          `
+          UPDATE payments
+          SET payment_status = ?, failure_code = ?, failure_message = ?,
+              gateway_response = ?, updated_at = NOW()
+          WHERE id = ?
+        `,
+          [
+            status,
+            error_code,
+            error_message,
+            JSON.stringify(result),
+            payment.id,
+          ]
+        );
+      }
+
+      return { payment_id, payment_status: status, duplicate: false };
+    });
+  }
+}
+
+module.exports = GatewayCallbackService;
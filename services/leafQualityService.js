@@ -0,0 +1,302 @@
+const { withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+const StockMovementService = require("./stockMovementService");
+const PaymentAllocationService = require("./paymentAllocationService");
+const { roundMoney, roundKg } = require("./serviceHelpers");
+
+// Weight deductions: rule type, the assessed percentage it reads and the
+// assessment column holding the kg it removed
+const WEIGHT_DEDUCTIONS = [
+  {
+    ruleType: "moisture_deduction",
+    field: "moisture_percent",
+    column: "water_deduction_kg",
+    label: "Water deduction",
+  },
+  {
+    ruleType: "coarse_leaf_deduction",
+    field: "coarse_leaf_percent",
+    column: "coarse_leaf_deduction_kg",
+    label: "Coarse leaf deduction",
+  },
+];
+
+const PERCENT_FIELDS = [
+  "fine_leaf_percent",
+  "moisture_percent",
+  "coarse_leaf_percent",
+];
+
+class LeafQualityService {
+  // Validate quality input against the delivered weight; returns the
+  // normalized { fine_leaf_percent, moisture_percent, coarse_leaf_percent, rejected_kg }
+  static normalizeQuality(quality, quantityKg) {
+    if (!quality || typeof quality !== "object") {
+      throw new ServiceError("Quality assessment must be an object", 400);
+    }
+
+    const normalized = {};
+    for (const field of PERCENT_FIELDS) {
+      const raw = quality[field];
+      if (raw === undefined || raw === null || raw === "") {
+        normalized[field] = null;
+        continue;
+      }
+      const value = parseFloat(raw);
+      if (isNaN(value) || value < 0 || value > 100) {
+        throw new ServiceError(`${field} must be between 0 and 100`, 400);
+      }
+      normalized[field] = roundKg(value);
+    }
+
+    const rejected = roundKg(parseFloat(quality.rejected_kg) || 0);
+    if (rejected < 0 || rejected > quantityKg) {
+      throw new ServiceError(
+        `rejected_kg must be between 0 and the delivered ${quantityKg} kg`,
+        400
+      );
+    }
+    normalized.rejected_kg = rejected;
+
+    return normalized;
+  }
+
+  // First active rule of `ruleType` whose [min_value, max_value) holds `value`
+  static matchRule(rules, ruleType, value) {
+    if (value === null || value === undefined) return null;
+    return (
+      rules.find(
+        (rule) =>
+          rule.rule_type === ruleType &&
+          value >= parseFloat(rule.min_value) &&
+          (rule.max_value === null || value < parseFloat(rule.max_value))
+      ) || null
+    );
+  }
+
+  // Net payable kg and adjusted payment for a delivery. Rejected leaf is
+  // removed first; weight deductions apply to the accepted weight and the
+  // fine leaf rule adjusts the unit price.
+  static computeAssessment(quantityKg, unitPrice, quality, rules) {
+    const accepted = roundKg(quantityKg - quality.rejected_kg);
+    const breakdown = [];
+    const result = {
+      ...quality,
+      water_deduction_kg: 0,
+      coarse_leaf_deduction_kg: 0,
+    };
+
+    if (quality.rejected_kg > 0) {
+      breakdown.push({
+        label: "Rejected leaf",
+        deduction_kg: quality.rejected_kg,
+      });
+    }
+
+    let netKg = accepted;
+    for (const deduction of WEIGHT_DEDUCTIONS) {
+      const rule = this.matchRule(
+        rules,
+        deduction.ruleType,
+        quality[deduction.field]
+      );
+      if (!rule) continue;
+
+      const percent = parseFloat(rule.adjustment);
+      const deductionKg = roundKg((accepted * percent) / 100);
+      result[deduction.column] = deductionKg;
+      netKg = roundKg(netKg - deductionKg);
+      breakdown.push({
+        label: deduction.label,
+        rule_id: rule.id,
+        rule_description: rule.description,
+        assessed_percent: quality[deduction.field],
+        deduction_percent: percent,
+        deduction_kg: deductionKg,
+      });
+    }
+
+    const bonusRule = this.matchRule(
+      rules,
+      "fine_leaf_bonus",
+      quality.fine_leaf_percent
+    );
+    const priceAdjustment = bonusRule ? parseFloat(bonusRule.adjustment) : 0;
+    if (bonusRule) {
+      breakdown.push({
+        label: priceAdjustment >= 0 ? "Fine leaf bonus" : "Fine leaf penalty",
+        rule_id: bonusRule.id,
+        rule_description: bonusRule.description,
+        assessed_percent: quality.fine_leaf_percent,
+        price_adjustment_per_kg: priceAdjustment,
+      });
+    }
+
+    const adjustedUnitPrice = roundMoney(
+      Math.max(0, unitPrice + priceAdjustment)
+    );
+
+    return {
+      ...result,
+      net_payable_kg: Math.max(0, netKg),
+      base_unit_price: unitPrice,
+      price_adjustment_per_kg: priceAdjustment,
+      adjusted_unit_price: adjustedUnitPrice,
+      base_total_payment: roundMoney(quantityKg * unitPrice),
+      adjusted_total_payment: roundMoney(
+        Math.max(0, netKg) * adjustedUnitPrice
+      ),
+      breakdown,
+    };
+  }
+
+  // Compute and store the assessment of a supply record inside the caller's
+  // transaction: a change in rejected kg is journalled on the supply lot and
+  // total_payment becomes the adjusted payable.
+  static async applyAssessment(
+    connection,
+    supplyRecordId,
+    quality,
+    assessedBy
+  ) {
+    const [records] = await connection.execute(
+      "SELECT id, quantity_kg, unit_price FROM supply_records WHERE id = ? FOR UPDATE",
+      [supplyRecordId]
+    );
+    if (records.length === 0) {
+      throw new ServiceError("Supply record not found", 404);
+    }
+
+    const record = records[0];
+    const quantityKg = parseFloat(record.quantity_kg);
+    const normalized = this.normalizeQuality(quality, quantityKg);
+
+    const [rules] = await connection.execute(
+      "SELECT * FROM leaf_quality_rules WHERE is_active = 1 ORDER BY min_value ASC, id ASC"
+    );
+    const assessment = this.computeAssessment(
+      quantityKg,
+      parseFloat(record.unit_price),
+      normalized,
+      rules
+    );
+
+    const [existing] = await connection.execute(
+      "SELECT rejected_kg FROM leaf_quality_assessments WHERE supply_record_id = ?",
+      [record.id]
+    );
+    const previousRejected = existing[0]
+      ? parseFloat(existing[0].rejected_kg)
+      : 0;
+    const rejectedDelta = roundKg(normalized.rejected_kg - previousRejected);
+
+    // Rejected leaf never enters stock
+    if (rejectedDelta !== 0) {
+      await StockMovementService.adjustLotBalance(
+        connection,
+        "supply_record",
+        record.id,
+        -rejectedDelta,
+        {
+          movement_type: rejectedDelta > 0 ? "write_off" : "adjustment",
+          reference_type: "leaf_quality_assessment",
+          reference_id: record.id,
+          notes: `Rejected leaf at intake: ${normalized.rejected_kg} kg`,
+          created_by: assessedBy,
+        }
+      );
+    }
+
+    const values = [
+      assessment.fine_leaf_percent,
+      assessment.moisture_percent,
+      assessment.coarse_leaf_percent,
+      assessment.rejected_kg,
+      assessment.water_deduction_kg,
+      assessment.coarse_leaf_deduction_kg,
+      assessment.net_payable_kg,
+      assessment.base_unit_price,
+      assessment.price_adjustment_per_kg,
+      assessment.adjusted_unit_price,
+      assessment.base_total_payment,
+      assessment.adjusted_total_payment,
+      JSON.stringify(assessment.breakdown),
+      assessedBy,
+    ];
+
+    if (existing.length > 0) {
+      await connection.execute(
+        `
+        UPDATE leaf_quality_assessments
+        SET fine_leaf_percent = ?, moisture_percent = ?, coarse_leaf_percent = ?,
+            rejected_kg = ?, water_deduction_kg = ?, coarse_leaf_deduction_kg = ?,
+            net_payable_kg = ?, base_unit_price = ?, price_adjustment_per_kg = ?,
+            adjusted_unit_price = ?, base_total_payment = ?, adjusted_total_payment = ?,
+            breakdown = ?, assessed_by = COALESCE(?, assessed_by)
+        WHERE supply_record_id = ?
+      `,
+        [...values, record.id]
+      );
+    } else {
+      await connection.execute(
+        `
+        INSERT INTO leaf_quality_assessments (
+          fine_leaf_percent, moisture_percent, coarse_leaf_percent,
+          rejected_kg, water_deduction_kg, coarse_leaf_deduction_kg,
+          net_payable_kg, base_unit_price, price_adjustment_per_kg,
+          adjusted_unit_price, base_total_payment, adjusted_total_payment,
+          breakdown, assessed_by, supply_record_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [...values, record.id]
+      );
+    }
+
+    await connection.execute(
+      "UPDATE supply_records SET total_payment = ?, updated_at = NOW() WHERE id = ?",
+      [assessment.adjusted_total_payment, record.id]
+    );
+    await PaymentAllocationService.syncOutstanding(connection, record.id);
+
+    return assessment;
+  }
+
+  // Re-run a stored assessment after the record's quantity or price changed
+  static async reapplyAssessment(connection, supplyRecordId) {
+    const [rows] = await connection.execute(
+      "SELECT * FROM leaf_quality_assessments WHERE supply_record_id = ?",
+      [supplyRecordId]
+    );
+    if (rows.length === 0) return null;
+
+    return this.applyAssessment(connection, supplyRecordId, rows[0], null);
+  }
+
+  // Record or replace the quality assessment of an unpaid supply record
+  static async assessSupplyRecord(supplyRecordId, quality, assessedBy) {
+    return withTransaction(async (connection) => {
+      const [records] = await connection.execute(
+        "SELECT id, payment_status FROM supply_records WHERE id = ? FOR UPDATE",
+        [supplyRecordId]
+      );
+      if (records.length === 0) {
+        throw new ServiceError("Supply record not found", 404);
+      }
+      if (records[0].payment_status === "paid") {
+        throw new ServiceError(
+          "Quality of a paid supply record cannot be reassessed",
+          409
+        );
+      }
+
+      return this.applyAssessment(
+        connection,
+        supplyRecordId,
+        quality,
+        assessedBy
+      );
+    });
+  }
+}
+
+module.exports = LeafQualityService;
@@ -0,0 +1,278 @@
+const { pool, db, withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Attempts counted per account (email) and per IP address for each guarded
+// action: password sign-in, its two-factor step and password reset. After
+// `free` failures every further attempt must wait twice as long as the last
+// (capped at MAX_DELAY_SECONDS); at `max` the account or IP is locked for
+// LOCKOUT_MINUTES. Failures are forgotten after a quiet WINDOW_MINUTES. For
+// send_otp every code sent counts, so it is a plain rate limit.
+const WINDOW_MINUTES = envInt("AUTH_ATTEMPT_WINDOW_MINUTES", 15);
+const LOCKOUT_MINUTES = envInt("AUTH_LOCKOUT_MINUTES", 15);
+const MAX_DELAY_SECONDS = 60;
+const OTP_MAX_GUESSES = envInt("OTP_MAX_GUESSES", 3);
+
+const SCOPES = {
+  login: {
+    account: { free: 2, max: envInt("LOGIN_MAX_FAILURES", 5) },
+    ip: { free: 5, max: envInt("LOGIN_IP_MAX_FAILURES", 20) },
+  },
+  reset_password: {
+    account: { free: 2, max: envInt("LOGIN_MAX_FAILURES", 5) },
+    ip: { free: 5, max: envInt("LOGIN_IP_MAX_FAILURES", 20) },
+  },
+  two_factor: {
+    account: { free: 2, max: envInt("LOGIN_MAX_FAILURES", 5) },
+    ip: { free: 5, max: envInt("LOGIN_IP_MAX_FAILURES", 20) },
+  },
+  send_otp: {
+    account: { free: Infinity, max: envInt("OTP_SEND_LIMIT", 3) },
+    ip: { free: Infinity, max: envInt("OTP_SEND_IP_LIMIT", 10) },
+  },
+};
+
+const subjectsFor = ({ email, ip_address }) => ({
+  account: `account:${String(email || "")
+    .trim()
+    .toLowerCase()}`,
+  ip: `ip:${ip_address || "unknown"}`,
+});
+
+const delayFor = (failures, free) =>
+  failures <= free
+    ? 0
+    : Math.min(2 ** (failures - free - 1), MAX_DELAY_SECONDS);
+
+const lockedError = (scope, type, seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  if (scope === "send_otp") {
+    return new ServiceError(
+      `Too many codes requested. Try again in ${minutes} minute(s).`,
+      429,
+      { retry_after: seconds }
+    );
+  }
+  return new ServiceError(
+    type === "account"
+      ? `Too many failed attempts. This account is locked for ${minutes} minute(s); contact an administrator to unlock it sooner.`
+      : `Too many attempts from your network. Try again in ${minutes} minute(s).`,
+    type === "account" ? 423 : 429,
+    { retry_after: seconds }
+  );
+};
+
+class LoginProtectionService {
+  // Count the attempt against the account and IP, or refuse it if either is
+  // locked or still has to wait out its delay. The count is incremented
+  // first and the decision made from the incremented row while it is
+  // locked, so parallel attempts cannot all slip under the limit. A refused
+  // attempt does not count. The error carries `retry_after` in seconds.
+  static async check(scope, { email, ip_address }) {
+    const subjects = subjectsFor({ email, ip_address });
+    const refusal = await withTransaction(async (connection) => {
+      for (const type of ["account", "ip"]) {
+        const subject = subjects[type];
+        const limits = SCOPES[scope][type];
+        await connection.execute(
+          `
+          INSERT INTO auth_throttles (scope, subject, failures, last_failure_at)
+          VALUES (?, ?, 1, NOW())
+          ON DUPLICATE KEY UPDATE
+            failures = IF(
+              locked_until <= NOW()
+                OR last_failure_at < DATE_SUB(NOW(), INTERVAL ? MINUTE),
+              1,
+              failures + 1
+            ),
+            locked_until = IF(locked_until <= NOW(), NULL, locked_until)
+        `,
+          [scope, subject, WINDOW_MINUTES]
+        );
+        const [rows] = await connection.execute(
+          `
+          SELECT failures,
+                 TIMESTAMPDIFF(SECOND, NOW(), locked_until) as locked_for,
+                 TIMESTAMPDIFF(SECOND, last_failure_at, NOW()) as since_failure
+          FROM auth_throttles
+          WHERE scope = ? AND subject = ?
+        `,
+          [scope, subject]
+        );
+        const row = rows[0];
+
+        if (row.locked_for > 0) {
+          throw lockedError(scope, type, row.locked_for);
+        }
+        // Attempts that raced past the limit before a failure locked it
+        // lock it now; the lock is kept when the attempt is refused
+        if (row.failures > limits.max) {
+          await this.lockAtLimit(connection, scope, type, subject, {
+            ip_address,
+          });
+          return lockedError(scope, type, LOCKOUT_MINUTES * 60);
+        }
+        const wait =
+          delayFor(row.failures - 1, limits.free) - row.since_failure;
+        if (wait > 0) {
+          throw new ServiceError(
+            `Too many failed attempts. Try again in ${wait} second(s).`,
+            429,
+            { retry_after: wait }
+          );
+        }
+
+        await connection.execute(
+          "UPDATE auth_throttles SET last_failure_at = NOW() WHERE scope = ? AND subject = ?",
+          [scope, subject]
+        );
+      }
+      return null;
+    });
+
+    if (refusal) throw refusal;
+  }
+
+  // A failed attempt (or, for send_otp, a code sent) was already counted by
+  // check(); lock whichever of the account and IP reached its limit
+  static async recordFailure(scope, { email, ip_address, user_id = null }) {
+    const subjects = subjectsFor({ email, ip_address });
+    for (const type of ["account", "ip"]) {
+      await this.lockAtLimit(pool, scope, type, subjects[type], {
+        user_id,
+        ip_address,
+      });
+    }
+  }
+
+  static async lockAtLimit(
+    connection,
+    scope,
+    type,
+    subject,
+    { user_id = null, ip_address = null }
+  ) {
+    const { max } = SCOPES[scope][type];
+    const [locked] = await connection.execute(
+      `
+      UPDATE auth_throttles
+      SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+      WHERE scope = ? AND subject = ? AND failures >= ? AND locked_until IS NULL
+    `,
+      [LOCKOUT_MINUTES, scope, subject, max]
+    );
+    if (locked.affectedRows > 0) {
+      await connection.execute(
+        `
+        INSERT INTO system_logs (user_id, action, description, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?)
+      `,
+        [
+          type === "account" ? user_id : null,
+          scope === "send_otp"
+            ? "OTP_SEND_LIMITED"
+            : type === "account"
+            ? "ACCOUNT_LOCKED"
+            : "IP_LOCKED",
+          `${scope}: ${subject} locked for ${LOCKOUT_MINUTES} minute(s) after ${max} attempt(s)`,
+          ip_address,
+          null,
+        ]
+      );
+    }
+  }
+
+  // A successful attempt clears the account's failures, and a password reset
+  // also lifts its sign-in failures and lock. The IP only gets this attempt
+  // back, so one valid login cannot be used to reset a guessing run.
+  static async recordSuccess(scope, { email, ip_address }) {
+    const subjects = subjectsFor({ email, ip_address });
+    const cleared = scope === "reset_password" ? [scope, "login"] : [scope];
+    for (const clearedScope of cleared) {
+      await pool.execute(
+        "DELETE FROM auth_throttles WHERE scope = ? AND subject = ?",
+        [clearedScope, subjects.account]
+      );
+    }
+    await pool.execute(
+      "UPDATE auth_throttles SET failures = GREATEST(failures - 1, 0) WHERE scope = ? AND subject = ?",
+      [scope, subjects.ip]
+    );
+  }
+
+  // Count a wrong OTP against every live code of the user; codes that reach
+  // OTP_MAX_GUESSES wrong guesses are invalidated
+  static async recordOtpGuessFailure(userId, { ip_address = null } = {}) {
+    const [invalidated] = await pool.execute(
+      `
+      UPDATE password_resets
+      SET used = TRUE, failed_attempts = failed_attempts + 1
+      WHERE user_id = ? AND used = FALSE AND expires_at > NOW()
+        AND failed_attempts + 1 >= ?
+    `,
+      [userId, OTP_MAX_GUESSES]
+    );
+    await pool.execute(
+      `
+      UPDATE password_resets
+      SET failed_attempts = failed_attempts + 1
+      WHERE user_id = ? AND used = FALSE AND expires_at > NOW()
+    `,
+      [userId]
+    );
+
+    if (invalidated.affectedRows > 0) {
+      await db.createSystemLog({
+        user_id: userId,
+        action: "OTP_INVALIDATED",
+        description: `${invalidated.affectedRows} password reset code(s) invalidated after ${OTP_MAX_GUESSES} wrong guesses`,
+        ip_address,
+        user_agent: null,
+      });
+    }
+  }
+
+  // Accounts and IPs currently locked
+  static async findLockouts() {
+    const [rows] = await pool.execute(`
+      SELECT scope, subject, failures, last_failure_at, locked_until
+      FROM auth_throttles
+      WHERE locked_until > NOW()
+      ORDER BY locked_until DESC
+    `);
+    return rows;
+  }
+
+  // Clear every failure and lock held against a user's account
+  static async unlockAccount(userId, { unlocked_by, ip_address = null }) {
+    const user = await db.getUserById(userId);
+    if (!user) {
+      throw new ServiceError("User not found", 404);
+    }
+
+    const [result] = await pool.execute(
+      "DELETE FROM auth_throttles WHERE subject = ?",
+      [subjectsFor({ email: user.email }).account]
+    );
+    await db.createSystemLog({
+      user_id: unlocked_by,
+      action: "ACCOUNT_UNLOCKED",
+      description: `Account ${user.email} unlocked by an administrator`,
+      ip_address,
+      user_agent: null,
+    });
+    return {
+      user_id: user.id,
+      email: user.email,
+      cleared: result.affectedRows,
+    };
+  }
+}
+
+LoginProtectionService.SCOPES = SCOPES;
+
+module.exports = LoginProtectionService;
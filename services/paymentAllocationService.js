@@ -0,0 +1,241 @@
+const ServiceError = require("./serviceError");
+const PaymentModel = require("../models/paymentModel");
+const ChequeModel = require("../models/chequeModel");
+const CashBookService = require("./cashBookService");
+const { roundMoney } = require("./serviceHelpers");
+
+class PaymentAllocationService {
+  // Recompute a supply record's outstanding balance and status from its
+  // allocated payments and its direct and gateway payments (at their gross
+  // amount, with any advance recovery withheld). Records settled in full by a
+  // settlement payment are 'paid' outright and stay at zero.
+  static async syncOutstanding(connection, supplyRecordId) {
+    const [records] = await connection.execute(
+      "SELECT id, total_payment, payment_status FROM supply_records WHERE id = ? FOR UPDATE",
+      [supplyRecordId]
+    );
+    if (records.length === 0) return null;
+
+    const record = records[0];
+    if (record.payment_status === "paid") {
+      await connection.execute(
+        "UPDATE supply_records SET outstanding_amount = 0 WHERE id = ?",
+        [record.id]
+      );
+      return { outstanding_amount: 0, payment_status: "paid" };
+    }
+
+    const [allocated] = await connection.execute(
+      `
+      SELECT COALESCE(SUM(pa.amount), 0) as total
+      FROM payment_allocations pa
+      JOIN payments p ON pa.payment_id = p.id
+      WHERE pa.supply_record_id = ? AND p.payment_status = 'completed'
+    `,
+      [record.id]
+    );
+    const [direct] = await connection.execute(
+      `
+      SELECT COALESCE(SUM(p.amount + COALESCE((
+        SELECT SUM(ar.amount) FROM advance_recoveries ar WHERE ar.payment_id = p.id
+      ), 0)), 0) as total
+      FROM payments p
+      WHERE p.supply_record_id = ? AND p.payment_status = 'completed'
+        AND NOT EXISTS (
+          SELECT 1 FROM payment_allocations pa WHERE pa.payment_id = p.id
+        )
+    `,
+      [record.id]
+    );
+
+    const paid = roundMoney(
+      parseFloat(allocated[0].total) + parseFloat(direct[0].total)
+    );
+    const outstanding = roundMoney(
+      Math.max(0, parseFloat(record.total_payment) - paid)
+    );
+    let status = "unpaid";
+    if (paid > 0) status = outstanding === 0 ? "paid" : "partially_paid";
+
+    await connection.execute(
+      "UPDATE supply_records SET outstanding_amount = ?, payment_status = ? WHERE id = ?",
+      [outstanding, status, record.id]
+    );
+    return { outstanding_amount: outstanding, payment_status: status };
+  }
+
+  // Work out how a payment of `amount` is spread over the supplier's supply
+  // records, locking them. With no explicit allocations the payment is
+  // applied to the oldest outstanding records first. The allocations must
+  // account for the whole payment and no record can be allocated more than
+  // it has outstanding.
+  static async planAllocation(
+    connection,
+    { supplier_id, amount, allocations = null }
+  ) {
+    const paymentAmount = roundMoney(amount);
+
+    const [records] = await connection.execute(
+      `
+      SELECT sr.id, sr.supply_id, sr.outstanding_amount, sr.payment_status,
+             s.settlement_no
+      FROM supply_records sr
+      LEFT JOIN settlement_lines sl ON sl.supply_record_id = sr.id
+      LEFT JOIN settlements s ON sl.settlement_id = s.id AND s.status <> 'paid'
+      WHERE sr.supplier_id = ? AND sr.payment_status <> 'paid'
+      ORDER BY sr.supply_date ASC, sr.id ASC
+      FOR UPDATE
+    `,
+      [supplier_id]
+    );
+    const outstandingById = new Map(records.map((r) => [r.id, r]));
+
+    let plan;
+    if (allocations) {
+      plan = [];
+      const seen = new Set();
+      for (const allocation of allocations) {
+        const recordId = parseInt(allocation.supply_record_id);
+        const record = outstandingById.get(recordId);
+        if (!record) {
+          throw new ServiceError(
+            `Supply record ${allocation.supply_record_id} is not an outstanding record of this supplier`,
+            409
+          );
+        }
+        if (seen.has(recordId)) {
+          throw new ServiceError(
+            `Supply record ${record.supply_id} is allocated more than once`,
+            400
+          );
+        }
+        seen.add(recordId);
+        plan.push({ record, amount: roundMoney(allocation.amount) });
+      }
+    } else {
+      plan = [];
+      let remaining = paymentAmount;
+      for (const record of records) {
+        if (remaining <= 0) break;
+        if (record.settlement_no) continue;
+        const share = roundMoney(
+          Math.min(remaining, parseFloat(record.outstanding_amount))
+        );
+        if (share <= 0) continue;
+        plan.push({ record, amount: share });
+        remaining = roundMoney(remaining - share);
+      }
+    }
+
+    for (const { record, amount: share } of plan) {
+      if (record.settlement_no) {
+        throw new ServiceError(
+          `Supply record ${record.supply_id} is covered by settlement ${record.settlement_no}`,
+          409
+        );
+      }
+      if (share > parseFloat(record.outstanding_amount)) {
+        throw new ServiceError(
+          `Allocation of ${share} to supply record ${record.supply_id} exceeds its outstanding balance of ${record.outstanding_amount}`,
+          409
+        );
+      }
+    }
+
+    const allocatedTotal = roundMoney(
+      plan.reduce((sum, { amount: share }) => sum + share, 0)
+    );
+    if (allocatedTotal > paymentAmount) {
+      throw new ServiceError(
+        `Allocations total ${allocatedTotal} but the payment is ${paymentAmount}`,
+        409
+      );
+    }
+    if (allocatedTotal < paymentAmount) {
+      throw new ServiceError(
+        `Only ${allocatedTotal} of the ${paymentAmount} payment could be allocated to outstanding supply records`,
+        409
+      );
+    }
+
+    return plan;
+  }
+
+  // Complete a recorded lump-sum payment inside the caller's transaction:
+  // allocate it across the supplier's supply records, enter a cheque payment's
+  // `cheque` in the cheque register and draw a cash payment from the creator's
+  // (or `collection_point`'s) float for `payment_date`.
+  static async completeAllocation(
+    connection,
+    payment,
+    { allocations = null, cheque = null, payment_date, collection_point }
+  ) {
+    const paymentAmount = roundMoney(parseFloat(payment.amount));
+    const createdBy = payment.created_by || null;
+    const plan = await this.planAllocation(connection, {
+      supplier_id: payment.supplier_id,
+      amount: paymentAmount,
+      allocations,
+    });
+
+    const chequeId =
+      payment.payment_method === "cheque"
+        ? await ChequeModel.issueCheque(
+            cheque,
+            {
+              amount: paymentAmount,
+              supplier_id: payment.supplier_id,
+              created_by: createdBy,
+            },
+            connection
+          )
+        : null;
+    const isCash = CashBookService.isCashPayment(payment.payment_method);
+
+    await connection.execute(
+      `
+      UPDATE payments
+      SET payment_status = 'completed', payment_date = ?, cheque_id = ?, updated_at = NOW()
+      WHERE id = ?
+    `,
+      [
+        isCash ? CashBookService.paymentDateFor(payment_date) : new Date(),
+        chequeId,
+        payment.id,
+      ]
+    );
+    if (isCash) {
+      await CashBookService.drawCash(connection, payment, {
+        business_date: payment_date,
+        staff_id: createdBy,
+        collection_point,
+        created_by: createdBy,
+      });
+    }
+
+    const results = [];
+    for (const { record, amount: share } of plan) {
+      await connection.execute(
+        `
+        INSERT INTO payment_allocations (payment_id, supply_record_id, amount, created_by)
+        VALUES (?, ?, ?, ?)
+      `,
+        [payment.id, record.id, share, createdBy]
+      );
+      const balance = await this.syncOutstanding(connection, record.id);
+      results.push({
+        supply_record_id: record.id,
+        supply_id: record.supply_id,
+        amount: share,
+        ...balance,
+      });
+    }
+
+    return {
+      payment: await PaymentModel.findPaymentById(payment.id, connection),
+      allocations: results,
+    };
+  }
+}
+
+module.exports = PaymentAllocationService;
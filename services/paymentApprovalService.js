@@ -0,0 +1,314 @@
+const { pool, withTransaction, db } = require("../database");
+const ServiceError = require("./serviceError");
+const PaymentModel = require("../models/paymentModel");
+const DirectPaymentService = require("./directPaymentService");
+const PaymentAllocationService = require("./paymentAllocationService");
+
+// The largest payment each built-in role may make on its own; null is
+// unlimited. Other roles that can make or approve payments start at 0, so
+// everything they make waits for approval. Admins override these in settings.
+const DEFAULT_APPROVAL_LIMITS = {
+  staff: 50000,
+  manager: 500000,
+  admin: null,
+};
+const UNLIMITED = "unlimited";
+
+const settingKey = (role) => `payment_approval_limit_${role}`;
+
+// How each kind of payment request is checked when it is made and completed
+// once it may go ahead
+const PAYMENT_KINDS = {
+  direct: {
+    validate: (connection, payment) =>
+      DirectPaymentService.lockSupplyRecord(connection, payment),
+    complete: (connection, payment, request) =>
+      DirectPaymentService.completeDirect(connection, payment, request),
+  },
+  gateway: {
+    validate: (connection, payment) =>
+      DirectPaymentService.lockSupplyRecord(connection, payment),
+    complete: (connection, payment, request) =>
+      DirectPaymentService.openGatewayCheckout(connection, payment, request),
+  },
+  allocate: {
+    validate: (connection, payment, request) =>
+      PaymentAllocationService.planAllocation(connection, {
+        supplier_id: payment.supplier_id,
+        amount: payment.amount,
+        allocations: request.allocations || null,
+      }),
+    complete: (connection, payment, request) =>
+      PaymentAllocationService.completeAllocation(connection, payment, request),
+  },
+};
+
+class PaymentApprovalService {
+  // Roles holding payment.create or payment.approve
+  static async paymentRoles() {
+    const [rows] = await pool.execute(`
+      SELECT DISTINCT r.name
+      FROM roles r
+      JOIN role_permissions rp ON rp.role_id = r.id
+      WHERE rp.permission IN ('payment.create', 'payment.approve')
+      ORDER BY r.name
+    `);
+    return rows.map((row) => row.name);
+  }
+
+  // Approval limit per payment role, from settings or the defaults
+  static async getLimits() {
+    const limits = {};
+    for (const role of await this.paymentRoles()) {
+      const value = await db.getSetting(settingKey(role));
+      if (value === null || value === undefined) {
+        limits[role] =
+          role in DEFAULT_APPROVAL_LIMITS ? DEFAULT_APPROVAL_LIMITS[role] : 0;
+      } else {
+        limits[role] = value === UNLIMITED ? null : parseFloat(value);
+      }
+    }
+    return limits;
+  }
+
+  // Set the limits of the roles given; null (or "unlimited") lifts a limit
+  static async setLimits(limits) {
+    const paymentRoles = await this.paymentRoles();
+    const updates = [];
+    for (const [role, value] of Object.entries(limits)) {
+      if (!paymentRoles.includes(role)) {
+        throw new ServiceError(
+          `Approval limits can only be set for: ${paymentRoles.join(", ")}`,
+          400
+        );
+      }
+      if (value === null || value === UNLIMITED) {
+        updates.push([role, UNLIMITED]);
+        continue;
+      }
+      const amount = parseFloat(value);
+      if (isNaN(amount) || amount < 0) {
+        throw new ServiceError(
+          `The ${role} approval limit must be a non-negative amount or "unlimited"`,
+          400
+        );
+      }
+      updates.push([role, amount.toFixed(2)]);
+    }
+
+    for (const [role, value] of updates) {
+      await db.setSetting(settingKey(role), value);
+    }
+    return this.getLimits();
+  }
+
+  // The limit of the role a user acts under (see PermissionService)
+  static async getLimit(user) {
+    const role = user.access_role || user.role;
+    const limits = await this.getLimits();
+    if (!(role in limits)) {
+      throw new ServiceError("Your role cannot make payments", 403);
+    }
+    return limits[role];
+  }
+
+  // Record a payment a user asks for. Within the user's approval limit it is
+  // completed straight away; above it, the payment is held as
+  // pending_approval with the request, which is checked now and carried out
+  // when a second user approves it.
+  static async submit(
+    kind,
+    {
+      supplier_id,
+      supply_record_id = null,
+      amount,
+      currency = "LKR",
+      payment_method,
+      payment_notes = null,
+      request = {},
+      user,
+    }
+  ) {
+    const handler = PAYMENT_KINDS[kind];
+    const limit = await this.getLimit(user);
+    const needsApproval = limit !== null && amount > limit;
+
+    return withTransaction(async (connection) => {
+      const payment = await PaymentModel.createPayment(
+        {
+          payment_id: PaymentModel.generatePaymentId(),
+          supply_record_id,
+          supplier_id,
+          amount,
+          currency,
+          payment_method,
+          payment_status: "pending_approval",
+          payment_notes,
+          created_by: user.id,
+          payment_request: { kind, ...request },
+        },
+        connection
+      );
+
+      if (!needsApproval) {
+        return {
+          pending_approval: false,
+          result: await handler.complete(connection, payment, request),
+        };
+      }
+
+      if (handler.validate) {
+        await handler.validate(connection, payment, request);
+      }
+      return {
+        pending_approval: true,
+        approval_limit: limit,
+        payment,
+      };
+    });
+  }
+
+  // Approve a pending payment and carry it out. The approver must be a
+  // different user whose own limit covers the amount.
+  static async approve(
+    paymentId,
+    { user, notes = null, ip_address = null, user_agent = null }
+  ) {
+    return withTransaction(async (connection) => {
+      const payment = await this.lockPending(connection, paymentId);
+      const limit = await this.checkApprover(payment, user, "approve");
+
+      const request =
+        typeof payment.payment_request === "string"
+          ? JSON.parse(payment.payment_request)
+          : payment.payment_request || {};
+      const handler = PAYMENT_KINDS[request.kind];
+      if (!handler) {
+        throw new ServiceError(
+          `Payment ${payment.payment_id} cannot be completed from its request`,
+          409
+        );
+      }
+      const result = await handler.complete(connection, payment, request);
+
+      await this.recordDecision(connection, payment, "approved", {
+        user,
+        limit,
+        notes,
+        ip_address,
+        user_agent,
+      });
+      return result;
+    });
+  }
+
+  // Reject a pending payment; nothing is paid. Needs the same authority as
+  // approving it.
+  static async reject(
+    paymentId,
+    { user, reason, ip_address = null, user_agent = null }
+  ) {
+    if (!reason) {
+      throw new ServiceError("A reason is required to reject a payment", 400);
+    }
+
+    return withTransaction(async (connection) => {
+      const payment = await this.lockPending(connection, paymentId);
+      const limit = await this.checkApprover(payment, user, "reject");
+
+      await connection.execute(
+        "UPDATE payments SET payment_status = 'rejected', updated_at = NOW() WHERE id = ?",
+        [payment.id]
+      );
+      await this.recordDecision(connection, payment, "rejected", {
+        user,
+        limit,
+        notes: reason,
+        ip_address,
+        user_agent,
+      });
+      return PaymentModel.findPaymentById(payment.id, connection);
+    });
+  }
+
+  static async lockPending(connection, paymentId) {
+    const [payments] = await connection.execute(
+      "SELECT * FROM payments WHERE payment_id = ? FOR UPDATE",
+      [paymentId]
+    );
+    if (payments.length === 0) {
+      throw new ServiceError("Payment not found", 404);
+    }
+    if (payments[0].payment_status !== "pending_approval") {
+      throw new ServiceError(
+        `Payment ${payments[0].payment_id} is ${payments[0].payment_status}, not awaiting approval`,
+        409
+      );
+    }
+    return payments[0];
+  }
+
+  // The maker cannot check their own payment, and the checker's limit must
+  // cover it. Returns the checker's limit.
+  static async checkApprover(payment, user, action) {
+    if (payment.created_by === user.id) {
+      throw new ServiceError(
+        "A payment must be approved or rejected by someone other than the user who created it",
+        403
+      );
+    }
+    const limit = await this.getLimit(user);
+    if (limit !== null && parseFloat(payment.amount) > limit) {
+      throw new ServiceError(
+        `Your approval limit of ${limit.toFixed(
+          2
+        )} does not cover this payment of ${parseFloat(payment.amount).toFixed(
+          2
+        )}, so you cannot ${action} it`,
+        403
+      );
+    }
+    return limit;
+  }
+
+  static async recordDecision(
+    connection,
+    payment,
+    decision,
+    { user, limit, notes, ip_address, user_agent }
+  ) {
+    await connection.execute(
+      `
+      INSERT INTO payment_approvals (
+        payment_id, decision, decided_by, decided_by_role, approval_limit, notes
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `,
+      [
+        payment.id,
+        decision,
+        user.id,
+        user.access_role || user.role,
+        limit,
+        notes,
+      ]
+    );
+    await connection.execute(
+      `
+      INSERT INTO system_logs (user_id, action, description, ip_address, user_agent)
+      VALUES (?, ?, ?, ?, ?)
+    `,
+      [
+        user.id,
+        decision === "approved" ? "PAYMENT_APPROVED" : "PAYMENT_REJECTED",
+        `${payment.payment_id} (${payment.amount} ${payment.currency}) ${decision}` +
+          (notes ? `: ${notes}` : ""),
+        ip_address,
+        user_agent,
+      ]
+    );
+  }
+}
+
+PaymentApprovalService.DEFAULT_APPROVAL_LIMITS = DEFAULT_APPROVAL_LIMITS;
+
+module.exports = PaymentApprovalService;
@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const ServiceError = require("../serviceError");
+
+// Gateway callbacks are signed with a shared secret:
+//
+//   X-Gateway-Timestamp: unix seconds
+//   X-Gateway-Nonce:     random, never reused
+//   X-Gateway-Signature: hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>"
+//
+// The timestamp must be within PAYMENT_CALLBACK_TOLERANCE_SECONDS of now; the
+// nonce is checked for reuse when the callback is applied.
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+let ephemeralSecret = null;
+
+// PAYMENT_CALLBACK_SECRET, or for the in-server mock gateway a per-process
+// secret (both ends of a mock callback live in this process)
+const getCallbackSecret = () => {
+  if (process.env.PAYMENT_CALLBACK_SECRET) {
+    return process.env.PAYMENT_CALLBACK_SECRET;
+  }
+  const provider = (
+    process.env.PAYMENT_GATEWAY_PROVIDER || "mock"
+  ).toLowerCase();
+  if (provider !== "mock") {
+    throw new ServiceError(
+      "PAYMENT_CALLBACK_SECRET must be set to accept gateway callbacks",
+      500
+    );
+  }
+  if (!ephemeralSecret) {
+    ephemeralSecret = crypto.randomBytes(32).toString("hex");
+    console.warn(
+      "PAYMENT_CALLBACK_SECRET is not set; using a per-process secret for the mock gateway"
+    );
+  }
+  return ephemeralSecret;
+};
+
+const getToleranceSeconds = () =>
+  parseInt(process.env.PAYMENT_CALLBACK_TOLERANCE_SECONDS) ||
+  DEFAULT_TOLERANCE_SECONDS;
+
+const computeSignature = (secret, timestamp, nonce, rawBody) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody)
+    .digest("hex");
+
+// Serialize and sign a callback body; returns the headers and body to send
+const signCallback = (body) => {
+  const rawBody = JSON.stringify(body);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomBytes(16).toString("hex");
+
+  return {
+    rawBody,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Gateway-Timestamp": timestamp,
+      "X-Gateway-Nonce": nonce,
+      "X-Gateway-Signature": computeSignature(
+        getCallbackSecret(),
+        timestamp,
+        nonce,
+        rawBody
+      ),
+    },
+  };
+};
+
+// Check a callback's signature and timestamp; returns its nonce
+const verifyCallbackSignature = ({ headers, rawBody }) => {
+  const timestamp = headers["x-gateway-timestamp"];
+  const nonce = headers["x-gateway-nonce"];
+  const signature = headers["x-gateway-signature"];
+
+  if (!timestamp || !nonce || !signature || !rawBody) {
+    throw new ServiceError("Callback is not signed", 401);
+  }
+  if (!/^\d+$/.test(timestamp) || !/^[A-Za-z0-9_-]{8,100}$/.test(nonce)) {
+    throw new ServiceError("Callback signature headers are malformed", 401);
+  }
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+  if (age > getToleranceSeconds()) {
+    throw new ServiceError(
+      "Callback timestamp is outside the allowed window",
+      401
+    );
+  }
+
+  const expected = Buffer.from(
+    computeSignature(getCallbackSecret(), timestamp, nonce, rawBody),
+    "hex"
+  );
+  const given = Buffer.from(String(signature), "hex");
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    throw new ServiceError("Callback signature is invalid", 401);
+  }
+
+  return { nonce, timestamp: parseInt(timestamp) };
+};
+
+module.exports = {
+  signCallback,
+  verifyCallbackSignature,
+  getToleranceSeconds,
+};
@@ -0,0 +1,44 @@
+const ServiceError = require("../serviceError");
+
+// Payment gateway adapters, selected by PAYMENT_GATEWAY_PROVIDER. Each adapter
+// exposes:
+//
+//   name
+//   createSession({ payment_id, amount, currency, description, return_url,
+//                   cancel_url }) -> { session_id, payment_url }
+//   verifyCallback({ kind, body, headers, rawBody }) -> { nonce, payment_id,
+//                   session_id, status, gateway_payment_id, error_code,
+//                   error_message }
+//                   (kind is "success" or "failure"; throws on a callback
+//                   whose signature or timestamp does not check out)
+//   queryStatus({ session_id, payment_id }) -> { status, gateway_payment_id }
+//   refund({ payment, amount, reason }) -> { refund_id, status }
+//
+// and may expose a `router` with provider-specific pages (the mock checkout).
+const PROVIDERS = {
+  mock: () => require("./mockGateway"),
+};
+
+const DEFAULT_PROVIDER = "mock";
+
+// The adapter for `provider`, or the configured one when omitted
+const getPaymentGateway = (provider) => {
+  const name = (
+    provider ||
+    process.env.PAYMENT_GATEWAY_PROVIDER ||
+    DEFAULT_PROVIDER
+  ).toLowerCase();
+
+  const load = PROVIDERS[name];
+  if (!load) {
+    throw new ServiceError(
+      `Unknown payment gateway provider "${name}". Available: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}`,
+      500
+    );
+  }
+  return load();
+};
+
+module.exports = { getPaymentGateway, PROVIDERS };
@@ -0,0 +1,236 @@
+const crypto = require("crypto");
+const express = require("express");
+const ServiceError = require("../serviceError");
+const {
+  signCallback,
+  verifyCallbackSignature,
+} = require("./callbackSignature");
+
+// In-server mock gateway so the full payment flow runs offline: a checkout
+// page at /api/payment/mock-gateway/checkout/:session_id lets the payer
+// approve, decline or cancel, then the gateway posts the usual success or
+// failure callback back to this server and redirects to the return URL.
+// Callbacks are signed like a real gateway's would be. Sessions live in
+// memory and are lost on restart.
+const sessions = new Map();
+
+const apiBaseUrl = () =>
+  process.env.PAYMENT_CALLBACK_BASE_URL ||
+  `http://localhost:${process.env.PORT || 5000}`;
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[c])
+  );
+
+const findSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new ServiceError("Unknown mock gateway session", 404);
+  }
+  return session;
+};
+
+const mockGateway = {
+  name: "mock",
+
+  async createSession({
+    payment_id,
+    amount,
+    currency,
+    description,
+    return_url,
+    cancel_url,
+  }) {
+    const sessionId = `mock_sess_${crypto.randomBytes(12).toString("hex")}`;
+    sessions.set(sessionId, {
+      session_id: sessionId,
+      payment_id,
+      amount,
+      currency,
+      description,
+      return_url,
+      cancel_url,
+      status: "pending",
+      gateway_payment_id: null,
+    });
+
+    return {
+      session_id: sessionId,
+      payment_url: `${apiBaseUrl()}/api/payment/mock-gateway/checkout/${sessionId}`,
+    };
+  },
+
+  async verifyCallback({ kind, body, headers, rawBody }) {
+    const { nonce } = verifyCallbackSignature({ headers, rawBody });
+    if (!body.payment_id || !body.session_id) {
+      throw new ServiceError(
+        "Callback is missing payment_id or session_id",
+        400
+      );
+    }
+
+    let status = "completed";
+    if (kind !== "success") {
+      status = body.status === "cancelled" ? "cancelled" : "failed";
+    }
+
+    return {
+      nonce,
+      payment_id: body.payment_id,
+      session_id: body.session_id,
+      status,
+      gateway_payment_id: body.gateway_payment_id || null,
+      error_code: body.error_code || null,
+      error_message: body.error_message || null,
+    };
+  },
+
+  async queryStatus({ session_id }) {
+    const session = findSession(session_id);
+    return {
+      status: session.status,
+      gateway_payment_id: session.gateway_payment_id,
+    };
+  },
+
+  async refund({ payment, amount, reason }) {
+    const session = sessions.get(payment.gateway_session_id);
+    if (session && session.status !== "completed") {
+      throw new ServiceError(
+        `Mock gateway session is ${session.status} and cannot be refunded`,
+        409
+      );
+    }
+    if (session) session.status = "refunded";
+
+    return {
+      refund_id: `mock_rfnd_${crypto.randomBytes(8).toString("hex")}`,
+      status: "refunded",
+      amount,
+      reason,
+    };
+  },
+};
+
+// Deliver a signed callback to this server's payment webhook
+const postCallback = async (kind, body) => {
+  const { headers, rawBody } = signCallback(body);
+  const response = await fetch(`${apiBaseUrl()}/api/payment/callback/${kind}`, {
+    method: "POST",
+    headers,
+    body: rawBody,
+  });
+  if (!response.ok) {
+    console.error(
+      `Mock gateway ${kind} callback for ${body.payment_id} was rejected:`,
+      response.status
+    );
+  }
+};
+
+const router = express.Router();
+
+router.get("/checkout/:session_id", (req, res) => {
+  const session = sessions.get(req.params.session_id);
+  if (!session) {
+    return res.status(404).send("<h1>Unknown or expired checkout session</h1>");
+  }
+
+  const action = `${apiBaseUrl()}/api/payment/mock-gateway/checkout/${encodeURIComponent(
+    session.session_id
+  )}`;
+  const button = (outcome, label) =>
+    `<button name="outcome" value="${outcome}" type="submit">${label}</button>`;
+
+  res.send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Mock payment gateway</title></head>
+  <body style="font-family: sans-serif; max-width: 32rem; margin: 3rem auto;">
+    <h1>Mock payment gateway</h1>
+    <p>${escapeHtml(session.description || "")}</p>
+    <p><strong>${escapeHtml(session.currency)} ${escapeHtml(
+    Number(session.amount).toFixed(2)
+  )}</strong></p>
+    <p>Payment ${escapeHtml(session.payment_id)} &middot; status ${escapeHtml(
+    session.status
+  )}</p>
+    ${
+      session.status === "pending"
+        ? `<form method="post" action="${escapeHtml(action)}">
+      ${button("approve", "Pay")}
+      ${button("decline", "Decline card")}
+      ${button("cancel", "Cancel")}
+    </form>`
+        : ""
+    }
+  </body>
+</html>`);
+});
+
+router.post("/checkout/:session_id", async (req, res) => {
+  const session = sessions.get(req.params.session_id);
+  if (!session) {
+    return res.status(404).send("<h1>Unknown or expired checkout session</h1>");
+  }
+  if (session.status !== "pending") {
+    return res.redirect(
+      303,
+      `${apiBaseUrl()}/api/payment/mock-gateway/checkout/${session.session_id}`
+    );
+  }
+
+  const outcome = req.body.outcome;
+  try {
+    if (outcome === "approve") {
+      session.status = "completed";
+      session.gateway_payment_id = `mock_pay_${crypto
+        .randomBytes(8)
+        .toString("hex")}`;
+      await postCallback("success", {
+        session_id: session.session_id,
+        payment_id: session.payment_id,
+        status: "completed",
+        gateway_payment_id: session.gateway_payment_id,
+      });
+    } else {
+      session.status = outcome === "cancel" ? "cancelled" : "failed";
+      await postCallback("failure", {
+        session_id: session.session_id,
+        payment_id: session.payment_id,
+        status: session.status,
+        error_code: outcome === "cancel" ? "USER_CANCELLED" : "CARD_DECLINED",
+        error_message:
+          outcome === "cancel"
+            ? "Payer cancelled at checkout"
+            : "The card was declined",
+      });
+    }
+  } catch (error) {
+    console.error("Mock gateway callback delivery failed:", error.message);
+  }
+
+  const target =
+    session.status === "completed" ? session.return_url : session.cancel_url;
+  const separator = target.includes("?") ? "&" : "?";
+  res.redirect(
+    303,
+    `${target}${separator}session_id=${encodeURIComponent(
+      session.session_id
+    )}&payment_id=${encodeURIComponent(session.payment_id)}&status=${
+      session.status
+    }`
+  );
+});
+
+mockGateway.router = router;
+
+module.exports = mockGateway;
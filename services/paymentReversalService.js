@@ -0,0 +1,291 @@
+const { pool, withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+const AdvanceService = require("./advanceService");
+const PaymentAllocationService = require("./paymentAllocationService");
+const CashBookService = require("./cashBookService");
+const { getPaymentGateway, PROVIDERS } = require("./paymentGateways");
+
+// A reversal voids a payment recorded in error; a refund records money that
+// went back to the payer. Both leave the original row in place.
+const REVERSAL_KINDS = {
+  reversal: { status: "cancelled", suffix: "REV", action: "PAYMENT_REVERSED" },
+  refund: { status: "refunded", suffix: "RFD", action: "PAYMENT_REFUNDED" },
+};
+
+const isGatewayRefund = (kind, payment) =>
+  kind === "refund" && payment.payment_method === "gateway";
+
+class PaymentReversalService {
+  // Reverse or refund a completed payment in one transaction: the original
+  // moves to cancelled/refunded, a compensating negative entry with the same
+  // status is linked to it (so neither counts towards completed totals), the
+  // supply records it paid get their outstanding balance back, advance
+  // recoveries withheld from it are restored, and the action is logged.
+  // Gateway refunds are split around the call to the gateway (see
+  // refundThroughGateway).
+  static async reverse(
+    paymentId,
+    { kind, reason, user_id = null, ip_address = null, user_agent = null }
+  ) {
+    if (!REVERSAL_KINDS[kind]) {
+      throw new ServiceError(`Unknown reversal kind "${kind}"`, 400);
+    }
+
+    const options = { kind, reason, user_id, ip_address, user_agent };
+    const outcome = await withTransaction(async (connection) => {
+      const [payments] = await connection.execute(
+        "SELECT * FROM payments WHERE payment_id = ? FOR UPDATE",
+        [paymentId]
+      );
+      if (payments.length === 0) {
+        throw new ServiceError("Payment not found", 404);
+      }
+
+      const payment = payments[0];
+      if (payment.settlement_id) {
+        throw new ServiceError(
+          "Payment was made by a settlement and cannot be reversed on its own",
+          409
+        );
+      }
+      if (payment.cheque_id) {
+        const [cheques] = await connection.execute(
+          "SELECT cheque_no, status FROM cheques WHERE id = ?",
+          [payment.cheque_id]
+        );
+        if (["issued", "presented"].includes(cheques[0].status)) {
+          throw new ServiceError(
+            `Payment was made by cheque ${cheques[0].cheque_no}, which is still ${cheques[0].status}; cancel or bounce the cheque in the register instead`,
+            409
+          );
+        }
+      }
+
+      if (!isGatewayRefund(kind, payment)) {
+        return {
+          result: await this.reversePayment(connection, payment, options),
+        };
+      }
+
+      this.checkReversible(payment, "completed");
+      if (!PROVIDERS[payment.payment_gateway]) {
+        throw new ServiceError(
+          `Payment was taken by gateway "${payment.payment_gateway}", which has no adapter. Refund it at the gateway and record a reversal instead`,
+          409
+        );
+      }
+      await connection.execute(
+        "UPDATE payments SET payment_status = 'reversal_pending', updated_at = NOW() WHERE id = ?",
+        [payment.id]
+      );
+      return { pending: payment };
+    });
+
+    if (outcome.result) return outcome.result;
+    return this.refundThroughGateway(outcome.pending, options);
+  }
+
+  // Money taken through a gateway goes back through it. The payment has been
+  // committed as reversal_pending, so no other reversal can start, and the
+  // gateway is called outside any transaction. If the gateway refuses, the
+  // payment is completed again and nothing is recorded; otherwise the refund
+  // is recorded in a second transaction.
+  static async refundThroughGateway(payment, options) {
+    let gatewayRefund;
+    try {
+      gatewayRefund = await getPaymentGateway(payment.payment_gateway).refund({
+        payment,
+        amount: parseFloat(payment.amount),
+        reason: options.reason,
+      });
+    } catch (error) {
+      await pool.execute(
+        "UPDATE payments SET payment_status = 'completed', updated_at = NOW() WHERE id = ? AND payment_status = 'reversal_pending'",
+        [payment.id]
+      );
+      throw error;
+    }
+
+    try {
+      return await withTransaction(async (connection) => {
+        const [payments] = await connection.execute(
+          "SELECT * FROM payments WHERE id = ? FOR UPDATE",
+          [payment.id]
+        );
+        return this.reversePayment(connection, payments[0], {
+          ...options,
+          gateway_refund: gatewayRefund,
+        });
+      });
+    } catch (error) {
+      console.error(
+        `Gateway refund ${gatewayRefund.refund_id} of ${payment.payment_id} could not be recorded:`,
+        error
+      );
+      throw new ServiceError(
+        `The gateway refunded ${payment.payment_id} (refund ${gatewayRefund.refund_id}) but recording it failed; the payment is left reversal_pending`,
+        500
+      );
+    }
+  }
+
+  // Only original payment entries can be reversed, from `expectedStatus`
+  static checkReversible(payment, expectedStatus) {
+    if (payment.entry_type !== "payment") {
+      throw new ServiceError(
+        `Payment ${payment.payment_id} is itself a ${payment.entry_type} entry`,
+        409
+      );
+    }
+    if (payment.payment_status !== expectedStatus) {
+      throw new ServiceError(
+        `Only completed payments can be reversed or refunded; this one is ${payment.payment_status}`,
+        409
+      );
+    }
+  }
+
+  // Reverse or refund a locked payment row inside the caller's transaction.
+  // Settlement payments are accepted here; the caller reopens the settlement.
+  // A gateway refund is recorded here only once the gateway has made it
+  // (`gateway_refund`).
+  static async reversePayment(
+    connection,
+    payment,
+    {
+      kind,
+      reason,
+      user_id = null,
+      ip_address = null,
+      user_agent = null,
+      gateway_refund: gatewayRefund = null,
+    }
+  ) {
+    const config = REVERSAL_KINDS[kind];
+    if (!config) {
+      throw new ServiceError(`Unknown reversal kind "${kind}"`, 400);
+    }
+
+    if (isGatewayRefund(kind, payment) && !gatewayRefund) {
+      throw new ServiceError(
+        `Payment ${payment.payment_id} was taken by gateway and must be refunded on its own`,
+        409
+      );
+    }
+    this.checkReversible(
+      payment,
+      gatewayRefund ? "reversal_pending" : "completed"
+    );
+
+    await connection.execute(
+      "UPDATE payments SET payment_status = ?, updated_at = NOW() WHERE id = ?",
+      [config.status, payment.id]
+    );
+
+    const [entry] = await connection.execute(
+      `
+      INSERT INTO payments (
+        payment_id, supply_record_id, supplier_id, amount, currency, payment_method,
+        payment_gateway, payment_status, payment_date, payment_notes, created_by,
+        entry_type, reverses_payment_id, reversal_reason, cheque_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        `${payment.payment_id}_${config.suffix}`,
+        payment.supply_record_id,
+        payment.supplier_id,
+        -parseFloat(payment.amount),
+        payment.currency,
+        payment.payment_method,
+        payment.payment_gateway,
+        config.status,
+        `${kind === "refund" ? "Refund" : "Reversal"} of ${
+          payment.payment_id
+        }: ${reason}` +
+          (gatewayRefund ? ` (gateway refund ${gatewayRefund.refund_id})` : ""),
+        user_id,
+        kind,
+        payment.id,
+        reason,
+        payment.cheque_id || null,
+      ]
+    );
+
+    // Cash paid from a drawer that is still open goes back into it
+    if (CashBookService.isCashPayment(payment.payment_method)) {
+      await CashBookService.returnCash(connection, payment, {
+        created_by: user_id,
+      });
+    }
+
+    // Give the paid supply records their balance back: allocated payments
+    // reopen each allocated record, a single-record payment reopens its one
+    const [allocations] = await connection.execute(
+      "SELECT supply_record_id FROM payment_allocations WHERE payment_id = ?",
+      [payment.id]
+    );
+    const supplyRecordIds = allocations.map((a) => a.supply_record_id);
+    if (supplyRecordIds.length === 0 && payment.supply_record_id) {
+      supplyRecordIds.push(payment.supply_record_id);
+    }
+    for (const supplyRecordId of supplyRecordIds) {
+      await connection.execute(
+        "UPDATE supply_records SET payment_status = 'unpaid', updated_at = NOW() WHERE id = ?",
+        [supplyRecordId]
+      );
+      await PaymentAllocationService.syncOutstanding(
+        connection,
+        supplyRecordId
+      );
+    }
+
+    // Advances recovered from this payment are owed again
+    const [recoveries] = await connection.execute(
+      `
+      SELECT ar.advance_id, SUM(ar.amount) as amount
+      FROM advance_recoveries ar
+      WHERE ar.payment_id = ?
+      GROUP BY ar.advance_id
+      HAVING SUM(ar.amount) > 0
+    `,
+      [payment.id]
+    );
+    for (const recovery of recoveries) {
+      const [advances] = await connection.execute(
+        "SELECT * FROM supplier_advances WHERE id = ? FOR UPDATE",
+        [recovery.advance_id]
+      );
+      await AdvanceService.applyRecovery(
+        connection,
+        advances[0],
+        -parseFloat(recovery.amount),
+        { payment_id: payment.id, created_by: user_id }
+      );
+    }
+
+    await connection.execute(
+      `
+      INSERT INTO system_logs (user_id, action, description, ip_address, user_agent)
+      VALUES (?, ?, ?, ?, ?)
+    `,
+      [
+        user_id,
+        config.action,
+        `${payment.payment_id} (${payment.amount} ${payment.currency}) ${config.status}: ${reason}`,
+        ip_address,
+        user_agent,
+      ]
+    );
+
+    return {
+      payment_id: payment.payment_id,
+      payment_status: config.status,
+      compensating_entry_id: entry.insertId,
+      reopened_supply_records: supplyRecordIds,
+      restored_advances: recoveries.map((r) => r.advance_id),
+      gateway_refund: gatewayRefund,
+    };
+  }
+}
+
+module.exports = PaymentReversalService;
@@ -0,0 +1,365 @@
+const { pool, withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+const SettlementService = require("./settlementService");
+const {
+  getFileFormat,
+  buildFile,
+  parseResponse,
+} = require("./payoutFileFormats");
+const { roundMoney } = require("./serviceHelpers");
+
+// Approved settlements with something to pay that are not already waiting on
+// a batch, with the supplier's bank details
+const CANDIDATE_SELECT = `
+  SELECT s.id, s.settlement_no, s.supplier_id, s.period_month, s.net_amount,
+         u.name as supplier_name, u.supplier_id as supplier_code,
+         u.bank_name, u.bank_code, u.bank_branch, u.account_number, u.account_holder_name
+  FROM settlements s
+  JOIN users u ON s.supplier_id = u.id
+  WHERE s.status = 'approved' AND s.net_amount > 0
+    AND NOT EXISTS (
+      SELECT 1 FROM payout_batch_items pbi
+      WHERE pbi.settlement_id = s.id AND pbi.status = 'pending'
+    )
+`;
+
+// Check a supplier's bank details are complete enough for a transfer file.
+// bank_code is the 4-digit bank code, or the 7-digit bank and branch code;
+// otherwise bank_branch must start with the 3-digit branch code
+// ("123" or "123 - Kandy").
+const validateBankDetails = (supplier) => {
+  const errors = [];
+  const bankCode = String(supplier.bank_code || "").replace(/\s/g, "");
+  let branchCode = null;
+
+  if (!supplier.account_holder_name || !supplier.account_holder_name.trim()) {
+    errors.push("Account holder name is missing");
+  }
+  if (!supplier.bank_name || !supplier.bank_name.trim()) {
+    errors.push("Bank name is missing");
+  }
+  if (/^\d{7}$/.test(bankCode)) {
+    branchCode = bankCode.slice(4);
+  } else if (/^\d{4}$/.test(bankCode)) {
+    const match = String(supplier.bank_branch || "").match(/^\s*(\d{3})\b/);
+    if (match) {
+      branchCode = match[1];
+    } else {
+      errors.push("Bank branch does not start with a 3-digit branch code");
+    }
+  } else {
+    errors.push("Bank code must be 4 digits (or 7 with the branch code)");
+  }
+
+  const accountNumber = String(supplier.account_number || "").replace(
+    /[\s-]/g,
+    ""
+  );
+  if (!/^\d{1,12}$/.test(accountNumber)) {
+    errors.push("Account number must be up to 12 digits");
+  }
+
+  return {
+    errors,
+    details: {
+      bank_code: bankCode.slice(0, 4),
+      branch_code: branchCode,
+      account_number: accountNumber,
+      account_holder_name: (supplier.account_holder_name || "").trim(),
+    },
+  };
+};
+
+class PayoutBatchService {
+  // Approved settlements that could go into a batch, each with any problems
+  // in the supplier's bank details
+  static async listCandidates({ period_month } = {}) {
+    let query = CANDIDATE_SELECT;
+    const values = [];
+    if (period_month) {
+      query += " AND s.period_month = ?";
+      values.push(period_month);
+    }
+    query += " ORDER BY s.period_month ASC, s.id ASC";
+
+    const [rows] = await pool.execute(query, values);
+    return rows.map((row) => {
+      const { errors } = validateBankDetails(row);
+      return {
+        settlement_id: row.id,
+        settlement_no: row.settlement_no,
+        supplier_id: row.supplier_id,
+        supplier_name: row.supplier_name,
+        period_month: row.period_month,
+        net_amount: row.net_amount,
+        bank_details_valid: errors.length === 0,
+        bank_detail_errors: errors,
+      };
+    });
+  }
+
+  // Put approved settlements (the given ones, or all for a month) into a new
+  // batch. Settlements whose supplier has unusable bank details are left out
+  // and reported.
+  static async createBatch({
+    settlement_ids,
+    period_month,
+    value_date,
+    file_format,
+    created_by = null,
+  }) {
+    const format = getFileFormat(file_format);
+
+    return withTransaction(async (connection) => {
+      let query = CANDIDATE_SELECT;
+      const values = [];
+      if (settlement_ids && settlement_ids.length > 0) {
+        query += ` AND s.id IN (${settlement_ids.map(() => "?").join(", ")})`;
+        values.push(...settlement_ids);
+      }
+      if (period_month) {
+        query += " AND s.period_month = ?";
+        values.push(period_month);
+      }
+      query += " ORDER BY s.id ASC FOR UPDATE";
+
+      const [candidates] = await connection.execute(query, values);
+
+      const accepted = [];
+      const skipped = [];
+      for (const candidate of candidates) {
+        const { errors, details } = validateBankDetails(candidate);
+        if (errors.length > 0) {
+          skipped.push({
+            settlement_id: candidate.id,
+            settlement_no: candidate.settlement_no,
+            supplier_id: candidate.supplier_id,
+            supplier_name: candidate.supplier_name,
+            errors,
+          });
+        } else {
+          accepted.push({ candidate, details });
+        }
+      }
+      if (accepted.length === 0) {
+        throw new ServiceError(
+          "No approved settlements with valid bank details to pay",
+          409,
+          { skipped }
+        );
+      }
+
+      const totalAmount = roundMoney(
+        accepted.reduce(
+          (sum, { candidate }) => sum + parseFloat(candidate.net_amount),
+          0
+        )
+      );
+      const batchNo = `PB-${Date.now().toString(36).toUpperCase()}`;
+      const [batch] = await connection.execute(
+        `
+        INSERT INTO payout_batches (
+          batch_no, file_format, value_date, item_count, total_amount, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `,
+        [
+          batchNo,
+          format.name,
+          value_date,
+          accepted.length,
+          totalAmount,
+          created_by,
+        ]
+      );
+
+      for (const [index, { candidate, details }] of accepted.entries()) {
+        await connection.execute(
+          `
+          INSERT INTO payout_batch_items (
+            batch_id, settlement_id, supplier_id, amount, reference,
+            bank_code, branch_code, account_number, account_holder_name
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+          [
+            batch.insertId,
+            candidate.id,
+            candidate.supplier_id,
+            candidate.net_amount,
+            `P${batch.insertId}-${index + 1}`,
+            details.bank_code,
+            details.branch_code,
+            details.account_number,
+            details.account_holder_name,
+          ]
+        );
+      }
+
+      return {
+        batchId: batch.insertId,
+        batchNo,
+        itemCount: accepted.length,
+        totalAmount,
+        skipped,
+      };
+    });
+  }
+
+  // Render the transfer file for a batch's pending items. The batch counts as
+  // sent from the first export; later exports give the same file again.
+  static async exportFile(batchId, { exported_by = null }) {
+    return withTransaction(async (connection) => {
+      const batch = await this.lockBatch(connection, batchId, [
+        "open",
+        "exported",
+      ]);
+
+      const [items] = await connection.execute(
+        `
+        SELECT pbi.*, s.settlement_no, u.supplier_id as supplier_code
+        FROM payout_batch_items pbi
+        JOIN settlements s ON pbi.settlement_id = s.id
+        JOIN users u ON pbi.supplier_id = u.id
+        WHERE pbi.batch_id = ? AND pbi.status = 'pending'
+        ORDER BY pbi.id ASC
+      `,
+        [batchId]
+      );
+
+      const file = buildFile(getFileFormat(batch.file_format), batch, items);
+
+      if (batch.status === "open") {
+        await connection.execute(
+          "UPDATE payout_batches SET status = 'exported', exported_by = ?, exported_at = NOW() WHERE id = ?",
+          [exported_by, batchId]
+        );
+      }
+      return file;
+    });
+  }
+
+  // Apply the bank's response file: items the bank paid pay their settlement
+  // by bank transfer, items it returned are marked failed with the bank's code
+  // and the settlement stays approved for a later batch. Items already
+  // processed are left alone (reported as skipped), so the same file can be
+  // imported again, even once the batch is completed.
+  static async importResponse(batchId, content, { imported_by = null }) {
+    return withTransaction(async (connection) => {
+      const batch = await this.lockBatch(connection, batchId, [
+        "exported",
+        "completed",
+      ]);
+      const entries = parseResponse(getFileFormat(batch.file_format), content);
+      if (entries.length === 0) {
+        throw new ServiceError("Response file has no records", 422);
+      }
+
+      const [items] = await connection.execute(
+        "SELECT * FROM payout_batch_items WHERE batch_id = ? FOR UPDATE",
+        [batchId]
+      );
+      const itemsByReference = new Map(
+        items.map((item) => [item.reference, item])
+      );
+
+      const summary = { completed: [], failed: [], unmatched: [], skipped: [] };
+      for (const entry of entries) {
+        const item = itemsByReference.get(entry.reference);
+        if (!item) {
+          summary.unmatched.push(entry.reference);
+          continue;
+        }
+        if (item.status !== "pending") {
+          summary.skipped.push(item.reference);
+          continue;
+        }
+
+        if (entry.succeeded) {
+          await SettlementService.applyPayment(connection, item.settlement_id, {
+            paid_by: imported_by,
+            payment_method: "bank_transfer",
+            payment_reference: `${batch.batch_no}/${item.reference}`,
+          });
+          await connection.execute(
+            "UPDATE payout_batch_items SET status = 'completed', failure_code = NULL, failure_reason = NULL, processed_at = NOW() WHERE id = ?",
+            [item.id]
+          );
+          summary.completed.push(item.reference);
+        } else {
+          await connection.execute(
+            "UPDATE payout_batch_items SET status = 'failed', failure_code = ?, failure_reason = ?, processed_at = NOW() WHERE id = ?",
+            [
+              entry.code || null,
+              entry.reason || `Returned by bank with code ${entry.code}`,
+              item.id,
+            ]
+          );
+          summary.failed.push(item.reference);
+        }
+        item.status = "processed";
+      }
+
+      const pending = items.filter((item) => item.status === "pending").length;
+      await connection.execute(
+        `
+        UPDATE payout_batches
+        SET status = ?, response_imported_by = ?, response_imported_at = NOW()
+        WHERE id = ?
+      `,
+        [pending === 0 ? "completed" : "exported", imported_by, batchId]
+      );
+
+      return { ...summary, pending };
+    });
+  }
+
+  // Cancel a batch the bank has not acted on; its settlements can go into
+  // another batch or be paid by hand
+  static async cancelBatch(batchId) {
+    return withTransaction(async (connection) => {
+      await this.lockBatch(connection, batchId, ["open", "exported"]);
+
+      const [processed] = await connection.execute(
+        "SELECT COUNT(*) as count FROM payout_batch_items WHERE batch_id = ? AND status <> 'pending'",
+        [batchId]
+      );
+      if (processed[0].count > 0) {
+        throw new ServiceError(
+          "Batch has items the bank has already responded to and cannot be cancelled",
+          409
+        );
+      }
+
+      await connection.execute(
+        "UPDATE payout_batch_items SET status = 'cancelled' WHERE batch_id = ?",
+        [batchId]
+      );
+      await connection.execute(
+        "UPDATE payout_batches SET status = 'cancelled' WHERE id = ?",
+        [batchId]
+      );
+    });
+  }
+
+  static async lockBatch(connection, batchId, allowedStatuses) {
+    const [rows] = await connection.execute(
+      "SELECT * FROM payout_batches WHERE id = ? FOR UPDATE",
+      [batchId]
+    );
+    if (rows.length === 0) {
+      throw new ServiceError("Payout batch not found", 404);
+    }
+    if (!allowedStatuses.includes(rows[0].status)) {
+      throw new ServiceError(
+        `Payout batch is ${
+          rows[0].status
+        }; this needs an ${allowedStatuses.join(" or ")} batch`,
+        409
+      );
+    }
+    return rows[0];
+  }
+}
+
+PayoutBatchService.validateBankDetails = validateBankDetails;
+
+module.exports = PayoutBatchService;
@@ -0,0 +1,302 @@
+const fs = require("fs");
+const ServiceError = require("./serviceError");
+
+// Bank transfer file layouts. A fixed-width layout lists its fields in order,
+// each taking a named `source` (see buildRecordValues) or a constant `value`;
+// fields padded with "0" are numeric and must fit, text fields are cut to
+// width. A CSV layout lists `columns` the same way with a `header`.
+//
+// `response` says how to read the bank's returned file: which field holds our
+// reference, which holds the outcome, and which outcome values mean paid.
+//
+// Extra layouts can be loaded from a JSON file named by PAYOUT_FILE_LAYOUTS;
+// PAYOUT_FILE_FORMAT picks the default.
+const BUILT_IN_FORMATS = {
+  // SLIPS-style credit record, as used for LankaClear bulk transfers. The
+  // bank echoes each record back with the return code filled in.
+  slips: {
+    type: "fixed",
+    extension: "txt",
+    fields: [
+      { source: "dest_bank_code", width: 4, pad: "0" },
+      { source: "dest_branch_code", width: 3, pad: "0" },
+      { source: "dest_account_number", width: 12, pad: "0" },
+      { source: "dest_account_name", width: 20 },
+      { name: "transaction_code", value: "23", width: 2 },
+      { name: "return_code", value: "00", width: 2 },
+      { value: "0", width: 1 },
+      { value: "000000", width: 6 },
+      { source: "amount_cents", width: 12, pad: "0" },
+      { value: "SLR", width: 3 },
+      { source: "origin_bank_code", width: 4, pad: "0" },
+      { source: "origin_branch_code", width: 3, pad: "0" },
+      { source: "origin_account_number", width: 12, pad: "0" },
+      { source: "origin_account_name", width: 20 },
+      { source: "particulars", width: 15 },
+      { source: "reference", width: 15 },
+      { source: "value_date_yymmdd", width: 6 },
+      { value: "000000", width: 6 },
+    ],
+    response: {
+      reference: "reference",
+      status: "return_code",
+      success: ["00"],
+    },
+  },
+
+  csv: {
+    type: "csv",
+    extension: "csv",
+    columns: [
+      { header: "reference", source: "reference" },
+      { header: "bank_code", source: "dest_bank_code" },
+      { header: "branch_code", source: "dest_branch_code" },
+      { header: "account_number", source: "dest_account_number" },
+      { header: "account_name", source: "dest_account_name" },
+      { header: "amount", source: "amount" },
+      { header: "currency", source: "currency" },
+      { header: "value_date", source: "value_date" },
+      { header: "particulars", source: "particulars" },
+      { header: "debit_account", source: "origin_account_number" },
+    ],
+    response: {
+      reference: "reference",
+      status: "status",
+      reason: "reason",
+      success: ["00", "completed", "success", "paid"],
+    },
+  },
+};
+
+const DEFAULT_FORMAT = "slips";
+
+let loadedFormats = null;
+
+const getFileFormats = () => {
+  if (!loadedFormats) {
+    loadedFormats = { ...BUILT_IN_FORMATS };
+    if (process.env.PAYOUT_FILE_LAYOUTS) {
+      try {
+        Object.assign(
+          loadedFormats,
+          JSON.parse(fs.readFileSync(process.env.PAYOUT_FILE_LAYOUTS, "utf8"))
+        );
+      } catch (error) {
+        console.error(
+          `Could not load payout file layouts from ${process.env.PAYOUT_FILE_LAYOUTS}:`,
+          error.message
+        );
+      }
+    }
+  }
+  return loadedFormats;
+};
+
+// The layout called `name`, or the configured default when omitted
+const getFileFormat = (name) => {
+  const formatName = (
+    name ||
+    process.env.PAYOUT_FILE_FORMAT ||
+    DEFAULT_FORMAT
+  ).toLowerCase();
+  const format = getFileFormats()[formatName];
+  if (!format) {
+    throw new ServiceError(
+      `Unknown payout file format "${formatName}". Available: ${Object.keys(
+        getFileFormats()
+      ).join(", ")}`,
+      400
+    );
+  }
+  return { name: formatName, ...format };
+};
+
+// The paying account, from PAYOUT_ORIGIN_* settings
+const getOriginAccount = () => {
+  const origin = {
+    bank_code: process.env.PAYOUT_ORIGIN_BANK_CODE,
+    branch_code: process.env.PAYOUT_ORIGIN_BRANCH_CODE,
+    account_number: process.env.PAYOUT_ORIGIN_ACCOUNT_NUMBER,
+    account_name: process.env.PAYOUT_ORIGIN_ACCOUNT_NAME,
+  };
+  if (Object.values(origin).some((value) => !value)) {
+    throw new ServiceError(
+      "The paying account is not configured (PAYOUT_ORIGIN_BANK_CODE, PAYOUT_ORIGIN_BRANCH_CODE, PAYOUT_ORIGIN_ACCOUNT_NUMBER, PAYOUT_ORIGIN_ACCOUNT_NAME)",
+      500
+    );
+  }
+  return origin;
+};
+
+const formatDate = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Every value a layout field can take for one batch item
+const buildRecordValues = (item, batch, origin) => {
+  const valueDate = formatDate(batch.value_date);
+  return {
+    batch_no: batch.batch_no,
+    reference: item.reference,
+    particulars: item.settlement_no,
+    supplier_code: item.supplier_code || "",
+    dest_bank_code: item.bank_code,
+    dest_branch_code: item.branch_code,
+    dest_account_number: item.account_number,
+    dest_account_name: item.account_holder_name.toUpperCase(),
+    amount: parseFloat(item.amount).toFixed(2),
+    amount_cents: String(Math.round(parseFloat(item.amount) * 100)),
+    currency: "LKR",
+    value_date: valueDate,
+    value_date_yymmdd: valueDate.slice(2).replace(/-/g, ""),
+    origin_bank_code: origin.bank_code,
+    origin_branch_code: origin.branch_code,
+    origin_account_number: origin.account_number,
+    origin_account_name: origin.account_name.toUpperCase(),
+  };
+};
+
+const fieldValue = (field, values) =>
+  String(field.value !== undefined ? field.value : values[field.source] ?? "");
+
+const formatFixedField = (field, values) => {
+  const value = fieldValue(field, values);
+  if (field.pad === "0") {
+    if (value.length > field.width) {
+      throw new ServiceError(
+        `${field.source || field.name} "${value}" does not fit in ${
+          field.width
+        } digits`,
+        422
+      );
+    }
+    return value.padStart(field.width, "0");
+  }
+  return value.slice(0, field.width).padEnd(field.width, " ");
+};
+
+const escapeCsv = (value) =>
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+// Render the transfer file for a batch and its items
+const buildFile = (format, batch, items) => {
+  const origin = getOriginAccount();
+  const records = items.map((item) => buildRecordValues(item, batch, origin));
+
+  let content;
+  if (format.type === "fixed") {
+    content = records
+      .map((values) =>
+        format.fields.map((field) => formatFixedField(field, values)).join("")
+      )
+      .join("\r\n");
+  } else {
+    content = [
+      format.columns.map((column) => escapeCsv(column.header)).join(","),
+      ...records.map((values) =>
+        format.columns
+          .map((column) => escapeCsv(fieldValue(column, values)))
+          .join(",")
+      ),
+    ].join("\r\n");
+  }
+
+  return {
+    filename: `${batch.batch_no}.${format.extension}`,
+    contentType: format.type === "csv" ? "text/csv" : "text/plain",
+    content: `${content}\r\n`,
+  };
+};
+
+const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+  return cells.map((value) => value.trim());
+};
+
+// Read a bank response file into { reference, succeeded, code, reason }
+// entries, one per record
+const parseResponse = (format, content) => {
+  const lines = String(content)
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "");
+  const { response } = format;
+  const successCodes = response.success.map((code) => code.toLowerCase());
+  const toEntry = (reference, code, reason) => ({
+    reference: (reference || "").trim(),
+    code: (code || "").trim(),
+    succeeded: successCodes.includes((code || "").trim().toLowerCase()),
+    reason: reason ? reason.trim() : null,
+  });
+
+  if (format.type === "fixed") {
+    const offsets = {};
+    let offset = 0;
+    for (const field of format.fields) {
+      offsets[field.source || field.name] = {
+        start: offset,
+        width: field.width,
+      };
+      offset += field.width;
+    }
+    const slice = (line, key) =>
+      offsets[key]
+        ? line.substr(offsets[key].start, offsets[key].width)
+        : undefined;
+
+    return lines.map((line) =>
+      toEntry(
+        slice(line, response.reference),
+        slice(line, response.status),
+        response.reason ? slice(line, response.reason) : null
+      )
+    );
+  }
+
+  const headers = parseCsvLine(lines[0] || "").map((h) => h.toLowerCase());
+  const column = (key) => headers.indexOf(String(key).toLowerCase());
+  const referenceIndex = column(response.reference);
+  const statusIndex = column(response.status);
+  if (referenceIndex === -1 || statusIndex === -1) {
+    throw new ServiceError(
+      `Response file needs "${response.reference}" and "${response.status}" columns`,
+      422
+    );
+  }
+  const reasonIndex = response.reason ? column(response.reason) : -1;
+
+  return lines.slice(1).map((line) => {
+    const cells = parseCsvLine(line);
+    return toEntry(
+      cells[referenceIndex],
+      cells[statusIndex],
+      reasonIndex === -1 ? null : cells[reasonIndex]
+    );
+  });
+};
+
+module.exports = { getFileFormat, buildFile, parseResponse };
@@ -0,0 +1,380 @@
+const { pool, withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+
+// Every permission a role can hold. Routes declare the one they need in
+// middleware/permissions.js; the frontend gets a user's list at login.
+const PERMISSIONS = {
+  "dashboard.view": "View staff dashboards",
+  "supplier.view": "View suppliers and their balances",
+  "supplier.manage": "Register and edit suppliers",
+  "supply.view": "View supply records",
+  "supply.create": "Record leaf deliveries",
+  "supply.edit": "Edit supply records and their payment status",
+  "supply.quality": "Assess the quality of a delivery",
+  "order.view": "View supplier orders",
+  "order.manage": "Update supplier order status and payment",
+  "own_orders.manage": "Place and manage one's own supplier orders",
+  "own_statement.view": "Download one's own supplier statement",
+  "advance.view": "View supplier advances",
+  "advance.issue": "Issue advances to suppliers",
+  "advance.cancel": "Cancel advances",
+  "inventory.view": "View inventory",
+  "inventory.manage": "Add and edit inventory",
+  "production.view": "View production runs and yields",
+  "production.manage": "Record, amend and cancel production runs",
+  "stock.view": "View the stock ledger and adjustments",
+  "stock.adjust": "Request stock adjustments",
+  "stock.approve": "Approve or reject stock adjustments",
+  "stock.reconcile": "Reconcile lot balances with the stock ledger",
+  "quality_rule.view": "View leaf quality rules",
+  "quality_rule.manage": "Create, edit and delete leaf quality rules",
+  "price.view": "View price lists, supplier groups and resolved prices",
+  "price.set": "Set unit prices, price lists and supplier groups",
+  "settlement.view": "View settlements",
+  "settlement.manage": "Generate settlements and edit their lines",
+  "settlement.approve": "Approve settlements",
+  "settlement.pay": "Pay approved settlements",
+  "payout.manage": "Create, export and reconcile bank payout batches",
+  "payment.view": "View payments",
+  "payment.create": "Make payments to suppliers",
+  "payment.approve": "Approve or reject payments awaiting approval",
+  "payment.reverse": "Reverse and refund payments",
+  "cheque.view": "View the cheque register",
+  "cheque.manage": "Record cheque clearance, bounces and cancellations",
+  "cash.manage": "Open, use and close one's own cash drawer",
+  "cash.supervise": "Open and work cash drawers for other staff",
+  "statement.view": "View and download supplier statements",
+  "user.view": "View the user list",
+  "user.manage": "Create, edit and deactivate users",
+  "role.manage": "Define roles and assign them to users",
+  "log.view": "View the system log",
+  "settings.view":
+    "View system settings such as the yield band and approval limits",
+  "settings.manage": "Change system settings such as approval limits",
+  "message.broadcast": "Broadcast messages to all suppliers",
+  "system.debug": "Use diagnostic and maintenance endpoints",
+};
+
+const STAFF_PERMISSIONS = [
+  "dashboard.view",
+  "supplier.view",
+  "supplier.manage",
+  "supply.view",
+  "supply.create",
+  "supply.edit",
+  "supply.quality",
+  "order.view",
+  "order.manage",
+  "advance.view",
+  "advance.issue",
+  "stock.view",
+  "stock.adjust",
+  "price.view",
+  "payment.view",
+  "payment.create",
+  "payment.approve",
+  "cheque.view",
+  "cash.manage",
+  "statement.view",
+  "settings.view",
+];
+
+// Built-in roles, one per users.role account type, seeded with what each
+// account type could do before roles were configurable. Admin always holds
+// every permission.
+const SYSTEM_ROLE_PERMISSIONS = {
+  supplier: ["own_orders.manage", "own_statement.view"],
+  staff: STAFF_PERMISSIONS,
+  manager: [
+    ...STAFF_PERMISSIONS,
+    "advance.cancel",
+    "inventory.view",
+    "inventory.manage",
+    "production.view",
+    "production.manage",
+    "stock.approve",
+    "stock.reconcile",
+    "quality_rule.view",
+    "quality_rule.manage",
+    "price.set",
+    "settlement.view",
+    "settlement.manage",
+    "settlement.approve",
+    "settlement.pay",
+    "payout.manage",
+    "payment.reverse",
+    "cheque.manage",
+    "cash.supervise",
+    "user.view",
+    "message.broadcast",
+  ],
+  admin: Object.keys(PERMISSIONS),
+};
+const SYSTEM_ROLES = Object.keys(SYSTEM_ROLE_PERMISSIONS);
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Role id -> { id, name, permissions }, dropped whenever a role changes
+let roleCache = new Map();
+
+class PermissionService {
+  // Create the built-in roles on startup and grant any of their default
+  // permissions they lack, so permissions added in a release reach existing
+  // installs. Admins can add to a built-in role but not take its defaults
+  // away; admin's role holds every permission.
+  static async seedSystemRoles() {
+    await withTransaction(async (connection) => {
+      for (const name of SYSTEM_ROLES) {
+        await connection.execute(
+          `
+          INSERT IGNORE INTO roles (name, description, is_system)
+          VALUES (?, ?, 1)
+        `,
+          [name, `Built-in ${name} role`]
+        );
+        const [roles] = await connection.execute(
+          "SELECT id FROM roles WHERE name = ?",
+          [name]
+        );
+        await this.grant(
+          connection,
+          roles[0].id,
+          SYSTEM_ROLE_PERMISSIONS[name]
+        );
+      }
+    });
+    roleCache = new Map();
+  }
+
+  static async grant(connection, roleId, permissions) {
+    for (const permission of permissions) {
+      await connection.execute(
+        "INSERT IGNORE INTO role_permissions (role_id, permission) VALUES (?, ?)",
+        [roleId, permission]
+      );
+    }
+  }
+
+  static async loadRole(roleId) {
+    if (roleCache.has(roleId)) return roleCache.get(roleId);
+
+    const [roles] = await pool.execute(
+      "SELECT id, name, requires_two_factor FROM roles WHERE id = ?",
+      [roleId]
+    );
+    if (roles.length === 0) return null;
+    const [rows] = await pool.execute(
+      "SELECT permission FROM role_permissions WHERE role_id = ? ORDER BY permission",
+      [roleId]
+    );
+    const role = {
+      id: roles[0].id,
+      name: roles[0].name,
+      requires_two_factor: Boolean(roles[0].requires_two_factor),
+      permissions: rows
+        .map((row) => row.permission)
+        .filter((permission) => PERMISSIONS[permission]),
+    };
+    roleCache.set(roleId, role);
+    return role;
+  }
+
+  // The role a user acts under and its permissions: the role assigned to
+  // them, or else the built-in role of their account type. Also whether the
+  // role requires two-factor authentication and whether the user has it on.
+  static async getUserAccess(userId) {
+    const [users] = await pool.execute(
+      `
+      SELECT u.id, u.role, u.status, u.totp_enabled,
+             COALESCE(u.access_role_id, r.id) as role_id
+      FROM users u
+      LEFT JOIN roles r ON r.name = u.role AND r.is_system = 1
+      WHERE u.id = ?
+    `,
+      [userId]
+    );
+    if (users.length === 0) return null;
+
+    const role = users[0].role_id
+      ? await this.loadRole(users[0].role_id)
+      : null;
+    return {
+      account_role: users[0].role,
+      status: users[0].status,
+      role: role ? role.name : users[0].role,
+      permissions: role ? role.permissions : [],
+      requires_two_factor: role ? role.requires_two_factor : false,
+      two_factor_enabled: Boolean(users[0].totp_enabled),
+    };
+  }
+
+  static checkPermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new ServiceError("Permissions must be a list", 400);
+    }
+    const unknown = permissions.filter(
+      (permission) => !PERMISSIONS[permission]
+    );
+    if (unknown.length > 0) {
+      throw new ServiceError(
+        `Unknown permission(s): ${unknown.join(", ")}`,
+        400
+      );
+    }
+    return [...new Set(permissions)];
+  }
+
+  static async createRole({
+    name,
+    description = null,
+    permissions = [],
+    requires_two_factor = false,
+  }) {
+    const roleName = String(name || "")
+      .trim()
+      .toLowerCase();
+    if (!ROLE_NAME_PATTERN.test(roleName)) {
+      throw new ServiceError(
+        "Role name must be 2-50 lowercase letters, digits or underscores, starting with a letter",
+        400
+      );
+    }
+    const granted = this.checkPermissions(permissions);
+
+    const roleId = await withTransaction(async (connection) => {
+      try {
+        const [result] = await connection.execute(
+          "INSERT INTO roles (name, description, is_system, requires_two_factor) VALUES (?, ?, 0, ?)",
+          [roleName, description, requires_two_factor ? 1 : 0]
+        );
+        await this.grant(connection, result.insertId, granted);
+        return result.insertId;
+      } catch (error) {
+        if (error.code === "ER_DUP_ENTRY") {
+          throw new ServiceError(`Role "${roleName}" already exists`, 409);
+        }
+        throw error;
+      }
+    });
+    roleCache = new Map();
+    return roleId;
+  }
+
+  // Change a role's description and 2FA requirement and replace its
+  // permissions. The admin role's permissions are fixed so admins cannot
+  // lock themselves out, and other built-in roles keep their defaults.
+  static async updateRole(
+    roleId,
+    { description, permissions, requires_two_factor }
+  ) {
+    await withTransaction(async (connection) => {
+      const [roles] = await connection.execute(
+        "SELECT * FROM roles WHERE id = ? FOR UPDATE",
+        [roleId]
+      );
+      if (roles.length === 0) {
+        throw new ServiceError("Role not found", 404);
+      }
+
+      if (description !== undefined) {
+        await connection.execute(
+          "UPDATE roles SET description = ? WHERE id = ?",
+          [description, roleId]
+        );
+      }
+      if (requires_two_factor !== undefined) {
+        await connection.execute(
+          "UPDATE roles SET requires_two_factor = ? WHERE id = ?",
+          [requires_two_factor ? 1 : 0, roleId]
+        );
+      }
+      if (permissions !== undefined) {
+        if (roles[0].name === "admin") {
+          throw new ServiceError(
+            "The admin role always holds every permission",
+            409
+          );
+        }
+        const granted = this.checkPermissions(permissions);
+        if (roles[0].is_system) {
+          const missing = SYSTEM_ROLE_PERMISSIONS[roles[0].name].filter(
+            (permission) => !granted.includes(permission)
+          );
+          if (missing.length > 0) {
+            throw new ServiceError(
+              `Built-in roles keep their default permissions; ${
+                roles[0].name
+              } needs ${missing.join(", ")}`,
+              409
+            );
+          }
+        }
+        await connection.execute(
+          "DELETE FROM role_permissions WHERE role_id = ?",
+          [roleId]
+        );
+        await this.grant(connection, roleId, granted);
+      }
+    });
+    roleCache = new Map();
+  }
+
+  static async deleteRole(roleId) {
+    await withTransaction(async (connection) => {
+      const [roles] = await connection.execute(
+        "SELECT * FROM roles WHERE id = ? FOR UPDATE",
+        [roleId]
+      );
+      if (roles.length === 0) {
+        throw new ServiceError("Role not found", 404);
+      }
+      if (roles[0].is_system) {
+        throw new ServiceError("Built-in roles cannot be deleted", 409);
+      }
+      const [users] = await connection.execute(
+        "SELECT COUNT(*) as count FROM users WHERE access_role_id = ?",
+        [roleId]
+      );
+      if (users[0].count > 0) {
+        throw new ServiceError(
+          `Role "${roles[0].name}" is assigned to ${users[0].count} user(s)`,
+          409
+        );
+      }
+      await connection.execute("DELETE FROM roles WHERE id = ?", [roleId]);
+    });
+    roleCache = new Map();
+  }
+
+  // Give a user a role, or with null put them back on their account type's
+  // built-in role. Admin accounts always act as admin.
+  static async assignRole(userId, roleId) {
+    const [users] = await pool.execute(
+      "SELECT id, role FROM users WHERE id = ?",
+      [userId]
+    );
+    if (users.length === 0) {
+      throw new ServiceError("User not found", 404);
+    }
+    if (roleId !== null) {
+      if (users[0].role === "admin") {
+        throw new ServiceError("Admin accounts always use the admin role", 409);
+      }
+      const role = await this.loadRole(roleId);
+      if (!role) {
+        throw new ServiceError("Role not found", 404);
+      }
+    }
+
+    await pool.execute("UPDATE users SET access_role_id = ? WHERE id = ?", [
+      roleId,
+      userId,
+    ]);
+    return this.getUserAccess(userId);
+  }
+}
+
+PermissionService.PERMISSIONS = PERMISSIONS;
+PermissionService.SYSTEM_ROLES = SYSTEM_ROLES;
+
+module.exports = PermissionService;
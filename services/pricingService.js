@@ -0,0 +1,112 @@
+const { pool } = require("../database");
+const ServiceError = require("./serviceError");
+const PricingModel = require("../models/pricingModel");
+const { roundMoney } = require("./serviceHelpers");
+
+class PricingService {
+  // Resolve the unit price per kg for a delivery on `supply_date`.
+  //
+  // With a price list in force on that date: supplier override, else the
+  // supplier's group override, else the list's base price, plus the
+  // adjustment of `quality_tier` when given. With no list in force the
+  // legacy sources apply: the price entered with the record, the supplier's
+  // custom_avg_price, then the global unit_price_per_kg setting.
+  static async resolveUnitPrice(
+    { supplier_id, supply_date, quality_tier = null, fallback_unit_price },
+    connection = pool
+  ) {
+    const [suppliers] = await connection.execute(
+      "SELECT id, supplier_group_id, custom_avg_price FROM users WHERE id = ?",
+      [supplier_id]
+    );
+    if (suppliers.length === 0) {
+      throw new ServiceError("Invalid supplier ID", 400);
+    }
+    const supplier = suppliers[0];
+
+    const priceList = await PricingModel.findPriceListInForce(
+      supply_date,
+      connection
+    );
+
+    if (priceList) {
+      const [overrides] = await connection.execute(
+        `
+        SELECT scope, price_per_kg FROM price_list_overrides
+        WHERE price_list_id = ?
+          AND ((scope = 'supplier' AND supplier_id = ?)
+            OR (scope = 'supplier_group' AND supplier_group_id = ?))
+      `,
+        [priceList.id, supplier.id, supplier.supplier_group_id]
+      );
+      const supplierOverride = overrides.find((o) => o.scope === "supplier");
+      const groupOverride = overrides.find((o) => o.scope === "supplier_group");
+
+      let basePrice = parseFloat(priceList.base_price_per_kg);
+      let priceSource = "price_list";
+      if (supplierOverride) {
+        basePrice = parseFloat(supplierOverride.price_per_kg);
+        priceSource = "supplier_override";
+      } else if (groupOverride) {
+        basePrice = parseFloat(groupOverride.price_per_kg);
+        priceSource = "group_override";
+      }
+
+      let tierAdjustment = 0;
+      if (quality_tier) {
+        const [tiers] = await connection.execute(
+          "SELECT price_adjustment_per_kg FROM price_list_quality_tiers WHERE price_list_id = ? AND tier_code = ?",
+          [priceList.id, quality_tier]
+        );
+        if (tiers.length === 0) {
+          throw new ServiceError(
+            `Quality tier "${quality_tier}" is not defined in price list "${priceList.name}"`,
+            400
+          );
+        }
+        tierAdjustment = parseFloat(tiers[0].price_adjustment_per_kg);
+      }
+
+      return {
+        unit_price: roundMoney(Math.max(0, basePrice + tierAdjustment)),
+        base_price: basePrice,
+        quality_tier,
+        quality_tier_adjustment: tierAdjustment,
+        price_list_id: priceList.id,
+        price_list_name: priceList.name,
+        price_source: priceSource,
+      };
+    }
+
+    const legacySources = [
+      ["manual", fallback_unit_price],
+      ["supplier_custom_price", supplier.custom_avg_price],
+    ];
+    const [settings] = await connection.execute(
+      "SELECT value FROM settings WHERE `key` = 'unit_price_per_kg'"
+    );
+    legacySources.push(["global_setting", settings[0] && settings[0].value]);
+
+    for (const [priceSource, value] of legacySources) {
+      const price = parseFloat(value);
+      if (!isNaN(price) && price > 0) {
+        return {
+          unit_price: roundMoney(price),
+          base_price: roundMoney(price),
+          quality_tier,
+          quality_tier_adjustment: 0,
+          price_list_id: null,
+          price_list_name: null,
+          price_source: priceSource,
+        };
+      }
+    }
+
+    throw new ServiceError(
+      `No price list is in force on ${supply_date} and no unit price was given`,
+      400
+    );
+  }
+}
+
+module.exports = PricingService;
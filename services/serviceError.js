@@ -0,0 +1,16 @@
+// Error raised by a service for an expected business-rule failure (unknown
+// record, wrong state, not enough stock...). `statusCode` is the HTTP status
+// the route should answer with; anything else is treated as a 500.
+// `details` are sent along with the message (see sendServiceError) and can
+// also be read off the error directly.
+class ServiceError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = "ServiceError";
+    this.statusCode = statusCode;
+    this.details = details;
+    Object.assign(this, details);
+  }
+}
+
+module.exports = ServiceError;
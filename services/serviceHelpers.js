@@ -0,0 +1,22 @@
+// Helpers shared by the services and the controllers in front of them
+
+// Round to the 2 decimal places stored by the DECIMAL money columns
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Round to the 2 decimal places stored by the DECIMAL(10, 2) quantity columns
+const roundKg = (value) => Math.round(value * 100) / 100;
+
+// Answer with a ServiceError's status, message and details; anything else is
+// a 500 with `fallbackMessage`
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+module.exports = { roundMoney, roundKg, sendServiceError };
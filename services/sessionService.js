@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { pool, withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+
+const JWT_SECRET =
+  process.env.JWT_SECRET || "your-secret-key-change-this-in-production";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || "30");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// A signed-in device. Each login starts a session family; every refresh
+// retires the session it used (reason "rotated") and continues the family
+// with a new one, so a refresh token works exactly once. Only the SHA-256
+// of a refresh token is stored. Access tokens carry their session's id
+// (`sid`) and stop working as soon as that session is revoked.
+class SessionService {
+  static signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        name: user.name,
+        sid: sessionId,
+      },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  // Start a session for `user` and return its tokens
+  static async createSession(
+    user,
+    { ip_address = null, user_agent = null, family_id = null } = {},
+    connection = pool
+  ) {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const [result] = await connection.execute(
+      `
+      INSERT INTO user_sessions (
+        user_id, family_id, refresh_token_hash, expires_at, ip_address, user_agent
+      ) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?)
+    `,
+      [
+        user.id,
+        family_id || crypto.randomBytes(16).toString("hex"),
+        hashToken(refreshToken),
+        REFRESH_TOKEN_DAYS,
+        ip_address,
+        user_agent,
+      ]
+    );
+
+    const token = this.signAccessToken(user, result.insertId);
+    const { iat, exp } = jwt.decode(token);
+    return {
+      session_id: result.insertId,
+      token,
+      refresh_token: refreshToken,
+      expires_in: exp - iat,
+    };
+  }
+
+  // Swap a refresh token for a new access and refresh token. Presenting a
+  // token that was already rotated means it was copied, so the whole family
+  // is revoked and the user has to sign in again.
+  static async refresh(refreshToken, { ip_address = null, user_agent = null }) {
+    if (!refreshToken) {
+      throw new ServiceError("Refresh token is required", 400);
+    }
+
+    const outcome = await withTransaction(async (connection) => {
+      const [sessions] = await connection.execute(
+        `
+        SELECT s.*, s.expires_at <= NOW() as expired
+        FROM user_sessions s
+        WHERE s.refresh_token_hash = ?
+        FOR UPDATE
+      `,
+        [hashToken(refreshToken)]
+      );
+      if (sessions.length === 0) {
+        return { error: "Invalid refresh token" };
+      }
+      const session = sessions[0];
+
+      if (session.revoked_at) {
+        if (session.revoked_reason !== "rotated") {
+          return { error: "Session has been revoked" };
+        }
+        await connection.execute(
+          `
+          UPDATE user_sessions
+          SET revoked_at = NOW(), revoked_reason = 'reuse_detected'
+          WHERE family_id = ? AND revoked_at IS NULL
+        `,
+          [session.family_id]
+        );
+        await connection.execute(
+          `
+          INSERT INTO system_logs (user_id, action, description, ip_address, user_agent)
+          VALUES (?, ?, ?, ?, ?)
+        `,
+          [
+            session.user_id,
+            "REFRESH_TOKEN_REUSE",
+            `A rotated refresh token was presented again; sessions of family ${session.family_id} revoked`,
+            ip_address,
+            user_agent,
+          ]
+        );
+        return { error: "Session has been revoked" };
+      }
+      if (session.expired) {
+        return { error: "Refresh token has expired" };
+      }
+
+      const [users] = await connection.execute(
+        "SELECT id, email, role, name, status FROM users WHERE id = ?",
+        [session.user_id]
+      );
+      if (users.length === 0 || users[0].status !== "active") {
+        await this.revokeSession(session.id, "status_changed", connection);
+        return { error: "Your account is not active" };
+      }
+
+      const next = await this.createSession(
+        users[0],
+        { ip_address, user_agent, family_id: session.family_id },
+        connection
+      );
+      await connection.execute(
+        `
+        UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by = ?,
+            last_used_at = NOW()
+        WHERE id = ?
+      `,
+        [next.session_id, session.id]
+      );
+      return { user: users[0], ...next };
+    });
+
+    // Reuse detection must commit before the request is refused
+    if (outcome.error) {
+      throw new ServiceError(outcome.error, 401);
+    }
+    return outcome;
+  }
+
+  // Whether an access token's session may still be used
+  static async isActive(sessionId, userId) {
+    const [rows] = await pool.execute(
+      `
+      SELECT s.id
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL
+        AND s.expires_at > NOW() AND u.status = 'active'
+    `,
+      [sessionId, userId]
+    );
+    return rows.length > 0;
+  }
+
+  static async revokeSession(sessionId, reason, connection = pool) {
+    await connection.execute(
+      `
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_reason = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `,
+      [reason, sessionId]
+    );
+  }
+
+  // Revoke every live session of a user, optionally keeping the one the
+  // request came from. Returns how many were revoked.
+  static async revokeUserSessions(userId, reason, exceptSessionId = null) {
+    const [result] = await pool.execute(
+      `
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL AND id <> ?
+    `,
+      [reason, userId, exceptSessionId || 0]
+    );
+    return result.affectedRows;
+  }
+
+  // Revoke the sessions of users who are no longer active, for status
+  // changes made in bulk
+  static async revokeInactiveUserSessions() {
+    const [result] = await pool.execute(`
+      UPDATE user_sessions s
+      JOIN users u ON u.id = s.user_id
+      SET s.revoked_at = NOW(), s.revoked_reason = 'status_changed'
+      WHERE s.revoked_at IS NULL AND u.status <> 'active'
+    `);
+    return result.affectedRows;
+  }
+}
+
+SessionService.ACCESS_TOKEN_TTL = ACCESS_TOKEN_TTL;
+SessionService.REFRESH_TOKEN_DAYS = REFRESH_TOKEN_DAYS;
+
+module.exports = SessionService;
@@ -0,0 +1,460 @@
+const { withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+const PaymentModel = require("../models/paymentModel");
+const ChequeModel = require("../models/chequeModel");
+const AdvanceService = require("./advanceService");
+const CashBookService = require("./cashBookService");
+const { roundMoney } = require("./serviceHelpers");
+
+class SettlementService {
+  // Lock a settlement row and check it is in one of `allowedStatuses`
+  static async lockSettlement(connection, settlementId, allowedStatuses) {
+    const [rows] = await connection.execute(
+      "SELECT * FROM settlements WHERE id = ? FOR UPDATE",
+      [settlementId]
+    );
+    if (rows.length === 0) {
+      throw new ServiceError("Settlement not found", 404);
+    }
+    if (!allowedStatuses.includes(rows[0].status)) {
+      throw new ServiceError(
+        `Settlement is ${rows[0].status}; this needs a ${allowedStatuses.join(
+          " or "
+        )} settlement`,
+        409
+      );
+    }
+    return rows[0];
+  }
+
+  // Recompute gross, deductions and net from the line items
+  static async refreshTotals(connection, settlementId) {
+    const [totals] = await connection.execute(
+      `
+      SELECT
+        COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) as gross,
+        COALESCE(SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END), 0) as deductions
+      FROM settlement_lines
+      WHERE settlement_id = ?
+    `,
+      [settlementId]
+    );
+
+    const gross = roundMoney(parseFloat(totals[0].gross));
+    const deductions = roundMoney(parseFloat(totals[0].deductions));
+    await connection.execute(
+      "UPDATE settlements SET gross_amount = ?, deductions_amount = ?, net_amount = ? WHERE id = ?",
+      [gross, deductions, roundMoney(gross - deductions), settlementId]
+    );
+  }
+
+  // Create draft settlements for `periodMonth` (YYYY-MM): one per supplier,
+  // covering the outstanding balance of their unpaid and part-paid monthly
+  // supply records not yet in a settlement
+  static async generate(periodMonth, { created_by = null, supplier_id } = {}) {
+    return withTransaction(async (connection) => {
+      let query = `
+        SELECT sr.id, sr.supply_id, sr.supplier_id, sr.quantity_kg,
+               sr.unit_price, sr.outstanding_amount, sr.supply_date
+        FROM supply_records sr
+        LEFT JOIN settlement_lines sl ON sl.supply_record_id = sr.id
+        WHERE sr.payment_method = 'monthly'
+          AND sr.payment_status IN ('unpaid', 'partially_paid')
+          AND DATE_FORMAT(sr.supply_date, '%Y-%m') = ?
+          AND sl.id IS NULL
+      `;
+      const values = [periodMonth];
+      if (supplier_id) {
+        query += " AND sr.supplier_id = ?";
+        values.push(supplier_id);
+      }
+      query += " ORDER BY sr.supplier_id ASC, sr.supply_date ASC, sr.id ASC";
+      query += " FOR UPDATE";
+
+      const [records] = await connection.execute(query, values);
+
+      const bySupplier = {};
+      records.forEach((record) => {
+        if (!bySupplier[record.supplier_id]) {
+          bySupplier[record.supplier_id] = [];
+        }
+        bySupplier[record.supplier_id].push(record);
+      });
+
+      const settlementIds = [];
+      for (const [supplierId, supplierRecords] of Object.entries(bySupplier)) {
+        const settlementNo = `SET-${periodMonth.replace(
+          "-",
+          ""
+        )}-${supplierId}-${Date.now().toString(36).toUpperCase()}`;
+
+        const [result] = await connection.execute(
+          `
+          INSERT INTO settlements (settlement_no, supplier_id, period_month, created_by)
+          VALUES (?, ?, ?, ?)
+        `,
+          [settlementNo, supplierId, periodMonth, created_by]
+        );
+
+        for (const record of supplierRecords) {
+          await connection.execute(
+            `
+            INSERT INTO settlement_lines (
+              settlement_id, line_type, supply_record_id, description,
+              quantity_kg, unit_price, amount, created_by
+            ) VALUES (?, 'supply', ?, ?, ?, ?, ?, ?)
+          `,
+            [
+              result.insertId,
+              record.id,
+              `Supply ${record.supply_id}`,
+              record.quantity_kg,
+              record.unit_price,
+              record.outstanding_amount,
+              created_by,
+            ]
+          );
+        }
+
+        const gross = supplierRecords.reduce(
+          (sum, record) => sum + parseFloat(record.outstanding_amount),
+          0
+        );
+        const recoveries = await AdvanceService.planRecoveries(
+          connection,
+          supplierId,
+          gross
+        );
+        for (const { advance, amount } of recoveries) {
+          await connection.execute(
+            `
+            INSERT INTO settlement_lines (
+              settlement_id, line_type, advance_id, description, amount, created_by
+            ) VALUES (?, 'advance_recovery', ?, ?, ?, ?)
+          `,
+            [
+              result.insertId,
+              advance.id,
+              `Recovery of advance ${advance.advance_no}`,
+              -amount,
+              created_by,
+            ]
+          );
+        }
+
+        await this.refreshTotals(connection, result.insertId);
+        settlementIds.push(result.insertId);
+      }
+
+      return { settlementIds, supplyRecordCount: records.length };
+    });
+  }
+
+  // Add a deduction (e.g. fertilizer, transport) to a draft settlement
+  static async addDeduction(
+    settlementId,
+    { description, amount, created_by = null }
+  ) {
+    return withTransaction(async (connection) => {
+      await this.lockSettlement(connection, settlementId, ["draft"]);
+
+      await connection.execute(
+        `
+        INSERT INTO settlement_lines (settlement_id, line_type, description, amount, created_by)
+        VALUES (?, 'deduction', ?, ?, ?)
+      `,
+        [settlementId, description, -roundMoney(amount), created_by]
+      );
+
+      await this.refreshTotals(connection, settlementId);
+    });
+  }
+
+  // Remove a line from a draft settlement; a removed supply line frees the
+  // record for a later settlement
+  static async removeLine(settlementId, lineId) {
+    return withTransaction(async (connection) => {
+      await this.lockSettlement(connection, settlementId, ["draft"]);
+
+      const [result] = await connection.execute(
+        "DELETE FROM settlement_lines WHERE id = ? AND settlement_id = ?",
+        [lineId, settlementId]
+      );
+      if (result.affectedRows === 0) {
+        throw new ServiceError("Settlement line not found", 404);
+      }
+
+      await this.refreshTotals(connection, settlementId);
+    });
+  }
+
+  // Delete a draft settlement and release its supply records
+  static async deleteDraft(settlementId) {
+    return withTransaction(async (connection) => {
+      await this.lockSettlement(connection, settlementId, ["draft"]);
+      await connection.execute("DELETE FROM settlements WHERE id = ?", [
+        settlementId,
+      ]);
+    });
+  }
+
+  static async approve(settlementId, { approved_by }) {
+    return withTransaction(async (connection) => {
+      const settlement = await this.lockSettlement(connection, settlementId, [
+        "draft",
+      ]);
+
+      if (parseFloat(settlement.gross_amount) <= 0) {
+        throw new ServiceError("Settlement has no supply lines", 409);
+      }
+      if (parseFloat(settlement.net_amount) < 0) {
+        throw new ServiceError(
+          "Deductions exceed the settlement's gross amount",
+          409
+        );
+      }
+
+      await connection.execute(
+        "UPDATE settlements SET status = 'approved', approved_by = ?, approved_at = NOW() WHERE id = ?",
+        [approved_by, settlementId]
+      );
+    });
+  }
+
+  // Pay an approved settlement by hand. One that is waiting on a bank payout
+  // batch is paid when the bank's response comes back instead.
+  static async pay(settlementId, options) {
+    return withTransaction(async (connection) => {
+      const [queued] = await connection.execute(
+        "SELECT reference FROM payout_batch_items WHERE settlement_id = ? AND status = 'pending'",
+        [settlementId]
+      );
+      if (queued.length > 0) {
+        throw new ServiceError(
+          `Settlement is queued for bank payout (${queued[0].reference})`,
+          409
+        );
+      }
+
+      return this.applyPayment(connection, settlementId, options);
+    });
+  }
+
+  // Pay an approved settlement inside the caller's transaction: one completed
+  // payment per covered supply record (deductions shared pro rata, the last
+  // line taking the rounding remainder) and every covered record flipped to
+  // paid. A cheque payout enters the `cheque` in the register for the net;
+  // a cash payout draws each payment from the payer's (or
+  // `collection_point`'s) float for `payment_date`.
+  static async applyPayment(
+    connection,
+    settlementId,
+    {
+      paid_by,
+      payment_method,
+      payment_reference = null,
+      cheque = null,
+      payment_date,
+      collection_point = null,
+    }
+  ) {
+    const settlement = await this.lockSettlement(connection, settlementId, [
+      "approved",
+    ]);
+
+    const [lines] = await connection.execute(
+      `
+      SELECT sl.id, sl.amount, sr.id as supply_record_id, sr.supply_id,
+             sr.payment_status, sr.outstanding_amount
+      FROM settlement_lines sl
+      JOIN supply_records sr ON sl.supply_record_id = sr.id
+      WHERE sl.settlement_id = ? AND sl.line_type = 'supply'
+      ORDER BY sl.id ASC
+      FOR UPDATE
+    `,
+      [settlementId]
+    );
+
+    const alreadyPaid = lines.filter(
+      (line) =>
+        line.payment_status === "paid" ||
+        parseFloat(line.outstanding_amount) < parseFloat(line.amount)
+    );
+    if (alreadyPaid.length > 0) {
+      throw new ServiceError(
+        `Supply record(s) already paid outside this settlement: ${alreadyPaid
+          .map((line) => line.supply_id)
+          .join(", ")}`,
+        409
+      );
+    }
+
+    // Withhold the advance recoveries. An advance may have been paid down
+    // since the draft was generated, so each line is capped at what is
+    // still outstanding.
+    const [recoveryLines] = await connection.execute(
+      `
+      SELECT sl.id as line_id, sl.amount as line_amount, sa.*
+      FROM settlement_lines sl
+      JOIN supplier_advances sa ON sl.advance_id = sa.id
+      WHERE sl.settlement_id = ? AND sl.line_type = 'advance_recovery'
+      ORDER BY sl.id ASC
+      FOR UPDATE
+    `,
+      [settlementId]
+    );
+    let netChanged = false;
+    for (const { line_id, line_amount, ...advance } of recoveryLines) {
+      const wanted = -parseFloat(line_amount);
+      const recovered =
+        advance.status === "active"
+          ? Math.min(wanted, parseFloat(advance.outstanding_amount))
+          : 0;
+      if (recovered !== wanted) {
+        await connection.execute(
+          "UPDATE settlement_lines SET amount = ? WHERE id = ?",
+          [-recovered, line_id]
+        );
+        netChanged = true;
+      }
+      if (recovered > 0) {
+        await AdvanceService.applyRecovery(connection, advance, recovered, {
+          settlement_id: settlementId,
+          created_by: paid_by,
+        });
+      }
+    }
+    if (netChanged) {
+      await this.refreshTotals(connection, settlementId);
+      const [refreshed] = await connection.execute(
+        "SELECT gross_amount, net_amount FROM settlements WHERE id = ?",
+        [settlementId]
+      );
+      Object.assign(settlement, refreshed[0]);
+    }
+
+    const gross = parseFloat(settlement.gross_amount);
+    const net = parseFloat(settlement.net_amount);
+    const paymentBaseId = PaymentModel.generatePaymentId();
+    let allocated = 0;
+
+    let chequeId = null;
+    if (payment_method === "cheque") {
+      chequeId = await ChequeModel.issueCheque(
+        cheque,
+        {
+          amount: net,
+          supplier_id: settlement.supplier_id,
+          created_by: paid_by,
+        },
+        connection
+      );
+      payment_reference = payment_reference || `Cheque ${cheque.cheque_no}`;
+    }
+
+    const isCash = CashBookService.isCashPayment(payment_method);
+
+    for (const [index, line] of lines.entries()) {
+      const isLast = index === lines.length - 1;
+      const amount = isLast
+        ? roundMoney(net - allocated)
+        : roundMoney((parseFloat(line.amount) / gross) * net);
+      allocated = roundMoney(allocated + amount);
+
+      const paymentId = `${paymentBaseId}_${index + 1}`;
+      const [inserted] = await connection.execute(
+        `
+        INSERT INTO payments (
+          payment_id, supply_record_id, supplier_id, amount, payment_method,
+          payment_status, payment_date, payment_notes, created_by, settlement_id,
+          cheque_id
+        ) VALUES (?, ?, ?, ?, ?, 'completed', ?, ?, ?, ?, ?)
+      `,
+        [
+          paymentId,
+          line.supply_record_id,
+          settlement.supplier_id,
+          amount,
+          payment_method,
+          isCash ? CashBookService.paymentDateFor(payment_date) : new Date(),
+          `Settlement ${settlement.settlement_no}` +
+            (payment_reference ? ` (ref ${payment_reference})` : ""),
+          paid_by,
+          settlementId,
+          chequeId,
+        ]
+      );
+
+      if (isCash && amount > 0) {
+        await CashBookService.drawCash(
+          connection,
+          { id: inserted.insertId, payment_id: paymentId, amount },
+          {
+            business_date: payment_date,
+            staff_id: paid_by,
+            collection_point,
+            created_by: paid_by,
+          }
+        );
+      }
+
+      await connection.execute(
+        "UPDATE supply_records SET payment_status = 'paid', outstanding_amount = 0, updated_at = NOW() WHERE id = ?",
+        [line.supply_record_id]
+      );
+    }
+
+    await connection.execute(
+      `
+      UPDATE settlements
+      SET status = 'paid', paid_by = ?, paid_at = NOW(), payment_method = ?, payment_reference = ?
+      WHERE id = ?
+    `,
+      [paid_by, payment_method, payment_reference, settlementId]
+    );
+
+    return { paymentCount: lines.length, amount: net };
+  }
+
+  // Put a paid settlement back to approved after its payments were reversed
+  // (its cheque bounced or was cancelled): advance recoveries taken when it
+  // was paid are owed again, and it can be paid afresh.
+  static async reopenPaid(connection, settlementId, { user_id = null } = {}) {
+    await this.lockSettlement(connection, settlementId, ["paid"]);
+
+    const [recoveries] = await connection.execute(
+      `
+      SELECT advance_id, SUM(amount) as amount
+      FROM advance_recoveries
+      WHERE settlement_id = ?
+      GROUP BY advance_id
+      HAVING SUM(amount) > 0
+    `,
+      [settlementId]
+    );
+    for (const recovery of recoveries) {
+      const [advances] = await connection.execute(
+        "SELECT * FROM supplier_advances WHERE id = ? FOR UPDATE",
+        [recovery.advance_id]
+      );
+      await AdvanceService.applyRecovery(
+        connection,
+        advances[0],
+        -parseFloat(recovery.amount),
+        { settlement_id: settlementId, created_by: user_id }
+      );
+    }
+
+    await connection.execute(
+      `
+      UPDATE settlements
+      SET status = 'approved', paid_by = NULL, paid_at = NULL, payment_method = NULL,
+          payment_reference = NULL
+      WHERE id = ?
+    `,
+      [settlementId]
+    );
+  }
+}
+
+module.exports = SettlementService;
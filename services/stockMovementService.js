@@ -0,0 +1,599 @@
+const { withTransaction } = require("../database");
+const ServiceError = require("./serviceError");
+const StockAdjustmentModel = require("../models/stockAdjustmentModel");
+const ProductionModel = require("../models/productionModel");
+const { roundKg } = require("./serviceHelpers");
+
+// Thrown when a deduction asks for more kg than the locked lots hold
+class InsufficientStockError extends ServiceError {
+  constructor(source, available, required) {
+    super(
+      `Insufficient ${source}. Available: ${available} kg, Required: ${required} kg`,
+      400,
+      { code: "INSUFFICIENT_STOCK", available, required }
+    );
+    this.name = "InsufficientStockError";
+  }
+}
+
+// A requested kg amount rounded to the stored 2 decimals; anything but a
+// positive number is refused
+const parseQuantity = (quantity) => {
+  const kg = roundKg(parseFloat(quantity));
+  if (isNaN(kg) || kg <= 0) {
+    throw new ServiceError("Quantity must be a positive number", 400);
+  }
+  return kg;
+};
+
+// Lot tables whose balance column is reconciled against stock_movements
+const LEDGER_LOTS = {
+  supply_record: {
+    lotType: "supply_record",
+    label: "Supply record",
+    table: "supply_records",
+    codeColumn: "supply_id",
+    balanceColumn: "remaining_quantity_kg",
+  },
+  inventory: {
+    lotType: "inventory",
+    label: "Inventory lot",
+    table: "inventory",
+    codeColumn: "inventoryid",
+    balanceColumn: "quantity",
+  },
+  production: {
+    lotType: "production",
+    label: "Production record",
+    table: "production_data",
+    codeColumn: "production_id",
+    balanceColumn: "quantity",
+    // A cancelled production keeps its recorded quantity for reference while
+    // its journal balance is reversed to zero, so it is left out of reconciling
+    reconcileCondition: "t.status <> 'cancelled'",
+  },
+};
+
+class StockMovementService {
+  // Append one entry to the stock_movements journal. `quantity_kg` is the
+  // signed change to the lot and `balance_after` its balance once applied.
+  // The journal is append-only: nothing in the app updates or deletes rows.
+  static async recordMovement(connection, movement) {
+    const {
+      lot_type,
+      lot_id,
+      movement_type,
+      quantity_kg,
+      balance_after,
+      reference_type = null,
+      reference_id = null,
+      notes = null,
+      created_by = null,
+    } = movement;
+
+    await connection.execute(
+      `
+      INSERT INTO stock_movements (
+        lot_type, lot_id, movement_type, quantity_kg, balance_after,
+        reference_type, reference_id, notes, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        lot_type,
+        lot_id,
+        movement_type,
+        roundKg(quantity_kg),
+        roundKg(balance_after),
+        reference_type,
+        reference_id,
+        notes,
+        created_by,
+      ]
+    );
+  }
+
+  // Walk `lots` (already locked, oldest first) and take `quantity` kg from them.
+  // Returns the per-lot deductions; `updateSql` receives (newQuantity, lotId).
+  static async deductFifo(
+    connection,
+    lots,
+    quantity,
+    quantityField,
+    updateSql
+  ) {
+    let remainingToDeduct = roundKg(quantity);
+    const deductions = [];
+
+    for (const lot of lots) {
+      if (remainingToDeduct <= 0) break;
+
+      const availableInLot = parseFloat(lot[quantityField]) || 0;
+      if (availableInLot <= 0) continue;
+
+      const deductAmount = roundKg(Math.min(availableInLot, remainingToDeduct));
+      const newQuantity = roundKg(availableInLot - deductAmount);
+
+      await connection.execute(updateSql, [newQuantity, lot.id]);
+
+      deductions.push({
+        id: lot.id,
+        oldQuantity: availableInLot,
+        deductAmount,
+        newQuantity,
+      });
+      remainingToDeduct = roundKg(remainingToDeduct - deductAmount);
+    }
+
+    return deductions;
+  }
+
+  // Create an inventory lot and deduct its quantity from supply records (FIFO),
+  // all in one transaction with the supply rows locked. Each deduction is
+  // recorded in supply_inventory_allocations for lot genealogy.
+  static async transferSupplyToInventory({
+    inventoryid,
+    quantity: requested,
+    created_by = null,
+  }) {
+    const quantity = parseQuantity(requested);
+    return withTransaction(async (connection) => {
+      const [supplyRecords] = await connection.execute(
+        `
+        SELECT id, supply_id, remaining_quantity_kg
+        FROM supply_records
+        WHERE remaining_quantity_kg > 0
+        ORDER BY created_at ASC, id ASC
+        FOR UPDATE
+      `
+      );
+
+      const totalSupplyAvailable = roundKg(
+        supplyRecords.reduce(
+          (sum, record) =>
+            sum + (parseFloat(record.remaining_quantity_kg) || 0),
+          0
+        )
+      );
+
+      if (totalSupplyAvailable < quantity) {
+        throw new InsufficientStockError(
+          "supply records",
+          totalSupplyAvailable,
+          quantity
+        );
+      }
+
+      const [result] = await connection.execute(
+        "INSERT INTO inventory (inventoryid, quantity) VALUES (?, ?)",
+        [inventoryid, quantity]
+      );
+
+      const deductions = await this.deductFifo(
+        connection,
+        supplyRecords,
+        quantity,
+        "remaining_quantity_kg",
+        "UPDATE supply_records SET remaining_quantity_kg = ?, updated_at = NOW() WHERE id = ?"
+      );
+
+      let inventoryBalance = 0;
+      for (const deduction of deductions) {
+        await connection.execute(
+          "INSERT INTO supply_inventory_allocations (supply_record_id, inventory_id, quantity_kg) VALUES (?, ?, ?)",
+          [deduction.id, result.insertId, deduction.deductAmount]
+        );
+
+        inventoryBalance = roundKg(inventoryBalance + deduction.deductAmount);
+        await this.recordMovement(connection, {
+          lot_type: "supply_record",
+          lot_id: deduction.id,
+          movement_type: "transfer_to_inventory",
+          quantity_kg: -deduction.deductAmount,
+          balance_after: deduction.newQuantity,
+          reference_type: "inventory",
+          reference_id: result.insertId,
+          created_by,
+        });
+        await this.recordMovement(connection, {
+          lot_type: "inventory",
+          lot_id: result.insertId,
+          movement_type: "transfer_to_inventory",
+          quantity_kg: deduction.deductAmount,
+          balance_after: inventoryBalance,
+          reference_type: "supply_record",
+          reference_id: deduction.id,
+          created_by,
+        });
+      }
+
+      return {
+        inventory: { id: result.insertId, inventoryid, quantity },
+        deductions,
+        available: totalSupplyAvailable,
+      };
+    });
+  }
+
+  // Create a production record and deduct its quantity from inventory lots
+  // (FIFO), all in one transaction with the inventory rows locked. Each
+  // deduction is recorded in inventory_production_allocations, and any graded
+  // `output_lines` are saved with the record.
+  static async consumeInventoryForProduction(
+    productionData,
+    created_by = null
+  ) {
+    const {
+      production_id,
+      quantity: requested,
+      made_tea_kg = null,
+      production_date,
+      production_time,
+      output_lines = [],
+    } = productionData;
+    const quantity = parseQuantity(requested);
+
+    return withTransaction(async (connection) => {
+      const [inventoryLots] = await connection.execute(
+        `
+        SELECT id, inventoryid, quantity
+        FROM inventory
+        WHERE quantity > 0
+        ORDER BY createdAt ASC, id ASC
+        FOR UPDATE
+      `
+      );
+
+      const totalAvailable = roundKg(
+        inventoryLots.reduce(
+          (sum, item) => sum + (parseFloat(item.quantity) || 0),
+          0
+        )
+      );
+
+      if (totalAvailable < quantity) {
+        throw new InsufficientStockError("inventory", totalAvailable, quantity);
+      }
+
+      const [result] = await connection.execute(
+        `
+        INSERT INTO production_data (production_id, quantity, made_tea_kg, production_date, production_time)
+        VALUES (?, ?, ?, ?, ?)
+      `,
+        [
+          production_id,
+          quantity,
+          made_tea_kg,
+          production_date,
+          production_time || null,
+        ]
+      );
+
+      await ProductionModel.insertOutputLines(
+        connection,
+        result.insertId,
+        output_lines
+      );
+
+      const deductions = await this.deductFifo(
+        connection,
+        inventoryLots,
+        quantity,
+        "quantity",
+        "UPDATE inventory SET quantity = ? WHERE id = ?"
+      );
+
+      for (const deduction of deductions) {
+        await connection.execute(
+          "INSERT INTO inventory_production_allocations (inventory_id, production_id, quantity_kg) VALUES (?, ?, ?)",
+          [deduction.id, result.insertId, deduction.deductAmount]
+        );
+
+        await this.recordMovement(connection, {
+          lot_type: "inventory",
+          lot_id: deduction.id,
+          movement_type: "consumption_by_production",
+          quantity_kg: -deduction.deductAmount,
+          balance_after: deduction.newQuantity,
+          reference_type: "production",
+          reference_id: result.insertId,
+          created_by,
+        });
+      }
+
+      await this.recordMovement(connection, {
+        lot_type: "production",
+        lot_id: result.insertId,
+        movement_type: "consumption_by_production",
+        quantity_kg: quantity,
+        balance_after: quantity,
+        notes: `Consumed ${deductions.length} inventory lot(s)`,
+        created_by,
+      });
+
+      return {
+        production: { id: result.insertId, ...productionData },
+        deductions,
+        available: totalAvailable,
+      };
+    });
+  }
+
+  // Cancel a production record: put the exact kg it consumed back onto the
+  // inventory lots it was allocated from, journal the reversal on both sides
+  // and mark the record cancelled with who cancelled it and why.
+  static async cancelProduction(productionId, { cancelled_by, reason }) {
+    return withTransaction(async (connection) => {
+      const [rows] = await connection.execute(
+        "SELECT * FROM production_data WHERE id = ? FOR UPDATE",
+        [productionId]
+      );
+
+      if (rows.length === 0) {
+        throw new ServiceError("Production record not found", 404);
+      }
+      const production = rows[0];
+      if (production.status === "cancelled") {
+        throw new ServiceError("Production record is already cancelled", 409);
+      }
+
+      const [allocations] = await connection.execute(
+        `
+        SELECT inventory_id, SUM(quantity_kg) as quantity_kg
+        FROM inventory_production_allocations
+        WHERE production_id = ?
+        GROUP BY inventory_id
+        ORDER BY inventory_id ASC
+      `,
+        [production.id]
+      );
+
+      const quantity = parseFloat(production.quantity) || 0;
+      const allocated = roundKg(
+        allocations.reduce(
+          (sum, row) => sum + (parseFloat(row.quantity_kg) || 0),
+          0
+        )
+      );
+
+      // Records created before lot allocations were kept cannot be restored exactly
+      if (allocated !== roundKg(quantity)) {
+        throw new ServiceError(
+          `Production record has ${allocated} kg of its ${quantity} kg allocated to inventory lots and cannot be restored exactly`,
+          409
+        );
+      }
+
+      const notes = `Production ${production.production_id} cancelled: ${reason}`;
+      const restored = [];
+
+      for (const allocation of allocations) {
+        const restoredKg = parseFloat(allocation.quantity_kg);
+        const balance = await this.adjustLotBalance(
+          connection,
+          "inventory",
+          allocation.inventory_id,
+          restoredKg,
+          {
+            movement_type: "reversal",
+            reference_type: "production",
+            reference_id: production.id,
+            notes,
+            created_by: cancelled_by,
+          }
+        );
+        restored.push({
+          inventory_id: allocation.inventory_id,
+          quantity_kg: restoredKg,
+          ...balance,
+        });
+      }
+
+      await this.recordMovement(connection, {
+        lot_type: "production",
+        lot_id: production.id,
+        movement_type: "reversal",
+        quantity_kg: -quantity,
+        balance_after: 0,
+        notes,
+        created_by: cancelled_by,
+      });
+
+      await connection.execute(
+        `
+        UPDATE production_data
+        SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW(), cancellation_reason = ?
+        WHERE id = ?
+      `,
+        [cancelled_by, reason, production.id]
+      );
+
+      return { production_id: production.id, restored };
+    });
+  }
+
+  // Lock one lot, move its balance by the signed `delta` kg and journal the
+  // movement. A lot is never taken below zero.
+  static async adjustLotBalance(connection, lotType, lotId, delta, movement) {
+    const lot = LEDGER_LOTS[lotType];
+    const [rows] = await connection.execute(
+      `SELECT id, ${lot.balanceColumn} as balance FROM ${lot.table} WHERE id = ? FOR UPDATE`,
+      [lotId]
+    );
+
+    if (rows.length === 0) {
+      throw new ServiceError(`${lot.label} not found`, 404);
+    }
+
+    const balanceBefore = parseFloat(rows[0].balance) || 0;
+    const balanceAfter = roundKg(balanceBefore + delta);
+
+    if (balanceAfter < 0) {
+      throw new InsufficientStockError(
+        `stock in ${lot.label.toLowerCase()} ${lotId}`,
+        balanceBefore,
+        roundKg(-delta)
+      );
+    }
+
+    await connection.execute(
+      `UPDATE ${lot.table} SET ${lot.balanceColumn} = ? WHERE id = ?`,
+      [balanceAfter, lotId]
+    );
+
+    await this.recordMovement(connection, {
+      ...movement,
+      lot_type: lotType,
+      lot_id: lotId,
+      quantity_kg: delta,
+      balance_after: balanceAfter,
+    });
+
+    return { balance_before: balanceBefore, balance_after: balanceAfter };
+  }
+
+  // Approve a pending stock adjustment: apply its signed kg change to the lot
+  // and journal it (write-off reasons as write_off), in one transaction.
+  static async approveAdjustment(adjustmentId, { reviewed_by, review_notes }) {
+    return withTransaction(async (connection) => {
+      const adjustment = await this.lockPendingAdjustment(
+        connection,
+        adjustmentId
+      );
+
+      const quantity = parseFloat(adjustment.quantity_kg);
+      const isWriteOff = StockAdjustmentModel.WRITE_OFF_REASONS.includes(
+        adjustment.reason_code
+      );
+
+      const balance = await this.adjustLotBalance(
+        connection,
+        adjustment.lot_type,
+        adjustment.lot_id,
+        quantity,
+        {
+          movement_type: isWriteOff ? "write_off" : "adjustment",
+          reference_type: "stock_adjustment",
+          reference_id: adjustment.id,
+          notes: adjustment.notes
+            ? `${adjustment.reason_code}: ${adjustment.notes}`
+            : adjustment.reason_code,
+          created_by: reviewed_by,
+        }
+      );
+
+      await connection.execute(
+        `
+        UPDATE stock_adjustments
+        SET status = 'approved', reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+        WHERE id = ?
+      `,
+        [reviewed_by, review_notes, adjustment.id]
+      );
+
+      return { id: adjustment.id, ...balance };
+    });
+  }
+
+  // Reject a pending stock adjustment; the lot is left untouched
+  static async rejectAdjustment(adjustmentId, { reviewed_by, review_notes }) {
+    return withTransaction(async (connection) => {
+      const adjustment = await this.lockPendingAdjustment(
+        connection,
+        adjustmentId
+      );
+
+      await connection.execute(
+        `
+        UPDATE stock_adjustments
+        SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+        WHERE id = ?
+      `,
+        [reviewed_by, review_notes, adjustment.id]
+      );
+
+      return { id: adjustment.id };
+    });
+  }
+
+  static async lockPendingAdjustment(connection, adjustmentId) {
+    const [rows] = await connection.execute(
+      "SELECT * FROM stock_adjustments WHERE id = ? FOR UPDATE",
+      [adjustmentId]
+    );
+
+    if (rows.length === 0) {
+      throw new ServiceError("Stock adjustment not found", 404);
+    }
+    if (rows[0].status !== "pending") {
+      throw new ServiceError(
+        `Stock adjustment has already been ${rows[0].status}`,
+        409
+      );
+    }
+
+    return rows[0];
+  }
+
+  // Compare each lot's stored balance with the sum of its journal movements.
+  // With `apply`, stored balances are overwritten with the journal balance.
+  static async reconcile({ apply = false } = {}) {
+    return withTransaction(async (connection) => {
+      const discrepancies = [];
+
+      for (const lot of Object.values(LEDGER_LOTS)) {
+        const [rows] = await connection.execute(
+          `
+          SELECT
+            t.id as lot_id,
+            t.${lot.codeColumn} as lot_code,
+            t.${lot.balanceColumn} as recorded_kg,
+            COALESCE(SUM(sm.quantity_kg), 0) as ledger_kg
+          FROM ${lot.table} t
+          LEFT JOIN stock_movements sm
+            ON sm.lot_type = ? AND sm.lot_id = t.id
+          WHERE ${lot.reconcileCondition || "1=1"}
+          GROUP BY t.id, t.${lot.codeColumn}, t.${lot.balanceColumn}
+          HAVING ABS(recorded_kg - ledger_kg) >= 0.01
+        `,
+          [lot.lotType]
+        );
+
+        for (const row of rows) {
+          const recorded = parseFloat(row.recorded_kg) || 0;
+          const ledger = parseFloat(row.ledger_kg) || 0;
+
+          if (apply) {
+            await connection.execute(
+              `UPDATE ${lot.table} SET ${lot.balanceColumn} = ? WHERE id = ?`,
+              [ledger, row.lot_id]
+            );
+          }
+
+          discrepancies.push({
+            lot_type: lot.lotType,
+            lot_id: row.lot_id,
+            lot_code: row.lot_code,
+            recorded_kg: recorded,
+            ledger_kg: ledger,
+            difference_kg: roundKg(recorded - ledger),
+          });
+        }
+      }
+
+      return { applied: apply, discrepancies };
+    });
+  }
+}
+
+StockMovementService.InsufficientStockError = InsufficientStockError;
+StockMovementService.LOT_TYPES = Object.keys(LEDGER_LOTS);
+StockMovementService.MOVEMENT_TYPES = [
+  "receipt",
+  "transfer_to_inventory",
+  "consumption_by_production",
+  "adjustment",
+  "write_off",
+  "reversal",
+];
+
+module.exports = StockMovementService;
@@ -0,0 +1,274 @@
+const PDFDocument = require("pdfkit");
+
+const ENTRY_LABELS = {
+  supply: "Delivery",
+  quality_adjustment: "Quality adjustment",
+  settlement_deduction: "Deduction",
+  advance_recovery: "Advance recovery",
+  payment: "Payment",
+  reversal: "Reversal",
+  refund: "Refund",
+};
+
+const money = (value) =>
+  Number(value).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const qualitySummary = (quality) => {
+  const parts = [];
+  if (quality.fine_leaf_percent !== null) {
+    parts.push(`fine leaf ${parseFloat(quality.fine_leaf_percent)}%`);
+  }
+  if (quality.moisture_percent !== null) {
+    parts.push(`moisture ${parseFloat(quality.moisture_percent)}%`);
+  }
+  if (quality.rejected_kg) parts.push(`rejected ${quality.rejected_kg} kg`);
+  if (quality.water_deduction_kg) {
+    parts.push(`water -${quality.water_deduction_kg} kg`);
+  }
+  if (quality.coarse_leaf_deduction_kg) {
+    parts.push(`coarse leaf -${quality.coarse_leaf_deduction_kg} kg`);
+  }
+  parts.push(
+    `payable ${quality.net_payable_kg} kg @ ${money(
+      quality.adjusted_unit_price
+    )}`
+  );
+  return parts.join(", ");
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Statement as CSV: a short heading block, then one row per entry with the
+// quality breakdown of deliveries in its own columns
+const toCsv = (statement) => {
+  const rows = [
+    ["Supplier statement"],
+    ["Supplier", statement.supplier.name],
+    ["Supplier ID", statement.supplier.supplier_code],
+    ["Period", statement.period.from, statement.period.to],
+    ["Opening balance", statement.opening_balance.toFixed(2)],
+    [],
+    [
+      "date",
+      "type",
+      "reference",
+      "description",
+      "quantity_kg",
+      "unit_price",
+      "debit",
+      "credit",
+      "balance",
+      "net_payable_kg",
+      "rejected_kg",
+      "water_deduction_kg",
+      "coarse_leaf_deduction_kg",
+      "moisture_percent",
+      "fine_leaf_percent",
+    ],
+  ];
+
+  for (const entry of statement.entries) {
+    const quality = entry.quality || {};
+    rows.push([
+      entry.date,
+      entry.type,
+      entry.reference,
+      entry.description,
+      entry.quantity_kg,
+      entry.unit_price !== undefined ? entry.unit_price.toFixed(2) : "",
+      entry.amount < 0 ? (-entry.amount).toFixed(2) : "",
+      entry.amount > 0 ? entry.amount.toFixed(2) : "",
+      entry.balance.toFixed(2),
+      quality.net_payable_kg,
+      quality.rejected_kg,
+      quality.water_deduction_kg,
+      quality.coarse_leaf_deduction_kg,
+      quality.moisture_percent,
+      quality.fine_leaf_percent,
+    ]);
+  }
+
+  rows.push(
+    [],
+    ["Total supplied", statement.totals.supplied.toFixed(2)],
+    ["Total deductions", statement.totals.deductions.toFixed(2)],
+    ["Total payments", statement.totals.payments.toFixed(2)],
+    ["Closing balance", statement.closing_balance.toFixed(2)]
+  );
+  for (const advance of statement.advances) {
+    rows.push([
+      "Advance outstanding",
+      advance.advance_no,
+      advance.outstanding_amount.toFixed(2),
+    ]);
+  }
+
+  return rows.map((row) => row.map(escapeCsv).join(",")).join("\r\n") + "\r\n";
+};
+
+// Table columns on an A4 page with 40pt margins
+const COLUMNS = [
+  { key: "date", label: "Date", x: 40, width: 58 },
+  { key: "description", label: "Description", x: 100, width: 175 },
+  { key: "kg", label: "Kg", x: 277, width: 40, align: "right" },
+  { key: "price", label: "Price", x: 319, width: 42, align: "right" },
+  { key: "debit", label: "Debit", x: 363, width: 62, align: "right" },
+  { key: "credit", label: "Credit", x: 427, width: 62, align: "right" },
+  { key: "balance", label: "Balance", x: 491, width: 64, align: "right" },
+];
+
+// Statement as a PDF; resolves to a Buffer
+const toPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    const drawRow = (cells, { bold = false, size = 8 } = {}) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(size);
+      let height = 0;
+      for (const column of COLUMNS) {
+        const text = cells[column.key] || "";
+        doc.text(text, column.x, y, {
+          width: column.width,
+          align: column.align || "left",
+        });
+        height = Math.max(
+          height,
+          doc.heightOfString(text, { width: column.width })
+        );
+      }
+      doc.x = 40;
+      doc.y = y + height + 3;
+    };
+
+    const drawTableHeader = () => {
+      drawRow(
+        Object.fromEntries(COLUMNS.map((column) => [column.key, column.label])),
+        { bold: true }
+      );
+      doc
+        .moveTo(40, doc.y - 1)
+        .lineTo(555, doc.y - 1)
+        .stroke();
+      doc.y += 2;
+    };
+
+    const ensureSpace = (needed) => {
+      if (doc.y + needed > bottom) {
+        doc.addPage();
+        drawTableHeader();
+      }
+    };
+
+    const { supplier, period } = statement;
+    doc.font("Helvetica-Bold").fontSize(16).text("Supplier Statement");
+    doc.moveDown(0.3);
+    doc.font("Helvetica").fontSize(10);
+    doc.text(
+      `${supplier.name}${
+        supplier.supplier_code ? ` (${supplier.supplier_code})` : ""
+      }`
+    );
+    if (supplier.address) doc.text(supplier.address);
+    doc.text(`Period: ${period.from} to ${period.to}`);
+    doc.text(`Generated: ${statement.generated_at.slice(0, 10)}`);
+    doc.moveDown();
+
+    drawTableHeader();
+    drawRow(
+      {
+        date: period.from,
+        description: "Opening balance",
+        balance: money(statement.opening_balance),
+      },
+      { bold: true }
+    );
+
+    for (const entry of statement.entries) {
+      ensureSpace(entry.quality ? 24 : 14);
+      drawRow({
+        date: entry.date,
+        description: `${ENTRY_LABELS[entry.type] || entry.type} ${
+          entry.reference || ""
+        }${
+          entry.type === "supply" || entry.type === "payment"
+            ? ""
+            : ` - ${entry.description}`
+        }`,
+        kg: entry.quantity_kg !== undefined ? String(entry.quantity_kg) : "",
+        price: entry.unit_price !== undefined ? money(entry.unit_price) : "",
+        debit: entry.amount < 0 ? money(-entry.amount) : "",
+        credit: entry.amount > 0 ? money(entry.amount) : "",
+        balance: money(entry.balance),
+      });
+      if (entry.quality) {
+        doc
+          .font("Helvetica-Oblique")
+          .fontSize(7)
+          .fillColor("#555555")
+          .text(qualitySummary(entry.quality), 100, doc.y - 2, {
+            width: 455,
+          })
+          .fillColor("black");
+        doc.x = 40;
+        doc.y += 2;
+      }
+    }
+
+    ensureSpace(14);
+    drawRow(
+      {
+        date: period.to,
+        description: "Closing balance",
+        balance: money(statement.closing_balance),
+      },
+      { bold: true }
+    );
+
+    const { totals } = statement;
+    if (doc.y + 150 > bottom) doc.addPage();
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(11).text("Summary", 40);
+    doc.font("Helvetica").fontSize(9);
+    doc.text(`Leaf supplied: ${money(totals.supplied)}`);
+    doc.text(`Deductions: ${money(totals.deductions)}`);
+    doc.text(`Payments: ${money(totals.payments)}`);
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").fontSize(11).text("Leaf quality");
+    doc.font("Helvetica").fontSize(9);
+    doc.text(`Delivered: ${totals.quality_kg.delivered_kg} kg`);
+    doc.text(`Rejected: ${totals.quality_kg.rejected_kg} kg`);
+    doc.text(
+      `Water deduction: ${totals.quality_kg.water_deduction_kg} kg, coarse leaf deduction: ${totals.quality_kg.coarse_leaf_deduction_kg} kg`
+    );
+    doc.text(`Payable: ${totals.quality_kg.net_payable_kg} kg`);
+
+    if (statement.advances.length > 0) {
+      doc.moveDown(0.5);
+      doc.font("Helvetica-Bold").fontSize(11).text("Advances outstanding");
+      doc.font("Helvetica").fontSize(9);
+      for (const advance of statement.advances) {
+        doc.text(
+          `${advance.advance_no} issued ${advance.issue_date}: ${money(
+            advance.outstanding_amount
+          )} of ${money(advance.principal_amount)}`
+        );
+      }
+    }
+
+    doc.end();
+  });
+
+module.exports = { toCsv, toPdf };
@@ -0,0 +1,307 @@
+const { pool } = require("../database");
+const ServiceError = require("./serviceError");
+const { roundMoney, roundKg } = require("./serviceHelpers");
+
+const toDateString = (value) => {
+  if (!value) return null;
+  if (typeof value === "string") return value.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+    value.getDate()
+  )}`;
+};
+
+// Entry order within a day: deliveries (each followed by its quality
+// adjustment), then other deductions, then money paid
+const ENTRY_ORDER = {
+  supply: 0,
+  quality_adjustment: 0,
+  settlement_deduction: 1,
+  advance_recovery: 2,
+  payment: 3,
+  reversal: 4,
+  refund: 4,
+};
+
+class SupplierStatementService {
+  // A supplier's statement for `from`..`to` (YYYY-MM-DD, inclusive). Every
+  // entry has a signed `amount`: positive is owed to the supplier (leaf
+  // delivered, a payment reversed), negative reduces it (quality deductions,
+  // settlement deductions, advance recoveries, payments). The opening balance
+  // is the sum of everything before `from`.
+  static async buildStatement(supplierId, { from, to }) {
+    const [suppliers] = await pool.execute(
+      `
+      SELECT id, name, email, phone, address, supplier_id as supplier_code
+      FROM users WHERE id = ? AND role = 'supplier'
+    `,
+      [supplierId]
+    );
+    if (suppliers.length === 0) {
+      throw new ServiceError("Supplier not found", 404);
+    }
+    if (from > to) {
+      throw new ServiceError("Statement start date is after its end date", 400);
+    }
+
+    const entries = [
+      ...(await this.supplyEntries(supplierId, to)),
+      ...(await this.settlementDeductionEntries(supplierId, to)),
+      ...(await this.advanceRecoveryEntries(supplierId, to)),
+      ...(await this.paymentEntries(supplierId, to)),
+    ].sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type] ||
+        a.sort_key - b.sort_key
+    );
+
+    const openingBalance = roundMoney(
+      entries
+        .filter((entry) => entry.date < from)
+        .reduce((sum, entry) => sum + entry.amount, 0)
+    );
+
+    let balance = openingBalance;
+    const periodEntries = [];
+    const totals = {
+      supplied: 0,
+      deductions: 0,
+      payments: 0,
+      quality_kg: {
+        delivered_kg: 0,
+        rejected_kg: 0,
+        water_deduction_kg: 0,
+        coarse_leaf_deduction_kg: 0,
+        net_payable_kg: 0,
+      },
+    };
+    for (const { sort_key, quality, ...entry } of entries) {
+      if (entry.date < from) continue;
+
+      balance = roundMoney(balance + entry.amount);
+      periodEntries.push({ ...entry, quality, balance });
+
+      if (entry.type === "supply") {
+        totals.supplied += entry.amount;
+        totals.quality_kg.delivered_kg += entry.quantity_kg;
+        totals.quality_kg.net_payable_kg += quality
+          ? quality.net_payable_kg
+          : entry.quantity_kg;
+        if (quality) {
+          totals.quality_kg.rejected_kg += quality.rejected_kg;
+          totals.quality_kg.water_deduction_kg += quality.water_deduction_kg;
+          totals.quality_kg.coarse_leaf_deduction_kg +=
+            quality.coarse_leaf_deduction_kg;
+        }
+      } else if (["payment", "reversal", "refund"].includes(entry.type)) {
+        totals.payments -= entry.amount;
+      } else {
+        totals.deductions -= entry.amount;
+      }
+    }
+
+    totals.supplied = roundMoney(totals.supplied);
+    totals.deductions = roundMoney(totals.deductions);
+    totals.payments = roundMoney(totals.payments);
+    for (const key of Object.keys(totals.quality_kg)) {
+      totals.quality_kg[key] = roundKg(totals.quality_kg[key]);
+    }
+
+    return {
+      supplier: suppliers[0],
+      period: { from, to },
+      generated_at: new Date().toISOString(),
+      opening_balance: openingBalance,
+      closing_balance: balance,
+      totals,
+      entries: periodEntries,
+      advances: await this.advancesAt(supplierId, to),
+    };
+  }
+
+  // Deliveries at their pre-quality value, each followed by its quality
+  // adjustment when the assessment changed what was payable
+  static async supplyEntries(supplierId, to) {
+    const [records] = await pool.execute(
+      `
+      SELECT sr.id, sr.supply_id, sr.supply_date, sr.quantity_kg, sr.unit_price,
+             sr.total_payment, sr.payment_status,
+             lqa.rejected_kg, lqa.water_deduction_kg, lqa.coarse_leaf_deduction_kg,
+             lqa.net_payable_kg, lqa.base_unit_price, lqa.adjusted_unit_price,
+             lqa.base_total_payment, lqa.adjusted_total_payment,
+             lqa.fine_leaf_percent, lqa.moisture_percent, lqa.coarse_leaf_percent
+      FROM supply_records sr
+      LEFT JOIN leaf_quality_assessments lqa ON lqa.supply_record_id = sr.id
+      WHERE sr.supplier_id = ? AND sr.supply_date <= ?
+      ORDER BY sr.supply_date ASC, sr.id ASC
+    `,
+      [supplierId, to]
+    );
+
+    const entries = [];
+    for (const record of records) {
+      const date = toDateString(record.supply_date);
+      const assessed = record.base_total_payment !== null;
+      const quantityKg = parseFloat(record.quantity_kg);
+      const unitPrice = parseFloat(
+        assessed ? record.base_unit_price : record.unit_price
+      );
+      const gross = parseFloat(
+        assessed ? record.base_total_payment : record.total_payment
+      );
+
+      entries.push({
+        sort_key: record.id,
+        date,
+        type: "supply",
+        reference: record.supply_id,
+        description: `Leaf delivery ${record.supply_id}`,
+        quantity_kg: quantityKg,
+        unit_price: unitPrice,
+        amount: roundMoney(gross),
+        quality: assessed
+          ? {
+              fine_leaf_percent: record.fine_leaf_percent,
+              moisture_percent: record.moisture_percent,
+              coarse_leaf_percent: record.coarse_leaf_percent,
+              rejected_kg: parseFloat(record.rejected_kg),
+              water_deduction_kg: parseFloat(record.water_deduction_kg),
+              coarse_leaf_deduction_kg: parseFloat(
+                record.coarse_leaf_deduction_kg
+              ),
+              net_payable_kg: parseFloat(record.net_payable_kg),
+              adjusted_unit_price: parseFloat(record.adjusted_unit_price),
+            }
+          : null,
+      });
+
+      const adjustment = roundMoney(
+        parseFloat(record.total_payment) - roundMoney(gross)
+      );
+      if (adjustment !== 0) {
+        entries.push({
+          sort_key: record.id + 0.5,
+          date,
+          type: "quality_adjustment",
+          reference: record.supply_id,
+          description: assessed
+            ? `Quality adjustment: ${parseFloat(
+                record.net_payable_kg
+              )} kg payable at ${parseFloat(record.adjusted_unit_price)}/kg`
+            : "Quality adjustment",
+          amount: adjustment,
+        });
+      }
+    }
+    return entries;
+  }
+
+  // Deduction lines of settlements, taken when the settlement was paid
+  static async settlementDeductionEntries(supplierId, to) {
+    const [lines] = await pool.execute(
+      `
+      SELECT sl.id, sl.description, sl.amount, s.settlement_no, s.paid_at
+      FROM settlement_lines sl
+      JOIN settlements s ON sl.settlement_id = s.id
+      WHERE s.supplier_id = ? AND s.status = 'paid' AND sl.line_type = 'deduction'
+        AND DATE(s.paid_at) <= ?
+    `,
+      [supplierId, to]
+    );
+
+    return lines.map((line) => ({
+      sort_key: line.id,
+      date: toDateString(line.paid_at),
+      type: "settlement_deduction",
+      reference: line.settlement_no,
+      description: line.description || "Settlement deduction",
+      amount: roundMoney(parseFloat(line.amount)),
+    }));
+  }
+
+  // Advance repayments withheld from payouts; a restored recovery (its
+  // payment was reversed) shows as a credit
+  static async advanceRecoveryEntries(supplierId, to) {
+    const [recoveries] = await pool.execute(
+      `
+      SELECT ar.id, ar.amount, ar.created_at, sa.advance_no
+      FROM advance_recoveries ar
+      JOIN supplier_advances sa ON ar.advance_id = sa.id
+      WHERE sa.supplier_id = ? AND DATE(ar.created_at) <= ?
+    `,
+      [supplierId, to]
+    );
+
+    return recoveries.map((recovery) => ({
+      sort_key: recovery.id,
+      date: toDateString(recovery.created_at),
+      type: "advance_recovery",
+      reference: recovery.advance_no,
+      description:
+        parseFloat(recovery.amount) < 0
+          ? `Advance recovery restored (${recovery.advance_no})`
+          : `Advance recovery (${recovery.advance_no})`,
+      amount: -roundMoney(parseFloat(recovery.amount)),
+    }));
+  }
+
+  // Money paid out: completed payments, payments that were later reversed or
+  // refunded (they were paid at the time), and the compensating entries
+  static async paymentEntries(supplierId, to) {
+    const [payments] = await pool.execute(
+      `
+      SELECT p.id, p.payment_id, p.amount, p.payment_method, p.payment_status,
+             p.entry_type, COALESCE(p.payment_date, p.created_at) as paid_on
+      FROM payments p
+      WHERE p.supplier_id = ?
+        AND DATE(COALESCE(p.payment_date, p.created_at)) <= ?
+        AND (
+          p.payment_status = 'completed'
+          OR p.entry_type IN ('reversal', 'refund')
+          OR EXISTS (SELECT 1 FROM payments c WHERE c.reverses_payment_id = p.id)
+        )
+    `,
+      [supplierId, to]
+    );
+
+    return payments.map((payment) => ({
+      sort_key: payment.id,
+      date: toDateString(payment.paid_on),
+      type: payment.entry_type,
+      reference: payment.payment_id,
+      description:
+        payment.entry_type === "payment"
+          ? `Payment (${payment.payment_method.replace(/_/g, " ")})`
+          : `Payment ${payment.entry_type}`,
+      amount: -roundMoney(parseFloat(payment.amount)),
+    }));
+  }
+
+  // Advances not cancelled by `to`, with what was still owed on them then
+  static async advancesAt(supplierId, to) {
+    const [advances] = await pool.execute(
+      `
+      SELECT sa.advance_no, sa.advance_type, sa.issue_date, sa.principal_amount,
+             sa.principal_amount - COALESCE((
+               SELECT SUM(ar.amount) FROM advance_recoveries ar
+               WHERE ar.advance_id = sa.id AND DATE(ar.created_at) <= ?
+             ), 0) as outstanding_amount
+      FROM supplier_advances sa
+      WHERE sa.supplier_id = ? AND sa.status <> 'cancelled' AND sa.issue_date <= ?
+      ORDER BY sa.issue_date ASC, sa.id ASC
+    `,
+      [to, supplierId, to]
+    );
+
+    return advances
+      .map((advance) => ({
+        ...advance,
+        issue_date: toDateString(advance.issue_date),
+        outstanding_amount: roundMoney(parseFloat(advance.outstanding_amount)),
+      }))
+      .filter((advance) => advance.outstanding_amount > 0);
+  }
+}
+
+module.exports = SupplierStatementService;
@@ -0,0 +1,343 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { pool, withTransaction, db } = require("../database");
+const ServiceError = require("./serviceError");
+const SessionService = require("./sessionService");
+
+const JWT_SECRET =
+  process.env.JWT_SECRET || "your-secret-key-change-this-in-production";
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Softora";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes one step either side of now are accepted, for clock drift
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 secret");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 6238 code (HMAC-SHA1, 6 digits) for a 30-second time step
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Time-based one-time passwords as a second sign-in step. A user sets up a
+// secret (shown once as an otpauth URI for their authenticator app), turns
+// 2FA on by entering a code from it and receives one-time recovery codes,
+// stored hashed. Roles can require 2FA (roles.requires_two_factor).
+class TwoFactorService {
+  // The time step `code` is valid for, or null. Steps at or before
+  // `lastStep` were already used and are refused.
+  static matchCode(secret, code, lastStep = null) {
+    const normalized = String(code || "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const now = currentStep();
+    for (
+      let step = now - TOTP_DRIFT_STEPS;
+      step <= now + TOTP_DRIFT_STEPS;
+      step++
+    ) {
+      if (lastStep !== null && step <= lastStep) continue;
+      const expected = totpCode(secret, step);
+      if (
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+      ) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  static async getStatus(userId) {
+    const [users] = await pool.execute(
+      "SELECT totp_enabled, totp_enabled_at FROM users WHERE id = ?",
+      [userId]
+    );
+    if (users.length === 0) {
+      throw new ServiceError("User not found", 404);
+    }
+    const [codes] = await pool.execute(
+      "SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL",
+      [userId]
+    );
+    return {
+      enabled: Boolean(users[0].totp_enabled),
+      enabled_at: users[0].totp_enabled_at,
+      recovery_codes_remaining: codes[0].count,
+    };
+  }
+
+  // Start (or restart) enrollment with a new secret. 2FA stays off until
+  // the secret is confirmed with enable().
+  static async beginSetup(user) {
+    const [users] = await pool.execute(
+      "SELECT email, totp_enabled FROM users WHERE id = ?",
+      [user.id]
+    );
+    if (users.length === 0) {
+      throw new ServiceError("User not found", 404);
+    }
+    if (users[0].totp_enabled) {
+      throw new ServiceError(
+        "Two-factor authentication is already enabled; disable it before setting it up again",
+        409
+      );
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await pool.execute(
+      "UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?",
+      [secret, user.id]
+    );
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${users[0].email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: TOTP_ISSUER,
+      algorithm: "SHA1",
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS),
+    });
+    return { secret, otpauth_uri: `otpauth://totp/${label}?${params}` };
+  }
+
+  // Confirm the pending secret with a code from the authenticator, turn
+  // 2FA on and return the recovery codes (the only time they are shown).
+  // Sessions signed in without the second factor are ended, except the one
+  // enabling it.
+  static async enable(userId, code, currentSessionId = null) {
+    const codes = await withTransaction(async (connection) => {
+      const [users] = await connection.execute(
+        "SELECT totp_secret, totp_enabled FROM users WHERE id = ? FOR UPDATE",
+        [userId]
+      );
+      if (users.length === 0) {
+        throw new ServiceError("User not found", 404);
+      }
+      if (users[0].totp_enabled) {
+        throw new ServiceError(
+          "Two-factor authentication is already enabled",
+          409
+        );
+      }
+      if (!users[0].totp_secret) {
+        throw new ServiceError("Start two-factor setup first", 409);
+      }
+      const step = this.matchCode(users[0].totp_secret, code);
+      if (step === null) {
+        throw new ServiceError("Invalid authentication code", 400);
+      }
+
+      await connection.execute(
+        `
+        UPDATE users
+        SET totp_enabled = 1, totp_enabled_at = NOW(), totp_last_step = ?
+        WHERE id = ?
+      `,
+        [step, userId]
+      );
+      return this.replaceRecoveryCodes(connection, userId);
+    });
+    await SessionService.revokeUserSessions(
+      userId,
+      "two_factor_enabled",
+      currentSessionId
+    );
+    return codes;
+  }
+
+  // Issue a fresh set of recovery codes, voiding the old ones
+  static async replaceRecoveryCodes(connection, userId) {
+    await connection.execute(
+      "DELETE FROM user_recovery_codes WHERE user_id = ?",
+      [userId]
+    );
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString("hex");
+      const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+      await connection.execute(
+        "INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)",
+        [userId, hashRecoveryCode(code)]
+      );
+      codes.push(code);
+    }
+    return codes;
+  }
+
+  static async regenerateRecoveryCodes(userId, code) {
+    return withTransaction(async (connection) => {
+      await this.verifyLocked(connection, userId, { code });
+      return this.replaceRecoveryCodes(connection, userId);
+    });
+  }
+
+  // Check a TOTP code or an unused recovery code for a user with 2FA on,
+  // using it up. Returns how the user was verified.
+  static async verify(userId, { code = null, recovery_code = null }) {
+    return withTransaction((connection) =>
+      this.verifyLocked(connection, userId, { code, recovery_code })
+    );
+  }
+
+  static async verifyLocked(
+    connection,
+    userId,
+    { code = null, recovery_code = null }
+  ) {
+    const [users] = await connection.execute(
+      "SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ? FOR UPDATE",
+      [userId]
+    );
+    if (users.length === 0 || !users[0].totp_enabled) {
+      throw new ServiceError("Two-factor authentication is not enabled", 409);
+    }
+
+    if (recovery_code) {
+      const [result] = await connection.execute(
+        `
+        UPDATE user_recovery_codes SET used_at = NOW()
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+      `,
+        [userId, hashRecoveryCode(recovery_code)]
+      );
+      if (result.affectedRows === 0) {
+        throw new ServiceError("Invalid recovery code", 401);
+      }
+      return "recovery_code";
+    }
+
+    const lastStep =
+      users[0].totp_last_step === null ? null : Number(users[0].totp_last_step);
+    const step = this.matchCode(users[0].totp_secret, code, lastStep);
+    if (step === null) {
+      throw new ServiceError("Invalid authentication code", 401);
+    }
+    await connection.execute(
+      "UPDATE users SET totp_last_step = ? WHERE id = ?",
+      [step, userId]
+    );
+    return "totp";
+  }
+
+  // Turn 2FA off and forget the secret and recovery codes
+  static async clear(userId, connection = pool) {
+    await connection.execute(
+      `
+      UPDATE users
+      SET totp_secret = NULL, totp_enabled = 0, totp_enabled_at = NULL,
+          totp_last_step = NULL
+      WHERE id = ?
+    `,
+      [userId]
+    );
+    await connection.execute(
+      "DELETE FROM user_recovery_codes WHERE user_id = ?",
+      [userId]
+    );
+  }
+
+  // A user turning 2FA off proves it with a current code; not allowed while
+  // their role requires it
+  static async disable(
+    userId,
+    { code = null, recovery_code = null, required }
+  ) {
+    if (required) {
+      throw new ServiceError(
+        "Your role requires two-factor authentication, so it cannot be turned off",
+        409
+      );
+    }
+    await withTransaction(async (connection) => {
+      await this.verifyLocked(connection, userId, { code, recovery_code });
+      await this.clear(userId, connection);
+    });
+  }
+
+  // Admin reset for a user who lost their authenticator. Their sessions are
+  // ended; they set 2FA up again at their next sign-in if their role
+  // requires it.
+  static async reset(userId, { reset_by, ip_address = null }) {
+    const user = await db.getUserById(userId);
+    if (!user) {
+      throw new ServiceError("User not found", 404);
+    }
+    await withTransaction((connection) => this.clear(userId, connection));
+    await SessionService.revokeUserSessions(userId, "two_factor_reset");
+    await db.createSystemLog({
+      user_id: reset_by,
+      action: "TWO_FACTOR_RESET",
+      description: `Two-factor authentication reset for ${user.email} by an administrator`,
+      ip_address,
+      user_agent: null,
+    });
+    return user;
+  }
+
+  // A short-lived token naming a user who has passed the password step and
+  // still has to enter a code. It is not an access token (it has no session).
+  static signChallenge(user) {
+    const token = jwt.sign({ id: user.id, purpose: "two_factor" }, JWT_SECRET, {
+      expiresIn: CHALLENGE_TTL,
+    });
+    const { iat, exp } = jwt.decode(token);
+    return { challenge_token: token, expires_in: exp - iat };
+  }
+
+  static readChallenge(token) {
+    try {
+      const payload = jwt.verify(String(token || ""), JWT_SECRET);
+      if (payload.purpose !== "two_factor") throw new Error("Wrong purpose");
+      return payload.id;
+    } catch (error) {
+      throw new ServiceError(
+        "The sign-in challenge is invalid or has expired. Please log in again.",
+        401
+      );
+    }
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,89 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeDatabase } = require("./support/fakeDatabase");
+const CashBookService = require("../services/cashBookService");
+
+const openSession = (overrides = {}) => ({
+  id: 5,
+  staff_id: 8,
+  collection_point: null,
+  status: "open",
+  business_date: "2024-05-02",
+  ...overrides,
+});
+
+const sessionHandlers = (session) => [
+  [/FROM cash_sessions WHERE id = \? FOR UPDATE/, [session]],
+  [/FROM cash_book_entries WHERE session_id/, [{ balance: "1000.00" }]],
+  [/^INSERT INTO cash_book_entries/, { insertId: 1 }],
+  [/^UPDATE cash_sessions/, { affectedRows: 1 }],
+  [/^INSERT INTO system_logs/, { insertId: 1 }],
+];
+
+const topUp = (user) => ({
+  entry_type: "top_up",
+  amount: 200,
+  created_by: user.id,
+  user,
+});
+
+describe("CashBookService drawer access", () => {
+  it("lets staff work their own drawer", async () => {
+    const database = fakeDatabase(sessionHandlers(openSession()));
+
+    await CashBookService.addEntry(5, topUp({ id: 8, permissions: [] }));
+
+    assert.equal(
+      database.statements(/^INSERT INTO cash_book_entries/).length,
+      1
+    );
+  });
+
+  it("refuses another staff member's drawer", async () => {
+    const database = fakeDatabase(sessionHandlers(openSession()));
+
+    await assert.rejects(
+      CashBookService.addEntry(5, topUp({ id: 9, permissions: [] })),
+      { statusCode: 403 }
+    );
+    await assert.rejects(
+      CashBookService.closeSession(5, {
+        counted_cash: 1000,
+        user: { id: 9, permissions: ["cash.manage"] },
+      }),
+      { statusCode: 403 }
+    );
+    assert.equal(
+      database.statements(/^INSERT INTO cash_book_entries/).length,
+      0
+    );
+    assert.equal(database.statements(/^UPDATE cash_sessions/).length, 0);
+  });
+
+  it("lets cash supervisors work any drawer", async () => {
+    const database = fakeDatabase(sessionHandlers(openSession()));
+
+    const result = await CashBookService.closeSession(5, {
+      counted_cash: 1000,
+      user: { id: 2, permissions: ["cash.supervise"] },
+    });
+
+    assert.equal(result.variance, 0);
+    assert.equal(database.calls.at(-1).sql, "COMMIT");
+  });
+
+  it("lets anyone handling cash work a collection point's drawer", async () => {
+    const database = fakeDatabase(
+      sessionHandlers(
+        openSession({ staff_id: null, collection_point: "North" })
+      )
+    );
+
+    await CashBookService.addEntry(5, topUp({ id: 9, permissions: [] }));
+
+    assert.equal(
+      database.statements(/^INSERT INTO cash_book_entries/).length,
+      1
+    );
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeDatabase } = require("./support/fakeDatabase");
+const GatewayCallbackService = require("../services/gatewayCallbackService");
+const PaymentAllocationService = require("../services/paymentAllocationService");
+
+const pendingPayment = (overrides = {}) => ({
+  id: 12,
+  payment_id: "PAY_1_001",
+  supply_record_id: 101,
+  amount: "400.00",
+  payment_status: "pending",
+  gateway_session_id: "mock_sess_1",
+  ...overrides,
+});
+
+const completedCallback = {
+  nonce: "nonce-1",
+  payment_id: "PAY_1_001",
+  session_id: "mock_sess_1",
+  status: "completed",
+  gateway_payment_id: "mock_pay_1",
+};
+
+// Handlers for a callback on `payment` against a supply record with
+// `outstanding` left
+const callbackHandlers = (payment, outstanding) => [
+  [/^INSERT INTO payment_callback_nonces/, { insertId: 1 }],
+  [/^DELETE FROM payment_callback_nonces/, { affectedRows: 0 }],
+  [/^SELECT \* FROM payments WHERE payment_id = \? FOR UPDATE/, [payment]],
+  [
+    /FROM supply_records WHERE id = \? FOR UPDATE/,
+    [{ id: 101, supply_id: "SUP1", outstanding_amount: outstanding }],
+  ],
+  [/^UPDATE payments/, { affectedRows: 1 }],
+];
+
+describe("GatewayCallbackService.applyCallback", () => {
+  beforeEach(() => {
+    mock.method(PaymentAllocationService, "syncOutstanding", async () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("takes a completed payment off the outstanding balance", async () => {
+    const database = fakeDatabase(
+      callbackHandlers(pendingPayment(), "1000.00")
+    );
+
+    const result = await GatewayCallbackService.applyCallback(
+      "payment",
+      completedCallback
+    );
+
+    assert.deepEqual(result, {
+      payment_id: "PAY_1_001",
+      payment_status: "completed",
+      duplicate: false,
+    });
+    assert.deepEqual(
+      PaymentAllocationService.syncOutstanding.mock.calls.map(
+        (call) => call.arguments[1]
+      ),
+      [101]
+    );
+    assert.equal(database.statements(/^UPDATE supply_records/).length, 0);
+    assert.equal(database.calls.at(-1).sql, "COMMIT");
+  });
+
+  it("refuses a payment above the outstanding balance", async () => {
+    const database = fakeDatabase(callbackHandlers(pendingPayment(), "250.00"));
+
+    await assert.rejects(
+      GatewayCallbackService.applyCallback("payment", completedCallback),
+      { statusCode: 409, message: /exceeds the outstanding balance of 250/ }
+    );
+    assert.equal(database.statements(/^UPDATE payments/).length, 0);
+    assert.equal(PaymentAllocationService.syncOutstanding.mock.calls.length, 0);
+    assert.equal(database.calls.at(-1).sql, "ROLLBACK");
+  });
+
+  it("records a failed payment without touching the balance", async () => {
+    const database = fakeDatabase(callbackHandlers(pendingPayment(), "250.00"));
+
+    const result = await GatewayCallbackService.applyCallback("payment", {
+      ...completedCallback,
+      status: "failed",
+      error_code: "card_declined",
+      error_message: "Card declined",
+    });
+
+    assert.equal(result.payment_status, "failed");
+    assert.equal(database.statements(/FROM supply_records/).length, 0);
+    assert.equal(PaymentAllocationService.syncOutstanding.mock.calls.length, 0);
+  });
+});
@@ -0,0 +1,367 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeDatabase } = require("./support/fakeDatabase");
+const { db } = require("../database");
+const PaymentApprovalService = require("../services/paymentApprovalService");
+const DirectPaymentService = require("../services/directPaymentService");
+const PaymentModel = require("../models/paymentModel");
+const mockGateway = require("../services/paymentGateways/mockGateway");
+
+const staff = { id: 5, role: "staff" };
+const manager = { id: 6, role: "manager" };
+const admin = { id: 1, role: "admin" };
+
+const pendingPayment = (overrides = {}) => ({
+  id: 30,
+  payment_id: "PAY_2_002",
+  supplier_id: 3,
+  supply_record_id: 101,
+  amount: "120000.00",
+  currency: "LKR",
+  payment_status: "pending_approval",
+  created_by: staff.id,
+  payment_request: JSON.stringify({ kind: "direct", payment_reference: "R1" }),
+  ...overrides,
+});
+
+// Role limits as stored in settings; roles without a setting fall back to
+// the defaults
+const useSettings = (settings = {}) => {
+  mock.method(db, "getSetting", async (key) =>
+    key in settings ? settings[key] : null
+  );
+};
+
+const approvalHandlers = (payment, extra = []) => [
+  ...extra,
+  [
+    /^SELECT DISTINCT r.name FROM roles/,
+    [
+      { name: "admin" },
+      { name: "clerk" },
+      { name: "manager" },
+      { name: "staff" },
+    ],
+  ],
+  [/^SELECT \* FROM payments WHERE payment_id = \? FOR UPDATE/, [payment]],
+  [/^INSERT INTO payment_approvals/, { insertId: 1 }],
+  [/^INSERT INTO system_logs/, { insertId: 1 }],
+  [/^UPDATE payments SET payment_status = 'rejected'/, { affectedRows: 1 }],
+];
+
+describe("PaymentApprovalService limits", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("falls back to the built-in defaults and to 0 for other payment roles", async () => {
+    fakeDatabase(approvalHandlers(pendingPayment()));
+    useSettings({ payment_approval_limit_manager: "750000.00" });
+
+    assert.deepEqual(await PaymentApprovalService.getLimits(), {
+      admin: null,
+      clerk: 0,
+      manager: 750000,
+      staff: 50000,
+    });
+  });
+
+  it("reads a stored unlimited limit as null", async () => {
+    fakeDatabase(approvalHandlers(pendingPayment()));
+    useSettings({ payment_approval_limit_staff: "unlimited" });
+
+    assert.equal(await PaymentApprovalService.getLimit(staff), null);
+  });
+
+  it("refuses a limit for a role that cannot make payments", async () => {
+    fakeDatabase(approvalHandlers(pendingPayment()));
+    useSettings();
+
+    await assert.rejects(PaymentApprovalService.setLimits({ supplier: 100 }), {
+      statusCode: 400,
+    });
+  });
+});
+
+describe("PaymentApprovalService.submit", () => {
+  beforeEach(() => {
+    useSettings();
+    mock.method(PaymentModel, "createPayment", async (data) => ({
+      id: 30,
+      ...data,
+    }));
+    mock.method(DirectPaymentService, "completeDirect", async () => ({
+      completed: true,
+    }));
+    mock.method(DirectPaymentService, "lockSupplyRecord", async () => {});
+    mock.method(DirectPaymentService, "openGatewayCheckout", async () => ({
+      payment_url: "https://pay.example/checkout",
+    }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("completes a payment within the maker's limit straight away", async () => {
+    fakeDatabase(approvalHandlers(pendingPayment()));
+
+    const outcome = await PaymentApprovalService.submit("direct", {
+      supplier_id: 3,
+      supply_record_id: 101,
+      amount: 50000,
+      payment_method: "bank_transfer",
+      request: { payment_reference: "R1" },
+      user: staff,
+    });
+
+    assert.deepEqual(outcome, {
+      pending_approval: false,
+      result: { completed: true },
+    });
+    assert.equal(DirectPaymentService.lockSupplyRecord.mock.callCount(), 0);
+  });
+
+  it("holds a payment above the maker's limit for approval after checking it", async () => {
+    fakeDatabase(approvalHandlers(pendingPayment()));
+
+    const outcome = await PaymentApprovalService.submit("direct", {
+      supplier_id: 3,
+      supply_record_id: 101,
+      amount: 50000.01,
+      payment_method: "bank_transfer",
+      request: { payment_reference: "R1" },
+      user: staff,
+    });
+
+    assert.equal(outcome.pending_approval, true);
+    assert.equal(outcome.approval_limit, 50000);
+    const [created] = PaymentModel.createPayment.mock.calls;
+    assert.equal(created.arguments[0].payment_status, "pending_approval");
+    assert.deepEqual(created.arguments[0].payment_request, {
+      kind: "direct",
+      payment_reference: "R1",
+    });
+    assert.equal(DirectPaymentService.lockSupplyRecord.mock.callCount(), 1);
+    assert.equal(DirectPaymentService.completeDirect.mock.callCount(), 0);
+  });
+
+  it("opens a gateway checkout for a card payment within the maker's limit", async () => {
+    fakeDatabase(approvalHandlers(pendingPayment()));
+    const request = {
+      description: "May supplies",
+      return_url: "http://localhost:3000/payment-result/success",
+      cancel_url: "http://localhost:3000/payment-result/cancel",
+    };
+
+    const outcome = await PaymentApprovalService.submit("gateway", {
+      supplier_id: 3,
+      supply_record_id: 101,
+      amount: 4000,
+      currency: "USD",
+      payment_method: "gateway",
+      request,
+      user: staff,
+    });
+
+    assert.equal(outcome.pending_approval, false);
+    const [created] = PaymentModel.createPayment.mock.calls;
+    assert.equal(created.arguments[0].currency, "USD");
+    assert.equal(created.arguments[0].payment_request.kind, "gateway");
+    const [checkout] = DirectPaymentService.openGatewayCheckout.mock.calls;
+    assert.deepEqual(checkout.arguments[2], request);
+  });
+
+  it("holds a card payment above the maker's limit without opening a checkout", async () => {
+    fakeDatabase(approvalHandlers(pendingPayment()));
+
+    const outcome = await PaymentApprovalService.submit("gateway", {
+      supplier_id: 3,
+      supply_record_id: 101,
+      amount: 60000,
+      payment_method: "gateway",
+      request: { description: "May supplies" },
+      user: staff,
+    });
+
+    assert.equal(outcome.pending_approval, true);
+    assert.equal(DirectPaymentService.lockSupplyRecord.mock.callCount(), 1);
+    assert.equal(DirectPaymentService.openGatewayCheckout.mock.callCount(), 0);
+  });
+
+  it("never holds a payment made by a role without a limit", async () => {
+    fakeDatabase(approvalHandlers(pendingPayment()));
+
+    const outcome = await PaymentApprovalService.submit("direct", {
+      supplier_id: 3,
+      amount: 10000000,
+      payment_method: "bank_transfer",
+      user: admin,
+    });
+
+    assert.equal(outcome.pending_approval, false);
+  });
+});
+
+describe("PaymentApprovalService.approve and reject", () => {
+  beforeEach(() => {
+    useSettings();
+    mock.method(DirectPaymentService, "completeDirect", async () => ({
+      completed: true,
+    }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("lets a different user whose limit covers the payment approve and complete it", async () => {
+    const database = fakeDatabase(approvalHandlers(pendingPayment()));
+
+    const result = await PaymentApprovalService.approve("PAY_2_002", {
+      user: manager,
+      notes: "Checked the delivery note",
+    });
+
+    assert.deepEqual(result, { completed: true });
+    const [completion] = DirectPaymentService.completeDirect.mock.calls;
+    assert.deepEqual(completion.arguments[2], {
+      kind: "direct",
+      payment_reference: "R1",
+    });
+    const [decision] = database.statements(/^INSERT INTO payment_approvals/);
+    assert.deepEqual(decision.params, [
+      30,
+      "approved",
+      manager.id,
+      "manager",
+      500000,
+      "Checked the delivery note",
+    ]);
+    assert.equal(database.calls.at(-1).sql, "COMMIT");
+  });
+
+  it("does not let the maker approve their own payment", async () => {
+    const database = fakeDatabase(
+      approvalHandlers(pendingPayment({ created_by: manager.id }))
+    );
+
+    await assert.rejects(
+      PaymentApprovalService.approve("PAY_2_002", { user: manager }),
+      { statusCode: 403, message: /someone other than the user who created it/ }
+    );
+    assert.equal(DirectPaymentService.completeDirect.mock.callCount(), 0);
+    assert.equal(database.calls.at(-1).sql, "ROLLBACK");
+  });
+
+  it("does not let a checker approve above their own limit", async () => {
+    fakeDatabase(
+      approvalHandlers(pendingPayment({ amount: "600000.00", created_by: 9 }))
+    );
+
+    await assert.rejects(
+      PaymentApprovalService.approve("PAY_2_002", { user: staff }),
+      { statusCode: 403, message: /limit of 50000.00 does not cover/ }
+    );
+    assert.equal(DirectPaymentService.completeDirect.mock.callCount(), 0);
+  });
+
+  it("refuses a payment that is no longer awaiting approval", async () => {
+    fakeDatabase(
+      approvalHandlers(pendingPayment({ payment_status: "completed" }))
+    );
+
+    await assert.rejects(
+      PaymentApprovalService.approve("PAY_2_002", { user: manager }),
+      { statusCode: 409, message: /is completed, not awaiting approval/ }
+    );
+  });
+
+  it("rejects a pending payment without paying it", async () => {
+    mock.method(PaymentModel, "findPaymentById", async () => ({
+      payment_status: "rejected",
+    }));
+    const database = fakeDatabase(approvalHandlers(pendingPayment()));
+
+    const payment = await PaymentApprovalService.reject("PAY_2_002", {
+      user: manager,
+      reason: "Duplicate request",
+    });
+
+    assert.equal(payment.payment_status, "rejected");
+    assert.equal(DirectPaymentService.completeDirect.mock.callCount(), 0);
+    const [decision] = database.statements(/^INSERT INTO payment_approvals/);
+    assert.equal(decision.params[1], "rejected");
+    assert.equal(decision.params[5], "Duplicate request");
+  });
+
+  it("needs a reason to reject", async () => {
+    const database = fakeDatabase(approvalHandlers(pendingPayment()));
+
+    await assert.rejects(
+      PaymentApprovalService.reject("PAY_2_002", { user: manager }),
+      { statusCode: 400 }
+    );
+    assert.equal(database.calls.length, 0);
+  });
+});
+
+describe("DirectPaymentService.openGatewayCheckout", () => {
+  const gatewayPayment = (overrides = {}) =>
+    pendingPayment({
+      amount: "400.00",
+      payment_method: "gateway",
+      payment_request: JSON.stringify({ kind: "gateway" }),
+      ...overrides,
+    });
+  const checkoutHandlers = (outstanding) => [
+    [
+      /FROM supply_records WHERE id = \? FOR UPDATE/,
+      [
+        {
+          id: 101,
+          supply_id: "SUP1",
+          supplier_id: 3,
+          payment_status: "partially_paid",
+          outstanding_amount: outstanding,
+        },
+      ],
+    ],
+    [/^UPDATE payments/, { affectedRows: 1 }],
+  ];
+
+  beforeEach(() => {
+    mock.method(mockGateway, "createSession", async () => ({
+      session_id: "mock_sess_1",
+      payment_url: "http://localhost/checkout/mock_sess_1",
+    }));
+    mock.method(PaymentModel, "findPaymentById", async () => ({
+      payment_id: "PAY_2_002",
+      payment_status: "pending",
+    }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("leaves the payment pending on a checkout session for its amount", async () => {
+    const database = fakeDatabase(checkoutHandlers("1000.00"));
+
+    const result = await DirectPaymentService.openGatewayCheckout(
+      database.connection,
+      gatewayPayment(),
+      { description: "May supplies" }
+    );
+
+    assert.equal(result.payment_url, "http://localhost/checkout/mock_sess_1");
+    const [session] = mockGateway.createSession.mock.calls;
+    assert.equal(session.arguments[0].amount, 400);
+    assert.equal(session.arguments[0].payment_id, "PAY_2_002");
+    const [update] = database.statements(/^UPDATE payments/);
+    assert.deepEqual(update.params, ["mock", "mock_sess_1", 30]);
+  });
+
+  it("refuses a payment above the record's outstanding balance", async () => {
+    const database = fakeDatabase(checkoutHandlers("250.00"));
+
+    await assert.rejects(
+      DirectPaymentService.openGatewayCheckout(
+        database.connection,
+        gatewayPayment(),
+        { description: "May supplies" }
+      ),
+      { statusCode: 409, message: /exceeds the outstanding balance/ }
+    );
+    assert.equal(mockGateway.createSession.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,239 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeDatabase } = require("./support/fakeDatabase");
+const PaymentReversalService = require("../services/paymentReversalService");
+const PaymentAllocationService = require("../services/paymentAllocationService");
+const mockGateway = require("../services/paymentGateways/mockGateway");
+
+const completedPayment = (overrides = {}) => ({
+  id: 12,
+  payment_id: "PAY_1_001",
+  supply_record_id: 101,
+  supplier_id: 3,
+  amount: "1500.00",
+  currency: "LKR",
+  payment_method: "bank_transfer",
+  payment_gateway: null,
+  payment_status: "completed",
+  entry_type: "payment",
+  settlement_id: null,
+  cheque_id: null,
+  ...overrides,
+});
+
+// Handlers for reversing `payment`, plus any `extra` ones, which take
+// precedence
+const reversalHandlers = (payment, extra = []) => [
+  ...extra,
+  [/^SELECT \* FROM payments WHERE payment_id = \? FOR UPDATE/, [payment]],
+  [/^UPDATE payments SET payment_status/, { affectedRows: 1 }],
+  [/^INSERT INTO payments/, { insertId: 90 }],
+  [/FROM payment_allocations WHERE payment_id/, []],
+  [/^UPDATE supply_records/, { affectedRows: 1 }],
+  [/FROM advance_recoveries ar/, []],
+  [/^INSERT INTO system_logs/, { insertId: 1 }],
+];
+
+describe("PaymentReversalService.reverse", () => {
+  beforeEach(() => {
+    mock.method(PaymentAllocationService, "syncOutstanding", async () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("cancels the payment, books a negative entry and reopens its supply record", async () => {
+    const database = fakeDatabase(reversalHandlers(completedPayment()));
+
+    const result = await PaymentReversalService.reverse("PAY_1_001", {
+      kind: "reversal",
+      reason: "Paid twice",
+      user_id: 2,
+    });
+
+    assert.deepEqual(result, {
+      payment_id: "PAY_1_001",
+      payment_status: "cancelled",
+      compensating_entry_id: 90,
+      reopened_supply_records: [101],
+      restored_advances: [],
+      gateway_refund: null,
+    });
+    const [original] = database.statements(
+      /^UPDATE payments SET payment_status/
+    );
+    assert.deepEqual(original.params, ["cancelled", 12]);
+    const [entry] = database.statements(/^INSERT INTO payments/);
+    assert.equal(entry.params[0], "PAY_1_001_REV");
+    assert.equal(entry.params[3], -1500);
+    assert.equal(entry.params[10], "reversal");
+    assert.equal(entry.params[11], 12);
+    assert.deepEqual(
+      PaymentAllocationService.syncOutstanding.mock.calls.map(
+        (call) => call.arguments[1]
+      ),
+      [101]
+    );
+    assert.equal(database.calls.at(-1).sql, "COMMIT");
+  });
+
+  it("reopens every allocated record and restores recovered advances", async () => {
+    const advance = {
+      id: 40,
+      advance_no: "ADV-1",
+      status: "settled",
+      outstanding_amount: "0.00",
+    };
+    const database = fakeDatabase(
+      reversalHandlers(completedPayment({ supply_record_id: null }), [
+        [
+          /FROM payment_allocations WHERE payment_id/,
+          [{ supply_record_id: 101 }, { supply_record_id: 102 }],
+        ],
+        [/FROM advance_recoveries ar/, [{ advance_id: 40, amount: "250.00" }]],
+        [/^SELECT \* FROM supplier_advances/, [advance]],
+        [/^UPDATE supplier_advances/, { affectedRows: 1 }],
+        [/^INSERT INTO advance_recoveries/, { insertId: 1 }],
+      ])
+    );
+
+    const result = await PaymentReversalService.reverse("PAY_1_001", {
+      kind: "refund",
+      reason: "Supplier returned the money",
+      user_id: 2,
+    });
+
+    assert.equal(result.payment_status, "refunded");
+    assert.deepEqual(result.reopened_supply_records, [101, 102]);
+    assert.deepEqual(result.restored_advances, [40]);
+    const [restored] = database.statements(/^UPDATE supplier_advances/);
+    assert.deepEqual(restored.params, [250, "active", 40]);
+    const [recovery] = database.statements(/^INSERT INTO advance_recoveries/);
+    assert.deepEqual(recovery.params, [40, -250, null, 12, 2]);
+  });
+
+  it("refuses a payment made by a settlement", async () => {
+    const database = fakeDatabase(
+      reversalHandlers(completedPayment({ settlement_id: 7 }))
+    );
+
+    await assert.rejects(
+      PaymentReversalService.reverse("PAY_1_001", {
+        kind: "reversal",
+        reason: "Wrong supplier",
+      }),
+      { statusCode: 409, message: /made by a settlement/ }
+    );
+    assert.equal(database.calls.at(-1).sql, "ROLLBACK");
+  });
+
+  it("refuses a payment that was already reversed", async () => {
+    fakeDatabase(
+      reversalHandlers(completedPayment({ payment_status: "cancelled" }))
+    );
+
+    await assert.rejects(
+      PaymentReversalService.reverse("PAY_1_001", {
+        kind: "reversal",
+        reason: "Paid twice",
+      }),
+      { statusCode: 409, message: /this one is cancelled/ }
+    );
+  });
+
+  it("refuses an unknown kind before touching the database", async () => {
+    const database = fakeDatabase();
+
+    await assert.rejects(
+      PaymentReversalService.reverse("PAY_1_001", {
+        kind: "void",
+        reason: "x",
+      }),
+      { statusCode: 400 }
+    );
+    assert.equal(database.calls.length, 0);
+  });
+});
+
+describe("PaymentReversalService gateway refunds", () => {
+  const gatewayPayment = (overrides = {}) =>
+    completedPayment({
+      payment_method: "gateway",
+      payment_gateway: "mock",
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    mock.method(PaymentAllocationService, "syncOutstanding", async () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("holds the payment as reversal_pending, refunds at the gateway, then records the refund", async () => {
+    const database = fakeDatabase(
+      reversalHandlers(gatewayPayment(), [
+        [
+          /^SELECT \* FROM payments WHERE id = \? FOR UPDATE/,
+          [gatewayPayment({ payment_status: "reversal_pending" })],
+        ],
+      ])
+    );
+    mock.method(mockGateway, "refund", async () => {
+      database.calls.push({ sql: "REFUND", params: [] });
+      return { refund_id: "mock_rfnd_1", status: "refunded" };
+    });
+
+    const result = await PaymentReversalService.reverse("PAY_1_001", {
+      kind: "refund",
+      reason: "Customer request",
+      user_id: 2,
+    });
+
+    assert.equal(result.payment_status, "refunded");
+    assert.equal(result.gateway_refund.refund_id, "mock_rfnd_1");
+    const sequence = database.calls
+      .filter((call) => /^(COMMIT|REFUND|UPDATE payments)/.test(call.sql))
+      .map((call) => call.sql);
+    assert.deepEqual(sequence, [
+      "UPDATE payments SET payment_status = 'reversal_pending', updated_at = NOW() WHERE id = ?",
+      "COMMIT",
+      "REFUND",
+      "UPDATE payments SET payment_status = ?, updated_at = NOW() WHERE id = ?",
+      "COMMIT",
+    ]);
+    assert.equal(mockGateway.refund.mock.calls[0].arguments[0].amount, 1500);
+  });
+
+  it("puts the payment back to completed when the gateway refuses", async () => {
+    mock.method(mockGateway, "refund", async () => {
+      throw new Error("Gateway unavailable");
+    });
+    const database = fakeDatabase(reversalHandlers(gatewayPayment()));
+
+    await assert.rejects(
+      PaymentReversalService.reverse("PAY_1_001", {
+        kind: "refund",
+        reason: "Customer request",
+      }),
+      /Gateway unavailable/
+    );
+    const restored = database.calls.at(-1);
+    assert.match(
+      restored.sql,
+      /SET payment_status = 'completed'.*'reversal_pending'/
+    );
+    assert.deepEqual(restored.params, [12]);
+    assert.equal(database.statements(/^INSERT INTO payments/).length, 0);
+  });
+
+  it("will not record a gateway refund the gateway has not made", async () => {
+    const database = fakeDatabase();
+
+    await assert.rejects(
+      PaymentReversalService.reversePayment(
+        database.connection,
+        gatewayPayment(),
+        { kind: "refund", reason: "x" }
+      ),
+      { statusCode: 409, message: /must be refunded on its own/ }
+    );
+    assert.equal(database.calls.length, 0);
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeDatabase } = require("./support/fakeDatabase");
+const PayoutBatchService = require("../services/payoutBatchService");
+const SettlementService = require("../services/settlementService");
+
+const batch = (overrides = {}) => ({
+  id: 4,
+  batch_no: "PB-0004",
+  file_format: "csv",
+  status: "exported",
+  ...overrides,
+});
+
+const item = (id, reference, overrides = {}) => ({
+  id,
+  reference,
+  settlement_id: 70 + id,
+  status: "pending",
+  ...overrides,
+});
+
+const response = (rows) =>
+  ["reference,status,reason", ...rows.map((row) => row.join(","))].join("\n");
+
+const importHandlers = (batchRow, items) => [
+  [/^SELECT \* FROM payout_batches WHERE id = \? FOR UPDATE/, [batchRow]],
+  [/^SELECT \* FROM payout_batch_items WHERE batch_id/, items],
+  [/^UPDATE payout_batch_items/, { affectedRows: 1 }],
+  [/^UPDATE payout_batches/, { affectedRows: 1 }],
+];
+
+describe("PayoutBatchService.importResponse", () => {
+  beforeEach(() => {
+    mock.method(SettlementService, "applyPayment", async () => ({
+      paymentCount: 1,
+    }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("pays the settlements the bank paid, fails the returned ones and keeps the rest pending", async () => {
+    const database = fakeDatabase(
+      importHandlers(batch(), [
+        item(1, "PB4-0001"),
+        item(2, "PB4-0002"),
+        item(3, "PB4-0003"),
+      ])
+    );
+
+    const summary = await PayoutBatchService.importResponse(
+      4,
+      response([
+        ["PB4-0001", "00", ""],
+        ["PB4-0002", "R03", "Account closed"],
+        ["PB4-9999", "00", ""],
+      ]),
+      { imported_by: 2 }
+    );
+
+    assert.deepEqual(summary, {
+      completed: ["PB4-0001"],
+      failed: ["PB4-0002"],
+      unmatched: ["PB4-9999"],
+      skipped: [],
+      pending: 1,
+    });
+    const [paid] = SettlementService.applyPayment.mock.calls;
+    assert.equal(paid.arguments[1], 71);
+    assert.deepEqual(paid.arguments[2], {
+      paid_by: 2,
+      payment_method: "bank_transfer",
+      payment_reference: "PB-0004/PB4-0001",
+    });
+    const [completed, failed] = database.statements(
+      /^UPDATE payout_batch_items/
+    );
+    assert.deepEqual(completed.params, [1]);
+    assert.deepEqual(failed.params, ["R03", "Account closed", 2]);
+    const [batchUpdate] = database.statements(/^UPDATE payout_batches/);
+    assert.deepEqual(batchUpdate.params, ["exported", 2, 4]);
+    assert.equal(database.calls.at(-1).sql, "COMMIT");
+  });
+
+  it("completes the batch once no item is pending", async () => {
+    const database = fakeDatabase(
+      importHandlers(batch(), [item(1, "PB4-0001"), item(2, "PB4-0002")])
+    );
+
+    const summary = await PayoutBatchService.importResponse(
+      4,
+      response([
+        ["PB4-0001", "paid", ""],
+        ["PB4-0002", "00", ""],
+      ]),
+      { imported_by: 2 }
+    );
+
+    assert.equal(summary.pending, 0);
+    assert.equal(SettlementService.applyPayment.mock.callCount(), 2);
+    const [batchUpdate] = database.statements(/^UPDATE payout_batches/);
+    assert.deepEqual(batchUpdate.params, ["completed", 2, 4]);
+  });
+
+  it("skips items already processed when a file is imported again", async () => {
+    const database = fakeDatabase(
+      importHandlers(batch({ status: "completed" }), [
+        item(1, "PB4-0001", { status: "completed" }),
+        item(2, "PB4-0002", { status: "failed" }),
+      ])
+    );
+
+    const summary = await PayoutBatchService.importResponse(
+      4,
+      response([
+        ["PB4-0001", "00", ""],
+        ["PB4-0002", "R03", "Account closed"],
+      ]),
+      { imported_by: 2 }
+    );
+
+    assert.deepEqual(summary.skipped, ["PB4-0001", "PB4-0002"]);
+    assert.equal(SettlementService.applyPayment.mock.callCount(), 0);
+    assert.equal(database.statements(/^UPDATE payout_batch_items/).length, 0);
+  });
+
+  it("refuses a batch that has not been exported", async () => {
+    const database = fakeDatabase(
+      importHandlers(batch({ status: "open" }), [])
+    );
+
+    await assert.rejects(
+      PayoutBatchService.importResponse(4, response([["PB4-0001", "00", ""]]), {
+        imported_by: 2,
+      }),
+      { statusCode: 409, message: /Payout batch is open/ }
+    );
+    assert.equal(database.calls.at(-1).sql, "ROLLBACK");
+  });
+
+  it("rolls back the whole import when paying a settlement fails", async () => {
+    SettlementService.applyPayment.mock.mockImplementation(async () => {
+      throw Object.assign(new Error("Settlement is paid"), {
+        statusCode: 409,
+      });
+    });
+    const database = fakeDatabase(
+      importHandlers(batch(), [item(1, "PB4-0001")])
+    );
+
+    await assert.rejects(
+      PayoutBatchService.importResponse(4, response([["PB4-0001", "00", ""]]), {
+        imported_by: 2,
+      }),
+      { statusCode: 409 }
+    );
+    assert.equal(database.statements(/^UPDATE payout_batch_items/).length, 0);
+    assert.equal(database.calls.at(-1).sql, "ROLLBACK");
+  });
+
+  it("refuses an empty response file", async () => {
+    fakeDatabase(importHandlers(batch(), []));
+
+    await assert.rejects(
+      PayoutBatchService.importResponse(4, "reference,status,reason\n", {
+        imported_by: 2,
+      }),
+      { statusCode: 422 }
+    );
+  });
+});
+
+describe("PayoutBatchService.validateBankDetails", () => {
+  const supplier = {
+    account_holder_name: "K. Perera",
+    bank_name: "Bank of Ceylon",
+    bank_code: "7010",
+    bank_branch: "123 - Kandy",
+    account_number: "0012-3456-78",
+  };
+
+  it("takes the branch code from the bank branch for a 4-digit bank code", () => {
+    const { errors, details } =
+      PayoutBatchService.validateBankDetails(supplier);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(details, {
+      bank_code: "7010",
+      branch_code: "123",
+      account_number: "0012345678",
+      account_holder_name: "K. Perera",
+    });
+  });
+
+  it("reports every missing or malformed detail", () => {
+    const { errors } = PayoutBatchService.validateBankDetails({
+      ...supplier,
+      account_holder_name: " ",
+      bank_branch: "Kandy",
+      account_number: "1234567890123",
+    });
+
+    assert.deepEqual(errors, [
+      "Account holder name is missing",
+      "Bank branch does not start with a 3-digit branch code",
+      "Account number must be up to 12 digits",
+    ]);
+  });
+});
@@ -0,0 +1,209 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeDatabase } = require("./support/fakeDatabase");
+const SettlementService = require("../services/settlementService");
+
+const approvedSettlement = (overrides = {}) => ({
+  id: 7,
+  settlement_no: "SET-202405-3-X",
+  supplier_id: 3,
+  status: "approved",
+  gross_amount: "300.00",
+  net_amount: "250.00",
+  ...overrides,
+});
+
+const supplyLine = (id, amount, overrides = {}) => ({
+  id,
+  amount: amount.toFixed(2),
+  supply_record_id: 100 + id,
+  supply_id: `SUP${id}`,
+  payment_status: "unpaid",
+  outstanding_amount: amount.toFixed(2),
+  ...overrides,
+});
+
+// Handlers for paying `settlement` with `lines`, plus any `extra` ones,
+// which take precedence
+const paymentHandlers = (settlement, lines, extra = []) => {
+  let nextPaymentId = 500;
+  return [
+    ...extra,
+    [/FROM settlements WHERE id = \? FOR UPDATE/, [settlement]],
+    [/JOIN supply_records sr ON sl.supply_record_id/, lines],
+    [/JOIN supplier_advances sa/, []],
+    [/^INSERT INTO payments/, () => ({ insertId: nextPaymentId++ })],
+    [/^UPDATE supply_records/, { affectedRows: 1 }],
+    [/^UPDATE settlements/, { affectedRows: 1 }],
+  ];
+};
+
+const paidAmounts = (database) =>
+  database.statements(/^INSERT INTO payments/).map((call) => call.params[3]);
+
+describe("SettlementService.applyPayment", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("shares the net across the supply lines, the last line taking the rounding remainder", async () => {
+    const database = fakeDatabase(
+      paymentHandlers(approvedSettlement(), [
+        supplyLine(1, 100),
+        supplyLine(2, 100),
+        supplyLine(3, 100),
+      ])
+    );
+
+    const result = await SettlementService.applyPayment(
+      database.connection,
+      7,
+      {
+        paid_by: 2,
+        payment_method: "bank_transfer",
+        payment_reference: "B1/REF1",
+      }
+    );
+
+    assert.deepEqual(result, { paymentCount: 3, amount: 250 });
+    assert.deepEqual(paidAmounts(database), [83.33, 83.33, 83.34]);
+    assert.deepEqual(
+      database.statements(/^UPDATE supply_records/).map((call) => call.params),
+      [[101], [102], [103]]
+    );
+    const [settled] = database.statements(/^UPDATE settlements SET status/);
+    assert.deepEqual(settled.params, [2, "bank_transfer", "B1/REF1", 7]);
+  });
+
+  it("refuses a settlement whose supply records were paid elsewhere", async () => {
+    const database = fakeDatabase(
+      paymentHandlers(approvedSettlement(), [
+        supplyLine(1, 100),
+        supplyLine(2, 100, { outstanding_amount: "40.00" }),
+      ])
+    );
+
+    await assert.rejects(
+      SettlementService.applyPayment(database.connection, 7, {
+        paid_by: 2,
+        payment_method: "bank_transfer",
+      }),
+      { statusCode: 409, message: /already paid outside this settlement: SUP2/ }
+    );
+    assert.equal(database.statements(/^INSERT INTO payments/).length, 0);
+  });
+
+  it("refuses a settlement that is not approved", async () => {
+    const database = fakeDatabase(
+      paymentHandlers(approvedSettlement({ status: "paid" }), [])
+    );
+
+    await assert.rejects(
+      SettlementService.applyPayment(database.connection, 7, {
+        paid_by: 2,
+        payment_method: "bank_transfer",
+      }),
+      { statusCode: 409, message: /Settlement is paid/ }
+    );
+  });
+
+  it("caps an advance recovery at what the advance still owes and pays out the difference", async () => {
+    const advance = {
+      line_id: 9,
+      line_amount: "-100.00",
+      id: 40,
+      advance_no: "ADV-1",
+      status: "active",
+      outstanding_amount: "40.00",
+    };
+    const database = fakeDatabase(
+      paymentHandlers(
+        approvedSettlement({ gross_amount: "300.00", net_amount: "200.00" }),
+        [supplyLine(1, 150), supplyLine(2, 150)],
+        [
+          [/JOIN supplier_advances sa/, [advance]],
+          [/^UPDATE settlement_lines SET amount/, { affectedRows: 1 }],
+          [/^SELECT COALESCE\(SUM/, [{ gross: "300.00", deductions: "40.00" }]],
+          [/^UPDATE settlements SET gross_amount/, { affectedRows: 1 }],
+          [
+            /^SELECT gross_amount, net_amount FROM settlements/,
+            [{ gross_amount: "300.00", net_amount: "260.00" }],
+          ],
+          [/^UPDATE supplier_advances/, { affectedRows: 1 }],
+          [/^INSERT INTO advance_recoveries/, { insertId: 1 }],
+        ]
+      )
+    );
+
+    const result = await SettlementService.applyPayment(
+      database.connection,
+      7,
+      {
+        paid_by: 2,
+        payment_method: "bank_transfer",
+      }
+    );
+
+    const [capped] = database.statements(/^UPDATE settlement_lines SET amount/);
+    assert.deepEqual(capped.params, [-40, 9]);
+    const [advanceUpdate] = database.statements(/^UPDATE supplier_advances/);
+    assert.deepEqual(advanceUpdate.params, [0, "settled", 40]);
+    const [totals] = database.statements(
+      /^UPDATE settlements SET gross_amount/
+    );
+    assert.deepEqual(totals.params, [300, 40, 260, 7]);
+    assert.equal(result.amount, 260);
+    assert.deepEqual(paidAmounts(database), [130, 130]);
+  });
+});
+
+describe("SettlementService.approve", () => {
+  it("refuses a draft whose deductions exceed its gross amount", async () => {
+    const database = fakeDatabase([
+      [
+        /FROM settlements WHERE id = \? FOR UPDATE/,
+        [
+          approvedSettlement({
+            status: "draft",
+            gross_amount: "100.00",
+            net_amount: "-20.00",
+          }),
+        ],
+      ],
+    ]);
+
+    await assert.rejects(SettlementService.approve(7, { approved_by: 2 }), {
+      statusCode: 409,
+      message: /Deductions exceed/,
+    });
+    assert.equal(database.calls.at(-1).sql, "ROLLBACK");
+  });
+
+  it("approves a draft with supply lines", async () => {
+    const database = fakeDatabase([
+      [
+        /FROM settlements WHERE id = \? FOR UPDATE/,
+        [approvedSettlement({ status: "draft" })],
+      ],
+      [/^UPDATE settlements SET status = 'approved'/, { affectedRows: 1 }],
+    ]);
+
+    await SettlementService.approve(7, { approved_by: 2 });
+
+    const [approved] = database.statements(/^UPDATE settlements/);
+    assert.deepEqual(approved.params, [2, 7]);
+    assert.equal(database.calls.at(-1).sql, "COMMIT");
+  });
+});
+
+describe("SettlementService.pay", () => {
+  it("refuses a settlement queued for a bank payout", async () => {
+    const database = fakeDatabase([
+      [/FROM payout_batch_items/, [{ reference: "PB1-0001" }]],
+    ]);
+
+    await assert.rejects(
+      SettlementService.pay(7, { paid_by: 2, payment_method: "cash" }),
+      { statusCode: 409, message: /queued for bank payout \(PB1-0001\)/ }
+    );
+    assert.equal(database.calls.at(-1).sql, "ROLLBACK");
+  });
+});
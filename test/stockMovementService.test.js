@@ -0,0 +1,163 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeDatabase } = require("./support/fakeDatabase");
+const StockMovementService = require("../services/stockMovementService");
+
+const { InsufficientStockError } = StockMovementService;
+
+const supplyLots = [
+  { id: 1, supply_id: "SUP1", remaining_quantity_kg: "30.00" },
+  { id: 2, supply_id: "SUP2", remaining_quantity_kg: "50.00" },
+  { id: 3, supply_id: "SUP3", remaining_quantity_kg: "20.00" },
+];
+
+const inventoryLots = [
+  { id: 11, inventoryid: "INV-1", quantity: "25.50" },
+  { id: 12, inventoryid: "INV-2", quantity: "40.00" },
+];
+
+const transferHandlers = (lots) => [
+  [/FROM supply_records WHERE remaining_quantity_kg > 0/, lots],
+  [/^INSERT INTO inventory /, { insertId: 70 }],
+  [/^UPDATE supply_records SET remaining_quantity_kg/, { affectedRows: 1 }],
+  [/^INSERT INTO supply_inventory_allocations/, { insertId: 1 }],
+  [/^INSERT INTO stock_movements/, { insertId: 1 }],
+];
+
+const productionHandlers = (lots) => [
+  [/FROM inventory WHERE quantity > 0/, lots],
+  [/^INSERT INTO production_data/, { insertId: 80 }],
+  [/^UPDATE inventory SET quantity/, { affectedRows: 1 }],
+  [/^INSERT INTO inventory_production_allocations/, { insertId: 1 }],
+  [/^INSERT INTO stock_movements/, { insertId: 1 }],
+];
+
+const paramsOf = (database, pattern) =>
+  database.statements(pattern).map((call) => call.params);
+
+describe("StockMovementService.transferSupplyToInventory", () => {
+  it("takes the lot's quantity from the oldest supply records first", async () => {
+    const database = fakeDatabase(transferHandlers(supplyLots));
+
+    const result = await StockMovementService.transferSupplyToInventory({
+      inventoryid: "INV-3",
+      quantity: "60",
+      created_by: 2,
+    });
+
+    assert.deepEqual(result.inventory, {
+      id: 70,
+      inventoryid: "INV-3",
+      quantity: 60,
+    });
+    assert.equal(result.available, 100);
+    assert.deepEqual(paramsOf(database, /^UPDATE supply_records/), [
+      [0, 1],
+      [20, 2],
+    ]);
+    assert.deepEqual(
+      paramsOf(database, /^INSERT INTO supply_inventory_allocations/),
+      [
+        [1, 70, 30],
+        [2, 70, 30],
+      ]
+    );
+    const inventoryBalances = database
+      .statements(/^INSERT INTO stock_movements/)
+      .filter((call) => call.params[0] === "inventory")
+      .map((call) => call.params[4]);
+    assert.deepEqual(inventoryBalances, [30, 60]);
+    assert.equal(database.calls.at(-1).sql, "COMMIT");
+  });
+
+  it("refuses more than the supply records hold and changes nothing", async () => {
+    const database = fakeDatabase(transferHandlers(supplyLots.slice(0, 1)));
+
+    await assert.rejects(
+      StockMovementService.transferSupplyToInventory({
+        inventoryid: "INV-3",
+        quantity: 45,
+      }),
+      (error) => {
+        assert.ok(error instanceof InsufficientStockError);
+        assert.equal(error.statusCode, 400);
+        assert.equal(error.available, 30);
+        assert.equal(error.required, 45);
+        return true;
+      }
+    );
+    assert.equal(database.statements(/^INSERT INTO inventory /).length, 0);
+    assert.equal(database.statements(/^UPDATE supply_records/).length, 0);
+    assert.equal(database.calls.at(-1).sql, "ROLLBACK");
+  });
+
+  for (const quantity of [-10, 0, "abc", null]) {
+    it(`refuses a quantity of ${JSON.stringify(quantity)}`, async () => {
+      const database = fakeDatabase(transferHandlers(supplyLots));
+
+      await assert.rejects(
+        StockMovementService.transferSupplyToInventory({
+          inventoryid: "INV-3",
+          quantity,
+        }),
+        { statusCode: 400, message: "Quantity must be a positive number" }
+      );
+      assert.equal(database.calls.length, 0);
+    });
+  }
+});
+
+describe("StockMovementService.consumeInventoryForProduction", () => {
+  it("takes the green leaf from the oldest inventory lots first", async () => {
+    const database = fakeDatabase(productionHandlers(inventoryLots));
+
+    const result = await StockMovementService.consumeInventoryForProduction({
+      production_id: "PROD-1",
+      quantity: 30,
+      production_date: "2024-05-01",
+    });
+
+    assert.equal(result.production.id, 80);
+    assert.equal(result.available, 65.5);
+    assert.deepEqual(paramsOf(database, /^UPDATE inventory SET quantity/), [
+      [0, 11],
+      [35.5, 12],
+    ]);
+    assert.deepEqual(
+      paramsOf(database, /^INSERT INTO inventory_production_allocations/),
+      [
+        [11, 80, 25.5],
+        [12, 80, 4.5],
+      ]
+    );
+  });
+
+  it("refuses more than the inventory holds", async () => {
+    const database = fakeDatabase(productionHandlers(inventoryLots));
+
+    await assert.rejects(
+      StockMovementService.consumeInventoryForProduction({
+        production_id: "PROD-1",
+        quantity: 70,
+        production_date: "2024-05-01",
+      }),
+      { name: "InsufficientStockError", available: 65.5, required: 70 }
+    );
+    assert.equal(database.statements(/^INSERT INTO production_data/).length, 0);
+    assert.equal(database.calls.at(-1).sql, "ROLLBACK");
+  });
+
+  it("refuses a negative quantity before touching the database", async () => {
+    const database = fakeDatabase(productionHandlers(inventoryLots));
+
+    await assert.rejects(
+      StockMovementService.consumeInventoryForProduction({
+        production_id: "PROD-1",
+        quantity: -5,
+        production_date: "2024-05-01",
+      }),
+      { statusCode: 400 }
+    );
+    assert.equal(database.calls.length, 0);
+  });
+});
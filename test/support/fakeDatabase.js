@@ -0,0 +1,50 @@
+// Stands in for MySQL in service tests. The real database module is loaded
+// (creating its pool does not connect) and the pool is pointed at a fake
+// connection: each statement is answered by the first [pattern, result]
+// handler whose pattern matches its SQL, where a result may be a function
+// of the statement's params. Every statement is recorded in order.
+const { pool } = require("../../database");
+
+const normalize = (sql) => sql.replace(/\s+/g, " ").trim();
+
+const fakeDatabase = (handlers = []) => {
+  const calls = [];
+  const execute = async (sql, params = []) => {
+    const text = normalize(sql);
+    calls.push({ sql: text, params });
+    const handler = handlers.find(([pattern]) => pattern.test(text));
+    if (!handler) {
+      throw new Error(`Unexpected statement: ${text}`);
+    }
+    const result =
+      typeof handler[1] === "function"
+        ? await handler[1](params, text)
+        : handler[1];
+    return [result, []];
+  };
+
+  const transaction = (statement) => async () => {
+    calls.push({ sql: statement, params: [] });
+  };
+  const connection = {
+    execute,
+    query: execute,
+    beginTransaction: transaction("BEGIN"),
+    commit: transaction("COMMIT"),
+    rollback: transaction("ROLLBACK"),
+    release: () => {},
+  };
+
+  pool.execute = execute;
+  pool.query = execute;
+  pool.getConnection = async () => connection;
+
+  return {
+    connection,
+    calls,
+    // Statements matching `pattern`, in the order they ran
+    statements: (pattern) => calls.filter((call) => pattern.test(call.sql)),
+  };
+};
+
+module.exports = { fakeDatabase };
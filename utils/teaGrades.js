@@ -0,0 +1,14 @@
+// Made-tea grades accepted on supplier orders and production output lines
+const TEA_GRADES = [
+  "PEKOE",
+  "OP",
+  "OPA",
+  "FLOWERY_PEKOE",
+  "FBOP",
+  "GBOP",
+  "TGFOP",
+  "FTGFOP",
+  "SFTGFOP",
+];
+
+module.exports = { TEA_GRADES };